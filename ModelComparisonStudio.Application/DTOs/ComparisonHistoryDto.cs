@@ -0,0 +1,96 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data Transfer Object summarizing a past comparison for the history list.
+/// </summary>
+public class ComparisonHistorySummaryDto
+{
+    /// <summary>
+    /// Maximum number of prompt characters included in the preview.
+    /// </summary>
+    public const int PromptPreviewLength = 160;
+
+    /// <summary>
+    /// Unique identifier for the comparison.
+    /// </summary>
+    public string ComparisonId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The beginning of the prompt, truncated to <see cref="PromptPreviewLength"/> characters.
+    /// </summary>
+    public string PromptPreview { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The conversation this comparison is a turn of.
+    /// </summary>
+    public string ConversationId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The position of this comparison in its conversation, starting at 1.
+    /// </summary>
+    public int TurnNumber { get; set; } = 1;
+
+    /// <summary>
+    /// Whether a system prompt was sent with the comparison.
+    /// </summary>
+    public bool HasSystemPrompt { get; set; }
+
+    /// <summary>
+    /// The models that took part in the comparison, in the order they were run.
+    /// </summary>
+    public List<string> ModelIds { get; set; } = new();
+
+    /// <summary>
+    /// Timestamp when the comparison was executed.
+    /// </summary>
+    public DateTime ExecutedAt { get; set; }
+
+    /// <summary>
+    /// Total number of models processed.
+    /// </summary>
+    public int TotalModels { get; set; }
+
+    /// <summary>
+    /// Number of successful model responses.
+    /// </summary>
+    public int SuccessfulModels { get; set; }
+
+    /// <summary>
+    /// Total tokens used across all models.
+    /// </summary>
+    public int TotalTokens { get; set; }
+
+    /// <summary>
+    /// Total cost in USD of the results whose cost is known.
+    /// </summary>
+    public decimal TotalCost { get; set; }
+
+    /// <summary>
+    /// Converts a domain comparison to this DTO.
+    /// </summary>
+    /// <param name="comparison">The domain comparison object.</param>
+    /// <returns>A new DTO instance.</returns>
+    public static ComparisonHistorySummaryDto FromDomainComparison(Comparison comparison)
+    {
+        var prompt = comparison.Prompt.Trim();
+
+        return new ComparisonHistorySummaryDto
+        {
+            ComparisonId = comparison.Id,
+            PromptPreview = prompt.Length > PromptPreviewLength
+                ? prompt[..PromptPreviewLength] + "…"
+                : prompt,
+            ConversationId = comparison.ConversationId ?? comparison.Id,
+            TurnNumber = comparison.TurnNumber,
+            HasSystemPrompt = !string.IsNullOrEmpty(comparison.SystemPrompt),
+            ModelIds = comparison.Results.Select(r => r.ModelId).ToList(),
+            ExecutedAt = comparison.ExecutedAt,
+            TotalModels = comparison.TotalModels,
+            SuccessfulModels = comparison.SuccessfulModels,
+            TotalTokens = comparison.TotalTokens,
+            TotalCost = comparison.TotalCost
+        };
+    }
+}
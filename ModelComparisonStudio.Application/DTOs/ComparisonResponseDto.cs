@@ -21,6 +21,21 @@ public class ComparisonResponseDto
     [Required]
     public string Prompt { get; set; } = string.Empty;
 
+    /// <summary>
+    /// The system prompt sent ahead of the conversation (optional).
+    /// </summary>
+    public string? SystemPrompt { get; set; }
+
+    /// <summary>
+    /// The conversation this comparison is a turn of.
+    /// </summary>
+    public string ConversationId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The position of this comparison in its conversation, starting at 1.
+    /// </summary>
+    public int TurnNumber { get; set; } = 1;
+
     /// <summary>
     /// List of results from all models.
     /// </summary>
@@ -60,6 +75,11 @@ public class ComparisonResponseDto
     /// </summary>
     public int TotalTokens => Results.Sum(r => r.TokenCount ?? 0);
 
+    /// <summary>
+    /// Total cost in USD of the results whose cost is known.
+    /// </summary>
+    public decimal TotalCost => Results.Sum(r => r.Cost ?? 0);
+
     /// <summary>
     /// Converts a domain comparison to this DTO.
     /// </summary>
@@ -71,6 +91,9 @@ public class ComparisonResponseDto
         {
             ComparisonId = comparison.Id,
             Prompt = comparison.Prompt,
+            SystemPrompt = comparison.SystemPrompt,
+            ConversationId = comparison.ConversationId ?? comparison.Id,
+            TurnNumber = comparison.TurnNumber,
             Results = comparison.Results
                 .Select(ModelResultDto.FromDomainModel)
                 .ToList(),
@@ -122,11 +145,31 @@ public class ModelResultDto
     [Required]
     public long ResponseTimeMs { get; set; }
 
+    /// <summary>
+    /// Time until the first token arrived in milliseconds (only set for streamed responses).
+    /// </summary>
+    public long? TimeToFirstTokenMs { get; set; }
+
     /// <summary>
     /// Number of tokens used (optional, may be null if not available).
     /// </summary>
     public int? TokenCount { get; set; }
 
+    /// <summary>
+    /// Number of prompt tokens billed (optional).
+    /// </summary>
+    public int? PromptTokens { get; set; }
+
+    /// <summary>
+    /// Number of completion tokens billed (optional).
+    /// </summary>
+    public int? CompletionTokens { get; set; }
+
+    /// <summary>
+    /// Cost of the call in USD (optional).
+    /// </summary>
+    public decimal? Cost { get; set; }
+
     /// <summary>
     /// Status of the model execution.
     /// </summary>
@@ -143,6 +186,11 @@ public class ModelResultDto
     /// </summary>
     public string Provider { get; set; } = string.Empty;
 
+    /// <summary>
+    /// The generation parameters the model was called with (optional).
+    /// </summary>
+    public GenerationParameters? Parameters { get; set; }
+
     /// <summary>
     /// Converts a domain model result to this DTO.
     /// </summary>
@@ -155,10 +203,15 @@ public class ModelResultDto
             ModelId = modelResult.ModelId,
             Response = modelResult.Response,
             ResponseTimeMs = modelResult.ResponseTimeMs,
+            TimeToFirstTokenMs = modelResult.TimeToFirstTokenMs,
             TokenCount = modelResult.TokenCount,
+            PromptTokens = modelResult.PromptTokens,
+            CompletionTokens = modelResult.CompletionTokens,
+            Cost = modelResult.Cost,
             Status = modelResult.Status.ToString(),
             ErrorMessage = modelResult.ErrorMessage,
-            Provider = modelResult.Provider
+            Provider = modelResult.Provider,
+            Parameters = modelResult.Parameters
         };
     }
 
@@ -180,6 +233,11 @@ public class ModelResultDto
             TokenCount,
             statusEnum,
             ErrorMessage,
-            Provider);
+            Provider,
+            TimeToFirstTokenMs,
+            Parameters,
+            PromptTokens,
+            CompletionTokens,
+            Cost);
     }
 }
@@ -34,11 +34,41 @@ public class EvaluationDto
     public string ModelId { get; set; } = string.Empty;
 
     /// <summary>
-    /// The user's rating (1-10 stars).
+    /// The provider that served the evaluated response.
+    /// </summary>
+    public string? Provider { get; set; }
+
+    /// <summary>
+    /// The user's rating (1-10 stars). For rubric scores this is the weighted total, rounded.
     /// </summary>
     [Range(1, 10)]
     public int? Rating { get; set; }
 
+    /// <summary>
+    /// The rubric the response was scored with, or null if it was given an overall rating.
+    /// </summary>
+    public string? RubricId { get; set; }
+
+    /// <summary>
+    /// The per-criterion scores (1-10) by criterion name, or null if the response was given an overall rating.
+    /// </summary>
+    public Dictionary<string, int>? CriterionScores { get; set; }
+
+    /// <summary>
+    /// The weighted total of the criterion scores (1-10), or null if the response was given an overall rating.
+    /// </summary>
+    public double? WeightedScore { get; set; }
+
+    /// <summary>
+    /// The rater who gave the evaluation, or null if it was given anonymously.
+    /// </summary>
+    public string? RaterId { get; set; }
+
+    /// <summary>
+    /// Whether the rating was given in blind mode.
+    /// </summary>
+    public bool IsBlind { get; set; }
+
     /// <summary>
     /// The user's comment about the model response.
     /// </summary>
@@ -55,6 +85,11 @@ public class EvaluationDto
     /// </summary>
     public int? TokenCount { get; set; }
 
+    /// <summary>
+    /// The cost in USD of the evaluated response, when its pricing was known.
+    /// </summary>
+    public decimal? Cost { get; set; }
+
     /// <summary>
     /// Timestamp when the evaluation was created.
     /// </summary>
@@ -85,10 +120,19 @@ public class EvaluationDto
             PromptId = evaluation.PromptId,
             PromptText = evaluation.PromptText,
             ModelId = evaluation.ModelId,
+            Provider = evaluation.Provider,
             Rating = evaluation.Rating,
+            RubricId = evaluation.RubricId,
+            CriterionScores = evaluation.CriterionScoresJson == null
+                ? null
+                : new Dictionary<string, int>(evaluation.CriterionScores),
+            WeightedScore = evaluation.WeightedScore,
+            RaterId = evaluation.RaterId,
+            IsBlind = evaluation.IsBlind,
             Comment = evaluation.Comment.ToString(),
             ResponseTimeMs = evaluation.ResponseTimeMs,
             TokenCount = evaluation.TokenCount,
+            Cost = evaluation.Cost,
             CreatedAt = evaluation.CreatedAt,
             UpdatedAt = evaluation.UpdatedAt,
             IsSaved = evaluation.IsSaved
@@ -106,11 +150,14 @@ public class EvaluationDto
             PromptText,
             ModelId,
             ResponseTimeMs ?? 1000, // Default to 1 second if not provided
-            TokenCount);
+            TokenCount,
+            Provider,
+            Cost,
+            RaterId);
 
         if (Rating.HasValue)
         {
-            evaluation.UpdateRating(Rating.Value);
+            evaluation.UpdateRating(Rating.Value, IsBlind);
         }
 
         if (!string.IsNullOrWhiteSpace(Comment))
@@ -145,6 +192,13 @@ public class CreateEvaluationDto
     [Required]
     public string ModelId { get; set; } = string.Empty;
 
+    /// <summary>
+    /// The provider that served the evaluated response (optional). Ratings of the same model
+    /// through different providers are kept apart.
+    /// </summary>
+    [StringLength(50)]
+    public string? Provider { get; set; }
+
     /// <summary>
     /// The response time in milliseconds from the model.
     /// </summary>
@@ -156,16 +210,52 @@ public class CreateEvaluationDto
     public int? TokenCount { get; set; }
 
     /// <summary>
-    /// The user's rating (1-10 stars).
+    /// The cost in USD of the evaluated response (optional).
+    /// </summary>
+    [Range(0.0, double.MaxValue, ErrorMessage = "Cost cannot be negative")]
+    public decimal? Cost { get; set; }
+
+    /// <summary>
+    /// The user's rating (1-10 stars). Ignored when criterion scores are given.
     /// </summary>
     [Range(1, 10)]
     public int? Rating { get; set; }
 
+    /// <summary>
+    /// The rubric the criterion scores belong to; required with criterion scores.
+    /// </summary>
+    [StringLength(100)]
+    public string? RubricId { get; set; }
+
+    /// <summary>
+    /// Scores from 1 to 10 by criterion name of the rubric (optional). They replace any earlier
+    /// rating or scores, and their weighted total is stored as the rating.
+    /// </summary>
+    public Dictionary<string, int>? CriterionScores { get; set; }
+
+    /// <summary>
+    /// The signed-in rater giving the evaluation (optional; anonymous when omitted). Each rater
+    /// keeps an evaluation of their own for the same prompt, model and provider.
+    /// </summary>
+    [StringLength(100)]
+    public string? RaterId { get; set; }
+
+    /// <summary>
+    /// Whether the rating was given in blind mode, without the model's identity shown.
+    /// </summary>
+    public bool IsBlind { get; set; }
+
     /// <summary>
     /// The user's comment about the model response.
     /// </summary>
     [MaxLength(500)]
     public string Comment { get; set; } = string.Empty;
+
+    /// <summary>
+    /// When the evaluation was last updated on the server as far as the client knows (optional).
+    /// Upserts reject the save as a conflict when the evaluation has been updated since.
+    /// </summary>
+    public DateTime? ExpectedUpdatedAt { get; set; }
 }
 
 /// <summary>
@@ -179,6 +269,11 @@ public class UpdateRatingDto
     [Required]
     [Range(1, 10)]
     public int Rating { get; set; }
+
+    /// <summary>
+    /// Whether the rating was given in blind mode, without the model's identity shown.
+    /// </summary>
+    public bool IsBlind { get; set; }
 }
 
 /// <summary>
@@ -221,6 +316,11 @@ public class EvaluationStatisticsDto
     [Required]
     public int RatedEvaluations { get; set; }
 
+    /// <summary>
+    /// The number of ratings that were given in blind mode.
+    /// </summary>
+    public int BlindRatedEvaluations { get; set; }
+
     /// <summary>
     /// The number of evaluations with comments.
     /// </summary>
@@ -237,6 +337,11 @@ public class EvaluationStatisticsDto
     /// </summary>
     public double AverageTokens { get; set; }
 
+    /// <summary>
+    /// The average cost in USD per evaluated response, over the evaluations whose cost is known.
+    /// </summary>
+    public decimal? AverageCost { get; set; }
+
     /// <summary>
     /// The percentage of evaluations with comments.
     /// </summary>
@@ -247,6 +352,12 @@ public class EvaluationStatisticsDto
     /// </summary>
     public int LastEvaluated { get; set; }
 
+    /// <summary>
+    /// The average score (1-10) per rubric criterion, by criterion name, over the evaluations that
+    /// scored it. Criteria with the same name in different rubrics are averaged together.
+    /// </summary>
+    public Dictionary<string, double> CriterionAverages { get; set; } = new(StringComparer.OrdinalIgnoreCase);
+
     /// <summary>
     /// The distribution of ratings (1-10) for this model.
     /// Index 0 represents 1-star, index 9 represents 10-star.
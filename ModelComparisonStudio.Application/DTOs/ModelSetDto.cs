@@ -0,0 +1,90 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data transfer object for a named model set.
+/// </summary>
+public class ModelSetDto
+{
+    /// <summary>
+    /// Unique identifier for the model set.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the model set.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The model selections in the set, written as "modelId" or "modelId@Provider".
+    /// </summary>
+    public List<string> Models { get; set; } = new();
+
+    /// <summary>
+    /// Timestamp when the model set was created.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Timestamp when the model set was last renamed or changed.
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Converts a domain model set to this DTO.
+    /// </summary>
+    /// <param name="modelSet">The domain model set.</param>
+    /// <returns>The model set DTO.</returns>
+    public static ModelSetDto FromDomainEntity(ModelSet modelSet)
+    {
+        return new ModelSetDto
+        {
+            Id = modelSet.Id,
+            Name = modelSet.Name,
+            Models = modelSet.Models,
+            CreatedAt = modelSet.CreatedAt,
+            UpdatedAt = modelSet.UpdatedAt
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for saving a new model set.
+/// </summary>
+public class CreateModelSetDto
+{
+    /// <summary>
+    /// Name of the model set.
+    /// </summary>
+    [Required(ErrorMessage = "Name is required")]
+    [StringLength(ModelSet.MaxNameLength, MinimumLength = 1, ErrorMessage = "Name cannot exceed 100 characters")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The model selections in the set.
+    /// </summary>
+    [Required(ErrorMessage = "Models are required")]
+    [MinLength(1, ErrorMessage = "A model set must contain at least one model")]
+    public List<string> Models { get; set; } = new();
+}
+
+/// <summary>
+/// Data transfer object for renaming a model set or replacing its models.
+/// </summary>
+public class UpdateModelSetDto
+{
+    /// <summary>
+    /// The new name (optional; unchanged when omitted).
+    /// </summary>
+    [StringLength(ModelSet.MaxNameLength, MinimumLength = 1, ErrorMessage = "Name cannot exceed 100 characters")]
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// The new model selections (optional; unchanged when omitted).
+    /// </summary>
+    [MinLength(1, ErrorMessage = "A model set must contain at least one model")]
+    public List<string>? Models { get; set; }
+}
@@ -0,0 +1,203 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data transfer object for a pairwise preference vote.
+/// </summary>
+public class PreferenceVoteDto
+{
+    /// <summary>
+    /// Unique identifier for the vote.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The ID of the prompt both responses answered.
+    /// </summary>
+    public string PromptId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The model that wrote response A.
+    /// </summary>
+    public string ModelAId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response A, if known.
+    /// </summary>
+    public string? ProviderA { get; set; }
+
+    /// <summary>
+    /// The model that wrote response B.
+    /// </summary>
+    public string ModelBId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response B, if known.
+    /// </summary>
+    public string? ProviderB { get; set; }
+
+    /// <summary>
+    /// Which response was preferred: ABetter, BBetter, Tie or BothBad.
+    /// </summary>
+    public string Outcome { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The rater who cast the vote, or null if it was cast anonymously.
+    /// </summary>
+    public string? RaterId { get; set; }
+
+    /// <summary>
+    /// Whether the vote was cast in blind mode.
+    /// </summary>
+    public bool IsBlind { get; set; }
+
+    /// <summary>
+    /// Timestamp when the vote was cast.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Converts a domain vote to this DTO.
+    /// </summary>
+    /// <param name="vote">The domain vote.</param>
+    /// <returns>The vote DTO.</returns>
+    public static PreferenceVoteDto FromDomainEntity(PreferenceVote vote)
+    {
+        return new PreferenceVoteDto
+        {
+            Id = vote.Id,
+            PromptId = vote.PromptId,
+            ModelAId = vote.ModelAId,
+            ProviderA = vote.ProviderA,
+            ModelBId = vote.ModelBId,
+            ProviderB = vote.ProviderB,
+            Outcome = vote.Outcome.ToString(),
+            RaterId = vote.RaterId,
+            IsBlind = vote.IsBlind,
+            CreatedAt = vote.CreatedAt
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for casting a preference vote.
+/// </summary>
+public class CreatePreferenceVoteDto
+{
+    /// <summary>
+    /// The ID of the prompt both responses answered.
+    /// </summary>
+    [Required]
+    public string PromptId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The model that wrote response A.
+    /// </summary>
+    [Required]
+    public string ModelAId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response A (optional).
+    /// </summary>
+    [StringLength(50)]
+    public string? ProviderA { get; set; }
+
+    /// <summary>
+    /// The model that wrote response B.
+    /// </summary>
+    [Required]
+    public string ModelBId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response B (optional).
+    /// </summary>
+    [StringLength(50)]
+    public string? ProviderB { get; set; }
+
+    /// <summary>
+    /// Which response was preferred: ABetter, BBetter, Tie or BothBad.
+    /// </summary>
+    [Required]
+    [RegularExpression("^(?i)(ABetter|BBetter|Tie|BothBad)$", ErrorMessage = "Outcome must be 'ABetter', 'BBetter', 'Tie' or 'BothBad'")]
+    public string Outcome { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The signed-in rater casting the vote (optional; anonymous when omitted).
+    /// </summary>
+    [StringLength(100)]
+    public string? RaterId { get; set; }
+
+    /// <summary>
+    /// Whether the vote was cast in blind mode, without seeing which models wrote the responses.
+    /// </summary>
+    public bool IsBlind { get; set; }
+}
+
+/// <summary>
+/// Data transfer object for a model's place on the preference leaderboard.
+/// </summary>
+public class PreferenceLeaderboardEntryDto
+{
+    /// <summary>
+    /// The model ID.
+    /// </summary>
+    public string ModelId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The Bradley-Terry rating on an Elo-like scale; 400 points more means ten times as likely to be preferred.
+    /// </summary>
+    public double Rating { get; set; }
+
+    /// <summary>
+    /// Lower end of the 95% confidence interval of the rating.
+    /// </summary>
+    public double LowerBound { get; set; }
+
+    /// <summary>
+    /// Upper end of the 95% confidence interval of the rating.
+    /// </summary>
+    public double UpperBound { get; set; }
+
+    /// <summary>
+    /// Every vote the model took part in.
+    /// </summary>
+    public int Votes { get; set; }
+
+    /// <summary>
+    /// Votes the model won.
+    /// </summary>
+    public int Wins { get; set; }
+
+    /// <summary>
+    /// Votes the model lost.
+    /// </summary>
+    public int Losses { get; set; }
+
+    /// <summary>
+    /// Votes that were a tie or where both responses were bad.
+    /// </summary>
+    public int Ties { get; set; }
+
+    /// <summary>
+    /// Converts a calculated rating to this DTO.
+    /// </summary>
+    /// <param name="rating">The calculated rating.</param>
+    /// <returns>The leaderboard entry.</returns>
+    public static PreferenceLeaderboardEntryDto FromPreferenceRating(PreferenceRating rating)
+    {
+        return new PreferenceLeaderboardEntryDto
+        {
+            ModelId = rating.ModelId,
+            Rating = rating.Rating,
+            LowerBound = rating.LowerBound,
+            UpperBound = rating.UpperBound,
+            Votes = rating.Votes,
+            Wins = rating.Wins,
+            Losses = rating.Losses,
+            Ties = rating.Ties
+        };
+    }
+}
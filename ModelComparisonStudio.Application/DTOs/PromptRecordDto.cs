@@ -0,0 +1,62 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data transfer object for an issued prompt ID.
+/// </summary>
+public class PromptRecordDto
+{
+    /// <summary>
+    /// The prompt ID to store evaluations and votes under.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The normalized prompt text.
+    /// </summary>
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp when the prompt was first registered.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Converts a domain prompt record to this DTO.
+    /// </summary>
+    /// <param name="record">The domain prompt record.</param>
+    /// <returns>The prompt record DTO.</returns>
+    public static PromptRecordDto FromDomainEntity(PromptRecord record)
+    {
+        return new PromptRecordDto
+        {
+            Id = record.Id,
+            Text = record.Text,
+            CreatedAt = record.CreatedAt
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for requesting the ID of a prompt.
+/// </summary>
+public class RegisterPromptDto
+{
+    /// <summary>
+    /// The prompt; for a conversation, the latest user turn.
+    /// </summary>
+    [Required(ErrorMessage = "Prompt is required")]
+    public string Prompt { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The system prompt of the conversation, if any.
+    /// </summary>
+    public string? SystemPrompt { get; set; }
+
+    /// <summary>
+    /// The earlier user turns of the conversation, oldest first.
+    /// </summary>
+    public List<string>? PreviousPrompts { get; set; }
+}
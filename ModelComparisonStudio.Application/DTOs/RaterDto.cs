@@ -0,0 +1,127 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data transfer object for a rater profile.
+/// </summary>
+public class RaterDto
+{
+    /// <summary>
+    /// Unique identifier for the rater.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the rater.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp when the rater first signed in.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Converts a domain rater to this DTO.
+    /// </summary>
+    /// <param name="rater">The domain rater.</param>
+    /// <returns>The rater DTO.</returns>
+    public static RaterDto FromDomainEntity(Rater rater)
+    {
+        return new RaterDto
+        {
+            Id = rater.Id,
+            Name = rater.Name,
+            CreatedAt = rater.CreatedAt
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for signing in as a rater.
+/// </summary>
+public class SignInRaterDto
+{
+    /// <summary>
+    /// Name of the rater; a profile is created the first time a name signs in.
+    /// </summary>
+    [Required(ErrorMessage = "Name is required")]
+    [StringLength(Rater.MaxNameLength, MinimumLength = 1, ErrorMessage = "Name cannot exceed 50 characters")]
+    public string Name { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Data transfer object for the inter-rater agreement report.
+/// </summary>
+public class RaterAgreementDto
+{
+    /// <summary>
+    /// Krippendorff's alpha for interval data over every response rated by more than one rater:
+    /// 1 is perfect agreement, 0 is no better than chance. Null when it cannot be calculated.
+    /// </summary>
+    public double? Alpha { get; set; }
+
+    /// <summary>
+    /// Responses rated by more than one rater.
+    /// </summary>
+    public int UnitCount { get; set; }
+
+    /// <summary>
+    /// Ratings given to those responses.
+    /// </summary>
+    public int RatingCount { get; set; }
+
+    /// <summary>
+    /// Raters who rated at least one of those responses.
+    /// </summary>
+    public int RaterCount { get; set; }
+
+    /// <summary>
+    /// Agreement between each pair of raters who rated the same responses.
+    /// </summary>
+    public List<RaterPairAgreementDto> Pairs { get; set; } = new();
+}
+
+/// <summary>
+/// Data transfer object for the agreement between two raters.
+/// </summary>
+public class RaterPairAgreementDto
+{
+    /// <summary>
+    /// The first rater's ID.
+    /// </summary>
+    public string RaterAId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The first rater's name.
+    /// </summary>
+    public string RaterAName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The second rater's ID.
+    /// </summary>
+    public string RaterBId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The second rater's name.
+    /// </summary>
+    public string RaterBName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Responses both raters rated.
+    /// </summary>
+    public int SharedUnits { get; set; }
+
+    /// <summary>
+    /// Pearson correlation of the two raters' ratings, or null with fewer than three shared responses
+    /// or when either rater gave them all the same rating.
+    /// </summary>
+    public double? Correlation { get; set; }
+
+    /// <summary>
+    /// The average difference between the two raters' ratings of the same response.
+    /// </summary>
+    public double MeanAbsoluteDifference { get; set; }
+}
@@ -0,0 +1,139 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data transfer object for a scoring rubric.
+/// </summary>
+public class RubricDto
+{
+    /// <summary>
+    /// Unique identifier for the rubric.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the rubric.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The weighted criteria of the rubric, in the order they are shown.
+    /// </summary>
+    public List<RubricCriterionDto> Criteria { get; set; } = new();
+
+    /// <summary>
+    /// Timestamp when the rubric was created.
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Timestamp when the rubric was last renamed or changed.
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Converts a domain rubric to this DTO.
+    /// </summary>
+    /// <param name="rubric">The domain rubric.</param>
+    /// <returns>The rubric DTO.</returns>
+    public static RubricDto FromDomainEntity(Rubric rubric)
+    {
+        return new RubricDto
+        {
+            Id = rubric.Id,
+            Name = rubric.Name,
+            Criteria = rubric.Criteria.Select(RubricCriterionDto.FromDomainCriterion).ToList(),
+            CreatedAt = rubric.CreatedAt,
+            UpdatedAt = rubric.UpdatedAt
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for one weighted criterion of a rubric.
+/// </summary>
+public class RubricCriterionDto
+{
+    /// <summary>
+    /// Name of the criterion, e.g. "Correctness".
+    /// </summary>
+    [Required(ErrorMessage = "Criterion name is required")]
+    [StringLength(RubricCriterion.MaxNameLength, MinimumLength = 1, ErrorMessage = "Criterion name cannot exceed 50 characters")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// How much the criterion counts towards the weighted total, relative to the other criteria.
+    /// </summary>
+    [Range(0.01, RubricCriterion.MaxWeight, ErrorMessage = "Criterion weight must be from 0.01 to 100")]
+    public double Weight { get; set; } = 1;
+
+    /// <summary>
+    /// Converts a domain criterion to this DTO.
+    /// </summary>
+    /// <param name="criterion">The domain criterion.</param>
+    /// <returns>The criterion DTO.</returns>
+    public static RubricCriterionDto FromDomainCriterion(RubricCriterion criterion)
+    {
+        return new RubricCriterionDto
+        {
+            Name = criterion.Name,
+            Weight = criterion.Weight
+        };
+    }
+
+    /// <summary>
+    /// Converts this DTO to a domain criterion.
+    /// </summary>
+    /// <returns>A domain criterion.</returns>
+    public RubricCriterion ToDomainCriterion()
+    {
+        return new RubricCriterion
+        {
+            Name = Name,
+            Weight = Weight
+        };
+    }
+}
+
+/// <summary>
+/// Data transfer object for defining a new rubric.
+/// </summary>
+public class CreateRubricDto
+{
+    /// <summary>
+    /// Name of the rubric.
+    /// </summary>
+    [Required(ErrorMessage = "Name is required")]
+    [StringLength(Rubric.MaxNameLength, MinimumLength = 1, ErrorMessage = "Name cannot exceed 100 characters")]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The weighted criteria of the rubric.
+    /// </summary>
+    [Required(ErrorMessage = "Criteria are required")]
+    [MinLength(1, ErrorMessage = "A rubric must contain at least one criterion")]
+    [MaxLength(Rubric.MaxCriteria, ErrorMessage = "A rubric cannot have more than 10 criteria")]
+    public List<RubricCriterionDto> Criteria { get; set; } = new();
+}
+
+/// <summary>
+/// Data transfer object for renaming a rubric or replacing its criteria.
+/// </summary>
+public class UpdateRubricDto
+{
+    /// <summary>
+    /// The new name (optional; unchanged when omitted).
+    /// </summary>
+    [StringLength(Rubric.MaxNameLength, MinimumLength = 1, ErrorMessage = "Name cannot exceed 100 characters")]
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// The new criteria (optional; unchanged when omitted).
+    /// </summary>
+    [MinLength(1, ErrorMessage = "A rubric must contain at least one criterion")]
+    [MaxLength(Rubric.MaxCriteria, ErrorMessage = "A rubric cannot have more than 10 criteria")]
+    public List<RubricCriterionDto>? Criteria { get; set; }
+}
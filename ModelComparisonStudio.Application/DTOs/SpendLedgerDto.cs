@@ -0,0 +1,89 @@
+namespace ModelComparisonStudio.Application.DTOs;
+
+/// <summary>
+/// Data Transfer Object for the spend across past comparisons, per day and per model.
+/// </summary>
+public class SpendLedgerDto
+{
+    /// <summary>
+    /// Start of the period covered (UTC).
+    /// </summary>
+    public DateTime Since { get; set; }
+
+    /// <summary>
+    /// Total cost in USD over the period.
+    /// </summary>
+    public decimal TotalCost { get; set; }
+
+    /// <summary>
+    /// Number of model calls over the period whose cost is unknown (no pricing or no token usage).
+    /// </summary>
+    public int UnpricedCalls { get; set; }
+
+    /// <summary>
+    /// Spend per UTC day, newest first. Days without comparisons are left out.
+    /// </summary>
+    public List<DailySpendDto> Days { get; set; } = new();
+
+    /// <summary>
+    /// Spend per model and provider, most expensive first.
+    /// </summary>
+    public List<ModelSpendDto> Models { get; set; } = new();
+}
+
+/// <summary>
+/// Spend on a single day.
+/// </summary>
+public class DailySpendDto
+{
+    /// <summary>
+    /// The UTC date, as yyyy-MM-dd.
+    /// </summary>
+    public string Date { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Total cost in USD on the day.
+    /// </summary>
+    public decimal Cost { get; set; }
+
+    /// <summary>
+    /// Number of comparisons run on the day.
+    /// </summary>
+    public int Comparisons { get; set; }
+}
+
+/// <summary>
+/// Spend on a single model through one provider.
+/// </summary>
+public class ModelSpendDto
+{
+    /// <summary>
+    /// The model ID.
+    /// </summary>
+    public string ModelId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served the model.
+    /// </summary>
+    public string Provider { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Total cost in USD.
+    /// </summary>
+    public decimal Cost { get; set; }
+
+    /// <summary>
+    /// Number of calls made to the model.
+    /// </summary>
+    public int Calls { get; set; }
+
+    /// <summary>
+    /// Total prompt tokens billed.
+    /// </summary>
+    public int PromptTokens { get; set; }
+
+    /// <summary>
+    /// Total completion tokens billed.
+    /// </summary>
+    public int CompletionTokens { get; set; }
+}
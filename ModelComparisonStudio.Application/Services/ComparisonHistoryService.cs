@@ -0,0 +1,232 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service for storing and retrieving past comparisons.
+/// </summary>
+public class ComparisonHistoryService
+{
+    private readonly IModelRepository _repository;
+    private readonly ILogger<ComparisonHistoryService> _logger;
+
+    public ComparisonHistoryService(
+        IModelRepository repository,
+        ILogger<ComparisonHistoryService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Saves a completed comparison run to the history.
+    /// </summary>
+    /// <param name="comparisonId">The ID the comparison was executed under.</param>
+    /// <param name="prompt">The prompt that was sent to all models.</param>
+    /// <param name="results">The results from each model.</param>
+    /// <param name="systemPrompt">The system prompt sent ahead of the conversation (optional).</param>
+    /// <param name="conversationId">The conversation the comparison continues (optional).</param>
+    /// <param name="turnNumber">The position of the comparison in its conversation.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved comparison.</returns>
+    public async Task<ComparisonResponseDto> SaveComparisonAsync(
+        string comparisonId,
+        string prompt,
+        IEnumerable<ModelResultDto> results,
+        string? systemPrompt = null,
+        string? conversationId = null,
+        int turnNumber = 1,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Saving comparison {ComparisonId} (turn {TurnNumber}) to history", comparisonId, turnNumber);
+
+        try
+        {
+            var comparison = Comparison.Create(prompt, comparisonId, systemPrompt, conversationId, turnNumber);
+
+            foreach (var result in results)
+            {
+                comparison.AddResult(result.ToDomainModel());
+            }
+
+            var saved = await _repository.SaveComparisonAsync(comparison, cancellationToken);
+            return ComparisonResponseDto.FromDomainComparison(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save comparison {ComparisonId} to history", comparisonId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets the most recent comparisons, newest first.
+    /// </summary>
+    /// <param name="skip">Number of comparisons to skip.</param>
+    /// <param name="take">Number of comparisons to take.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of comparison summaries.</returns>
+    public async Task<IReadOnlyList<ComparisonHistorySummaryDto>> GetRecentComparisonsAsync(
+        int skip = 0,
+        int take = 50,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting comparison history (skip: {Skip}, take: {Take})", skip, take);
+
+        try
+        {
+            var comparisons = await _repository.GetComparisonsAsync(skip, take, cancellationToken);
+            return comparisons.Select(ComparisonHistorySummaryDto.FromDomainComparison).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparison history");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets a past comparison with all of its results.
+    /// </summary>
+    /// <param name="comparisonId">The comparison ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The comparison DTO.</returns>
+    public async Task<ComparisonResponseDto> GetComparisonAsync(
+        string comparisonId,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting comparison {ComparisonId} from history", comparisonId);
+
+        try
+        {
+            var comparison = await _repository.GetComparisonByIdAsync(comparisonId, cancellationToken);
+
+            if (comparison == null)
+            {
+                throw new KeyNotFoundException($"Comparison with ID {comparisonId} not found");
+            }
+
+            return ComparisonResponseDto.FromDomainComparison(comparison);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparison {ComparisonId}", comparisonId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets every turn of a conversation, in turn order.
+    /// </summary>
+    /// <param name="conversationId">The conversation ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The turns of the conversation.</returns>
+    public async Task<IReadOnlyList<ComparisonResponseDto>> GetConversationAsync(
+        string conversationId,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting conversation {ConversationId} from history", conversationId);
+
+        try
+        {
+            var comparisons = await _repository.GetConversationAsync(conversationId, cancellationToken);
+
+            if (comparisons.Count == 0)
+            {
+                throw new KeyNotFoundException($"Conversation with ID {conversationId} not found");
+            }
+
+            return comparisons.Select(ComparisonResponseDto.FromDomainComparison).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get conversation {ConversationId}", conversationId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets the spend on past comparisons over recent days, per day and per model.
+    /// </summary>
+    /// <param name="days">Number of days to cover, including today.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The spend ledger.</returns>
+    public async Task<SpendLedgerDto> GetSpendLedgerAsync(
+        int days = 30,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting spend ledger for the last {Days} days", days);
+
+        try
+        {
+            var since = DateTime.UtcNow.Date.AddDays(1 - days);
+            var comparisons = await _repository.GetComparisonsByDateRangeAsync(
+                since, DateTime.UtcNow, 0, int.MaxValue, cancellationToken);
+            var results = comparisons.SelectMany(c => c.Results).ToList();
+
+            return new SpendLedgerDto
+            {
+                Since = since,
+                TotalCost = comparisons.Sum(c => c.TotalCost),
+                UnpricedCalls = results.Count(r => r.Cost == null && r.TokenCount > 0),
+                Days = comparisons
+                    .GroupBy(c => c.ExecutedAt.Date)
+                    .OrderByDescending(g => g.Key)
+                    .Select(g => new DailySpendDto
+                    {
+                        Date = g.Key.ToString("yyyy-MM-dd"),
+                        Cost = g.Sum(c => c.TotalCost),
+                        Comparisons = g.Count()
+                    })
+                    .ToList(),
+                // Results are keyed by selection ("model@Provider"), so group on the bare model ID
+                Models = results
+                    .GroupBy(r => (ModelId: ModelSelection.Parse(r.ModelId).ModelId, r.Provider))
+                    .Select(g => new ModelSpendDto
+                    {
+                        ModelId = g.Key.ModelId,
+                        Provider = g.Key.Provider,
+                        Cost = g.Sum(r => r.Cost ?? 0),
+                        Calls = g.Count(),
+                        PromptTokens = g.Sum(r => r.PromptTokens ?? 0),
+                        CompletionTokens = g.Sum(r => r.CompletionTokens ?? 0)
+                    })
+                    .OrderByDescending(m => m.Cost)
+                    .ThenBy(m => m.ModelId)
+                    .ToList()
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get spend ledger");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Deletes a past comparison.
+    /// </summary>
+    /// <param name="comparisonId">The comparison ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the comparison was deleted, false if it was not found.</returns>
+    public async Task<bool> DeleteComparisonAsync(
+        string comparisonId,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Deleting comparison {ComparisonId} from history", comparisonId);
+
+        try
+        {
+            return await _repository.DeleteComparisonAsync(comparisonId, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete comparison {ComparisonId}", comparisonId);
+            throw;
+        }
+    }
+}
@@ -1,7 +1,9 @@
 using Microsoft.Extensions.Logging;
 using ModelComparisonStudio.Application.DTOs;
 using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Exceptions;
 using ModelComparisonStudio.Core.Interfaces;
+using ModelComparisonStudio.Core.Services;
 using ModelComparisonStudio.Core.ValueObjects;
 
 namespace ModelComparisonStudio.Application.Services;
@@ -12,13 +14,19 @@ namespace ModelComparisonStudio.Application.Services;
 public class EvaluationApplicationService
 {
     private readonly IEvaluationRepository _evaluationRepository;
+    private readonly IRubricRepository _rubricRepository;
+    private readonly IRaterRepository _raterRepository;
     private readonly ILogger<EvaluationApplicationService> _logger;
 
     public EvaluationApplicationService(
         IEvaluationRepository evaluationRepository,
+        IRubricRepository rubricRepository,
+        IRaterRepository raterRepository,
         ILogger<EvaluationApplicationService> logger)
     {
         _evaluationRepository = evaluationRepository;
+        _rubricRepository = rubricRepository;
+        _raterRepository = raterRepository;
         _logger = logger;
     }
 
@@ -37,21 +45,23 @@ public class EvaluationApplicationService
 
         try
         {
+            await EnsureRaterExistsAsync(dto.RaterId, cancellationToken);
+
             var evaluation = Evaluation.Create(
                 dto.PromptId,
                 dto.PromptText,
                 dto.ModelId,
                 dto.ResponseTimeMs, // Already has default value of 1000
-                dto.TokenCount);
+                dto.TokenCount,
+                dto.Provider,
+                dto.Cost,
+                dto.RaterId);
 
             _logger.LogDebug("Created evaluation with ResponseTimeMs: {ResponseTimeMs}, TokenCount: {TokenCount}",
                 evaluation.ResponseTimeMs, evaluation.TokenCount);
 
-            // Set rating if provided
-            if (dto.Rating.HasValue)
-            {
-                evaluation.UpdateRating(dto.Rating.Value);
-            }
+            // Set rating or rubric scores if provided
+            await ApplyRatingAsync(evaluation, dto, cancellationToken);
 
             // Set comment if provided
             if (!string.IsNullOrWhiteSpace(dto.Comment))
@@ -97,7 +107,7 @@ public class EvaluationApplicationService
                 throw new KeyNotFoundException($"Evaluation with ID {evaluationId} not found");
             }
 
-            evaluation.UpdateRating(dto.Rating);
+            evaluation.UpdateRating(dto.Rating, dto.IsBlind);
             var updatedEvaluation = await _evaluationRepository.UpdateAsync(evaluation, cancellationToken);
 
             _logger.LogInformation("Rating updated successfully for evaluation {EvaluationId}", evaluationId);
@@ -235,6 +245,35 @@ public class EvaluationApplicationService
         }
     }
 
+    /// <summary>
+    /// Gets evaluations by prompt ID.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="skip">Number of evaluations to skip.</param>
+    /// <param name="take">Number of evaluations to take.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of evaluation DTOs for the specified prompt.</returns>
+    public async Task<IReadOnlyList<EvaluationDto>> GetEvaluationsByPromptIdAsync(
+        string promptId,
+        int skip = 0,
+        int take = 50,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting evaluations for prompt {PromptId} (skip: {Skip}, take: {Take})",
+            promptId, skip, take);
+
+        try
+        {
+            var evaluations = await _evaluationRepository.GetByPromptIdAsync(promptId, skip, take, cancellationToken);
+            return evaluations.Select(EvaluationDto.FromDomainEvaluation).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get evaluations for prompt {PromptId}", promptId);
+            throw;
+        }
+    }
+
     /// <summary>
     /// Gets evaluation statistics for a specific model.
     /// </summary>
@@ -274,13 +313,14 @@ public class EvaluationApplicationService
     }
 
     /// <summary>
-    /// Creates or updates an evaluation based on prompt ID and model ID.
-    /// If an evaluation exists for the same prompt and model, it will be updated.
+    /// Creates or updates an evaluation based on prompt ID, model ID, provider and rater.
+    /// If the rater already evaluated the same prompt, model and provider, it will be updated.
     /// Otherwise, a new evaluation will be created.
     /// </summary>
     /// <param name="dto">The evaluation data.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The created or updated evaluation DTO.</returns>
+    /// <exception cref="EvaluationConflictException">The evaluation was updated after <see cref="CreateEvaluationDto.ExpectedUpdatedAt"/>.</exception>
     public async Task<EvaluationDto> UpsertEvaluationAsync(
         CreateEvaluationDto dto,
         CancellationToken cancellationToken = default)
@@ -290,12 +330,22 @@ public class EvaluationApplicationService
 
         try
         {
+            await EnsureRaterExistsAsync(dto.RaterId, cancellationToken);
+
             // Check if evaluation already exists
             var existingEvaluation = await _evaluationRepository.GetByPromptIdAndModelIdAsync(
-                dto.PromptId, dto.ModelId, cancellationToken);
+                dto.PromptId, dto.ModelId, dto.Provider,
+                string.IsNullOrWhiteSpace(dto.RaterId) ? null : dto.RaterId, cancellationToken);
 
             if (existingEvaluation != null)
             {
+                // A save made offline must not overwrite a change that reached the server in the meantime
+                if (dto.ExpectedUpdatedAt.HasValue && existingEvaluation.UpdatedAt > dto.ExpectedUpdatedAt.Value)
+                {
+                    throw new EvaluationConflictException(
+                        $"The evaluation was changed on the server at {existingEvaluation.UpdatedAt:u}, after the version this save was based on");
+                }
+
                 // Update existing evaluation
                 _logger.LogInformation("Updating existing evaluation {EvaluationId}. Current ResponseTimeMs: {CurrentResponseTimeMs}, New ResponseTimeMs: {NewResponseTimeMs}",
                     existingEvaluation.Id, existingEvaluation.ResponseTimeMs, dto.ResponseTimeMs);
@@ -303,15 +353,12 @@ public class EvaluationApplicationService
                 // Update response time and token count (these are not updated by the UpdateRating/UpdateComment methods)
                 _logger.LogDebug("Updating ResponseTimeMs: {ResponseTimeMs}, TokenCount: {TokenCount} for evaluation {EvaluationId}",
                     dto.ResponseTimeMs, dto.TokenCount, existingEvaluation.Id);
-                existingEvaluation.UpdateResponseTimeAndTokenCount(dto.ResponseTimeMs, dto.TokenCount);
+                existingEvaluation.UpdateResponseTimeAndTokenCount(dto.ResponseTimeMs, dto.TokenCount, dto.Cost);
                 _logger.LogDebug("After update - ResponseTimeMs: {ResponseTimeMs}, TokenCount: {TokenCount}",
                     existingEvaluation.ResponseTimeMs, existingEvaluation.TokenCount);
 
-                // Update rating if provided
-                if (dto.Rating.HasValue)
-                {
-                    existingEvaluation.UpdateRating(dto.Rating.Value);
-                }
+                // Set rating or rubric scores if provided
+                await ApplyRatingAsync(existingEvaluation, dto, cancellationToken);
 
                 // Update comment if provided
                 if (!string.IsNullOrWhiteSpace(dto.Comment))
@@ -335,13 +382,13 @@ public class EvaluationApplicationService
                     dto.PromptText,
                     dto.ModelId,
                     dto.ResponseTimeMs, // Already has default value of 1000
-                    dto.TokenCount);
+                    dto.TokenCount,
+                    dto.Provider,
+                    dto.Cost,
+                    dto.RaterId);
 
-                // Set rating if provided
-                if (dto.Rating.HasValue)
-                {
-                    evaluation.UpdateRating(dto.Rating.Value);
-                }
+                // Set rating or rubric scores if provided
+                await ApplyRatingAsync(evaluation, dto, cancellationToken);
 
                 // Set comment if provided
                 if (!string.IsNullOrWhiteSpace(dto.Comment))
@@ -366,16 +413,22 @@ public class EvaluationApplicationService
     /// <summary>
     /// Gets evaluation statistics for all models.
     /// </summary>
+    /// <param name="ratingMode">Which ratings to include: all, blind, or open.</param>
+    /// <param name="raterId">Only include this rater's evaluations (optional).</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>List of evaluation statistics for all models.</returns>
     public async Task<IReadOnlyList<EvaluationStatisticsDto>> GetAllEvaluationStatisticsAsync(
+        string ratingMode = "all",
+        string? raterId = null,
         CancellationToken cancellationToken = default)
     {
-        _logger.LogInformation("Getting evaluation statistics for all models");
+        _logger.LogInformation("Getting evaluation statistics for all models with rating mode: {RatingMode}", ratingMode);
 
         try
         {
-            var allEvaluations = await _evaluationRepository.GetAllAsync(0, int.MaxValue, cancellationToken);
+            var allEvaluations = FilterByRater(FilterByRatingMode(
+                await _evaluationRepository.GetAllAsync(0, int.MaxValue, cancellationToken),
+                ratingMode), raterId);
 
             // Group evaluations by model ID
             var modelGroups = allEvaluations
@@ -389,9 +442,13 @@ public class EvaluationApplicationService
                 var modelId = modelGroup.Key;
                 var evaluations = modelGroup.Value;
 
-                var averageRating = await _evaluationRepository.GetAverageRatingByModelIdAsync(modelId, cancellationToken);
+                // The repository average covers every rating, so average locally when only blind or open ratings, or one rater's, count
+                var averageRating = IsAllRatingMode(ratingMode) && string.IsNullOrWhiteSpace(raterId)
+                    ? await _evaluationRepository.GetAverageRatingByModelIdAsync(modelId, cancellationToken)
+                    : evaluations.Where(e => e.Rating.HasValue).Select(e => (double?)(e.WeightedScore ?? e.Rating!.Value)).Average();
                 var totalEvaluations = evaluations.Count;
                 var ratedEvaluations = evaluations.Count(e => e.Rating.HasValue);
+                var blindRatedEvaluations = evaluations.Count(e => e.Rating.HasValue && e.IsBlind);
                 var commentedEvaluations = evaluations.Count(e => !e.Comment.IsEmpty());
 
                 // Calculate average response time and token count
@@ -405,6 +462,11 @@ public class EvaluationApplicationService
                     ? evaluationsWithTokens.Average(e => e.TokenCount.GetValueOrDefault())
                     : 0;
 
+                var evaluationsWithCost = evaluations.Where(e => e.Cost.HasValue).ToList();
+                decimal? averageCost = evaluationsWithCost.Any()
+                    ? evaluationsWithCost.Average(e => e.Cost.GetValueOrDefault())
+                    : null;
+
                 // Calculate comment rate
                 var commentRate = totalEvaluations > 0
                     ? (double)commentedEvaluations / totalEvaluations * 100
@@ -432,11 +494,14 @@ public class EvaluationApplicationService
                     AverageRating = averageRating,
                     TotalEvaluations = totalEvaluations,
                     RatedEvaluations = ratedEvaluations,
+                    BlindRatedEvaluations = blindRatedEvaluations,
                     CommentedEvaluations = commentedEvaluations,
                     AverageSpeed = averageSpeed,
                     AverageTokens = averageTokens,
+                    AverageCost = averageCost,
                     CommentRate = commentRate,
                     LastEvaluated = lastEvaluated,
+                    CriterionAverages = CalculateCriterionAverages(evaluations),
                     RatingDistribution = ratingDistribution
                 });
             }
@@ -455,34 +520,23 @@ public class EvaluationApplicationService
     /// Gets evaluation statistics for all models with timeframe filtering.
     /// </summary>
     /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which ratings to include: all, blind, or open.</param>
+    /// <param name="raterId">Only include this rater's evaluations (optional).</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>List of evaluation statistics for all models within the specified timeframe.</returns>
     public async Task<IReadOnlyList<EvaluationStatisticsDto>> GetAllEvaluationStatisticsByTimeframeAsync(
         string timeframe = "all",
+        string ratingMode = "all",
+        string? raterId = null,
         CancellationToken cancellationToken = default)
     {
         _logger.LogInformation("Getting evaluation statistics for all models with timeframe: {Timeframe}", timeframe);
 
         try
         {
-            DateTime? startDate = null;
-            switch (timeframe.ToLower())
-            {
-                case "week":
-                    startDate = DateTime.UtcNow.AddDays(-7);
-                    break;
-                case "month":
-                    startDate = DateTime.UtcNow.AddDays(-30);
-                    break;
-                case "all":
-                default:
-                    startDate = null;
-                    break;
-            }
-
-            var allEvaluations = startDate.HasValue
-                ? await _evaluationRepository.GetAllSinceAsync(startDate.Value, cancellationToken)
-                : await _evaluationRepository.GetAllAsync(0, int.MaxValue, cancellationToken);
+            var allEvaluations = FilterByRater(FilterByRatingMode(
+                await GetEvaluationsInTimeframeAsync(timeframe, cancellationToken),
+                ratingMode), raterId);
 
             // Group evaluations by model ID
             var modelGroups = allEvaluations
@@ -496,9 +550,13 @@ public class EvaluationApplicationService
                 var modelId = modelGroup.Key;
                 var evaluations = modelGroup.Value;
 
-                var averageRating = await _evaluationRepository.GetAverageRatingByModelIdAsync(modelId, cancellationToken);
+                // The repository average covers every rating, so average locally when only blind or open ratings, or one rater's, count
+                var averageRating = IsAllRatingMode(ratingMode) && string.IsNullOrWhiteSpace(raterId)
+                    ? await _evaluationRepository.GetAverageRatingByModelIdAsync(modelId, cancellationToken)
+                    : evaluations.Where(e => e.Rating.HasValue).Select(e => (double?)(e.WeightedScore ?? e.Rating!.Value)).Average();
                 var totalEvaluations = evaluations.Count;
                 var ratedEvaluations = evaluations.Count(e => e.Rating.HasValue);
+                var blindRatedEvaluations = evaluations.Count(e => e.Rating.HasValue && e.IsBlind);
                 var commentedEvaluations = evaluations.Count(e => !e.Comment.IsEmpty());
 
                 // Calculate average response time and token count
@@ -512,6 +570,11 @@ public class EvaluationApplicationService
                     ? evaluationsWithTokens.Average(e => e.TokenCount.GetValueOrDefault())
                     : 0;
 
+                var evaluationsWithCost = evaluations.Where(e => e.Cost.HasValue).ToList();
+                decimal? averageCost = evaluationsWithCost.Any()
+                    ? evaluationsWithCost.Average(e => e.Cost.GetValueOrDefault())
+                    : null;
+
                 // Calculate comment rate
                 var commentRate = totalEvaluations > 0
                     ? (double)commentedEvaluations / totalEvaluations * 100
@@ -539,11 +602,14 @@ public class EvaluationApplicationService
                     AverageRating = averageRating,
                     TotalEvaluations = totalEvaluations,
                     RatedEvaluations = ratedEvaluations,
+                    BlindRatedEvaluations = blindRatedEvaluations,
                     CommentedEvaluations = commentedEvaluations,
                     AverageSpeed = averageSpeed,
                     AverageTokens = averageTokens,
+                    AverageCost = averageCost,
                     CommentRate = commentRate,
                     LastEvaluated = lastEvaluated,
+                    CriterionAverages = CalculateCriterionAverages(evaluations),
                     RatingDistribution = ratingDistribution
                 });
             }
@@ -558,6 +624,147 @@ public class EvaluationApplicationService
         }
     }
 
+    /// <summary>
+    /// Reports how well raters agree on the responses that more than one of them rated, with
+    /// Krippendorff's alpha over everyone and a correlation per pair of raters.
+    /// </summary>
+    /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which ratings to include: all, blind, or open.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The agreement report.</returns>
+    public async Task<RaterAgreementDto> GetRaterAgreementAsync(
+        string timeframe = "all",
+        string ratingMode = "all",
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting rater agreement with timeframe {Timeframe} and rating mode {RatingMode}", timeframe, ratingMode);
+
+        try
+        {
+            var evaluations = FilterByRatingMode(await GetEvaluationsInTimeframeAsync(timeframe, cancellationToken), ratingMode);
+            var agreement = RaterAgreementCalculator.Calculate(evaluations);
+
+            // Raters are never deleted, but fall back to the ID rather than fail on one that is missing
+            var raterNames = (await _raterRepository.GetAllAsync(cancellationToken)).ToDictionary(r => r.Id, r => r.Name);
+            string NameOf(string raterId) => raterNames.TryGetValue(raterId, out var name) ? name : raterId;
+
+            return new RaterAgreementDto
+            {
+                Alpha = agreement.Alpha,
+                UnitCount = agreement.UnitCount,
+                RatingCount = agreement.RatingCount,
+                RaterCount = agreement.RaterCount,
+                Pairs = agreement.Pairs
+                    .Select(pair => new RaterPairAgreementDto
+                    {
+                        RaterAId = pair.RaterAId,
+                        RaterAName = NameOf(pair.RaterAId),
+                        RaterBId = pair.RaterBId,
+                        RaterBName = NameOf(pair.RaterBId),
+                        SharedUnits = pair.SharedUnits,
+                        Correlation = pair.Correlation,
+                        MeanAbsoluteDifference = pair.MeanAbsoluteDifference
+                    })
+                    .ToList()
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rater agreement");
+            throw;
+        }
+    }
+
+    private async Task<IReadOnlyList<Evaluation>> GetEvaluationsInTimeframeAsync(string timeframe, CancellationToken cancellationToken)
+    {
+        DateTime? startDate = (timeframe ?? "all").ToLowerInvariant() switch
+        {
+            "week" => DateTime.UtcNow.AddDays(-7),
+            "month" => DateTime.UtcNow.AddDays(-30),
+            _ => null
+        };
+
+        return startDate.HasValue
+            ? await _evaluationRepository.GetAllSinceAsync(startDate.Value, cancellationToken)
+            : await _evaluationRepository.GetAllAsync(0, int.MaxValue, cancellationToken);
+    }
+
+    /// <summary>
+    /// Rejects evaluations for a rater profile that does not exist; anonymous evaluations are fine.
+    /// </summary>
+    private async Task EnsureRaterExistsAsync(string? raterId, CancellationToken cancellationToken)
+    {
+        if (!string.IsNullOrWhiteSpace(raterId) && await _raterRepository.GetByIdAsync(raterId, cancellationToken) == null)
+        {
+            throw new ArgumentException($"Rater with ID {raterId} not found");
+        }
+    }
+
+    /// <summary>
+    /// Applies the rubric scores of the request, or its overall rating when it has no scores.
+    /// </summary>
+    private async Task ApplyRatingAsync(Evaluation evaluation, CreateEvaluationDto dto, CancellationToken cancellationToken)
+    {
+        if (dto.CriterionScores is { Count: > 0 })
+        {
+            if (string.IsNullOrWhiteSpace(dto.RubricId))
+            {
+                throw new ArgumentException("Rubric ID is required with criterion scores");
+            }
+
+            var rubric = await _rubricRepository.GetByIdAsync(dto.RubricId, cancellationToken)
+                ?? throw new ArgumentException($"Rubric with ID {dto.RubricId} not found");
+
+            evaluation.UpdateCriterionScores(rubric, dto.CriterionScores, dto.IsBlind);
+        }
+        else if (dto.Rating.HasValue)
+        {
+            evaluation.UpdateRating(dto.Rating.Value, dto.IsBlind);
+        }
+    }
+
+    /// <summary>
+    /// Averages each criterion over the evaluations that scored it, so models can be ranked on a single criterion.
+    /// </summary>
+    private static Dictionary<string, double> CalculateCriterionAverages(IEnumerable<Evaluation> evaluations)
+    {
+        return evaluations
+            .SelectMany(e => e.CriterionScores)
+            .GroupBy(score => score.Key, StringComparer.OrdinalIgnoreCase)
+            .ToDictionary(
+                group => group.First().Key,
+                group => Math.Round(group.Average(score => score.Value), 2),
+                StringComparer.OrdinalIgnoreCase);
+    }
+
+    private static bool IsAllRatingMode(string ratingMode)
+    {
+        return string.IsNullOrWhiteSpace(ratingMode) || ratingMode.Equals("all", StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Keeps only blind or only open evaluations; any other mode keeps everything.
+    /// </summary>
+    private static IReadOnlyList<Evaluation> FilterByRatingMode(IEnumerable<Evaluation> evaluations, string ratingMode)
+    {
+        return (ratingMode ?? "all").ToLowerInvariant() switch
+        {
+            "blind" => evaluations.Where(e => e.IsBlind).ToList(),
+            "open" => evaluations.Where(e => !e.IsBlind).ToList(),
+            _ => evaluations.ToList()
+        };
+    }
+
+    /// <summary>
+    /// Keeps only one rater's evaluations when a rater is given.
+    /// </summary>
+    private static IReadOnlyList<Evaluation> FilterByRater(IReadOnlyList<Evaluation> evaluations, string? raterId)
+    {
+        return string.IsNullOrWhiteSpace(raterId)
+            ? evaluations
+            : evaluations.Where(e => e.RaterId == raterId).ToList();
+    }
+
     /// <summary>
     /// Deletes an evaluation by ID.
     /// </summary>
@@ -0,0 +1,151 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service for saving, renaming and deleting named model sets.
+/// </summary>
+public class ModelSetService
+{
+    private readonly IModelSetRepository _repository;
+    private readonly ILogger<ModelSetService> _logger;
+
+    public ModelSetService(
+        IModelSetRepository repository,
+        ILogger<ModelSetService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Gets every model set, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All model sets.</returns>
+    public async Task<IReadOnlyList<ModelSetDto>> GetModelSetsAsync(CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting model sets");
+
+        try
+        {
+            var modelSets = await _repository.GetAllAsync(cancellationToken);
+            return modelSets.Select(ModelSetDto.FromDomainEntity).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get model sets");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Saves a new model set.
+    /// </summary>
+    /// <param name="dto">The name and models of the set.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved model set.</returns>
+    /// <exception cref="InvalidOperationException">Another model set already has the name.</exception>
+    public async Task<ModelSetDto> CreateModelSetAsync(
+        CreateModelSetDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Saving model set {Name} with {ModelCount} models", dto.Name, dto.Models.Count);
+
+        try
+        {
+            await EnsureNameIsAvailableAsync(dto.Name, null, cancellationToken);
+
+            var modelSet = ModelSet.Create(dto.Name, dto.Models);
+            var saved = await _repository.AddAsync(modelSet, cancellationToken);
+            return ModelSetDto.FromDomainEntity(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save model set {Name}", dto.Name);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Renames a model set and/or replaces its models.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="dto">The new name and/or models.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated model set.</returns>
+    /// <exception cref="KeyNotFoundException">The model set does not exist.</exception>
+    /// <exception cref="InvalidOperationException">Another model set already has the new name.</exception>
+    public async Task<ModelSetDto> UpdateModelSetAsync(
+        string id,
+        UpdateModelSetDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Updating model set {ModelSetId}", id);
+
+        try
+        {
+            var modelSet = await _repository.GetByIdAsync(id, cancellationToken)
+                ?? throw new KeyNotFoundException($"Model set with ID {id} not found");
+
+            if (dto.Name != null)
+            {
+                await EnsureNameIsAvailableAsync(dto.Name, id, cancellationToken);
+                modelSet.Rename(dto.Name);
+            }
+
+            if (dto.Models != null)
+            {
+                modelSet.UpdateModels(dto.Models);
+            }
+
+            var saved = await _repository.UpdateAsync(modelSet, cancellationToken);
+            return ModelSetDto.FromDomainEntity(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to update model set {ModelSetId}", id);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Deletes a model set.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the model set was deleted, false if it was not found.</returns>
+    public async Task<bool> DeleteModelSetAsync(
+        string id,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Deleting model set {ModelSetId}", id);
+
+        try
+        {
+            return await _repository.DeleteAsync(id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete model set {ModelSetId}", id);
+            throw;
+        }
+    }
+
+    private async Task EnsureNameIsAvailableAsync(string name, string? exceptId, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            return; // ModelSet rejects empty names
+        }
+
+        var existing = await _repository.GetByNameAsync(name, cancellationToken);
+        if (existing != null && existing.Id != exceptId)
+        {
+            throw new InvalidOperationException($"A model set named '{existing.Name}' already exists");
+        }
+    }
+}
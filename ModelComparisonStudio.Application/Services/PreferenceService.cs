@@ -0,0 +1,140 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+using ModelComparisonStudio.Core.Services;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service for pairwise preference votes and the leaderboard rated from them.
+/// </summary>
+public class PreferenceService
+{
+    private readonly IPreferenceVoteRepository _repository;
+    private readonly IRaterRepository _raterRepository;
+    private readonly ILogger<PreferenceService> _logger;
+
+    public PreferenceService(
+        IPreferenceVoteRepository repository,
+        IRaterRepository raterRepository,
+        ILogger<PreferenceService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _raterRepository = raterRepository ?? throw new ArgumentNullException(nameof(raterRepository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Stores a vote. Every vote is kept, including repeated votes on the same pair.
+    /// </summary>
+    /// <param name="dto">The vote.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved vote.</returns>
+    public async Task<PreferenceVoteDto> RecordVoteAsync(
+        CreatePreferenceVoteDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Recording preference vote on prompt {PromptId}: {ModelA} vs {ModelB} = {Outcome}",
+            dto.PromptId, dto.ModelAId, dto.ModelBId, dto.Outcome);
+
+        try
+        {
+            if (!Enum.TryParse<PreferenceOutcome>(dto.Outcome, ignoreCase: true, out var outcome) || !Enum.IsDefined(outcome))
+            {
+                throw new ArgumentException($"Unknown preference outcome '{dto.Outcome}'");
+            }
+
+            if (!string.IsNullOrWhiteSpace(dto.RaterId) && await _raterRepository.GetByIdAsync(dto.RaterId, cancellationToken) == null)
+            {
+                throw new ArgumentException($"Rater with ID {dto.RaterId} not found");
+            }
+
+            var vote = PreferenceVote.Create(dto.PromptId, dto.ModelAId, dto.ModelBId, outcome, dto.IsBlind, dto.ProviderA, dto.ProviderB, dto.RaterId);
+            var saved = await _repository.AddAsync(vote, cancellationToken);
+            return PreferenceVoteDto.FromDomainEntity(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to record preference vote on prompt {PromptId}", dto.PromptId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets every vote cast for a prompt, oldest first.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The votes for the prompt.</returns>
+    public async Task<IReadOnlyList<PreferenceVoteDto>> GetVotesByPromptIdAsync(
+        string promptId,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting preference votes for prompt {PromptId}", promptId);
+
+        try
+        {
+            var votes = await _repository.GetByPromptIdAsync(promptId, cancellationToken);
+            return votes.Select(PreferenceVoteDto.FromDomainEntity).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get preference votes for prompt {PromptId}", promptId);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Rates every voted-on model with a Bradley-Terry model fitted to the votes.
+    /// </summary>
+    /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which votes count: all, blind (only votes cast in blind mode) or open.</param>
+    /// <param name="raterId">Only count this rater's votes (optional).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The leaderboard, highest rating first.</returns>
+    public async Task<IReadOnlyList<PreferenceLeaderboardEntryDto>> GetLeaderboardAsync(
+        string timeframe = "all",
+        string ratingMode = "all",
+        string? raterId = null,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting preference leaderboard with timeframe {Timeframe} and rating mode {RatingMode}",
+            timeframe, ratingMode);
+
+        try
+        {
+            DateTime? startDate = (timeframe ?? "all").ToLowerInvariant() switch
+            {
+                "week" => DateTime.UtcNow.AddDays(-7),
+                "month" => DateTime.UtcNow.AddDays(-30),
+                _ => null
+            };
+
+            var votes = startDate.HasValue
+                ? await _repository.GetAllSinceAsync(startDate.Value, cancellationToken)
+                : await _repository.GetAllAsync(cancellationToken);
+
+            var filtered = (ratingMode ?? "all").ToLowerInvariant() switch
+            {
+                "blind" => votes.Where(v => v.IsBlind).ToList(),
+                "open" => votes.Where(v => !v.IsBlind).ToList(),
+                _ => votes.ToList()
+            };
+            if (!string.IsNullOrWhiteSpace(raterId))
+            {
+                filtered = filtered.Where(v => v.RaterId == raterId).ToList();
+            }
+
+            var ratings = PreferenceRatingCalculator.Calculate(filtered);
+            _logger.LogInformation("Rated {ModelCount} models from {VoteCount} preference votes", ratings.Count, filtered.Count);
+
+            return ratings.Select(PreferenceLeaderboardEntryDto.FromPreferenceRating).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get preference leaderboard");
+            throw;
+        }
+    }
+}
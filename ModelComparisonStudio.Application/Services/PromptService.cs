@@ -0,0 +1,96 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service that issues prompt IDs.
+/// </summary>
+public class PromptService
+{
+    private readonly IPromptRecordRepository _repository;
+    private readonly ILogger<PromptService> _logger;
+
+    public PromptService(
+        IPromptRecordRepository repository,
+        ILogger<PromptService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Gets the record for a prompt, creating it the first time the prompt is seen. The same
+    /// normalized content always gets the same ID.
+    /// </summary>
+    /// <param name="dto">The prompt and its conversation context.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The prompt record.</returns>
+    public async Task<PromptRecordDto> RegisterAsync(
+        RegisterPromptDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Registering prompt with {PreviousTurns} previous turns", dto.PreviousPrompts?.Count ?? 0);
+
+        try
+        {
+            var candidate = PromptRecord.Create(dto.Prompt, dto.SystemPrompt, dto.PreviousPrompts);
+            var record = await _repository.GetByIdAsync(candidate.Id, cancellationToken);
+            if (record == null)
+            {
+                try
+                {
+                    record = await _repository.AddAsync(candidate, cancellationToken);
+                }
+                catch (Exception)
+                {
+                    // Another request may have registered the same prompt first
+                    record = await _repository.GetByIdAsync(candidate.Id, cancellationToken);
+                    if (record == null)
+                    {
+                        throw;
+                    }
+                }
+            }
+
+            // Unreachable for SHA-256 in practice, but never merge two prompts silently
+            if (record.Content != candidate.Content)
+            {
+                throw new InvalidOperationException($"Prompt ID {candidate.Id} is already issued for different content.");
+            }
+
+            return PromptRecordDto.FromDomainEntity(record);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to register prompt");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets a prompt record by ID.
+    /// </summary>
+    /// <param name="id">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The prompt record if found, null otherwise.</returns>
+    public async Task<PromptRecordDto?> GetPromptAsync(
+        string id,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting prompt record {PromptId}", id);
+
+        try
+        {
+            var record = await _repository.GetByIdAsync(id, cancellationToken);
+            return record == null ? null : PromptRecordDto.FromDomainEntity(record);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get prompt record {PromptId}", id);
+            throw;
+        }
+    }
+}
@@ -0,0 +1,71 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service for rater profiles.
+/// </summary>
+public class RaterService
+{
+    private readonly IRaterRepository _repository;
+    private readonly ILogger<RaterService> _logger;
+
+    public RaterService(
+        IRaterRepository repository,
+        ILogger<RaterService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Gets every rater, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All raters.</returns>
+    public async Task<IReadOnlyList<RaterDto>> GetRatersAsync(CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting raters");
+
+        try
+        {
+            var raters = await _repository.GetAllAsync(cancellationToken);
+            return raters.Select(RaterDto.FromDomainEntity).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get raters");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Signs in as the rater with the given name, creating the profile the first time the name is used.
+    /// </summary>
+    /// <param name="dto">The rater name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rater.</returns>
+    public async Task<RaterDto> SignInAsync(
+        SignInRaterDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Signing in rater {Name}", dto.Name);
+
+        try
+        {
+            var name = Rater.NormalizeName(dto.Name);
+            var rater = await _repository.GetByNameAsync(name, cancellationToken)
+                ?? await _repository.AddAsync(Rater.Create(name), cancellationToken);
+
+            return RaterDto.FromDomainEntity(rater);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to sign in rater {Name}", dto.Name);
+            throw;
+        }
+    }
+}
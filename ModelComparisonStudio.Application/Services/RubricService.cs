@@ -0,0 +1,175 @@
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Application.Services;
+
+/// <summary>
+/// Application service for defining, changing and deleting scoring rubrics.
+/// </summary>
+public class RubricService
+{
+    private readonly IRubricRepository _repository;
+    private readonly ILogger<RubricService> _logger;
+
+    public RubricService(
+        IRubricRepository repository,
+        ILogger<RubricService> logger)
+    {
+        _repository = repository ?? throw new ArgumentNullException(nameof(repository));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Creates the default rubric when no rubric has been defined yet.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task EnsureDefaultRubricAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var rubrics = await _repository.GetAllAsync(cancellationToken);
+            if (rubrics.Count > 0)
+            {
+                return;
+            }
+
+            await _repository.AddAsync(Rubric.CreateDefault(), cancellationToken);
+            _logger.LogInformation("Created the default {Name} rubric", Rubric.DefaultName);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to create the default rubric");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Gets every rubric, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All rubrics.</returns>
+    public async Task<IReadOnlyList<RubricDto>> GetRubricsAsync(CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Getting rubrics");
+
+        try
+        {
+            var rubrics = await _repository.GetAllAsync(cancellationToken);
+            return rubrics.Select(RubricDto.FromDomainEntity).ToList();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rubrics");
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Defines a new rubric.
+    /// </summary>
+    /// <param name="dto">The name and criteria of the rubric.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved rubric.</returns>
+    /// <exception cref="InvalidOperationException">Another rubric already has the name.</exception>
+    public async Task<RubricDto> CreateRubricAsync(
+        CreateRubricDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Saving rubric {Name} with {CriterionCount} criteria", dto.Name, dto.Criteria.Count);
+
+        try
+        {
+            await EnsureNameIsAvailableAsync(dto.Name, null, cancellationToken);
+
+            var rubric = Rubric.Create(dto.Name, dto.Criteria.Select(c => c.ToDomainCriterion()));
+            var saved = await _repository.AddAsync(rubric, cancellationToken);
+            return RubricDto.FromDomainEntity(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save rubric {Name}", dto.Name);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Renames a rubric and/or replaces its criteria. Scores already given keep the weighted total they were saved with.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="dto">The new name and/or criteria.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated rubric.</returns>
+    /// <exception cref="KeyNotFoundException">The rubric does not exist.</exception>
+    /// <exception cref="InvalidOperationException">Another rubric already has the new name.</exception>
+    public async Task<RubricDto> UpdateRubricAsync(
+        string id,
+        UpdateRubricDto dto,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Updating rubric {RubricId}", id);
+
+        try
+        {
+            var rubric = await _repository.GetByIdAsync(id, cancellationToken)
+                ?? throw new KeyNotFoundException($"Rubric with ID {id} not found");
+
+            if (dto.Name != null)
+            {
+                await EnsureNameIsAvailableAsync(dto.Name, id, cancellationToken);
+                rubric.Rename(dto.Name);
+            }
+
+            if (dto.Criteria != null)
+            {
+                rubric.UpdateCriteria(dto.Criteria.Select(c => c.ToDomainCriterion()));
+            }
+
+            var saved = await _repository.UpdateAsync(rubric, cancellationToken);
+            return RubricDto.FromDomainEntity(saved);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to update rubric {RubricId}", id);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Deletes a rubric. Evaluations scored with it keep their criterion scores and weighted total.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the rubric was deleted, false if it was not found.</returns>
+    public async Task<bool> DeleteRubricAsync(
+        string id,
+        CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Deleting rubric {RubricId}", id);
+
+        try
+        {
+            return await _repository.DeleteAsync(id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete rubric {RubricId}", id);
+            throw;
+        }
+    }
+
+    private async Task EnsureNameIsAvailableAsync(string name, string? exceptId, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            return; // Rubric rejects empty names
+        }
+
+        var existing = await _repository.GetByNameAsync(name, cancellationToken);
+        if (existing != null && existing.Id != exceptId)
+        {
+            throw new InvalidOperationException($"A rubric named '{existing.Name}' already exists");
+        }
+    }
+}
@@ -19,6 +19,22 @@ public class Comparison
     [Required]
     public string Prompt { get; private set; } = string.Empty;
 
+    /// <summary>
+    /// The system prompt sent ahead of the conversation (optional).
+    /// </summary>
+    public string? SystemPrompt { get; private set; }
+
+    /// <summary>
+    /// The conversation this comparison is a turn of; the ID of its first turn.
+    /// Null for comparisons saved before conversations were tracked.
+    /// </summary>
+    public string? ConversationId { get; private set; }
+
+    /// <summary>
+    /// The position of this comparison in its conversation, starting at 1.
+    /// </summary>
+    public int TurnNumber { get; private set; } = 1;
+
     /// <summary>
     /// List of model results from this comparison.
     /// </summary>
@@ -57,6 +73,11 @@ public class Comparison
     /// </summary>
     public int TotalTokens => Results.Sum(r => r.TokenCount ?? 0);
 
+    /// <summary>
+    /// Total cost in USD of the results whose cost is known.
+    /// </summary>
+    public decimal TotalCost => Results.Sum(r => r.Cost ?? 0);
+
     /// <summary>
     /// Private constructor for Entity Framework or other ORMs.
     /// </summary>
@@ -66,18 +87,37 @@ public class Comparison
     /// Creates a new comparison with the specified prompt.
     /// </summary>
     /// <param name="prompt">The prompt to send to all models.</param>
+    /// <param name="id">Optional identifier, e.g. the ID the comparison was executed under.</param>
+    /// <param name="systemPrompt">Optional system prompt sent ahead of the conversation.</param>
+    /// <param name="conversationId">Optional conversation this comparison continues; defaults to a new conversation.</param>
+    /// <param name="turnNumber">The position of this comparison in its conversation (default: 1).</param>
     /// <returns>A new comparison instance.</returns>
-    public static Comparison Create(string prompt)
+    public static Comparison Create(
+        string prompt,
+        string? id = null,
+        string? systemPrompt = null,
+        string? conversationId = null,
+        int turnNumber = 1)
     {
         if (string.IsNullOrWhiteSpace(prompt))
         {
             throw new ArgumentException("Prompt cannot be null or empty.", nameof(prompt));
         }
 
+        if (turnNumber < 1)
+        {
+            throw new ArgumentOutOfRangeException(nameof(turnNumber), "Turn number must be at least 1.");
+        }
+
+        var comparisonId = string.IsNullOrWhiteSpace(id) ? Guid.NewGuid().ToString() : id;
+
         return new Comparison
         {
-            Id = Guid.NewGuid().ToString(),
+            Id = comparisonId,
             Prompt = prompt,
+            SystemPrompt = string.IsNullOrWhiteSpace(systemPrompt) ? null : systemPrompt,
+            ConversationId = string.IsNullOrWhiteSpace(conversationId) ? comparisonId : conversationId,
+            TurnNumber = turnNumber,
             ExecutedAt = DateTime.UtcNow,
             Results = new List<ModelResult>()
         };
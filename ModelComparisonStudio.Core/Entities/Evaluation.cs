@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
 using ModelComparisonStudio.Core.ValueObjects;
 
 namespace ModelComparisonStudio.Core.Entities;
@@ -33,11 +34,55 @@ public class Evaluation
     public string ModelId { get; private set; } = string.Empty;
 
     /// <summary>
-    /// The user's rating (1-10 stars).
+    /// The provider that served the evaluated response, or null if it was not recorded.
+    /// The same model can be rated separately per provider.
+    /// </summary>
+    [MaxLength(50)]
+    public string? Provider { get; private set; }
+
+    /// <summary>
+    /// The user's rating (1-10 stars). For rubric scores this is the weighted total, rounded.
     /// </summary>
     [Range(1, 10)]
     public int? Rating { get; private set; }
 
+    /// <summary>
+    /// The rubric the response was scored with, or null if it was given an overall rating.
+    /// </summary>
+    [MaxLength(100)]
+    public string? RubricId { get; private set; }
+
+    /// <summary>
+    /// The per-criterion scores (1-10) by criterion name, as JSON, or null if the response was given an overall rating.
+    /// </summary>
+    public string? CriterionScoresJson { get; private set; }
+
+    /// <summary>
+    /// The per-criterion scores (1-10) by criterion name; empty if the response was given an overall rating.
+    /// </summary>
+    public IReadOnlyDictionary<string, int> CriterionScores =>
+        string.IsNullOrEmpty(CriterionScoresJson)
+            ? new Dictionary<string, int>()
+            : new Dictionary<string, int>(
+                JsonSerializer.Deserialize<Dictionary<string, int>>(CriterionScoresJson) ?? new Dictionary<string, int>(),
+                StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// The weighted total of the criterion scores (1-10) when they were saved, or null if the response was given an overall rating.
+    /// </summary>
+    public double? WeightedScore { get; private set; }
+
+    /// <summary>
+    /// The rater who gave the rating, or null if it was given anonymously.
+    /// </summary>
+    [MaxLength(100)]
+    public string? RaterId { get; private set; }
+
+    /// <summary>
+    /// Whether the rating was given in blind mode, without the rater seeing which model wrote the response.
+    /// </summary>
+    public bool IsBlind { get; private set; }
+
     /// <summary>
     /// The user's comment about the model response.
     /// </summary>
@@ -54,6 +99,11 @@ public class Evaluation
     /// </summary>
     public int? TokenCount { get; private set; }
 
+    /// <summary>
+    /// The cost in USD of the evaluated response, when its pricing was known.
+    /// </summary>
+    public decimal? Cost { get; private set; }
+
     /// <summary>
     /// Timestamp when the evaluation was created.
     /// </summary>
@@ -84,13 +134,19 @@ public class Evaluation
     /// <param name="modelId">The model ID.</param>
     /// <param name="responseTimeMs">The response time in milliseconds (optional, defaults to 1000ms).</param>
     /// <param name="tokenCount">The token count (optional).</param>
+    /// <param name="provider">The provider that served the response (optional).</param>
+    /// <param name="cost">The cost in USD of the response (optional).</param>
+    /// <param name="raterId">The rater giving the evaluation (optional; anonymous when omitted).</param>
     /// <returns>A new evaluation instance.</returns>
     public static Evaluation Create(
         string promptId,
         string promptText,
         string modelId,
         long responseTimeMs = 1000,
-        int? tokenCount = null)
+        int? tokenCount = null,
+        string? provider = null,
+        decimal? cost = null,
+        string? raterId = null)
     {
         if (string.IsNullOrWhiteSpace(promptId))
             throw new ArgumentException("Prompt ID cannot be null or empty.", nameof(promptId));
@@ -100,7 +156,9 @@ public class Evaluation
         
         if (string.IsNullOrWhiteSpace(modelId))
             throw new ArgumentException("Model ID cannot be null or empty.", nameof(modelId));
-        
+
+        if (cost < 0)
+            throw new ArgumentOutOfRangeException(nameof(cost), "Cost must be non-negative.");
 
         return new Evaluation
         {
@@ -108,8 +166,11 @@ public class Evaluation
             PromptId = promptId,
             PromptText = promptText,
             ModelId = modelId,
+            Provider = string.IsNullOrWhiteSpace(provider) ? null : provider,
             ResponseTimeMs = responseTimeMs, // Will use default value of 1000 if not provided
             TokenCount = tokenCount,
+            Cost = cost,
+            RaterId = string.IsNullOrWhiteSpace(raterId) ? null : raterId,
             Comment = CommentText.CreateEmpty(),
             CreatedAt = DateTime.UtcNow,
             UpdatedAt = DateTime.UtcNow,
@@ -121,12 +182,55 @@ public class Evaluation
     /// Updates the rating for this evaluation.
     /// </summary>
     /// <param name="rating">The new rating (1-10).</param>
-    public void UpdateRating(int rating)
+    /// <param name="isBlind">Whether the rating was given without seeing the model's identity.</param>
+    public void UpdateRating(int rating, bool isBlind = false)
     {
         if (rating < 1 || rating > 10)
             throw new ArgumentException("Rating must be between 1 and 10.", nameof(rating));
 
         Rating = rating;
+        RubricId = null;
+        CriterionScoresJson = null;
+        WeightedScore = null;
+        IsBlind = isBlind;
+        UpdatedAt = DateTime.UtcNow;
+        IsSaved = false;
+    }
+
+    /// <summary>
+    /// Scores this evaluation on the criteria of a rubric, replacing any earlier rating or scores.
+    /// The weighted total is stored with the scores, and its rounded value becomes the rating.
+    /// </summary>
+    /// <param name="rubric">The rubric the scores belong to.</param>
+    /// <param name="scores">Scores from 1 to 10 by criterion name; criteria left out are not scored yet.</param>
+    /// <param name="isBlind">Whether the scores were given without seeing the model's identity.</param>
+    public void UpdateCriterionScores(Rubric rubric, IReadOnlyDictionary<string, int> scores, bool isBlind = false)
+    {
+        if (rubric == null)
+            throw new ArgumentNullException(nameof(rubric));
+        if (scores == null || scores.Count == 0)
+            throw new ArgumentException("At least one criterion score is required.", nameof(scores));
+
+        // Store scores under the rubric's spelling of each criterion name
+        var normalizedScores = new Dictionary<string, int>();
+        foreach (var (name, score) in scores)
+        {
+            var criterion = rubric.FindCriterion(name)
+                ?? throw new ArgumentException($"Rubric '{rubric.Name}' has no criterion named '{name}'.", nameof(scores));
+
+            if (score < Rubric.MinScore || score > Rubric.MaxScore)
+                throw new ArgumentException($"Score for '{criterion.Name}' must be from {Rubric.MinScore} to {Rubric.MaxScore}.", nameof(scores));
+
+            normalizedScores[criterion.Name] = score;
+        }
+
+        var weightedScore = rubric.CalculateWeightedScore(normalizedScores).GetValueOrDefault();
+
+        RubricId = rubric.Id;
+        CriterionScoresJson = JsonSerializer.Serialize(normalizedScores);
+        WeightedScore = weightedScore;
+        Rating = (int)Math.Round(weightedScore, MidpointRounding.AwayFromZero);
+        IsBlind = isBlind;
         UpdatedAt = DateTime.UtcNow;
         IsSaved = false;
     }
@@ -143,14 +247,19 @@ public class Evaluation
     }
 
     /// <summary>
-    /// Updates the response time and token count for this evaluation.
+    /// Updates the response time, token count and cost for this evaluation.
     /// </summary>
     /// <param name="responseTimeMs">The new response time in milliseconds.</param>
     /// <param name="tokenCount">The new token count.</param>
-    public void UpdateResponseTimeAndTokenCount(long responseTimeMs, int? tokenCount = null)
+    /// <param name="cost">The new cost in USD.</param>
+    public void UpdateResponseTimeAndTokenCount(long responseTimeMs, int? tokenCount = null, decimal? cost = null)
     {
+        if (cost < 0)
+            throw new ArgumentOutOfRangeException(nameof(cost), "Cost must be non-negative.");
+
         ResponseTimeMs = responseTimeMs;
         TokenCount = tokenCount;
+        Cost = cost;
         UpdatedAt = DateTime.UtcNow;
         IsSaved = false;
     }
@@ -193,6 +302,9 @@ public class Evaluation
         if (Rating.HasValue && (Rating < 1 || Rating > 10))
             errors.Add("Rating must be between 1 and 10");
 
+        if (WeightedScore.HasValue && (WeightedScore < Rubric.MinScore || WeightedScore > Rubric.MaxScore))
+            errors.Add("Weighted score must be between 1 and 10");
+
         return errors;
     }
 }
\ No newline at end of file
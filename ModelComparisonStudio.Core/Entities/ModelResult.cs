@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.ValueObjects;
 
 namespace ModelComparisonStudio.Core.Entities;
 
@@ -25,11 +26,31 @@ public class ModelResult
     [Required]
     public long ResponseTimeMs { get; set; }
 
+    /// <summary>
+    /// Time until the first token arrived in milliseconds (only set for streamed responses).
+    /// </summary>
+    public long? TimeToFirstTokenMs { get; set; }
+
     /// <summary>
     /// Number of tokens used (optional, may be null if not available).
     /// </summary>
     public int? TokenCount { get; set; }
 
+    /// <summary>
+    /// Number of prompt tokens billed, when the provider reports it.
+    /// </summary>
+    public int? PromptTokens { get; set; }
+
+    /// <summary>
+    /// Number of completion tokens billed, when the provider reports it.
+    /// </summary>
+    public int? CompletionTokens { get; set; }
+
+    /// <summary>
+    /// Cost of the call in USD, from the token usage and the model's pricing (null if either is unknown).
+    /// </summary>
+    public decimal? Cost { get; set; }
+
     /// <summary>
     /// Status of the model execution.
     /// </summary>
@@ -46,6 +67,16 @@ public class ModelResult
     /// </summary>
     public string Provider { get; set; } = string.Empty;
 
+    /// <summary>
+    /// The generation parameters the model was called with, stored as JSON.
+    /// </summary>
+    public string? ParametersJson { get; set; }
+
+    /// <summary>
+    /// The generation parameters the model was called with (null for results saved before they were recorded).
+    /// </summary>
+    public GenerationParameters? Parameters => GenerationParameters.FromJson(ParametersJson);
+
     /// <summary>
     /// Private constructor for Entity Framework or other ORMs.
     /// </summary>
@@ -61,6 +92,11 @@ public class ModelResult
     /// <param name="status">Status of the model execution.</param>
     /// <param name="errorMessage">Error message if the model failed (optional).</param>
     /// <param name="provider">Provider name.</param>
+    /// <param name="timeToFirstTokenMs">Time until the first token arrived (optional).</param>
+    /// <param name="parameters">The generation parameters the model was called with (optional).</param>
+    /// <param name="promptTokens">Number of prompt tokens billed (optional).</param>
+    /// <param name="completionTokens">Number of completion tokens billed (optional).</param>
+    /// <param name="cost">Cost of the call in USD (optional).</param>
     /// <returns>A new model result.</returns>
     public static ModelResult Create(
         string modelId,
@@ -69,14 +105,20 @@ public class ModelResult
         int? tokenCount = null,
         ModelResultStatus status = ModelResultStatus.Success,
         string errorMessage = "",
-        string provider = "")
+        string provider = "",
+        long? timeToFirstTokenMs = null,
+        GenerationParameters? parameters = null,
+        int? promptTokens = null,
+        int? completionTokens = null,
+        decimal? cost = null)
     {
         if (string.IsNullOrWhiteSpace(modelId))
         {
             throw new ArgumentException("Model ID cannot be null or empty.", nameof(modelId));
         }
 
-        if (string.IsNullOrWhiteSpace(response))
+        // Cancelled and failed results may legitimately have no response text
+        if (status == ModelResultStatus.Success && string.IsNullOrWhiteSpace(response))
         {
             throw new ArgumentException("Response cannot be null or empty.", nameof(response));
         }
@@ -86,17 +128,25 @@ public class ModelResult
             throw new ArgumentOutOfRangeException(nameof(responseTimeMs), "Response time must be non-negative.");
         }
 
-
+        if (cost < 0)
+        {
+            throw new ArgumentOutOfRangeException(nameof(cost), "Cost must be non-negative.");
+        }
 
         return new ModelResult
         {
             ModelId = modelId,
-            Response = response,
+            Response = response ?? string.Empty,
             ResponseTimeMs = responseTimeMs,
+            TimeToFirstTokenMs = timeToFirstTokenMs,
             TokenCount = tokenCount,
+            PromptTokens = promptTokens,
+            CompletionTokens = completionTokens,
+            Cost = cost,
             Status = status,
-            ErrorMessage = errorMessage,
-            Provider = provider
+            ErrorMessage = errorMessage ?? string.Empty,
+            Provider = provider ?? string.Empty,
+            ParametersJson = parameters?.ToJson()
         };
     }
 
@@ -18,5 +18,10 @@ public enum ModelResultStatus
     /// <summary>
     /// The model execution timed out.
     /// </summary>
-    Timeout
+    Timeout,
+
+    /// <summary>
+    /// The model execution was cancelled by the user.
+    /// </summary>
+    Cancelled
 }
@@ -0,0 +1,134 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// A named lineup of models that can be loaded into a comparison in one step, e.g. "coding shortlist".
+/// </summary>
+public class ModelSet
+{
+    /// <summary>
+    /// Maximum length of a model set name.
+    /// </summary>
+    public const int MaxNameLength = 100;
+
+    /// <summary>
+    /// Unique identifier for this model set.
+    /// </summary>
+    [Required]
+    public string Id { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the model set, unique regardless of case.
+    /// </summary>
+    [Required]
+    public string Name { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The model selections in the set, as JSON, in the order they were chosen.
+    /// </summary>
+    public string ModelsJson { get; private set; } = "[]";
+
+    /// <summary>
+    /// The model selections in the set, written as "modelId" or "modelId@Provider".
+    /// </summary>
+    public List<string> Models =>
+        JsonSerializer.Deserialize<List<string>>(ModelsJson) ?? new List<string>();
+
+    /// <summary>
+    /// Timestamp when the model set was created.
+    /// </summary>
+    [Required]
+    public DateTime CreatedAt { get; private set; }
+
+    /// <summary>
+    /// Timestamp when the model set was last renamed or changed.
+    /// </summary>
+    [Required]
+    public DateTime UpdatedAt { get; private set; }
+
+    /// <summary>
+    /// Private constructor for Entity Framework or other ORMs.
+    /// </summary>
+    private ModelSet() { }
+
+    /// <summary>
+    /// Creates a new model set.
+    /// </summary>
+    /// <param name="name">The name of the set.</param>
+    /// <param name="models">The model selections in the set.</param>
+    /// <returns>A new model set.</returns>
+    public static ModelSet Create(string name, IEnumerable<string> models)
+    {
+        var now = DateTime.UtcNow;
+
+        return new ModelSet
+        {
+            Id = Guid.NewGuid().ToString(),
+            Name = NormalizeName(name),
+            ModelsJson = SerializeModels(models),
+            CreatedAt = now,
+            UpdatedAt = now
+        };
+    }
+
+    /// <summary>
+    /// Renames the model set.
+    /// </summary>
+    /// <param name="name">The new name.</param>
+    public void Rename(string name)
+    {
+        Name = NormalizeName(name);
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Replaces the models in the set.
+    /// </summary>
+    /// <param name="models">The new model selections.</param>
+    public void UpdateModels(IEnumerable<string> models)
+    {
+        ModelsJson = SerializeModels(models);
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    private static string NormalizeName(string name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            throw new ArgumentException("Model set name cannot be null or empty.", nameof(name));
+        }
+
+        var trimmedName = name.Trim();
+        if (trimmedName.Length > MaxNameLength)
+        {
+            throw new ArgumentException($"Model set name cannot exceed {MaxNameLength} characters.", nameof(name));
+        }
+
+        return trimmedName;
+    }
+
+    private static string SerializeModels(IEnumerable<string> models)
+    {
+        if (models == null)
+        {
+            throw new ArgumentNullException(nameof(models));
+        }
+
+        // Parse each entry so "model @ Provider" and "model@Provider" are stored the same way
+        var selections = models
+            .Where(model => !string.IsNullOrWhiteSpace(model))
+            .Select(model => ModelSelection.Parse(model).Key)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        if (selections.Count == 0)
+        {
+            throw new ArgumentException("A model set must contain at least one model.", nameof(models));
+        }
+
+        return JsonSerializer.Serialize(selections);
+    }
+}
@@ -0,0 +1,27 @@
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// The result of a pairwise preference vote between response A and response B.
+/// </summary>
+public enum PreferenceOutcome
+{
+    /// <summary>
+    /// Response A was preferred.
+    /// </summary>
+    ABetter,
+
+    /// <summary>
+    /// Response B was preferred.
+    /// </summary>
+    BBetter,
+
+    /// <summary>
+    /// Both responses were equally good.
+    /// </summary>
+    Tie,
+
+    /// <summary>
+    /// Neither response was acceptable.
+    /// </summary>
+    BothBad
+}
@@ -0,0 +1,128 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// A vote on which of two responses to the same prompt was better. Votes are never changed;
+/// voting on a pair again adds another vote.
+/// </summary>
+public class PreferenceVote
+{
+    /// <summary>
+    /// Unique identifier for this vote.
+    /// </summary>
+    [Required]
+    public string Id { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The ID of the prompt both responses answered.
+    /// </summary>
+    [Required]
+    public string PromptId { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The model that wrote response A.
+    /// </summary>
+    [Required]
+    public string ModelAId { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response A, if known.
+    /// </summary>
+    public string? ProviderA { get; private set; }
+
+    /// <summary>
+    /// The model that wrote response B.
+    /// </summary>
+    [Required]
+    public string ModelBId { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The provider that served response B, if known.
+    /// </summary>
+    public string? ProviderB { get; private set; }
+
+    /// <summary>
+    /// Which response was preferred.
+    /// </summary>
+    public PreferenceOutcome Outcome { get; private set; }
+
+    /// <summary>
+    /// The rater who cast the vote, or null if it was cast anonymously.
+    /// </summary>
+    public string? RaterId { get; private set; }
+
+    /// <summary>
+    /// Whether the vote was cast in blind mode, without the rater seeing which models wrote the responses.
+    /// </summary>
+    public bool IsBlind { get; private set; }
+
+    /// <summary>
+    /// Timestamp when the vote was cast.
+    /// </summary>
+    [Required]
+    public DateTime CreatedAt { get; private set; }
+
+    /// <summary>
+    /// Private constructor for Entity Framework or other ORMs.
+    /// </summary>
+    private PreferenceVote() { }
+
+    /// <summary>
+    /// Creates a new preference vote.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="modelAId">The model that wrote response A.</param>
+    /// <param name="modelBId">The model that wrote response B.</param>
+    /// <param name="outcome">Which response was preferred.</param>
+    /// <param name="isBlind">Whether the vote was cast without seeing the models' identities.</param>
+    /// <param name="providerA">The provider that served response A (optional).</param>
+    /// <param name="providerB">The provider that served response B (optional).</param>
+    /// <param name="raterId">The rater casting the vote (optional; anonymous when omitted).</param>
+    /// <returns>A new preference vote.</returns>
+    public static PreferenceVote Create(
+        string promptId,
+        string modelAId,
+        string modelBId,
+        PreferenceOutcome outcome,
+        bool isBlind = false,
+        string? providerA = null,
+        string? providerB = null,
+        string? raterId = null)
+    {
+        if (string.IsNullOrWhiteSpace(promptId))
+            throw new ArgumentException("Prompt ID cannot be null or empty.", nameof(promptId));
+
+        if (string.IsNullOrWhiteSpace(modelAId))
+            throw new ArgumentException("Model A ID cannot be null or empty.", nameof(modelAId));
+
+        if (string.IsNullOrWhiteSpace(modelBId))
+            throw new ArgumentException("Model B ID cannot be null or empty.", nameof(modelBId));
+
+        // The same model may be compared across providers, but not with its own response
+        if (modelAId.Trim() == modelBId.Trim() && NormalizeProvider(providerA) == NormalizeProvider(providerB))
+            throw new ArgumentException("A response cannot be compared with itself.", nameof(modelBId));
+
+        if (!Enum.IsDefined(outcome))
+            throw new ArgumentOutOfRangeException(nameof(outcome), "Unknown preference outcome.");
+
+        return new PreferenceVote
+        {
+            Id = Guid.NewGuid().ToString(),
+            PromptId = promptId,
+            ModelAId = modelAId.Trim(),
+            ProviderA = NormalizeProvider(providerA),
+            ModelBId = modelBId.Trim(),
+            ProviderB = NormalizeProvider(providerB),
+            Outcome = outcome,
+            RaterId = string.IsNullOrWhiteSpace(raterId) ? null : raterId,
+            IsBlind = isBlind,
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+
+    private static string? NormalizeProvider(string? provider)
+    {
+        return string.IsNullOrWhiteSpace(provider) ? null : provider.Trim();
+    }
+}
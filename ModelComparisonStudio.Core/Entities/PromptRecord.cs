@@ -0,0 +1,71 @@
+using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.Services;
+
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// A prompt the server has issued an ID for. The ID is the SHA-256 of the normalized content, so
+/// registering the same prompt again, even with different whitespace, yields the same record.
+/// </summary>
+public class PromptRecord
+{
+    /// <summary>
+    /// Maximum length of a prompt ID ("prompt_" and 64 hex digits).
+    /// </summary>
+    public const int MaxIdLength = 100;
+
+    /// <summary>
+    /// The prompt ID evaluations and votes refer to.
+    /// </summary>
+    [Required]
+    public string Id { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The normalized prompt; for a conversation turn, the text of that turn.
+    /// </summary>
+    [Required]
+    public string Text { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The normalized content the ID was hashed from, including the system prompt and earlier
+    /// turns of a conversation.
+    /// </summary>
+    [Required]
+    public string Content { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp when the prompt was first registered.
+    /// </summary>
+    [Required]
+    public DateTime CreatedAt { get; private set; }
+
+    /// <summary>
+    /// Private constructor for Entity Framework or other ORMs.
+    /// </summary>
+    private PromptRecord() { }
+
+    /// <summary>
+    /// Creates the record for a prompt, with its ID derived from the normalized content.
+    /// </summary>
+    /// <param name="prompt">The prompt.</param>
+    /// <param name="systemPrompt">The system prompt, if any.</param>
+    /// <param name="previousPrompts">The earlier user turns of the conversation, oldest first.</param>
+    /// <returns>A new prompt record.</returns>
+    public static PromptRecord Create(string prompt, string? systemPrompt = null, IEnumerable<string>? previousPrompts = null)
+    {
+        var text = PromptIdentity.NormalizeText(prompt);
+        if (text.Length == 0)
+        {
+            throw new ArgumentException("Prompt text cannot be null or empty.", nameof(prompt));
+        }
+
+        var content = PromptIdentity.CreateContent(prompt, systemPrompt, previousPrompts);
+        return new PromptRecord
+        {
+            Id = PromptIdentity.CreateId(content),
+            Text = text,
+            Content = content,
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+}
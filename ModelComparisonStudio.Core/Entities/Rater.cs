@@ -0,0 +1,74 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// A person who rates responses. Profiles are lightweight: a rater signs in by name alone,
+/// so ratings can be told apart and compared, not to control access.
+/// </summary>
+public class Rater
+{
+    /// <summary>
+    /// Maximum length of a rater name.
+    /// </summary>
+    public const int MaxNameLength = 50;
+
+    /// <summary>
+    /// Unique identifier for this rater.
+    /// </summary>
+    [Required]
+    public string Id { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the rater, unique regardless of case.
+    /// </summary>
+    [Required]
+    public string Name { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Timestamp when the rater first signed in.
+    /// </summary>
+    [Required]
+    public DateTime CreatedAt { get; private set; }
+
+    /// <summary>
+    /// Private constructor for Entity Framework or other ORMs.
+    /// </summary>
+    private Rater() { }
+
+    /// <summary>
+    /// Creates a new rater.
+    /// </summary>
+    /// <param name="name">The name of the rater.</param>
+    /// <returns>A new rater.</returns>
+    public static Rater Create(string name)
+    {
+        return new Rater
+        {
+            Id = Guid.NewGuid().ToString(),
+            Name = NormalizeName(name),
+            CreatedAt = DateTime.UtcNow
+        };
+    }
+
+    /// <summary>
+    /// Trims a rater name and checks that it is not empty or too long.
+    /// </summary>
+    /// <param name="name">The rater name.</param>
+    /// <returns>The trimmed name.</returns>
+    public static string NormalizeName(string name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            throw new ArgumentException("Rater name cannot be null or empty.", nameof(name));
+        }
+
+        var trimmedName = name.Trim();
+        if (trimmedName.Length > MaxNameLength)
+        {
+            throw new ArgumentException($"Rater name cannot exceed {MaxNameLength} characters.", nameof(name));
+        }
+
+        return trimmedName;
+    }
+}
@@ -0,0 +1,222 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Core.Entities;
+
+/// <summary>
+/// A named set of weighted criteria that responses are scored on instead of a single overall rating.
+/// </summary>
+public class Rubric
+{
+    /// <summary>
+    /// Maximum length of a rubric name.
+    /// </summary>
+    public const int MaxNameLength = 100;
+
+    /// <summary>
+    /// Maximum number of criteria in a rubric.
+    /// </summary>
+    public const int MaxCriteria = 10;
+
+    /// <summary>
+    /// The lowest score a criterion can be given.
+    /// </summary>
+    public const int MinScore = 1;
+
+    /// <summary>
+    /// The highest score a criterion can be given.
+    /// </summary>
+    public const int MaxScore = 10;
+
+    /// <summary>
+    /// Name of the rubric created when no rubric exists yet.
+    /// </summary>
+    public const string DefaultName = "General";
+
+    /// <summary>
+    /// Unique identifier for this rubric.
+    /// </summary>
+    [Required]
+    public string Id { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the rubric, unique regardless of case.
+    /// </summary>
+    [Required]
+    public string Name { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The criteria of the rubric, as JSON, in the order they are shown.
+    /// </summary>
+    public string CriteriaJson { get; private set; } = "[]";
+
+    /// <summary>
+    /// The criteria of the rubric, in the order they are shown.
+    /// </summary>
+    public List<RubricCriterion> Criteria =>
+        JsonSerializer.Deserialize<List<RubricCriterion>>(CriteriaJson) ?? new List<RubricCriterion>();
+
+    /// <summary>
+    /// Timestamp when the rubric was created.
+    /// </summary>
+    [Required]
+    public DateTime CreatedAt { get; private set; }
+
+    /// <summary>
+    /// Timestamp when the rubric was last renamed or changed.
+    /// </summary>
+    [Required]
+    public DateTime UpdatedAt { get; private set; }
+
+    /// <summary>
+    /// Private constructor for Entity Framework or other ORMs.
+    /// </summary>
+    private Rubric() { }
+
+    /// <summary>
+    /// Creates a new rubric.
+    /// </summary>
+    /// <param name="name">The name of the rubric.</param>
+    /// <param name="criteria">The criteria of the rubric.</param>
+    /// <returns>A new rubric.</returns>
+    public static Rubric Create(string name, IEnumerable<RubricCriterion> criteria)
+    {
+        var now = DateTime.UtcNow;
+
+        return new Rubric
+        {
+            Id = Guid.NewGuid().ToString(),
+            Name = NormalizeName(name),
+            CriteriaJson = SerializeCriteria(criteria),
+            CreatedAt = now,
+            UpdatedAt = now
+        };
+    }
+
+    /// <summary>
+    /// Creates the rubric offered before any rubric has been defined: correctness counts most,
+    /// followed by completeness, with style and safety weighted equally.
+    /// </summary>
+    /// <returns>A new rubric named <see cref="DefaultName"/>.</returns>
+    public static Rubric CreateDefault()
+    {
+        return Create(DefaultName, new[]
+        {
+            new RubricCriterion { Name = "Correctness", Weight = 4 },
+            new RubricCriterion { Name = "Completeness", Weight = 3 },
+            new RubricCriterion { Name = "Style", Weight = 1.5 },
+            new RubricCriterion { Name = "Safety", Weight = 1.5 }
+        });
+    }
+
+    /// <summary>
+    /// Renames the rubric.
+    /// </summary>
+    /// <param name="name">The new name.</param>
+    public void Rename(string name)
+    {
+        Name = NormalizeName(name);
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Replaces the criteria of the rubric. Scores already given keep the weighted total they were saved with.
+    /// </summary>
+    /// <param name="criteria">The new criteria.</param>
+    public void UpdateCriteria(IEnumerable<RubricCriterion> criteria)
+    {
+        CriteriaJson = SerializeCriteria(criteria);
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// Finds a criterion by name, ignoring case.
+    /// </summary>
+    /// <param name="name">The criterion name.</param>
+    /// <returns>The criterion if the rubric has it, null otherwise.</returns>
+    public RubricCriterion? FindCriterion(string name)
+    {
+        return Criteria.FirstOrDefault(c => c.Name.Equals(name?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Calculates the weighted total of criterion scores. Only scored criteria count, so a response
+    /// that has been scored on some criteria so far gets the weighted average of those.
+    /// </summary>
+    /// <param name="scores">Scores from 1 to 10 by criterion name.</param>
+    /// <returns>The weighted total from 1 to 10, or null if none of the rubric's criteria were scored.</returns>
+    public double? CalculateWeightedScore(IReadOnlyDictionary<string, int> scores)
+    {
+        if (scores == null)
+            throw new ArgumentNullException(nameof(scores));
+
+        var scoresByName = new Dictionary<string, int>(scores, StringComparer.OrdinalIgnoreCase);
+        var scored = Criteria.Where(c => scoresByName.ContainsKey(c.Name)).ToList();
+        if (scored.Count == 0)
+        {
+            return null;
+        }
+
+        var weightedSum = scored.Sum(c => c.Weight * scoresByName[c.Name]);
+        return Math.Round(weightedSum / scored.Sum(c => c.Weight), 2);
+    }
+
+    private static string NormalizeName(string name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            throw new ArgumentException("Rubric name cannot be null or empty.", nameof(name));
+        }
+
+        var trimmedName = name.Trim();
+        if (trimmedName.Length > MaxNameLength)
+        {
+            throw new ArgumentException($"Rubric name cannot exceed {MaxNameLength} characters.", nameof(name));
+        }
+
+        return trimmedName;
+    }
+
+    private static string SerializeCriteria(IEnumerable<RubricCriterion> criteria)
+    {
+        if (criteria == null)
+        {
+            throw new ArgumentNullException(nameof(criteria));
+        }
+
+        var normalized = new List<RubricCriterion>();
+        foreach (var criterion in criteria.Where(c => c != null && !string.IsNullOrWhiteSpace(c.Name)))
+        {
+            var name = criterion.Name.Trim();
+            if (name.Length > RubricCriterion.MaxNameLength)
+            {
+                throw new ArgumentException($"Criterion name cannot exceed {RubricCriterion.MaxNameLength} characters.", nameof(criteria));
+            }
+
+            if (double.IsNaN(criterion.Weight) || criterion.Weight <= 0 || criterion.Weight > RubricCriterion.MaxWeight)
+            {
+                throw new ArgumentException($"Weight of criterion '{name}' must be greater than 0 and at most {RubricCriterion.MaxWeight}.", nameof(criteria));
+            }
+
+            if (normalized.Any(c => c.Name.Equals(name, StringComparison.OrdinalIgnoreCase)))
+            {
+                throw new ArgumentException($"Criterion '{name}' appears more than once.", nameof(criteria));
+            }
+
+            normalized.Add(new RubricCriterion { Name = name, Weight = criterion.Weight });
+        }
+
+        if (normalized.Count == 0)
+        {
+            throw new ArgumentException("A rubric must contain at least one criterion.", nameof(criteria));
+        }
+
+        if (normalized.Count > MaxCriteria)
+        {
+            throw new ArgumentException($"A rubric cannot have more than {MaxCriteria} criteria.", nameof(criteria));
+        }
+
+        return JsonSerializer.Serialize(normalized);
+    }
+}
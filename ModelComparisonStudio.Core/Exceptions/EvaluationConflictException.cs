@@ -0,0 +1,16 @@
+using System;
+
+namespace ModelComparisonStudio.Core.Exceptions
+{
+    /// <summary>
+    /// Thrown when a save is based on an older version of an evaluation than the one stored.
+    /// </summary>
+    public class EvaluationConflictException : Exception
+    {
+        public EvaluationConflictException() : base() { }
+        
+        public EvaluationConflictException(string message) : base(message) { }
+        
+        public EvaluationConflictException(string message, Exception innerException) : base(message, innerException) { }
+    }
+}
\ No newline at end of file
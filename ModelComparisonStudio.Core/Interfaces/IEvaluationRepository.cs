@@ -69,13 +69,15 @@ public interface IEvaluationRepository
     Task<IReadOnlyList<Evaluation>> GetByPromptIdAsync(string promptId, int skip = 0, int take = 50, CancellationToken cancellationToken = default);
 
     /// <summary>
-    /// Gets an evaluation by prompt ID and model ID.
+    /// Gets an evaluation by prompt ID, model ID, provider and rater.
     /// </summary>
     /// <param name="promptId">The prompt ID.</param>
     /// <param name="modelId">The model ID.</param>
+    /// <param name="provider">The provider that served the response; null matches evaluations without one.</param>
+    /// <param name="raterId">The rater who gave the evaluation; null matches anonymous evaluations.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>The evaluation if found, null otherwise.</returns>
-    Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, CancellationToken cancellationToken = default);
+    Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, string? provider = null, string? raterId = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Gets evaluations within a date range.
@@ -104,7 +106,7 @@ public interface IEvaluationRepository
     Task<int> GetCountAsync(CancellationToken cancellationToken = default);
 
     /// <summary>
-    /// Gets the average rating for a specific model.
+    /// Gets the average rating for a specific model, using the exact weighted total for rubric scores.
     /// </summary>
     /// <param name="modelId">The model ID.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
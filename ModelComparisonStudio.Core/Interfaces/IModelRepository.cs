@@ -28,6 +28,16 @@ public interface IModelRepository
         string comparisonId,
         CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Gets every turn of a conversation, in turn order.
+    /// </summary>
+    /// <param name="conversationId">The conversation ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The comparisons that make up the conversation.</returns>
+    Task<IReadOnlyList<Comparison>> GetConversationAsync(
+        string conversationId,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Gets all comparisons with optional filtering.
     /// </summary>
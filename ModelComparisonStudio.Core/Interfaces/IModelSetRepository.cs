@@ -0,0 +1,67 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Core.Interfaces;
+
+/// <summary>
+/// Interface for named model set repository operations.
+/// </summary>
+public interface IModelSetRepository
+{
+    /// <summary>
+    /// Gets every model set, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All model sets.</returns>
+    Task<IReadOnlyList<ModelSet>> GetAllAsync(
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a model set by ID.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The model set if found, null otherwise.</returns>
+    Task<ModelSet?> GetByIdAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a model set by name, ignoring case.
+    /// </summary>
+    /// <param name="name">The model set name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The model set if found, null otherwise.</returns>
+    Task<ModelSet?> GetByNameAsync(
+        string name,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a new model set.
+    /// </summary>
+    /// <param name="modelSet">The model set to add.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The added model set.</returns>
+    Task<ModelSet> AddAsync(
+        ModelSet modelSet,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves changes to an existing model set.
+    /// </summary>
+    /// <param name="modelSet">The model set to update.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated model set.</returns>
+    Task<ModelSet> UpdateAsync(
+        ModelSet modelSet,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a model set.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the model set was deleted, false if it was not found.</returns>
+    Task<bool> DeleteAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+}
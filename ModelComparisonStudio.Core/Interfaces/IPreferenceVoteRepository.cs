@@ -0,0 +1,47 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Core.Interfaces;
+
+/// <summary>
+/// Interface for preference vote repository operations.
+/// </summary>
+public interface IPreferenceVoteRepository
+{
+    /// <summary>
+    /// Adds a new vote.
+    /// </summary>
+    /// <param name="vote">The vote to add.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The added vote.</returns>
+    Task<PreferenceVote> AddAsync(
+        PreferenceVote vote,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets every vote cast for a prompt, oldest first.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The votes for the prompt.</returns>
+    Task<IReadOnlyList<PreferenceVote>> GetByPromptIdAsync(
+        string promptId,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets every vote.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All votes.</returns>
+    Task<IReadOnlyList<PreferenceVote>> GetAllAsync(
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets every vote cast since a date.
+    /// </summary>
+    /// <param name="startDate">The earliest vote date to include.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The votes cast since the date.</returns>
+    Task<IReadOnlyList<PreferenceVote>> GetAllSinceAsync(
+        DateTime startDate,
+        CancellationToken cancellationToken = default);
+}
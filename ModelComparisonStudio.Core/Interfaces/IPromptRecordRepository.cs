@@ -0,0 +1,29 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Core.Interfaces;
+
+/// <summary>
+/// Interface for prompt record repository operations.
+/// </summary>
+public interface IPromptRecordRepository
+{
+    /// <summary>
+    /// Gets a prompt record by ID.
+    /// </summary>
+    /// <param name="id">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The prompt record if found, null otherwise.</returns>
+    Task<PromptRecord?> GetByIdAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a new prompt record.
+    /// </summary>
+    /// <param name="record">The prompt record to add.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The added prompt record.</returns>
+    Task<PromptRecord> AddAsync(
+        PromptRecord record,
+        CancellationToken cancellationToken = default);
+}
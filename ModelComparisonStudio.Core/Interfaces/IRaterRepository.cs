@@ -0,0 +1,47 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Core.Interfaces;
+
+/// <summary>
+/// Interface for rater repository operations.
+/// </summary>
+public interface IRaterRepository
+{
+    /// <summary>
+    /// Gets every rater, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All raters.</returns>
+    Task<IReadOnlyList<Rater>> GetAllAsync(
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a rater by ID.
+    /// </summary>
+    /// <param name="id">The rater ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rater if found, null otherwise.</returns>
+    Task<Rater?> GetByIdAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a rater by name, ignoring case.
+    /// </summary>
+    /// <param name="name">The rater name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rater if found, null otherwise.</returns>
+    Task<Rater?> GetByNameAsync(
+        string name,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a new rater.
+    /// </summary>
+    /// <param name="rater">The rater to add.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The added rater.</returns>
+    Task<Rater> AddAsync(
+        Rater rater,
+        CancellationToken cancellationToken = default);
+}
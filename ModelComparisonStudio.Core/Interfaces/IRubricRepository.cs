@@ -0,0 +1,67 @@
+using ModelComparisonStudio.Core.Entities;
+
+namespace ModelComparisonStudio.Core.Interfaces;
+
+/// <summary>
+/// Interface for rubric repository operations.
+/// </summary>
+public interface IRubricRepository
+{
+    /// <summary>
+    /// Gets every rubric, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>All rubrics.</returns>
+    Task<IReadOnlyList<Rubric>> GetAllAsync(
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a rubric by ID.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rubric if found, null otherwise.</returns>
+    Task<Rubric?> GetByIdAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a rubric by name, ignoring case.
+    /// </summary>
+    /// <param name="name">The rubric name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rubric if found, null otherwise.</returns>
+    Task<Rubric?> GetByNameAsync(
+        string name,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Adds a new rubric.
+    /// </summary>
+    /// <param name="rubric">The rubric to add.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The added rubric.</returns>
+    Task<Rubric> AddAsync(
+        Rubric rubric,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves changes to an existing rubric.
+    /// </summary>
+    /// <param name="rubric">The rubric to update.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated rubric.</returns>
+    Task<Rubric> UpdateAsync(
+        Rubric rubric,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a rubric.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the rubric was deleted, false if it was not found.</returns>
+    Task<bool> DeleteAsync(
+        string id,
+        CancellationToken cancellationToken = default);
+}
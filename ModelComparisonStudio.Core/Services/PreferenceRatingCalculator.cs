@@ -0,0 +1,194 @@
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Core.Services;
+
+/// <summary>
+/// Fits a Bradley-Terry model to pairwise preference votes and reports each model's strength on an
+/// Elo-like scale, with a 95% confidence interval from bootstrap resampling of the votes.
+/// </summary>
+/// <remarks>
+/// A tie, and a vote where both responses were bad, counts as half a win for each model. Every model
+/// also plays one virtual tie against a reference rated 1000, which anchors the scale and keeps the
+/// ratings of models that have only won or only lost finite. Votes between the same model on two
+/// providers say nothing about the model and are left out.
+/// </remarks>
+public static class PreferenceRatingCalculator
+{
+    /// <summary>
+    /// The rating of the reference every model is anchored to.
+    /// </summary>
+    public const double BaseRating = 1000;
+
+    /// <summary>
+    /// The number of bootstrap resamples used for the confidence intervals.
+    /// </summary>
+    public const int DefaultBootstrapRounds = 200;
+
+    private const double EloScale = 400;
+    private const int MaxIterations = 500;
+    private const double Tolerance = 1e-6;
+    private const int BootstrapSeed = 20240101;
+
+    /// <summary>
+    /// Rates every model that appears in the votes.
+    /// </summary>
+    /// <param name="votes">The preference votes.</param>
+    /// <param name="bootstrapRounds">The number of bootstrap resamples; 0 reports the rating itself as both bounds.</param>
+    /// <returns>The ratings, highest first.</returns>
+    public static IReadOnlyList<PreferenceRating> Calculate(
+        IReadOnlyList<PreferenceVote> votes,
+        int bootstrapRounds = DefaultBootstrapRounds)
+    {
+        if (votes == null)
+            throw new ArgumentNullException(nameof(votes));
+        if (bootstrapRounds < 0)
+            throw new ArgumentOutOfRangeException(nameof(bootstrapRounds), "Bootstrap rounds must be non-negative.");
+
+        votes = votes.Where(v => v.ModelAId != v.ModelBId).ToList();
+
+        var modelIds = votes
+            .SelectMany(v => new[] { v.ModelAId, v.ModelBId })
+            .Distinct(StringComparer.Ordinal)
+            .OrderBy(id => id, StringComparer.Ordinal)
+            .ToList();
+        if (modelIds.Count == 0)
+        {
+            return Array.Empty<PreferenceRating>();
+        }
+
+        var index = modelIds
+            .Select((modelId, position) => (modelId, position))
+            .ToDictionary(x => x.modelId, x => x.position, StringComparer.Ordinal);
+        var ratings = Fit(votes, index);
+
+        // A fixed seed gives the same interval every time the same votes are rated
+        var random = new Random(BootstrapSeed);
+        var samples = modelIds.Select(_ => new List<double>(bootstrapRounds)).ToList();
+        var resampled = new PreferenceVote[votes.Count];
+        for (var round = 0; round < bootstrapRounds; round++)
+        {
+            for (var i = 0; i < resampled.Length; i++)
+            {
+                resampled[i] = votes[random.Next(votes.Count)];
+            }
+
+            var sample = Fit(resampled, index);
+            for (var m = 0; m < modelIds.Count; m++)
+            {
+                samples[m].Add(sample[m]);
+            }
+        }
+
+        return modelIds
+            .Select((modelId, m) =>
+            {
+                samples[m].Sort();
+                var (wins, losses, ties) = CountResults(votes, modelId);
+
+                return new PreferenceRating
+                {
+                    ModelId = modelId,
+                    Rating = Math.Round(ratings[m], 1),
+                    LowerBound = Math.Round(bootstrapRounds > 0 ? Percentile(samples[m], 0.025) : ratings[m], 1),
+                    UpperBound = Math.Round(bootstrapRounds > 0 ? Percentile(samples[m], 0.975) : ratings[m], 1),
+                    Wins = wins,
+                    Losses = losses,
+                    Ties = ties
+                };
+            })
+            .OrderByDescending(r => r.Rating)
+            .ToList();
+    }
+
+    private static double[] Fit(IReadOnlyList<PreferenceVote> votes, IReadOnlyDictionary<string, int> index)
+    {
+        var count = index.Count;
+        var scores = new double[count];
+        var games = new double[count, count];
+
+        foreach (var vote in votes)
+        {
+            var a = index[vote.ModelAId];
+            var b = index[vote.ModelBId];
+            games[a, b]++;
+            games[b, a]++;
+
+            switch (vote.Outcome)
+            {
+                case PreferenceOutcome.ABetter:
+                    scores[a] += 1;
+                    break;
+                case PreferenceOutcome.BBetter:
+                    scores[b] += 1;
+                    break;
+                default:
+                    scores[a] += 0.5;
+                    scores[b] += 0.5;
+                    break;
+            }
+        }
+
+        // Minorization-maximization updates (Hunter, 2004), with the reference fixed at strength 1
+        var strengths = Enumerable.Repeat(1.0, count).ToArray();
+        for (var iteration = 0; iteration < MaxIterations; iteration++)
+        {
+            var next = new double[count];
+            var maxChange = 0.0;
+
+            for (var i = 0; i < count; i++)
+            {
+                var denominator = 1 / (strengths[i] + 1);
+                for (var j = 0; j < count; j++)
+                {
+                    if (games[i, j] > 0)
+                    {
+                        denominator += games[i, j] / (strengths[i] + strengths[j]);
+                    }
+                }
+
+                next[i] = (scores[i] + 0.5) / denominator;
+                maxChange = Math.Max(maxChange, Math.Abs(Math.Log(next[i] / strengths[i])));
+            }
+
+            strengths = next;
+            if (maxChange < Tolerance)
+            {
+                break;
+            }
+        }
+
+        return strengths.Select(strength => BaseRating + EloScale * Math.Log10(strength)).ToArray();
+    }
+
+    private static (int Wins, int Losses, int Ties) CountResults(IEnumerable<PreferenceVote> votes, string modelId)
+    {
+        int wins = 0, losses = 0, ties = 0;
+        foreach (var vote in votes.Where(v => v.ModelAId == modelId || v.ModelBId == modelId))
+        {
+            var isA = vote.ModelAId == modelId;
+            switch (vote.Outcome)
+            {
+                case PreferenceOutcome.ABetter:
+                    if (isA) wins++; else losses++;
+                    break;
+                case PreferenceOutcome.BBetter:
+                    if (isA) losses++; else wins++;
+                    break;
+                default:
+                    ties++;
+                    break;
+            }
+        }
+
+        return (wins, losses, ties);
+    }
+
+    private static double Percentile(IReadOnlyList<double> sorted, double fraction)
+    {
+        var position = fraction * (sorted.Count - 1);
+        var lower = (int)Math.Floor(position);
+        var upper = (int)Math.Ceiling(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
@@ -0,0 +1,95 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace ModelComparisonStudio.Core.Services;
+
+/// <summary>
+/// Derives prompt IDs from prompt content. Text is normalized first, so edits that only change
+/// whitespace keep the ID, and hashed with SHA-256, so different prompts never share one.
+/// </summary>
+public static class PromptIdentity
+{
+    /// <summary>
+    /// Prefix of every prompt ID, old and new.
+    /// </summary>
+    public const string IdPrefix = "prompt_";
+
+    private static readonly Regex WhitespaceRun = new(@"\s+", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Normalizes text to Unicode composed form with every run of whitespace collapsed to one space.
+    /// </summary>
+    /// <param name="text">The text to normalize.</param>
+    /// <returns>The normalized text, empty for null.</returns>
+    public static string NormalizeText(string? text)
+    {
+        return WhitespaceRun.Replace((text ?? string.Empty).Normalize(NormalizationForm.FormC), " ").Trim();
+    }
+
+    /// <summary>
+    /// Builds the content a prompt ID is hashed from: the normalized prompt on its own, or for a
+    /// conversation turn the system prompt and every user turn up to and including this one.
+    /// </summary>
+    /// <param name="prompt">The prompt.</param>
+    /// <param name="systemPrompt">The system prompt, if any.</param>
+    /// <param name="previousPrompts">The earlier user turns of the conversation, oldest first.</param>
+    /// <returns>The normalized content.</returns>
+    public static string CreateContent(string prompt, string? systemPrompt = null, IEnumerable<string>? previousPrompts = null)
+    {
+        var turns = (previousPrompts ?? Enumerable.Empty<string>())
+            .Append(prompt)
+            .Select(NormalizeText)
+            .ToList();
+        var system = NormalizeText(systemPrompt);
+
+        // A lone prompt keeps the ID of its text so its ratings line up with single-turn runs
+        if (system.Length == 0 && turns.Count == 1)
+        {
+            return turns[0];
+        }
+
+        return JsonSerializer.Serialize(new { system, turns });
+    }
+
+    /// <summary>
+    /// Creates the prompt ID for normalized content.
+    /// </summary>
+    /// <param name="content">Content from <see cref="CreateContent"/>.</param>
+    /// <returns>"prompt_" followed by the lowercase hex SHA-256 of the content.</returns>
+    public static string CreateId(string content)
+    {
+        var hash = SHA256.HashData(Encoding.UTF8.GetBytes(content));
+        return IdPrefix + Convert.ToHexString(hash).ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Whether an ID was made by the browser's former 32-bit string hash rather than issued from content.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <returns>True for "prompt_" followed by decimal digits.</returns>
+    public static bool IsLegacyId(string promptId)
+    {
+        return promptId.StartsWith(IdPrefix, StringComparison.Ordinal)
+            && promptId.Length > IdPrefix.Length
+            && promptId[IdPrefix.Length..].All(char.IsAsciiDigit);
+    }
+
+    /// <summary>
+    /// Recreates the ID the browser used to generate for a lone prompt, to recognize old evaluations.
+    /// </summary>
+    /// <param name="text">The prompt text exactly as it was sent.</param>
+    /// <returns>The legacy prompt ID.</returns>
+    public static string CreateLegacyId(string text)
+    {
+        // hash * 31 + char over the UTF-16 code units, wrapping at 32 bits like the JavaScript version
+        var hash = 0;
+        foreach (var c in text)
+        {
+            hash = unchecked((hash << 5) - hash + c);
+        }
+
+        return IdPrefix + Math.Abs((long)hash);
+    }
+}
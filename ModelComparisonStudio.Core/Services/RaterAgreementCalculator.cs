@@ -0,0 +1,127 @@
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.ValueObjects;
+
+namespace ModelComparisonStudio.Core.Services;
+
+/// <summary>
+/// Measures inter-rater agreement on responses rated by more than one rater, with Krippendorff's
+/// alpha over everyone and a Pearson correlation per pair of raters.
+/// </summary>
+/// <remarks>
+/// A response is the same unit when it has the same prompt, model and provider. Rubric scores count
+/// with their weighted total, and anonymous ratings are left out.
+/// </remarks>
+public static class RaterAgreementCalculator
+{
+    private const int MinCorrelationUnits = 3;
+
+    /// <summary>
+    /// Calculates the agreement between the raters of the given evaluations.
+    /// </summary>
+    /// <param name="evaluations">The evaluations to compare.</param>
+    /// <returns>The agreement report.</returns>
+    public static RaterAgreement Calculate(IEnumerable<Evaluation> evaluations)
+    {
+        if (evaluations == null)
+            throw new ArgumentNullException(nameof(evaluations));
+
+        // One rating per rater and response; the latest wins if a rater somehow has two
+        var units = evaluations
+            .Where(e => e.RaterId != null && e.Rating.HasValue)
+            .GroupBy(e => (e.PromptId, e.ModelId, e.Provider))
+            .Select(unit => unit
+                .GroupBy(e => e.RaterId!)
+                .ToDictionary(
+                    rater => rater.Key,
+                    rater => rater.OrderByDescending(e => e.UpdatedAt).Select(e => e.WeightedScore ?? e.Rating!.Value).First()))
+            .Where(ratings => ratings.Count > 1)
+            .ToList();
+
+        var raterIds = units.SelectMany(ratings => ratings.Keys).Distinct().OrderBy(id => id, StringComparer.Ordinal).ToList();
+        var pairs = new List<RaterPairAgreement>();
+        for (var i = 0; i < raterIds.Count; i++)
+        {
+            for (var j = i + 1; j < raterIds.Count; j++)
+            {
+                var pair = CalculatePair(units, raterIds[i], raterIds[j]);
+                if (pair != null)
+                {
+                    pairs.Add(pair);
+                }
+            }
+        }
+
+        return new RaterAgreement
+        {
+            Alpha = CalculateAlpha(units),
+            UnitCount = units.Count,
+            RatingCount = units.Sum(ratings => ratings.Count),
+            RaterCount = raterIds.Count,
+            Pairs = pairs
+        };
+    }
+
+    // Krippendorff's alpha with the interval metric: 1 - observed disagreement / expected disagreement
+    private static double? CalculateAlpha(IReadOnlyList<Dictionary<string, double>> units)
+    {
+        var values = units.SelectMany(ratings => ratings.Values).ToList();
+        var n = values.Count;
+        if (n < 2)
+        {
+            return null;
+        }
+
+        var observed = units.Sum(ratings => 2 * SumOfSquaredDifferences(ratings.Values.ToList()) / (ratings.Count - 1)) / n;
+        var expected = 2 * SumOfSquaredDifferences(values) / (n * (n - 1.0));
+        if (expected == 0)
+        {
+            return null;
+        }
+
+        return Math.Round(1 - observed / expected, 3);
+    }
+
+    // Sum of (a - b)^2 over every unordered pair of values
+    private static double SumOfSquaredDifferences(IReadOnlyList<double> values)
+    {
+        var sum = values.Sum();
+        var sumOfSquares = values.Sum(value => value * value);
+        return Math.Max(0, values.Count * sumOfSquares - sum * sum);
+    }
+
+    private static RaterPairAgreement? CalculatePair(IEnumerable<Dictionary<string, double>> units, string raterAId, string raterBId)
+    {
+        var shared = units
+            .Where(ratings => ratings.ContainsKey(raterAId) && ratings.ContainsKey(raterBId))
+            .Select(ratings => (A: ratings[raterAId], B: ratings[raterBId]))
+            .ToList();
+        if (shared.Count == 0)
+        {
+            return null;
+        }
+
+        return new RaterPairAgreement
+        {
+            RaterAId = raterAId,
+            RaterBId = raterBId,
+            SharedUnits = shared.Count,
+            Correlation = shared.Count >= MinCorrelationUnits ? PearsonCorrelation(shared) : null,
+            MeanAbsoluteDifference = Math.Round(shared.Average(rating => Math.Abs(rating.A - rating.B)), 2)
+        };
+    }
+
+    private static double? PearsonCorrelation(IReadOnlyList<(double A, double B)> ratings)
+    {
+        var meanA = ratings.Average(rating => rating.A);
+        var meanB = ratings.Average(rating => rating.B);
+        var covariance = ratings.Sum(rating => (rating.A - meanA) * (rating.B - meanB));
+        var varianceA = ratings.Sum(rating => Math.Pow(rating.A - meanA, 2));
+        var varianceB = ratings.Sum(rating => Math.Pow(rating.B - meanB, 2));
+        if (varianceA == 0 || varianceB == 0)
+        {
+            return null;
+        }
+
+        return Math.Round(covariance / Math.Sqrt(varianceA * varianceB), 3);
+    }
+}
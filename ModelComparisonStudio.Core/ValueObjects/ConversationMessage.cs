@@ -0,0 +1,47 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// A single message in a chat conversation with a model.
+/// </summary>
+public class ConversationMessage
+{
+    public const string SystemRole = "system";
+    public const string UserRole = "user";
+    public const string AssistantRole = "assistant";
+
+    /// <summary>
+    /// Who wrote the message: system, user or assistant.
+    /// </summary>
+    [Required]
+    [RegularExpression("^(system|user|assistant)$", ErrorMessage = "Message role must be 'system', 'user' or 'assistant'")]
+    public string Role { get; set; } = UserRole;
+
+    /// <summary>
+    /// The message text.
+    /// </summary>
+    [Required]
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Creates a system message.
+    /// </summary>
+    /// <param name="content">The system prompt.</param>
+    /// <returns>A new message.</returns>
+    public static ConversationMessage System(string content) => new() { Role = SystemRole, Content = content };
+
+    /// <summary>
+    /// Creates a user message.
+    /// </summary>
+    /// <param name="content">The user's prompt.</param>
+    /// <returns>A new message.</returns>
+    public static ConversationMessage User(string content) => new() { Role = UserRole, Content = content };
+
+    /// <summary>
+    /// Creates an assistant message.
+    /// </summary>
+    /// <param name="content">The model's reply.</param>
+    /// <returns>A new message.</returns>
+    public static ConversationMessage Assistant(string content) => new() { Role = AssistantRole, Content = content };
+}
@@ -0,0 +1,105 @@
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// Sampling settings sent to a model with the prompt. Unset values fall back to the provider defaults.
+/// </summary>
+public class GenerationParameters
+{
+    /// <summary>
+    /// The maximum number of stop sequences accepted by OpenAI-compatible APIs.
+    /// </summary>
+    public const int MaxStopSequences = 4;
+
+    private static readonly JsonSerializerOptions SerializerOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Sampling temperature (0-2).
+    /// </summary>
+    [Range(0.0, 2.0, ErrorMessage = "Temperature must be between 0 and 2")]
+    public double? Temperature { get; set; }
+
+    /// <summary>
+    /// Nucleus sampling probability mass (0-1).
+    /// </summary>
+    [Range(0.0, 1.0, ErrorMessage = "Top P must be between 0 and 1")]
+    public double? TopP { get; set; }
+
+    /// <summary>
+    /// The maximum number of tokens to generate.
+    /// </summary>
+    [Range(1, 200000, ErrorMessage = "Max tokens must be between 1 and 200000")]
+    public int? MaxTokens { get; set; }
+
+    /// <summary>
+    /// Sequences at which the model stops generating.
+    /// </summary>
+    [MaxLength(MaxStopSequences, ErrorMessage = "At most 4 stop sequences are allowed")]
+    public List<string>? StopSequences { get; set; }
+
+    /// <summary>
+    /// Seed for deterministic sampling, where the provider supports it.
+    /// </summary>
+    public long? Seed { get; set; }
+
+    /// <summary>
+    /// Indicates whether no value has been set.
+    /// </summary>
+    [JsonIgnore]
+    public bool IsEmpty =>
+        Temperature == null && TopP == null && MaxTokens == null && Seed == null &&
+        (StopSequences == null || StopSequences.Count == 0);
+
+    /// <summary>
+    /// Returns a copy of these parameters with every value set in <paramref name="overrides"/> taking precedence.
+    /// </summary>
+    /// <param name="overrides">The parameters that win over these ones (optional).</param>
+    /// <returns>A new merged parameters instance.</returns>
+    public GenerationParameters Merge(GenerationParameters? overrides)
+    {
+        return new GenerationParameters
+        {
+            Temperature = overrides?.Temperature ?? Temperature,
+            TopP = overrides?.TopP ?? TopP,
+            MaxTokens = overrides?.MaxTokens ?? MaxTokens,
+            StopSequences = overrides?.StopSequences is { Count: > 0 } overrideStopSequences
+                ? new List<string>(overrideStopSequences)
+                : StopSequences == null ? null : new List<string>(StopSequences),
+            Seed = overrides?.Seed ?? Seed
+        };
+    }
+
+    /// <summary>
+    /// Serializes the parameters for storage.
+    /// </summary>
+    /// <returns>The JSON representation.</returns>
+    public string ToJson()
+    {
+        return JsonSerializer.Serialize(this, SerializerOptions);
+    }
+
+    /// <summary>
+    /// Deserializes stored parameters.
+    /// </summary>
+    /// <param name="json">The JSON representation (optional).</param>
+    /// <returns>The parameters, or null if none were stored or they cannot be read.</returns>
+    public static GenerationParameters? FromJson(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json))
+        {
+            return null;
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<GenerationParameters>(json, SerializerOptions);
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,83 @@
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// A model chosen for a comparison, optionally pinned to the provider that should serve it.
+/// Written as "modelId" (provider picked automatically) or "modelId@Provider", so the same
+/// model can run through several providers in one comparison.
+/// </summary>
+public class ModelSelection
+{
+    /// <summary>
+    /// Separates the model ID from the provider name. Model IDs never contain it.
+    /// </summary>
+    public const char ProviderSeparator = '@';
+
+    /// <summary>
+    /// The model ID as the provider knows it.
+    /// </summary>
+    public string ModelId { get; private set; } = string.Empty;
+
+    /// <summary>
+    /// The provider pinned for this selection, or null to pick one automatically.
+    /// </summary>
+    public string? Provider { get; private set; }
+
+    /// <summary>
+    /// The selection in its written form, used to key results within a comparison.
+    /// </summary>
+    public string Key => Provider == null ? ModelId : $"{ModelId}{ProviderSeparator}{Provider}";
+
+    /// <summary>
+    /// Private constructor; use <see cref="Create"/> or <see cref="Parse"/>.
+    /// </summary>
+    private ModelSelection() { }
+
+    /// <summary>
+    /// Creates a selection for a model, optionally pinned to a provider.
+    /// </summary>
+    /// <param name="modelId">The model ID.</param>
+    /// <param name="provider">The provider name (optional).</param>
+    /// <returns>A new model selection.</returns>
+    public static ModelSelection Create(string modelId, string? provider = null)
+    {
+        if (string.IsNullOrWhiteSpace(modelId))
+        {
+            throw new ArgumentException("Model ID cannot be null or empty.", nameof(modelId));
+        }
+
+        return new ModelSelection
+        {
+            ModelId = modelId.Trim(),
+            Provider = string.IsNullOrWhiteSpace(provider) ? null : provider.Trim()
+        };
+    }
+
+    /// <summary>
+    /// Reads a selection written as "modelId" or "modelId@Provider".
+    /// </summary>
+    /// <param name="value">The written selection.</param>
+    /// <returns>The parsed model selection.</returns>
+    public static ModelSelection Parse(string value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            throw new ArgumentException("Model selection cannot be null or empty.", nameof(value));
+        }
+
+        var trimmedValue = value.Trim();
+        var separatorIndex = trimmedValue.LastIndexOf(ProviderSeparator);
+
+        return separatorIndex > 0 && separatorIndex < trimmedValue.Length - 1
+            ? Create(trimmedValue[..separatorIndex], trimmedValue[(separatorIndex + 1)..])
+            : Create(trimmedValue);
+    }
+
+    /// <summary>
+    /// Returns the selection in its written form.
+    /// </summary>
+    /// <returns>The selection key.</returns>
+    public override string ToString()
+    {
+        return Key;
+    }
+}
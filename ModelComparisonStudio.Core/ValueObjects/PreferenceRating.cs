@@ -0,0 +1,48 @@
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// A model's strength estimated from pairwise preference votes, on an Elo-like scale.
+/// </summary>
+public class PreferenceRating
+{
+    /// <summary>
+    /// The model ID.
+    /// </summary>
+    public string ModelId { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The estimated rating. Ratings are relative: a model rated 400 points above another is expected
+    /// to be preferred ten times as often. A model without decisive votes stays near 1000.
+    /// </summary>
+    public double Rating { get; init; }
+
+    /// <summary>
+    /// Lower end of the 95% confidence interval of the rating.
+    /// </summary>
+    public double LowerBound { get; init; }
+
+    /// <summary>
+    /// Upper end of the 95% confidence interval of the rating.
+    /// </summary>
+    public double UpperBound { get; init; }
+
+    /// <summary>
+    /// Votes the model won.
+    /// </summary>
+    public int Wins { get; init; }
+
+    /// <summary>
+    /// Votes the model lost.
+    /// </summary>
+    public int Losses { get; init; }
+
+    /// <summary>
+    /// Votes that were a tie or where both responses were bad.
+    /// </summary>
+    public int Ties { get; init; }
+
+    /// <summary>
+    /// Every vote the model took part in.
+    /// </summary>
+    public int Votes => Wins + Losses + Ties;
+}
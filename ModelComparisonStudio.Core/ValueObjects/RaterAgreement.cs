@@ -0,0 +1,33 @@
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// How well raters agree on the responses that more than one of them rated.
+/// </summary>
+public class RaterAgreement
+{
+    /// <summary>
+    /// Krippendorff's alpha for interval data: 1 is perfect agreement, 0 is no better than chance.
+    /// Null when fewer than two raters rated the same response, or every rating is the same.
+    /// </summary>
+    public double? Alpha { get; init; }
+
+    /// <summary>
+    /// Responses rated by more than one rater.
+    /// </summary>
+    public int UnitCount { get; init; }
+
+    /// <summary>
+    /// Ratings given to those responses.
+    /// </summary>
+    public int RatingCount { get; init; }
+
+    /// <summary>
+    /// Raters who rated at least one of those responses.
+    /// </summary>
+    public int RaterCount { get; init; }
+
+    /// <summary>
+    /// Agreement between each pair of raters who rated the same responses.
+    /// </summary>
+    public IReadOnlyList<RaterPairAgreement> Pairs { get; init; } = Array.Empty<RaterPairAgreement>();
+}
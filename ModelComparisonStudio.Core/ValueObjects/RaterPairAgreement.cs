@@ -0,0 +1,33 @@
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// How well two raters agree on the responses both of them rated.
+/// </summary>
+public class RaterPairAgreement
+{
+    /// <summary>
+    /// The first rater's ID.
+    /// </summary>
+    public string RaterAId { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The second rater's ID.
+    /// </summary>
+    public string RaterBId { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Responses both raters rated.
+    /// </summary>
+    public int SharedUnits { get; init; }
+
+    /// <summary>
+    /// Pearson correlation of the two raters' ratings. Null with fewer than three shared responses,
+    /// or when either rater gave every shared response the same rating.
+    /// </summary>
+    public double? Correlation { get; init; }
+
+    /// <summary>
+    /// The average difference between the two raters' ratings of the same response.
+    /// </summary>
+    public double MeanAbsoluteDifference { get; init; }
+}
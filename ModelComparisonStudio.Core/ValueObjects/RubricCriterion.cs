@@ -0,0 +1,27 @@
+namespace ModelComparisonStudio.Core.ValueObjects;
+
+/// <summary>
+/// One dimension of a rubric, such as correctness or style, scored from 1 to 10.
+/// </summary>
+public class RubricCriterion
+{
+    /// <summary>
+    /// Maximum length of a criterion name.
+    /// </summary>
+    public const int MaxNameLength = 50;
+
+    /// <summary>
+    /// The highest weight a criterion can have.
+    /// </summary>
+    public const double MaxWeight = 100;
+
+    /// <summary>
+    /// Name of the criterion, unique within its rubric regardless of case.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// How much the criterion counts towards the weighted total, relative to the other criteria.
+    /// </summary>
+    public double Weight { get; set; } = 1;
+}
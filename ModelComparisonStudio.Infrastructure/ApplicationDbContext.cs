@@ -34,6 +34,36 @@ public class ApplicationDbContext : DbContext
     /// </summary>
     public DbSet<PromptCategory> PromptCategories { get; set; } = null!;
 
+    /// <summary>
+    /// Gets or sets the comparison history DbSet.
+    /// </summary>
+    public DbSet<Comparison> Comparisons { get; set; } = null!;
+
+    /// <summary>
+    /// Gets or sets the named model sets DbSet.
+    /// </summary>
+    public DbSet<ModelSet> ModelSets { get; set; } = null!;
+
+    /// <summary>
+    /// Gets or sets the scoring rubrics DbSet.
+    /// </summary>
+    public DbSet<Rubric> Rubrics { get; set; } = null!;
+
+    /// <summary>
+    /// Gets or sets the pairwise preference votes DbSet.
+    /// </summary>
+    public DbSet<PreferenceVote> PreferenceVotes { get; set; } = null!;
+
+    /// <summary>
+    /// Gets or sets the rater profiles DbSet.
+    /// </summary>
+    public DbSet<Rater> Raters { get; set; } = null!;
+
+    /// <summary>
+    /// Gets or sets the issued prompt records DbSet.
+    /// </summary>
+    public DbSet<PromptRecord> PromptRecords { get; set; } = null!;
+
     /// <summary>
     /// Configures the database connection and entity mappings.
     /// </summary>
@@ -81,9 +111,31 @@ public class ApplicationDbContext : DbContext
                 .IsRequired()
                 .HasMaxLength(255);
 
+            entity.Property(e => e.Provider)
+                .HasMaxLength(50);
+
             entity.Property(e => e.Rating)
                 .HasDefaultValue(null);
 
+            entity.Property(e => e.RubricId)
+                .HasMaxLength(100);
+
+            // A JSON object of scores by criterion name; null for an overall rating
+            entity.Property(e => e.CriterionScoresJson)
+                .HasColumnType("TEXT");
+
+            entity.Ignore(e => e.CriterionScores);
+
+            entity.Property(e => e.WeightedScore)
+                .HasDefaultValue(null);
+
+            entity.Property(e => e.RaterId)
+                .HasMaxLength(100);
+
+            entity.Property(e => e.IsBlind)
+                .IsRequired()
+                .HasDefaultValue(false);
+
             entity.Property(e => e.Comment)
                 .HasConversion(
                     comment => comment.ToString(),
@@ -97,6 +149,9 @@ public class ApplicationDbContext : DbContext
             entity.Property(e => e.TokenCount)
                 .HasDefaultValue(null);
 
+            entity.Property(e => e.Cost)
+                .HasPrecision(18, 8);
+
             entity.Property(e => e.CreatedAt)
                 .IsRequired();
 
@@ -206,5 +261,245 @@ public class ApplicationDbContext : DbContext
             // Add index for better query performance
             entity.HasIndex(c => c.CreatedAt);
         });
+
+        // Configure Comparison entity (comparison history)
+        modelBuilder.Entity<Comparison>(entity =>
+        {
+            entity.ToTable("Comparisons");
+
+            // Set primary key
+            entity.HasKey(c => c.Id);
+
+            // Configure properties
+            entity.Property(c => c.Id)
+                .HasMaxLength(100)
+                .ValueGeneratedNever();
+
+            entity.Property(c => c.Prompt)
+                .IsRequired();
+
+            entity.Property(c => c.SystemPrompt);
+
+            entity.Property(c => c.ConversationId)
+                .HasMaxLength(100);
+
+            entity.Property(c => c.TurnNumber)
+                .IsRequired()
+                .HasDefaultValue(1);
+
+            entity.Property(c => c.ExecutedAt)
+                .IsRequired();
+
+            // Model results are owned by their comparison and stored in their own table
+            entity.OwnsMany(c => c.Results, result =>
+            {
+                result.ToTable("ComparisonResults");
+                result.WithOwner().HasForeignKey("ComparisonId");
+                result.Property<int>("Id");
+                result.HasKey("Id");
+
+                result.Property(r => r.ModelId)
+                    .IsRequired()
+                    .HasMaxLength(255);
+
+                result.Property(r => r.Response)
+                    .IsRequired();
+
+                result.Property(r => r.Status)
+                    .HasConversion<string>()
+                    .HasMaxLength(20);
+
+                result.Property(r => r.ErrorMessage)
+                    .IsRequired();
+
+                result.Property(r => r.Provider)
+                    .HasMaxLength(50);
+
+                result.Property(r => r.Cost)
+                    .HasPrecision(18, 8);
+
+                // Null for results saved before generation parameters were recorded
+                result.Property(r => r.ParametersJson)
+                    .HasColumnType("TEXT");
+
+                result.Ignore(r => r.Parameters);
+
+                result.HasIndex(r => r.ModelId);
+            });
+
+            // Add indexes for better query performance
+            entity.HasIndex(c => c.ExecutedAt);
+            entity.HasIndex(c => new { c.ConversationId, c.TurnNumber });
+        });
+
+        // Configure ModelSet entity (named model lineups)
+        modelBuilder.Entity<ModelSet>(entity =>
+        {
+            entity.ToTable("ModelSets");
+
+            // Set primary key
+            entity.HasKey(m => m.Id);
+
+            // Configure properties
+            entity.Property(m => m.Id)
+                .HasMaxLength(100)
+                .ValueGeneratedNever();
+
+            // Names are unique regardless of case
+            entity.Property(m => m.Name)
+                .IsRequired()
+                .HasMaxLength(ModelSet.MaxNameLength)
+                .UseCollation("NOCASE");
+
+            // A JSON array of selections, kept in the order they were chosen
+            entity.Property(m => m.ModelsJson)
+                .IsRequired()
+                .HasColumnType("TEXT");
+
+            entity.Ignore(m => m.Models);
+
+            entity.Property(m => m.CreatedAt)
+                .IsRequired();
+
+            entity.Property(m => m.UpdatedAt)
+                .IsRequired();
+
+            entity.HasIndex(m => m.Name)
+                .IsUnique();
+        });
+
+        // Configure Rubric entity (weighted scoring criteria)
+        modelBuilder.Entity<Rubric>(entity =>
+        {
+            entity.ToTable("Rubrics");
+
+            // Set primary key
+            entity.HasKey(r => r.Id);
+
+            // Configure properties
+            entity.Property(r => r.Id)
+                .HasMaxLength(100)
+                .ValueGeneratedNever();
+
+            // Names are unique regardless of case
+            entity.Property(r => r.Name)
+                .IsRequired()
+                .HasMaxLength(Rubric.MaxNameLength)
+                .UseCollation("NOCASE");
+
+            // A JSON array of the criteria with their weights
+            entity.Property(r => r.CriteriaJson)
+                .IsRequired()
+                .HasColumnType("TEXT");
+
+            entity.Ignore(r => r.Criteria);
+
+            entity.Property(r => r.CreatedAt)
+                .IsRequired();
+
+            entity.Property(r => r.UpdatedAt)
+                .IsRequired();
+
+            entity.HasIndex(r => r.Name)
+                .IsUnique();
+        });
+
+        // Configure PreferenceVote entity (pairwise A/B votes)
+        modelBuilder.Entity<PreferenceVote>(entity =>
+        {
+            entity.ToTable("PreferenceVotes");
+
+            // Set primary key
+            entity.HasKey(v => v.Id);
+
+            // Configure properties
+            entity.Property(v => v.Id)
+                .HasMaxLength(100)
+                .ValueGeneratedNever();
+
+            entity.Property(v => v.PromptId)
+                .IsRequired()
+                .HasMaxLength(255);
+
+            entity.Property(v => v.ModelAId)
+                .IsRequired()
+                .HasMaxLength(255);
+
+            entity.Property(v => v.ProviderA)
+                .HasMaxLength(50);
+
+            entity.Property(v => v.ModelBId)
+                .IsRequired()
+                .HasMaxLength(255);
+
+            entity.Property(v => v.ProviderB)
+                .HasMaxLength(50);
+
+            entity.Property(v => v.Outcome)
+                .HasConversion<string>()
+                .HasMaxLength(20);
+
+            entity.Property(v => v.RaterId)
+                .HasMaxLength(100);
+
+            entity.Property(v => v.IsBlind)
+                .IsRequired()
+                .HasDefaultValue(false);
+
+            entity.Property(v => v.CreatedAt)
+                .IsRequired();
+
+            entity.HasIndex(v => v.PromptId);
+            entity.HasIndex(v => v.CreatedAt);
+        });
+
+        // Configure Rater entity (rater profiles)
+        modelBuilder.Entity<Rater>(entity =>
+        {
+            entity.ToTable("Raters");
+
+            // Set primary key
+            entity.HasKey(r => r.Id);
+
+            // Configure properties
+            entity.Property(r => r.Id)
+                .HasMaxLength(100)
+                .ValueGeneratedNever();
+
+            // Names are unique regardless of case
+            entity.Property(r => r.Name)
+                .IsRequired()
+                .HasMaxLength(Rater.MaxNameLength)
+                .UseCollation("NOCASE");
+
+            entity.Property(r => r.CreatedAt)
+                .IsRequired();
+
+            entity.HasIndex(r => r.Name)
+                .IsUnique();
+        });
+
+        // Configure PromptRecord entity (prompt IDs issued from normalized content)
+        modelBuilder.Entity<PromptRecord>(entity =>
+        {
+            entity.ToTable("Prompts");
+
+            // Set primary key
+            entity.HasKey(p => p.Id);
+
+            // Configure properties
+            entity.Property(p => p.Id)
+                .HasMaxLength(PromptRecord.MaxIdLength)
+                .ValueGeneratedNever();
+
+            entity.Property(p => p.Text)
+                .IsRequired();
+
+            entity.Property(p => p.Content)
+                .IsRequired();
+
+            entity.Property(p => p.CreatedAt)
+                .IsRequired();
+        });
     }
 }
\ No newline at end of file
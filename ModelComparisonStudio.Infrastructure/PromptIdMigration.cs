@@ -0,0 +1,247 @@
+using System.Text;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Services;
+
+namespace ModelComparisonStudio.Infrastructure;
+
+/// <summary>
+/// Moves evaluations and preference votes from prompt IDs made by the browser's former 32-bit
+/// string hash to IDs issued from the normalized prompt content.
+/// </summary>
+/// <remarks>
+/// Different prompts could collide under one legacy ID and have their ratings merged, while
+/// prompts differing only in whitespace were split. Evaluations store only the text of their own
+/// turn, so the legacy ID of a conversation turn is recomputed from the saved comparison history:
+/// for every turn the system prompt and earlier turns are hashed the way the browser did. Each
+/// (legacy ID, prompt text) group of evaluations then moves to the ID issued for its content.
+/// Groups that cannot be traced, for example because their comparison was deleted, keep their
+/// legacy ID unless other prompts share it; a collided group is split off under the ID of its text
+/// alone, losing only its conversation context. Preference votes carry no prompt text, so they
+/// move only when their legacy ID maps to a single issued ID. Running the migration again finds
+/// nothing left to move.
+/// </remarks>
+public static class PromptIdMigration
+{
+    /// <summary>
+    /// Re-keys evaluations and votes stored under legacy prompt IDs and registers the issued prompts.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public static async Task MigrateLegacyPromptIdsAsync(
+        ApplicationDbContext context,
+        ILogger logger,
+        CancellationToken cancellationToken = default)
+    {
+        var groups = (await context.Evaluations
+                .Where(e => e.PromptId.StartsWith(PromptIdentity.IdPrefix))
+                .Select(e => new { e.PromptId, e.PromptText })
+                .Distinct()
+                .ToListAsync(cancellationToken))
+            .Where(g => PromptIdentity.IsLegacyId(g.PromptId) && !string.IsNullOrWhiteSpace(g.PromptText))
+            .ToList();
+        var votedPromptIds = (await context.PreferenceVotes
+                .Where(v => v.PromptId.StartsWith(PromptIdentity.IdPrefix))
+                .Select(v => v.PromptId)
+                .Distinct()
+                .ToListAsync(cancellationToken))
+            .Where(PromptIdentity.IsLegacyId)
+            .ToList();
+
+        if (groups.Count == 0 && votedPromptIds.Count == 0)
+        {
+            return;
+        }
+
+        logger.LogInformation("Migrating {GroupCount} evaluation groups and {VoteCount} voted prompts from legacy prompt IDs",
+            groups.Count, votedPromptIds.Count);
+
+        // Legacy ID and normalized turn text -> records the browser would have hashed to that ID
+        var knownTurns = await GetHistoryTurnsAsync(context, cancellationToken);
+        var moves = new List<(string LegacyId, string PromptText, PromptRecord Record)>();
+        var untraced = new List<(string LegacyId, string PromptText)>();
+
+        foreach (var group in groups)
+        {
+            var candidates = knownTurns
+                .GetValueOrDefault((group.PromptId, PromptIdentity.NormalizeText(group.PromptText)), new List<PromptRecord>())
+                .DistinctBy(r => r.Id)
+                .ToList();
+
+            // A lone prompt rated outside any saved comparison still hashes from its own text
+            if (candidates.Count == 0 && PromptIdentity.CreateLegacyId(group.PromptText) == group.PromptId)
+            {
+                candidates.Add(PromptRecord.Create(group.PromptText));
+            }
+
+            if (candidates.Count == 1)
+            {
+                moves.Add((group.PromptId, group.PromptText, candidates[0]));
+            }
+            else
+            {
+                untraced.Add((group.PromptId, group.PromptText));
+            }
+        }
+
+        // Split apart different prompts that are still merged under one legacy ID
+        var keptLegacyIds = new HashSet<string>();
+        foreach (var legacyGroups in untraced.GroupBy(g => g.LegacyId))
+        {
+            if (legacyGroups.Select(g => PromptIdentity.NormalizeText(g.PromptText)).Distinct().Count() == 1)
+            {
+                keptLegacyIds.Add(legacyGroups.Key);
+                continue;
+            }
+
+            logger.LogWarning("Legacy prompt ID {PromptId} is shared by {TextCount} different prompts; splitting them by prompt text",
+                legacyGroups.Key, legacyGroups.Count());
+            moves.AddRange(legacyGroups.Select(g => (g.LegacyId, g.PromptText, PromptRecord.Create(g.PromptText))));
+        }
+
+        await using var transaction = await context.Database.BeginTransactionAsync(cancellationToken);
+
+        var records = new Dictionary<string, PromptRecord>();
+        foreach (var (legacyId, promptText, record) in moves)
+        {
+            records.TryAdd(record.Id, record);
+            await context.Evaluations
+                .Where(e => e.PromptId == legacyId && e.PromptText == promptText)
+                .ExecuteUpdateAsync(s => s.SetProperty(e => e.PromptId, record.Id), cancellationToken);
+        }
+
+        // Votes follow their prompt only when the legacy ID stood for exactly one prompt
+        foreach (var legacyId in votedPromptIds)
+        {
+            var issued = moves
+                .Where(m => m.LegacyId == legacyId)
+                .Select(m => m.Record)
+                .Concat(knownTurns.Where(t => t.Key.LegacyId == legacyId).SelectMany(t => t.Value))
+                .DistinctBy(r => r.Id)
+                .ToList();
+            if (issued.Count != 1 || keptLegacyIds.Contains(legacyId))
+            {
+                logger.LogWarning("Preference votes for legacy prompt ID {PromptId} were left in place because it cannot be traced to a single prompt",
+                    legacyId);
+                continue;
+            }
+
+            records.TryAdd(issued[0].Id, issued[0]);
+            await context.PreferenceVotes
+                .Where(v => v.PromptId == legacyId)
+                .ExecuteUpdateAsync(s => s.SetProperty(v => v.PromptId, issued[0].Id), cancellationToken);
+        }
+
+        var existingIds = await context.PromptRecords
+            .Select(p => p.Id)
+            .ToListAsync(cancellationToken);
+        context.PromptRecords.AddRange(records.Values.Where(r => !existingIds.Contains(r.Id)));
+        await context.SaveChangesAsync(cancellationToken);
+
+        await transaction.CommitAsync(cancellationToken);
+
+        logger.LogInformation("Moved {MoveCount} evaluation groups to {PromptCount} issued prompt IDs; {KeptCount} legacy IDs could not be traced and were kept",
+            moves.Count, records.Count, keptLegacyIds.Count);
+    }
+
+    // Every saved turn, keyed by the legacy ID the browser gave it and its normalized text
+    private static async Task<Dictionary<(string LegacyId, string Text), List<PromptRecord>>> GetHistoryTurnsAsync(
+        ApplicationDbContext context,
+        CancellationToken cancellationToken)
+    {
+        var comparisons = await context.Comparisons
+            .AsNoTracking()
+            .Select(c => new { c.Id, c.Prompt, c.SystemPrompt, c.ConversationId, c.TurnNumber })
+            .ToListAsync(cancellationToken);
+
+        var turns = new Dictionary<(string, string), List<PromptRecord>>();
+        foreach (var conversation in comparisons.GroupBy(c => c.ConversationId ?? c.Id))
+        {
+            var ordered = conversation.OrderBy(c => c.TurnNumber).ToList();
+            var systemPrompt = ordered[0].SystemPrompt ?? string.Empty;
+            var prompts = new List<string>();
+
+            foreach (var comparison in ordered)
+            {
+                if (string.IsNullOrWhiteSpace(comparison.Prompt))
+                {
+                    continue;
+                }
+
+                var legacyId = CreateLegacyTurnId(systemPrompt, prompts.Append(comparison.Prompt).ToList());
+                var key = (legacyId, PromptIdentity.NormalizeText(comparison.Prompt));
+                if (!turns.TryGetValue(key, out var records))
+                {
+                    turns[key] = records = new List<PromptRecord>();
+                }
+                records.Add(PromptRecord.Create(comparison.Prompt, systemPrompt, prompts));
+
+                prompts.Add(comparison.Prompt);
+            }
+        }
+
+        return turns;
+    }
+
+    // The browser hashed a lone prompt's text, and anything else as JSON.stringify({ system, turns })
+    private static string CreateLegacyTurnId(string systemPrompt, IReadOnlyList<string> prompts)
+    {
+        if (systemPrompt.Length == 0 && prompts.Count == 1)
+        {
+            return PromptIdentity.CreateLegacyId(prompts[0]);
+        }
+
+        var json = new StringBuilder("{\"system\":");
+        AppendJavaScriptString(json, systemPrompt);
+        json.Append(",\"turns\":[");
+        for (var i = 0; i < prompts.Count; i++)
+        {
+            if (i > 0)
+            {
+                json.Append(',');
+            }
+            AppendJavaScriptString(json, prompts[i]);
+        }
+        json.Append("]}");
+
+        return PromptIdentity.CreateLegacyId(json.ToString());
+    }
+
+    // Quotes a string exactly as JSON.stringify does, which escapes less than System.Text.Json
+    private static void AppendJavaScriptString(StringBuilder json, string value)
+    {
+        json.Append('"');
+        for (var i = 0; i < value.Length; i++)
+        {
+            var c = value[i];
+            switch (c)
+            {
+                case '"': json.Append("\\\""); break;
+                case '\\': json.Append("\\\\"); break;
+                case '\b': json.Append("\\b"); break;
+                case '\f': json.Append("\\f"); break;
+                case '\n': json.Append("\\n"); break;
+                case '\r': json.Append("\\r"); break;
+                case '\t': json.Append("\\t"); break;
+                default:
+                    var pairedSurrogate = char.IsHighSurrogate(c) && i + 1 < value.Length && char.IsLowSurrogate(value[i + 1]);
+                    if (pairedSurrogate)
+                    {
+                        json.Append(c).Append(value[++i]);
+                    }
+                    else if (c < ' ' || char.IsSurrogate(c))
+                    {
+                        json.Append("\\u").Append(((int)c).ToString("x4"));
+                    }
+                    else
+                    {
+                        json.Append(c);
+                    }
+                    break;
+            }
+        }
+        json.Append('"');
+    }
+}
@@ -176,7 +176,7 @@ public class InMemoryEvaluationRepository : IEvaluationRepository
 
         var ratings = _evaluations.Values
             .Where(e => e.ModelId.Equals(modelId, StringComparison.OrdinalIgnoreCase) && e.Rating.HasValue)
-            .Select(e => e.Rating.GetValueOrDefault())
+            .Select(e => e.WeightedScore ?? e.Rating.GetValueOrDefault())
             .ToList();
 
         if (!ratings.Any())
@@ -199,7 +199,7 @@ public class InMemoryEvaluationRepository : IEvaluationRepository
     }
 
     /// <inheritdoc />
-    public Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, CancellationToken cancellationToken = default)
+    public Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, string? provider = null, string? raterId = null, CancellationToken cancellationToken = default)
     {
         if (string.IsNullOrWhiteSpace(promptId))
             throw new ArgumentException("Prompt ID cannot be null or empty", nameof(promptId));
@@ -209,7 +209,9 @@ public class InMemoryEvaluationRepository : IEvaluationRepository
         var evaluation = _evaluations.Values
             .FirstOrDefault(e =>
                 e.PromptId.Equals(promptId, StringComparison.OrdinalIgnoreCase) &&
-                e.ModelId.Equals(modelId, StringComparison.OrdinalIgnoreCase));
+                e.ModelId.Equals(modelId, StringComparison.OrdinalIgnoreCase) &&
+                string.Equals(e.Provider, provider, StringComparison.OrdinalIgnoreCase) &&
+                e.RaterId == raterId);
 
         return Task.FromResult(evaluation);
     }
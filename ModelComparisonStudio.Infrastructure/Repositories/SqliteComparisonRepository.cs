@@ -0,0 +1,213 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the comparison history repository using Entity Framework Core.
+/// </summary>
+public class SqliteComparisonRepository : IModelRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqliteComparisonRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqliteComparisonRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqliteComparisonRepository(ApplicationDbContext context, ILogger<SqliteComparisonRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<Comparison> SaveComparisonAsync(Comparison comparison, CancellationToken cancellationToken = default)
+    {
+        if (comparison == null)
+            throw new ArgumentNullException(nameof(comparison));
+
+        try
+        {
+            var existing = await _context.Comparisons
+                .Include(c => c.Results)
+                .FirstOrDefaultAsync(c => c.Id == comparison.Id, cancellationToken);
+
+            if (existing != null)
+            {
+                // A comparison ID is only ever executed once, so replace any stale copy
+                _logger.LogDebug("Replacing existing comparison {ComparisonId}", comparison.Id);
+                _context.Comparisons.Remove(existing);
+                await _context.SaveChangesAsync(cancellationToken);
+            }
+
+            await _context.Comparisons.AddAsync(comparison, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Comparison {ComparisonId} saved to history with {ModelCount} results",
+                comparison.Id, comparison.Results.Count);
+
+            return comparison;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save comparison {ComparisonId}", comparison.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Comparison?> GetComparisonByIdAsync(string comparisonId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Comparisons
+                .AsNoTracking()
+                .Include(c => c.Results)
+                .FirstOrDefaultAsync(c => c.Id == comparisonId, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparison {ComparisonId}", comparisonId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<Comparison>> GetConversationAsync(string conversationId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // Comparisons saved before conversations were tracked are a conversation of their own
+            return await _context.Comparisons
+                .AsNoTracking()
+                .Include(c => c.Results)
+                .Where(c => c.ConversationId == conversationId || (c.ConversationId == null && c.Id == conversationId))
+                .OrderBy(c => c.TurnNumber)
+                .ThenBy(c => c.ExecutedAt)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get conversation {ConversationId}", conversationId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<Comparison>> GetComparisonsAsync(int skip = 0, int take = 50, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Comparisons
+                .AsNoTracking()
+                .Include(c => c.Results)
+                .OrderByDescending(c => c.ExecutedAt)
+                .Skip(skip)
+                .Take(take)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparisons (skip: {Skip}, take: {Take})", skip, take);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<Comparison>> GetComparisonsByDateRangeAsync(
+        DateTime startDate,
+        DateTime endDate,
+        int skip = 0,
+        int take = 50,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Comparisons
+                .AsNoTracking()
+                .Include(c => c.Results)
+                .Where(c => c.ExecutedAt >= startDate && c.ExecutedAt <= endDate)
+                .OrderByDescending(c => c.ExecutedAt)
+                .Skip(skip)
+                .Take(take)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparisons between {StartDate} and {EndDate}", startDate, endDate);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<bool> DeleteComparisonAsync(string comparisonId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var comparison = await _context.Comparisons
+                .Include(c => c.Results)
+                .FirstOrDefaultAsync(c => c.Id == comparisonId, cancellationToken);
+
+            if (comparison == null)
+            {
+                _logger.LogWarning("Comparison {ComparisonId} not found for deletion", comparisonId);
+                return false;
+            }
+
+            _context.Comparisons.Remove(comparison);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Comparison {ComparisonId} deleted from history", comparisonId);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete comparison {ComparisonId}", comparisonId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<ComparisonStatistics> GetStatisticsAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var comparisons = await _context.Comparisons
+                .AsNoTracking()
+                .Include(c => c.Results)
+                .ToListAsync(cancellationToken);
+
+            var results = comparisons.SelectMany(c => c.Results).ToList();
+            var successfulResults = results.Where(r => r.Status == ModelResultStatus.Success).ToList();
+
+            return new ComparisonStatistics
+            {
+                TotalComparisons = comparisons.Count,
+                SuccessfulComparisons = comparisons.Count(c => c.SuccessfulModels > 0),
+                FailedComparisons = comparisons.Count(c => c.SuccessfulModels == 0),
+                AverageResponseTimeMs = successfulResults.Any() ? successfulResults.Average(r => r.ResponseTimeMs) : 0,
+                TotalTokensUsed = results.Sum(r => r.TokenCount ?? 0),
+                MostUsedModel = results
+                    .GroupBy(r => r.ModelId)
+                    .OrderByDescending(g => g.Count())
+                    .Select(g => g.Key)
+                    .FirstOrDefault(),
+                MostUsedProvider = results
+                    .Where(r => !string.IsNullOrEmpty(r.Provider))
+                    .GroupBy(r => r.Provider)
+                    .OrderByDescending(g => g.Count())
+                    .Select(g => g.Key)
+                    .FirstOrDefault()
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get comparison statistics");
+            throw;
+        }
+    }
+}
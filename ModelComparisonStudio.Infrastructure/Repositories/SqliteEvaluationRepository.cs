@@ -331,7 +331,7 @@ public class SqliteEvaluationRepository : IEvaluationRepository
             var averageRating = await _context.Evaluations
                 .AsNoTracking()
                 .Where(e => EF.Functions.Like(e.ModelId, modelId) && e.Rating.HasValue)
-                .Select(e => e.Rating.GetValueOrDefault())
+                .Select(e => e.WeightedScore ?? e.Rating.GetValueOrDefault())
                 .AverageAsync(cancellationToken)
                 .ConfigureAwait(false);
 
@@ -372,7 +372,7 @@ public class SqliteEvaluationRepository : IEvaluationRepository
     }
 
     /// <inheritdoc />
-    public async Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, CancellationToken cancellationToken = default)
+    public async Task<Evaluation?> GetByPromptIdAndModelIdAsync(string promptId, string modelId, string? provider = null, string? raterId = null, CancellationToken cancellationToken = default)
     {
         if (string.IsNullOrWhiteSpace(promptId))
             throw new ArgumentException("Prompt ID cannot be null or empty", nameof(promptId));
@@ -387,7 +387,9 @@ public class SqliteEvaluationRepository : IEvaluationRepository
                 .AsNoTracking()
                 .FirstOrDefaultAsync(e =>
                     EF.Functions.Like(e.PromptId, promptId) &&
-                    EF.Functions.Like(e.ModelId, modelId),
+                    EF.Functions.Like(e.ModelId, modelId) &&
+                    e.Provider == provider &&
+                    e.RaterId == raterId,
                     cancellationToken);
         }
         catch (Exception ex)
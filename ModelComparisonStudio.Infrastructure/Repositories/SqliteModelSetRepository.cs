@@ -0,0 +1,147 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the model set repository using Entity Framework Core.
+/// </summary>
+public class SqliteModelSetRepository : IModelSetRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqliteModelSetRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqliteModelSetRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqliteModelSetRepository(ApplicationDbContext context, ILogger<SqliteModelSetRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<ModelSet>> GetAllAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.ModelSets
+                .AsNoTracking()
+                .OrderBy(m => m.Name)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get model sets");
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<ModelSet?> GetByIdAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.ModelSets
+                .FirstOrDefaultAsync(m => m.Id == id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get model set {ModelSetId}", id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<ModelSet?> GetByNameAsync(string name, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // The Name column uses NOCASE collation, so this comparison ignores case
+            var trimmedName = name.Trim();
+            return await _context.ModelSets
+                .AsNoTracking()
+                .FirstOrDefaultAsync(m => m.Name == trimmedName, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get model set named {ModelSetName}", name);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<ModelSet> AddAsync(ModelSet modelSet, CancellationToken cancellationToken = default)
+    {
+        if (modelSet == null)
+            throw new ArgumentNullException(nameof(modelSet));
+
+        try
+        {
+            await _context.ModelSets.AddAsync(modelSet, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Model set {ModelSetId} ({Name}) saved with {ModelCount} models",
+                modelSet.Id, modelSet.Name, modelSet.Models.Count);
+
+            return modelSet;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save model set {ModelSetId}", modelSet.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<ModelSet> UpdateAsync(ModelSet modelSet, CancellationToken cancellationToken = default)
+    {
+        if (modelSet == null)
+            throw new ArgumentNullException(nameof(modelSet));
+
+        try
+        {
+            _context.ModelSets.Update(modelSet);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Model set {ModelSetId} ({Name}) updated", modelSet.Id, modelSet.Name);
+            return modelSet;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to update model set {ModelSetId}", modelSet.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<bool> DeleteAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var modelSet = await _context.ModelSets
+                .FirstOrDefaultAsync(m => m.Id == id, cancellationToken);
+
+            if (modelSet == null)
+            {
+                _logger.LogWarning("Model set {ModelSetId} not found for deletion", id);
+                return false;
+            }
+
+            _context.ModelSets.Remove(modelSet);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Model set {ModelSetId} deleted", id);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete model set {ModelSetId}", id);
+            throw;
+        }
+    }
+}
@@ -0,0 +1,100 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the preference vote repository using Entity Framework Core.
+/// </summary>
+public class SqlitePreferenceVoteRepository : IPreferenceVoteRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqlitePreferenceVoteRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqlitePreferenceVoteRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqlitePreferenceVoteRepository(ApplicationDbContext context, ILogger<SqlitePreferenceVoteRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<PreferenceVote> AddAsync(PreferenceVote vote, CancellationToken cancellationToken = default)
+    {
+        if (vote == null)
+            throw new ArgumentNullException(nameof(vote));
+
+        try
+        {
+            await _context.PreferenceVotes.AddAsync(vote, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Preference vote {VoteId} saved: {ModelA} vs {ModelB} = {Outcome}",
+                vote.Id, vote.ModelAId, vote.ModelBId, vote.Outcome);
+
+            return vote;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save preference vote {VoteId}", vote.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<PreferenceVote>> GetByPromptIdAsync(string promptId, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.PreferenceVotes
+                .AsNoTracking()
+                .Where(v => v.PromptId == promptId)
+                .OrderBy(v => v.CreatedAt)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get preference votes for prompt {PromptId}", promptId);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<PreferenceVote>> GetAllAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.PreferenceVotes
+                .AsNoTracking()
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get preference votes");
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<PreferenceVote>> GetAllSinceAsync(DateTime startDate, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.PreferenceVotes
+                .AsNoTracking()
+                .Where(v => v.CreatedAt >= startDate)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get preference votes since {StartDate}", startDate);
+            throw;
+        }
+    }
+}
@@ -0,0 +1,64 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the prompt record repository using Entity Framework Core.
+/// </summary>
+public class SqlitePromptRecordRepository : IPromptRecordRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqlitePromptRecordRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqlitePromptRecordRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqlitePromptRecordRepository(ApplicationDbContext context, ILogger<SqlitePromptRecordRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<PromptRecord?> GetByIdAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.PromptRecords
+                .AsNoTracking()
+                .FirstOrDefaultAsync(p => p.Id == id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get prompt record {PromptId}", id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<PromptRecord> AddAsync(PromptRecord record, CancellationToken cancellationToken = default)
+    {
+        if (record == null)
+            throw new ArgumentNullException(nameof(record));
+
+        try
+        {
+            await _context.PromptRecords.AddAsync(record, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Prompt record {PromptId} saved", record.Id);
+
+            return record;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save prompt record {PromptId}", record.Id);
+            throw;
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the rater repository using Entity Framework Core.
+/// </summary>
+public class SqliteRaterRepository : IRaterRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqliteRaterRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqliteRaterRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqliteRaterRepository(ApplicationDbContext context, ILogger<SqliteRaterRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<Rater>> GetAllAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Raters
+                .AsNoTracking()
+                .OrderBy(r => r.Name)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get raters");
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rater?> GetByIdAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Raters
+                .AsNoTracking()
+                .FirstOrDefaultAsync(r => r.Id == id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rater {RaterId}", id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rater?> GetByNameAsync(string name, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // The Name column uses NOCASE collation, so this comparison ignores case
+            var trimmedName = name.Trim();
+            return await _context.Raters
+                .AsNoTracking()
+                .FirstOrDefaultAsync(r => r.Name == trimmedName, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rater named {RaterName}", name);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rater> AddAsync(Rater rater, CancellationToken cancellationToken = default)
+    {
+        if (rater == null)
+            throw new ArgumentNullException(nameof(rater));
+
+        try
+        {
+            await _context.Raters.AddAsync(rater, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Rater {RaterId} ({Name}) saved", rater.Id, rater.Name);
+
+            return rater;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save rater {RaterId}", rater.Id);
+            throw;
+        }
+    }
+}
@@ -0,0 +1,147 @@
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Interfaces;
+
+namespace ModelComparisonStudio.Infrastructure.Repositories;
+
+/// <summary>
+/// SQLite implementation of the rubric repository using Entity Framework Core.
+/// </summary>
+public class SqliteRubricRepository : IRubricRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ILogger<SqliteRubricRepository> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the SqliteRubricRepository.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    public SqliteRubricRepository(ApplicationDbContext context, ILogger<SqliteRubricRepository> logger)
+    {
+        _context = context ?? throw new ArgumentNullException(nameof(context));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <inheritdoc />
+    public async Task<IReadOnlyList<Rubric>> GetAllAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Rubrics
+                .AsNoTracking()
+                .OrderBy(r => r.Name)
+                .ToListAsync(cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rubrics");
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rubric?> GetByIdAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            return await _context.Rubrics
+                .FirstOrDefaultAsync(r => r.Id == id, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rubric {RubricId}", id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rubric?> GetByNameAsync(string name, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // The Name column uses NOCASE collation, so this comparison ignores case
+            var trimmedName = name.Trim();
+            return await _context.Rubrics
+                .AsNoTracking()
+                .FirstOrDefaultAsync(r => r.Name == trimmedName, cancellationToken);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to get rubric named {RubricName}", name);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rubric> AddAsync(Rubric rubric, CancellationToken cancellationToken = default)
+    {
+        if (rubric == null)
+            throw new ArgumentNullException(nameof(rubric));
+
+        try
+        {
+            await _context.Rubrics.AddAsync(rubric, cancellationToken);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Rubric {RubricId} ({Name}) saved with {CriterionCount} criteria",
+                rubric.Id, rubric.Name, rubric.Criteria.Count);
+
+            return rubric;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save rubric {RubricId}", rubric.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<Rubric> UpdateAsync(Rubric rubric, CancellationToken cancellationToken = default)
+    {
+        if (rubric == null)
+            throw new ArgumentNullException(nameof(rubric));
+
+        try
+        {
+            _context.Rubrics.Update(rubric);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Rubric {RubricId} ({Name}) updated", rubric.Id, rubric.Name);
+            return rubric;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to update rubric {RubricId}", rubric.Id);
+            throw;
+        }
+    }
+
+    /// <inheritdoc />
+    public async Task<bool> DeleteAsync(string id, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var rubric = await _context.Rubrics
+                .FirstOrDefaultAsync(r => r.Id == id, cancellationToken);
+
+            if (rubric == null)
+            {
+                _logger.LogWarning("Rubric {RubricId} not found for deletion", id);
+                return false;
+            }
+
+            _context.Rubrics.Remove(rubric);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            _logger.LogInformation("Rubric {RubricId} deleted", id);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete rubric {RubricId}", id);
+            throw;
+        }
+    }
+}
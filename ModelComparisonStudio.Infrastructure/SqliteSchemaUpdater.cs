@@ -0,0 +1,147 @@
+using System.Data;
+using System.Text.RegularExpressions;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Metadata;
+using Microsoft.Extensions.Logging;
+
+namespace ModelComparisonStudio.Infrastructure;
+
+/// <summary>
+/// Brings an existing SQLite database up to date with the current model.
+/// </summary>
+/// <remarks>
+/// The application creates its database with EnsureCreated, which does nothing once the file exists.
+/// This updater creates any tables that are missing, adds columns that were introduced after the
+/// database was first created, and then creates missing indexes. It never drops or alters existing data.
+/// </remarks>
+public static class SqliteSchemaUpdater
+{
+    private static readonly Regex StatementEnd = new(@";\s*(?:\r?\n|$)", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Creates missing tables, columns and indexes for the given context.
+    /// </summary>
+    /// <param name="context">The database context.</param>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public static async Task UpdateSchemaAsync(
+        ApplicationDbContext context,
+        ILogger logger,
+        CancellationToken cancellationToken = default)
+    {
+        var statements = GetCreateStatements(context);
+
+        // An index may cover a column that an existing table only gets in between
+        await ExecuteStatementsAsync(context, statements.Where(s => !IsCreateIndex(s)), cancellationToken);
+        await AddMissingColumnsAsync(context, logger, cancellationToken);
+        await ExecuteStatementsAsync(context, statements.Where(IsCreateIndex), cancellationToken);
+    }
+
+    private static List<string> GetCreateStatements(ApplicationDbContext context)
+    {
+        // Make the generated create script idempotent so it only adds what does not exist yet
+        var script = context.Database.GenerateCreateScript()
+            .Replace("CREATE TABLE \"", "CREATE TABLE IF NOT EXISTS \"")
+            .Replace("CREATE UNIQUE INDEX \"", "CREATE UNIQUE INDEX IF NOT EXISTS \"")
+            .Replace("CREATE INDEX \"", "CREATE INDEX IF NOT EXISTS \"");
+
+        // Each statement ends with a semicolon at the end of a line
+        return StatementEnd.Split(script)
+            .Select(s => s.Trim())
+            .Where(s => s.Length > 0)
+            .ToList();
+    }
+
+    private static bool IsCreateIndex(string statement)
+    {
+        return statement.StartsWith("CREATE INDEX", StringComparison.OrdinalIgnoreCase)
+            || statement.StartsWith("CREATE UNIQUE INDEX", StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static async Task ExecuteStatementsAsync(
+        ApplicationDbContext context,
+        IEnumerable<string> statements,
+        CancellationToken cancellationToken)
+    {
+        foreach (var statement in statements)
+        {
+            await context.Database.ExecuteSqlRawAsync(statement + ";", cancellationToken);
+        }
+    }
+
+    private static async Task AddMissingColumnsAsync(ApplicationDbContext context, ILogger logger, CancellationToken cancellationToken)
+    {
+        foreach (var table in context.Model.GetRelationalModel().Tables)
+        {
+            var existingColumns = await GetExistingColumnsAsync(context, table.Name, cancellationToken);
+
+            foreach (var column in table.Columns.Where(c => !existingColumns.Contains(c.Name)))
+            {
+                var sql = $"ALTER TABLE \"{table.Name}\" ADD COLUMN \"{column.Name}\" {column.StoreType}{GetColumnConstraint(column)};";
+
+                logger.LogInformation("Adding missing column {Column} to table {Table}", column.Name, table.Name);
+                await context.Database.ExecuteSqlRawAsync(sql, cancellationToken);
+            }
+        }
+    }
+
+    private static string GetColumnConstraint(IColumn column)
+    {
+        if (column.DefaultValueSql != null)
+        {
+            return $"{(column.IsNullable ? string.Empty : " NOT NULL")} DEFAULT ({column.DefaultValueSql})";
+        }
+
+        if (column.DefaultValue != null)
+        {
+            var literal = column.StoreTypeMapping.GenerateSqlLiteral(column.DefaultValue);
+            return $"{(column.IsNullable ? string.Empty : " NOT NULL")} DEFAULT {literal}";
+        }
+
+        if (column.IsNullable)
+        {
+            return string.Empty;
+        }
+
+        // SQLite requires a default when adding a NOT NULL column to a table that may have rows
+        var fallback = column.StoreType.Equals("TEXT", StringComparison.OrdinalIgnoreCase) ? "''" : "0";
+        return $" NOT NULL DEFAULT {fallback}";
+    }
+
+    private static async Task<HashSet<string>> GetExistingColumnsAsync(
+        ApplicationDbContext context,
+        string tableName,
+        CancellationToken cancellationToken)
+    {
+        var columns = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+        var connection = context.Database.GetDbConnection();
+        var shouldClose = connection.State != ConnectionState.Open;
+
+        if (shouldClose)
+        {
+            await connection.OpenAsync(cancellationToken);
+        }
+
+        try
+        {
+            await using var command = connection.CreateCommand();
+            command.CommandText = $"PRAGMA table_info(\"{tableName}\");";
+
+            await using var reader = await command.ExecuteReaderAsync(cancellationToken);
+            while (await reader.ReadAsync(cancellationToken))
+            {
+                // Column 1 of table_info is the column name
+                columns.Add(reader.GetString(1));
+            }
+        }
+        finally
+        {
+            if (shouldClose)
+            {
+                await connection.CloseAsync();
+            }
+        }
+
+        return columns;
+    }
+}
@@ -0,0 +1,103 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using ModelComparisonStudio.Services;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class ComparisonCancellationRegistryTests
+    {
+        private readonly ComparisonCancellationRegistry _registry = new(NullLogger<ComparisonCancellationRegistry>.Instance);
+
+        [Fact]
+        public void TryCancelModel_CancelsOnlyThatModel()
+        {
+            // Arrange
+            using var scope = _registry.Register("comparison-1", CancellationToken.None)!;
+            var cancelledToken = scope.GetModelToken("openai/gpt-4o");
+            var otherToken = scope.GetModelToken("anthropic/claude-3.5-sonnet");
+
+            // Act
+            var cancelled = _registry.TryCancelModel("comparison-1", "openai/gpt-4o");
+
+            // Assert
+            Assert.True(cancelled);
+            Assert.True(cancelledToken.IsCancellationRequested);
+            Assert.False(otherToken.IsCancellationRequested);
+            Assert.False(scope.RunToken.IsCancellationRequested);
+        }
+
+        [Fact]
+        public void TryCancelModel_BeforeModelStarts_CancelsItsTokenOnceRequested()
+        {
+            // Arrange
+            using var scope = _registry.Register("comparison-1", CancellationToken.None)!;
+
+            // Act
+            _registry.TryCancelModel("comparison-1", "openai/gpt-4o");
+
+            // Assert
+            Assert.True(scope.GetModelToken("openai/gpt-4o").IsCancellationRequested);
+        }
+
+        [Fact]
+        public void TryCancelComparison_CancelsEveryModel()
+        {
+            // Arrange
+            using var scope = _registry.Register("comparison-1", CancellationToken.None)!;
+            var modelToken = scope.GetModelToken("openai/gpt-4o");
+
+            // Act
+            var cancelled = _registry.TryCancelComparison("comparison-1");
+
+            // Assert
+            Assert.True(cancelled);
+            Assert.True(scope.RunToken.IsCancellationRequested);
+            Assert.True(modelToken.IsCancellationRequested);
+        }
+
+        [Fact]
+        public void Register_WithRunningComparisonId_ReturnsNullAndKeepsRunningScope()
+        {
+            // Arrange
+            using var scope = _registry.Register("comparison-1", CancellationToken.None)!;
+
+            // Act
+            var duplicate = _registry.Register("comparison-1", CancellationToken.None);
+
+            // Assert
+            Assert.Null(duplicate);
+            Assert.True(_registry.TryCancelModel("comparison-1", "openai/gpt-4o"));
+        }
+
+        [Fact]
+        public void Dispose_UnregistersComparison()
+        {
+            // Arrange
+            var scope = _registry.Register("comparison-1", CancellationToken.None)!;
+
+            // Act
+            scope.Dispose();
+
+            // Assert
+            Assert.False(_registry.TryCancelComparison("comparison-1"));
+            Assert.False(_registry.TryCancelModel("comparison-1", "openai/gpt-4o"));
+            Assert.NotNull(_registry.Register("comparison-1", CancellationToken.None));
+        }
+
+        [Fact]
+        public void Register_WhenRequestIsAborted_CancelsRun()
+        {
+            // Arrange
+            using var requestAborted = new CancellationTokenSource();
+            using var scope = _registry.Register("comparison-1", requestAborted.Token)!;
+            var modelToken = scope.GetModelToken("openai/gpt-4o");
+
+            // Act
+            requestAborted.Cancel();
+
+            // Assert
+            Assert.True(scope.RunToken.IsCancellationRequested);
+            Assert.True(modelToken.IsCancellationRequested);
+        }
+    }
+}
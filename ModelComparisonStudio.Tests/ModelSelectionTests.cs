@@ -0,0 +1,46 @@
+using ModelComparisonStudio.Core.ValueObjects;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class ModelSelectionTests
+    {
+        [Theory]
+        [InlineData("openai/gpt-4o", "openai/gpt-4o", null)]
+        [InlineData("openai/gpt-4o@OpenRouter", "openai/gpt-4o", "OpenRouter")]
+        [InlineData("  openai/gpt-4o @ NanoGPT  ", "openai/gpt-4o", "NanoGPT")]
+        [InlineData("@NanoGPT", "@NanoGPT", null)]
+        [InlineData("openai/gpt-4o@", "openai/gpt-4o@", null)]
+        public void Parse_SplitsModelIdAndProvider(string value, string expectedModelId, string? expectedProvider)
+        {
+            // Act
+            var selection = ModelSelection.Parse(value);
+
+            // Assert
+            Assert.Equal(expectedModelId, selection.ModelId);
+            Assert.Equal(expectedProvider, selection.Provider);
+        }
+
+        [Theory]
+        [InlineData("openai/gpt-4o")]
+        [InlineData("openai/gpt-4o@OpenRouter")]
+        public void Parse_KeyRoundTrips(string value)
+        {
+            // Act
+            var selection = ModelSelection.Parse(value);
+
+            // Assert
+            Assert.Equal(value, selection.Key);
+            Assert.Equal(value, selection.ToString());
+        }
+
+        [Theory]
+        [InlineData("")]
+        [InlineData("   ")]
+        public void Parse_WithEmptyValue_Throws(string value)
+        {
+            // Act & Assert
+            Assert.Throws<ArgumentException>(() => ModelSelection.Parse(value));
+        }
+    }
+}
@@ -0,0 +1,136 @@
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Services;
+using ModelComparisonStudio.Core.ValueObjects;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class PreferenceRatingCalculatorTests
+    {
+        [Fact]
+        public void Calculate_WithMixedResults_ConvergesToMaximumLikelihoodRatings()
+        {
+            // Arrange
+            var votes = new List<PreferenceVote>();
+            votes.AddRange(CreateVotes("model-a", "model-b", PreferenceOutcome.ABetter, 5));
+            votes.AddRange(CreateVotes("model-a", "model-b", PreferenceOutcome.BBetter, 2));
+            votes.AddRange(CreateVotes("model-b", "model-c", PreferenceOutcome.ABetter, 4));
+            votes.AddRange(CreateVotes("model-b", "model-c", PreferenceOutcome.BBetter, 3));
+            votes.AddRange(CreateVotes("model-a", "model-c", PreferenceOutcome.ABetter, 3));
+            votes.AddRange(CreateVotes("model-a", "model-c", PreferenceOutcome.Tie, 2));
+
+            // Act
+            var ratings = PreferenceRatingCalculator.Calculate(votes, bootstrapRounds: 0);
+
+            // Assert
+            Assert.Equal(new[] { "model-a", "model-b", "model-c" }, ratings.Select(r => r.ModelId));
+
+            // At the fit, every model's expected score against the others and the reference equals its actual score
+            var strengths = ratings.ToDictionary(r => r.ModelId, r => ToStrength(r.Rating));
+            foreach (var rating in ratings)
+            {
+                var modelId = rating.ModelId;
+                var strength = strengths[modelId];
+                var expectedScore = strength / (strength + 1) + votes
+                    .Where(v => v.ModelAId == modelId || v.ModelBId == modelId)
+                    .Sum(v =>
+                    {
+                        var opponent = strengths[v.ModelAId == modelId ? v.ModelBId : v.ModelAId];
+                        return strength / (strength + opponent);
+                    });
+                var actualScore = rating.Wins + 0.5 * rating.Ties + 0.5;
+
+                Assert.Equal(actualScore, expectedScore, 0.01);
+            }
+        }
+
+        [Fact]
+        public void Calculate_WithSameVotes_ReturnsSameConfidenceIntervals()
+        {
+            // Arrange
+            var votes = new List<PreferenceVote>();
+            votes.AddRange(CreateVotes("model-a", "model-b", PreferenceOutcome.ABetter, 6));
+            votes.AddRange(CreateVotes("model-a", "model-b", PreferenceOutcome.BBetter, 3));
+
+            // Act
+            var first = PreferenceRatingCalculator.Calculate(votes);
+            var second = PreferenceRatingCalculator.Calculate(votes);
+
+            // Assert
+            Assert.Equal(first.Select(r => (r.LowerBound, r.UpperBound)), second.Select(r => (r.LowerBound, r.UpperBound)));
+            Assert.All(first, r => Assert.InRange(r.Rating, r.LowerBound, r.UpperBound));
+        }
+
+        [Theory]
+        [InlineData(PreferenceOutcome.Tie)]
+        [InlineData(PreferenceOutcome.BothBad)]
+        public void Calculate_WithOnlyTies_RatesBothModelsAtBaseRating(PreferenceOutcome outcome)
+        {
+            // Arrange
+            var votes = CreateVotes("model-a", "model-b", outcome, 4);
+
+            // Act
+            var ratings = PreferenceRatingCalculator.Calculate(votes, bootstrapRounds: 0);
+
+            // Assert
+            Assert.Equal(2, ratings.Count);
+            Assert.All(ratings, r =>
+            {
+                Assert.Equal(PreferenceRatingCalculator.BaseRating, r.Rating);
+                Assert.Equal(0, r.Wins);
+                Assert.Equal(0, r.Losses);
+                Assert.Equal(4, r.Ties);
+            });
+        }
+
+        [Fact]
+        public void Calculate_WithModelThatNeverWins_KeepsItsRatingFiniteAndLast()
+        {
+            // Arrange
+            var votes = new List<PreferenceVote>();
+            votes.AddRange(CreateVotes("model-a", "model-loser", PreferenceOutcome.ABetter, 5));
+            votes.AddRange(CreateVotes("model-loser", "model-b", PreferenceOutcome.BBetter, 5));
+            votes.AddRange(CreateVotes("model-a", "model-b", PreferenceOutcome.Tie, 2));
+
+            // Act
+            var ratings = PreferenceRatingCalculator.Calculate(votes, bootstrapRounds: 0);
+
+            // Assert
+            var loser = ratings.Last();
+            Assert.Equal("model-loser", loser.ModelId);
+            Assert.True(double.IsFinite(loser.Rating));
+            Assert.True(loser.Rating < PreferenceRatingCalculator.BaseRating);
+            Assert.Equal(0, loser.Wins);
+            Assert.Equal(10, loser.Losses);
+        }
+
+        [Fact]
+        public void Calculate_WithSameModelOnTwoProviders_LeavesTheVoteOut()
+        {
+            // Arrange
+            var votes = new[]
+            {
+                PreferenceVote.Create("prompt_1", "model-a", "model-a", PreferenceOutcome.ABetter, providerA: "NanoGPT", providerB: "OpenRouter")
+            };
+
+            // Act
+            var ratings = PreferenceRatingCalculator.Calculate(votes);
+
+            // Assert
+            Assert.Empty(ratings);
+        }
+
+        private static List<PreferenceVote> CreateVotes(string modelAId, string modelBId, PreferenceOutcome outcome, int count)
+        {
+            return Enumerable.Range(0, count)
+                .Select(i => PreferenceVote.Create($"prompt_{i}", modelAId, modelBId, outcome))
+                .ToList();
+        }
+
+        // Inverse of the rating scale: 1000 + 400 * log10(strength)
+        private static double ToStrength(double rating)
+        {
+            return Math.Pow(10, (rating - PreferenceRatingCalculator.BaseRating) / 400);
+        }
+    }
+}
@@ -0,0 +1,133 @@
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Services;
+using ModelComparisonStudio.Infrastructure;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class PromptIdMigrationTests : IDisposable
+    {
+        private readonly string _databasePath = Path.Combine(Path.GetTempPath(), $"prompt-id-migration-{Guid.NewGuid():N}.db");
+
+        public PromptIdMigrationTests()
+        {
+            using var context = new ApplicationDbContext(_databasePath);
+            context.Database.EnsureCreated();
+        }
+
+        public void Dispose()
+        {
+            SqliteConnection.ClearAllPools();
+            File.Delete(_databasePath);
+        }
+
+        [Fact]
+        public async Task MigrateLegacyPromptIdsAsync_WithLonePrompt_MovesEvaluationsAndVotesToIssuedId()
+        {
+            // Arrange
+            var legacyId = PromptIdentity.CreateLegacyId("Hello world");
+            await SeedAsync(
+                new[] { CreateEvaluation(legacyId, "Hello world", "model-a"), CreateEvaluation(legacyId, "Hello world", "model-b") },
+                new[] { PreferenceVote.Create(legacyId, "model-a", "model-b", PreferenceOutcome.ABetter) });
+            var issuedId = PromptRecord.Create("Hello world").Id;
+
+            // Act
+            await MigrateAsync();
+
+            // Assert
+            using var context = new ApplicationDbContext(_databasePath);
+            Assert.All(await context.Evaluations.ToListAsync(), e => Assert.Equal(issuedId, e.PromptId));
+            Assert.Equal(issuedId, (await context.PreferenceVotes.SingleAsync()).PromptId);
+            Assert.Equal("Hello world", (await context.PromptRecords.SingleAsync(p => p.Id == issuedId)).Text);
+        }
+
+        [Fact]
+        public async Task MigrateLegacyPromptIdsAsync_WithCollidingPrompts_SplitsEvaluationsByText()
+        {
+            // Arrange: "Aa" and "BB" share a legacy ID, so their ratings were merged
+            var legacyId = PromptIdentity.CreateLegacyId("Aa");
+            await SeedAsync(
+                new[] { CreateEvaluation(legacyId, "Aa", "model-a"), CreateEvaluation(legacyId, "BB", "model-a") },
+                new[] { PreferenceVote.Create(legacyId, "model-a", "model-b", PreferenceOutcome.Tie) });
+
+            // Act
+            await MigrateAsync();
+
+            // Assert
+            using var context = new ApplicationDbContext(_databasePath);
+            var evaluations = await context.Evaluations.ToListAsync();
+            Assert.Equal(PromptRecord.Create("Aa").Id, evaluations.Single(e => e.PromptText == "Aa").PromptId);
+            Assert.Equal(PromptRecord.Create("BB").Id, evaluations.Single(e => e.PromptText == "BB").PromptId);
+
+            // A vote carries no prompt text, so it can't tell which of the two prompts it was for
+            Assert.Equal(legacyId, (await context.PreferenceVotes.SingleAsync()).PromptId);
+        }
+
+        [Fact]
+        public async Task MigrateLegacyPromptIdsAsync_WithConversationTurn_UsesSavedHistory()
+        {
+            // Arrange: the browser hashed JSON.stringify({ system, turns }) for the second turn
+            const string legacyId = "prompt_1854591081";
+            await SeedAsync(
+                new[] { CreateEvaluation(legacyId, "And 3+3?", "model-a") },
+                Array.Empty<PreferenceVote>(),
+                Comparison.Create("What is 2+2?", systemPrompt: "Be brief.", conversationId: "conversation-1", turnNumber: 1),
+                Comparison.Create("And 3+3?", systemPrompt: "Be brief.", conversationId: "conversation-1", turnNumber: 2));
+            var issuedId = PromptRecord.Create("And 3+3?", "Be brief.", new[] { "What is 2+2?" }).Id;
+
+            // Act
+            await MigrateAsync();
+
+            // Assert
+            using var context = new ApplicationDbContext(_databasePath);
+            Assert.Equal(issuedId, (await context.Evaluations.SingleAsync()).PromptId);
+            Assert.NotEqual(PromptRecord.Create("And 3+3?").Id, issuedId);
+        }
+
+        [Fact]
+        public async Task MigrateLegacyPromptIdsAsync_RunTwice_LeavesMigratedDataAsIs()
+        {
+            // Arrange
+            var legacyId = PromptIdentity.CreateLegacyId("Aa");
+            await SeedAsync(
+                new[] { CreateEvaluation(legacyId, "Aa", "model-a"), CreateEvaluation(legacyId, "BB", "model-a") },
+                Array.Empty<PreferenceVote>());
+            await MigrateAsync();
+
+            // Act
+            await MigrateAsync();
+
+            // Assert
+            using var context = new ApplicationDbContext(_databasePath);
+            Assert.Equal(
+                new[] { PromptRecord.Create("Aa").Id, PromptRecord.Create("BB").Id }.OrderBy(id => id),
+                (await context.Evaluations.Select(e => e.PromptId).ToListAsync()).OrderBy(id => id));
+            Assert.Equal(2, await context.PromptRecords.CountAsync());
+        }
+
+        private async Task SeedAsync(IEnumerable<Evaluation> evaluations, IEnumerable<PreferenceVote> votes, params Comparison[] comparisons)
+        {
+            using var context = new ApplicationDbContext(_databasePath);
+            context.Evaluations.AddRange(evaluations);
+            context.PreferenceVotes.AddRange(votes);
+            context.Comparisons.AddRange(comparisons);
+            await context.SaveChangesAsync();
+        }
+
+        private async Task MigrateAsync()
+        {
+            using var context = new ApplicationDbContext(_databasePath);
+            await PromptIdMigration.MigrateLegacyPromptIdsAsync(context, NullLogger.Instance);
+        }
+
+        private static Evaluation CreateEvaluation(string promptId, string promptText, string modelId)
+        {
+            var evaluation = Evaluation.Create(promptId, promptText, modelId);
+            evaluation.UpdateRating(7);
+            return evaluation;
+        }
+    }
+}
@@ -0,0 +1,83 @@
+using ModelComparisonStudio.Core.Services;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class PromptIdentityTests
+    {
+        [Theory]
+        [InlineData("Hello world", "prompt_832992604")]
+        [InlineData("Explain quicksort in detail, please!", "prompt_827296971")]
+        [InlineData("日本語のテキスト 😀", "prompt_526171670")]
+        [InlineData("a", "prompt_97")]
+        [InlineData("", "prompt_0")]
+        public void CreateLegacyId_MatchesFormerBrowserHash(string text, string expectedId)
+        {
+            // Act
+            var id = PromptIdentity.CreateLegacyId(text);
+
+            // Assert: values computed with the removed generatePromptId from wwwroot/js/modules/utils.js
+            Assert.Equal(expectedId, id);
+        }
+
+        [Fact]
+        public void CreateId_WithWhitespaceOnlyDifferences_ReturnsSameId()
+        {
+            // Arrange
+            var content = PromptIdentity.CreateContent("Hello world");
+            var spacedContent = PromptIdentity.CreateContent("  Hello \t\n world\n");
+
+            // Act
+            var id = PromptIdentity.CreateId(content);
+            var spacedId = PromptIdentity.CreateId(spacedContent);
+
+            // Assert
+            Assert.Equal(id, spacedId);
+            Assert.Matches("^prompt_[0-9a-f]{64}$", id);
+        }
+
+        [Fact]
+        public void CreateId_WithLegacyCollision_ReturnsDifferentIds()
+        {
+            // Arrange: "Aa" and "BB" share the 32-bit string hash
+            Assert.Equal(PromptIdentity.CreateLegacyId("Aa"), PromptIdentity.CreateLegacyId("BB"));
+
+            // Act
+            var first = PromptIdentity.CreateId(PromptIdentity.CreateContent("Aa"));
+            var second = PromptIdentity.CreateId(PromptIdentity.CreateContent("BB"));
+
+            // Assert
+            Assert.NotEqual(first, second);
+        }
+
+        [Fact]
+        public void CreateContent_WithConversationContext_DiffersFromLonePrompt()
+        {
+            // Act
+            var lone = PromptIdentity.CreateContent("And three?");
+            var withSystemPrompt = PromptIdentity.CreateContent("And three?", "Be brief.");
+            var asSecondTurn = PromptIdentity.CreateContent("And three?", null, new[] { "What is two plus two?" });
+
+            // Assert
+            Assert.Equal("And three?", lone);
+            Assert.Equal("{\"system\":\"Be brief.\",\"turns\":[\"And three?\"]}", withSystemPrompt);
+            Assert.NotEqual(lone, asSecondTurn);
+            Assert.NotEqual(withSystemPrompt, asSecondTurn);
+        }
+
+        [Theory]
+        [InlineData("prompt_832992604", true)]
+        [InlineData("prompt_0", true)]
+        [InlineData("prompt_", false)]
+        [InlineData("prompt_0a1b2c", false)]
+        [InlineData("832992604", false)]
+        public void IsLegacyId_RecognizesOnlyDecimalHashIds(string promptId, bool expected)
+        {
+            // Act
+            var isLegacy = PromptIdentity.IsLegacyId(promptId);
+
+            // Assert
+            Assert.Equal(expected, isLegacy);
+        }
+    }
+}
@@ -0,0 +1,121 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using ModelComparisonStudio.Configuration;
+using ModelComparisonStudio.Core.ValueObjects;
+using ModelComparisonStudio.Infrastructure.Services;
+using ModelComparisonStudio.Services;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class ProviderFallbackPolicyTests
+    {
+        private static readonly ProviderFallbackPolicy Policy = new()
+        {
+            Retries = 3,
+            Backoff = TimeSpan.FromSeconds(2)
+        };
+
+        [Fact]
+        public void GetDelay_DoublesWithEachRetry()
+        {
+            // Act
+            var delays = Enumerable.Range(1, 3).Select(Policy.GetDelay);
+
+            // Assert
+            Assert.Equal(new[] { TimeSpan.FromSeconds(2), TimeSpan.FromSeconds(4), TimeSpan.FromSeconds(8) }, delays);
+        }
+
+        [Fact]
+        public void GetAttemptProviders_WithUnpinnedSelection_AlternatesWithFallback()
+        {
+            // Act
+            var providers = Policy.GetAttemptProviders(AIProviderNames.NanoGPT, AIProviderNames.OpenRouter, pinned: false);
+
+            // Assert
+            Assert.Equal(new[]
+            {
+                AIProviderNames.NanoGPT,
+                AIProviderNames.OpenRouter,
+                AIProviderNames.NanoGPT,
+                AIProviderNames.OpenRouter
+            }, providers);
+        }
+
+        [Fact]
+        public void GetAttemptProviders_WithPinnedSelection_RetriesOnSameProvider()
+        {
+            // Act
+            var providers = Policy.GetAttemptProviders(AIProviderNames.NanoGPT, AIProviderNames.OpenRouter, pinned: true);
+
+            // Assert
+            Assert.Equal(Enumerable.Repeat(AIProviderNames.NanoGPT, 4), providers);
+        }
+
+        [Fact]
+        public void GetAttemptProviders_WithoutFallback_MakesSingleAttemptEvenWhenPinned()
+        {
+            // Act
+            var providers = Policy.GetAttemptProviders("Local", null, pinned: true);
+
+            // Assert
+            Assert.Equal(new[] { "Local" }, providers);
+        }
+
+        [Theory]
+        [InlineData("some-model", "OpenRouter,NanoGPT,OpenRouter,NanoGPT")]
+        [InlineData("nano-model", "NanoGPT,OpenRouter,NanoGPT,OpenRouter")]
+        [InlineData("some-model@NanoGPT", "NanoGPT,NanoGPT,NanoGPT,NanoGPT")]
+        [InlineData("some-model@OpenRouter", "OpenRouter,OpenRouter,OpenRouter,OpenRouter")]
+        [InlineData("some-model@Unknown", "OpenRouter,NanoGPT,OpenRouter,NanoGPT")]
+        [InlineData("local-model@Local", "Local")]
+        public void AIServiceGetAttemptProviders_FollowsPolicyForSelection(string selection, string expectedProviders)
+        {
+            // Arrange
+            var aiService = CreateAIService();
+
+            // Act
+            var providers = aiService.GetAttemptProviders(selection, Policy);
+
+            // Assert
+            Assert.Equal(expectedProviders.Split(','), providers);
+        }
+
+        [Fact]
+        public void AIServiceGetAttemptProviders_WithoutPolicy_MakesSingleAttempt()
+        {
+            // Arrange
+            var aiService = CreateAIService();
+
+            // Act
+            var providers = aiService.GetAttemptProviders("nano-model", null);
+
+            // Assert
+            Assert.Equal(new[] { AIProviderNames.NanoGPT }, providers);
+        }
+
+        private static AIService CreateAIService()
+        {
+            var options = Options.Create(new ApiConfiguration
+            {
+                NanoGPT = new NanoGPTConfiguration { AvailableModels = new[] { "nano-model" } },
+                OpenAICompatible = new[]
+                {
+                    new OpenAICompatibleConfiguration
+                    {
+                        Name = "Local",
+                        BaseUrl = "http://localhost:8080/v1",
+                        AvailableModels = new[] { "local-model" }
+                    }
+                }
+            });
+
+            return new AIService(
+                options,
+                new ProviderRegistry(options, NullLogger<ProviderRegistry>.Instance),
+                new HttpClient(),
+                NullLogger<AIService>.Instance,
+                new QueryPerformanceMonitor(NullLogger<QueryPerformanceMonitor>.Instance));
+        }
+    }
+}
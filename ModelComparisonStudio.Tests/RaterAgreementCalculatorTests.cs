@@ -0,0 +1,118 @@
+using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.Services;
+using Xunit;
+
+namespace ModelComparisonStudio.Tests
+{
+    public class RaterAgreementCalculatorTests
+    {
+        [Fact]
+        public void Calculate_WithKrippendorffExample_ReturnsPublishedIntervalAlpha()
+        {
+            // Arrange: four observers rating twelve units with gaps, from Krippendorff's
+            // "Computing Krippendorff's Alpha-Reliability" (2011), where interval alpha is 0.849
+            var ratings = new Dictionary<string, int?[]>
+            {
+                ["rater-a"] = new int?[] { 1, 2, 3, 3, 2, 1, 4, 1, 2, null, null, null },
+                ["rater-b"] = new int?[] { 1, 2, 3, 3, 2, 2, 4, 1, 2, 5, null, 3 },
+                ["rater-c"] = new int?[] { null, 3, 3, 3, 2, 3, 4, 2, 2, 5, 1, null },
+                ["rater-d"] = new int?[] { 1, 2, 3, 3, 2, 4, 4, 1, 2, 5, 1, null }
+            };
+            var evaluations = CreateEvaluations(ratings);
+
+            // Act
+            var agreement = RaterAgreementCalculator.Calculate(evaluations);
+
+            // Assert
+            Assert.Equal(0.849, agreement.Alpha);
+            Assert.Equal(11, agreement.UnitCount);
+            Assert.Equal(40, agreement.RatingCount);
+            Assert.Equal(4, agreement.RaterCount);
+            Assert.Equal(6, agreement.Pairs.Count);
+        }
+
+        [Fact]
+        public void Calculate_WithSingleRater_HasNoAgreement()
+        {
+            // Arrange
+            var evaluations = CreateEvaluations(new Dictionary<string, int?[]>
+            {
+                ["rater-a"] = new int?[] { 3, 7, 5 }
+            });
+
+            // Act
+            var agreement = RaterAgreementCalculator.Calculate(evaluations);
+
+            // Assert
+            Assert.Null(agreement.Alpha);
+            Assert.Equal(0, agreement.UnitCount);
+            Assert.Equal(0, agreement.RaterCount);
+            Assert.Empty(agreement.Pairs);
+        }
+
+        [Fact]
+        public void Calculate_WithZeroVariance_LeavesAlphaAndCorrelationUndefined()
+        {
+            // Arrange
+            var evaluations = CreateEvaluations(new Dictionary<string, int?[]>
+            {
+                ["rater-a"] = new int?[] { 6, 6, 6 },
+                ["rater-b"] = new int?[] { 6, 6, 6 }
+            });
+
+            // Act
+            var agreement = RaterAgreementCalculator.Calculate(evaluations);
+
+            // Assert
+            Assert.Null(agreement.Alpha);
+            Assert.Equal(3, agreement.UnitCount);
+
+            var pair = Assert.Single(agreement.Pairs);
+            Assert.Null(pair.Correlation);
+            Assert.Equal(0, pair.MeanAbsoluteDifference);
+        }
+
+        [Fact]
+        public void Calculate_WithAnonymousRatings_LeavesThemOut()
+        {
+            // Arrange
+            var evaluations = CreateEvaluations(new Dictionary<string, int?[]>
+            {
+                ["rater-a"] = new int?[] { 2, 8 }
+            });
+            evaluations.AddRange(CreateEvaluations(new Dictionary<string, int?[]>
+            {
+                [""] = new int?[] { 9, 1 }
+            }));
+
+            // Act
+            var agreement = RaterAgreementCalculator.Calculate(evaluations);
+
+            // Assert
+            Assert.Null(agreement.Alpha);
+            Assert.Equal(0, agreement.UnitCount);
+        }
+
+        // One evaluation per rating; the position in each rater's array is the rated response
+        private static List<Evaluation> CreateEvaluations(Dictionary<string, int?[]> ratings)
+        {
+            var evaluations = new List<Evaluation>();
+            foreach (var (raterId, values) in ratings)
+            {
+                for (var unit = 0; unit < values.Length; unit++)
+                {
+                    if (values[unit] is not int rating)
+                    {
+                        continue;
+                    }
+
+                    var evaluation = Evaluation.Create($"prompt_{unit}", $"Prompt {unit}", "model-a", raterId: raterId);
+                    evaluation.UpdateRating(rating);
+                    evaluations.Add(evaluation);
+                }
+            }
+
+            return evaluations;
+        }
+    }
+}
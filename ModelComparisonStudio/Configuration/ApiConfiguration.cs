@@ -4,27 +4,64 @@ namespace ModelComparisonStudio.Configuration
     {
         public NanoGPTConfiguration NanoGPT { get; set; } = new();
         public OpenRouterConfiguration OpenRouter { get; set; } = new();
+
+        // Further providers that speak the OpenAI chat completions API, e.g. a local llama.cpp or Ollama server
+        public OpenAICompatibleConfiguration[] OpenAICompatible { get; set; } = Array.Empty<OpenAICompatibleConfiguration>();
         public ExecutionConfiguration Execution { get; set; } = new();
     }
 
-    public class NanoGPTConfiguration
+    // Settings every provider has; see ProviderRegistry for how they are combined
+    public class ProviderConfiguration
     {
         public string ApiKey { get; set; } = string.Empty;
-        public string BaseUrl { get; set; } = "https://nano-gpt.com/api/v1";
+        public string BaseUrl { get; set; } = string.Empty;
         public string[] AvailableModels { get; set; } = Array.Empty<string>();
+        public ModelDetailsConfiguration[] ModelDetails { get; set; } = Array.Empty<ModelDetailsConfiguration>();
     }
 
-    public class OpenRouterConfiguration
+    public class NanoGPTConfiguration : ProviderConfiguration
     {
-        public string ApiKey { get; set; } = string.Empty;
-        public string BaseUrl { get; set; } = "https://openrouter.ai/api/v1";
-        public string[] AvailableModels { get; set; } = Array.Empty<string>();
+        public NanoGPTConfiguration()
+        {
+            BaseUrl = "https://nano-gpt.com/api/v1";
+        }
+    }
+
+    public class OpenRouterConfiguration : ProviderConfiguration
+    {
+        public OpenRouterConfiguration()
+        {
+            BaseUrl = "https://openrouter.ai/api/v1";
+        }
+    }
+
+    public class OpenAICompatibleConfiguration : ProviderConfiguration
+    {
+        // Shown in the UI and used to pin models to the provider ("model@Name")
+        public string Name { get; set; } = string.Empty;
+
+        // Add the models the server lists at {BaseUrl}/models to the catalog, alongside AvailableModels
+        public bool DiscoverModels { get; set; } = true;
+    }
+
+    // Catalog metadata for a configured model; set values win over what the provider reports.
+    // Kept as a list because model IDs can contain ':', the configuration key separator
+    public class ModelDetailsConfiguration
+    {
+        public string Id { get; set; } = string.Empty;
+        public string? DisplayName { get; set; }
+        public int? ContextWindow { get; set; }
+        public decimal? InputPricePerMillion { get; set; }   // USD per million prompt tokens
+        public decimal? OutputPricePerMillion { get; set; }  // USD per million completion tokens
+        public string? Modality { get; set; }                // e.g. "text->text", "text+image->text"
+        public string[]? Capabilities { get; set; }          // tools, vision, json
     }
 
     public class ExecutionConfiguration
     {
         public int MaxConcurrentRequests { get; set; } = 2;
         public bool EnableParallelExecution { get; set; } = true;
+        public int MaxModelsPerComparison { get; set; } = 8;
 
         // Timeout configurations for different use cases
         public TimeSpan QuickTimeout { get; set; } = TimeSpan.FromMinutes(2);    // For simple prompts
@@ -35,8 +72,19 @@ namespace ModelComparisonStudio.Configuration
         public int RetryAttempts { get; set; } = 3;
         public TimeSpan RetryDelay { get; set; } = TimeSpan.FromSeconds(5);      // Increased for better reliability
 
+        // Defaults for comparisons that opt in to retrying failed models on another provider
+        public ProviderFallbackConfiguration ProviderFallback { get; set; } = new();
+
         // Performance monitoring
         public bool EnablePerformanceMonitoring { get; set; } = true;
         public TimeSpan HealthCheckInterval { get; set; } = TimeSpan.FromMinutes(1);
     }
-}
\ No newline at end of file
+
+    // A failed model is retried on the other of NanoGPT and OpenRouter, alternating between the two
+    // for further retries; requests can override both values
+    public class ProviderFallbackConfiguration
+    {
+        public int Retries { get; set; } = 1;
+        public TimeSpan Backoff { get; set; } = TimeSpan.FromSeconds(2); // doubled before each further retry
+    }
+}
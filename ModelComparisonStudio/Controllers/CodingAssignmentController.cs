@@ -4,7 +4,6 @@ using ModelComparisonStudio.Configuration;
 using ModelComparisonStudio.Services;
 using ModelComparisonStudio.Core.ValueObjects;
 using ModelComparisonStudio.Infrastructure.Services;
-using static ModelComparisonStudio.Core.ValueObjects.AIProviderNames;
 
 namespace ModelComparisonStudio.Controllers
 {
@@ -14,16 +13,19 @@ namespace ModelComparisonStudio.Controllers
     {
         private readonly AIService _aiService;
         private readonly ApiConfiguration _apiConfiguration;
+        private readonly ProviderRegistry _providerRegistry;
         private readonly ModelComparisonStudio.Infrastructure.Services.QueryPerformanceMonitor _performanceMonitor;
 
         public CodingAssignmentController(
             AIService aiService,
             IOptions<ApiConfiguration> apiConfiguration,
+            ProviderRegistry providerRegistry,
             ModelComparisonStudio.Infrastructure.Services.QueryPerformanceMonitor performanceMonitor,
             ILogger<CodingAssignmentController> logger) : base(logger)
         {
             _aiService = aiService;
             _apiConfiguration = apiConfiguration.Value;
+            _providerRegistry = providerRegistry;
             _performanceMonitor = performanceMonitor;
         }
 
@@ -93,7 +95,7 @@ namespace ModelComparisonStudio.Controllers
                     request.Assignment,
                     request.ModelId,
                     timeout,
-                    cancellationToken);
+                    cancellationToken: cancellationToken);
 
                 // Create response
                 var response = new CodingAssignmentResponse
@@ -330,10 +332,10 @@ Please provide:
         {
             try
             {
-                var nanoGPTModels = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>();
-                var openRouterModels = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>();
-
-                var allModels = nanoGPTModels.Concat(openRouterModels).Distinct().ToArray();
+                var allModels = _providerRegistry.Providers
+                    .SelectMany(provider => provider.AvailableModels)
+                    .Distinct()
+                    .ToArray();
 
                 var codingModels = allModels.Select(modelId => new CodingModelInfo
                 {
@@ -392,11 +394,7 @@ Please provide:
         /// <returns>True if the model is available, false otherwise</returns>
         private bool IsModelAvailable(string modelId)
         {
-            var nanoGPTModels = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>();
-            var openRouterModels = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>();
-
-            return nanoGPTModels.Concat(openRouterModels)
-                .Any(model => string.Equals(model, modelId, StringComparison.OrdinalIgnoreCase));
+            return _providerRegistry.Providers.Any(provider => provider.ListsModel(modelId));
         }
 
         /// <summary>
@@ -406,16 +404,8 @@ Please provide:
         /// <returns>Provider name</returns>
         private string GetProviderFromModelId(string modelId)
         {
-            var nanoGPTModels = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>();
-            var openRouterModels = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>();
-
-            if (nanoGPTModels.Any(m => string.Equals(m, modelId, StringComparison.OrdinalIgnoreCase)))
-                return NanoGPT;
-
-            if (openRouterModels.Any(m => string.Equals(m, modelId, StringComparison.OrdinalIgnoreCase)))
-                return OpenRouter;
-
-            return OpenRouter; // Default fallback
+            // The provider the model would be sent to: the first that lists it, OpenRouter otherwise
+            return _providerRegistry.Resolve(modelId).Name;
         }
 
         /// <summary>
@@ -1,10 +1,13 @@
+using System.Text.Json;
+using System.Threading.Channels;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Options;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
 using ModelComparisonStudio.Models;
 using ModelComparisonStudio.Services;
 using ModelComparisonStudio.Configuration;
 using ModelComparisonStudio.Core.ValueObjects;
-using static ModelComparisonStudio.Core.ValueObjects.AIProviderNames;
 
 namespace ModelComparisonStudio.Controllers
 {
@@ -13,16 +16,30 @@ namespace ModelComparisonStudio.Controllers
     public class ComparisonController : BaseController
     {
         private readonly AIService _aiService;
+        private readonly ComparisonCancellationRegistry _cancellationRegistry;
+        private readonly ComparisonHistoryService _historyService;
+        private readonly ModelCatalogService _modelCatalogService;
+        private readonly ProviderRegistry _providerRegistry;
         private readonly ApiConfiguration _apiConfiguration;
         private readonly ModelComparisonStudio.Infrastructure.Services.QueryPerformanceMonitor _performanceMonitor;
 
+        private static readonly JsonSerializerOptions StreamSerializerOptions = new(JsonSerializerDefaults.Web);
+
         public ComparisonController(
             AIService aiService,
+            ComparisonCancellationRegistry cancellationRegistry,
+            ComparisonHistoryService historyService,
+            ModelCatalogService modelCatalogService,
+            ProviderRegistry providerRegistry,
             IOptions<ApiConfiguration> apiConfiguration,
             ModelComparisonStudio.Infrastructure.Services.QueryPerformanceMonitor performanceMonitor,
             ILogger<ComparisonController> logger) : base(logger)
         {
             _aiService = aiService;
+            _cancellationRegistry = cancellationRegistry;
+            _historyService = historyService;
+            _modelCatalogService = modelCatalogService;
+            _providerRegistry = providerRegistry;
             _apiConfiguration = apiConfiguration.Value;
             _performanceMonitor = performanceMonitor;
         }
@@ -48,87 +65,68 @@ namespace ModelComparisonStudio.Controllers
                 _logger.LogInformation("Received comparison request for {ModelCount} models",
                     request.SelectedModels.Count);
 
-                // Validate the request
-                if (!ModelState.IsValid)
+                var validationResult = ValidateComparisonRequest(request, executionMode);
+                if (validationResult != null)
                 {
-                    var errors = ModelState.Values.SelectMany(v => v.Errors).ToList();
-                    _logger.LogWarning("Invalid comparison request: {Errors}",
-                        string.Join(", ", errors.Select(e => e.ErrorMessage)));
-
-                    // Create user-friendly error messages
-                    var friendlyErrors = errors.Select(error => error.ErrorMessage switch
-                    {
-                        string msg when msg.Contains("must be between 1 and 50000 characters") =>
-                            "Your prompt is too long! Please keep it under 50,000 characters (currently it's too long). Try breaking it into smaller sections.",
-                        string msg when msg.Contains("must be between 1 and") =>
-                            "Your prompt is too short! Please provide at least 1 character.",
-                        string msg when msg.Contains("Maximum of 3 models") =>
-                            "You can only compare up to 3 models at once. Please select fewer models.",
-                        string msg when msg.Contains("At least one model") =>
-                            "Please select at least one AI model to compare.",
-                        _ => error.ErrorMessage
-                    }).ToList();
-
-                    return BadRequest(CreateValidationErrorResponse(friendlyErrors));
+                    return validationResult;
                 }
 
-                // Validate that models are available
-                var invalidModels = request.SelectedModels.Where(model =>
-                    !IsModelAvailable(model)).ToList();
+                // Use the client's comparison ID when supplied so it can cancel the run
+                var comparisonId = string.IsNullOrWhiteSpace(request.ComparisonId)
+                    ? Guid.NewGuid().ToString()
+                    : request.ComparisonId;
 
-                if (invalidModels.Any())
+                using var cancellationScope = _cancellationRegistry.Register(comparisonId, cancellationToken);
+                if (cancellationScope == null)
                 {
-                    _logger.LogWarning("Some selected models are not available: {InvalidModels}",
-                        string.Join(", ", invalidModels));
-
-                    return BadRequest(new
-                    {
-                        error = "Some selected models are not available",
-                        invalidModels = invalidModels
-                    });
+                    return Conflict(new { error = $"Comparison '{comparisonId}' is already running" });
                 }
 
-                // Generate unique comparison ID
-                var comparisonId = Guid.NewGuid().ToString();
-
                 _logger.LogInformation("Starting comparison {ComparisonId} with {ModelCount} models using {ExecutionMode} execution",
                     comparisonId, request.SelectedModels.Count, executionMode.ToString());
 
-                // Validate execution mode
-                if (!Enum.IsDefined(typeof(ExecutionMode), executionMode))
-                {
-                    return BadRequest(new
-                    {
-                        error = $"Invalid execution mode. Use '{ExecutionMode.Parallel}' or '{ExecutionMode.Sequential}'"
-                    });
-                }
-
                 // Determine appropriate timeout based on prompt length and complexity
                 var timeout = DetermineOptimalTimeout(request.Prompt);
                 _logger.LogInformation("Using timeout of {TimeoutSeconds} seconds for comparison with {PromptLength} characters",
                     timeout.TotalSeconds, request.Prompt.Length);
 
+                var modelParameters = request.ResolveModelParameters();
+                var modelMessages = request.BuildModelMessages();
+                var fallbackPolicy = ResolveFallbackPolicy(request);
+
                 // Execute comparison based on mode
                 var modelResults = executionMode == ExecutionMode.Sequential
-                    ? await _aiService.ExecuteSequentialComparison(request.Prompt, request.SelectedModels, timeout, cancellationToken)
+                    ? await _aiService.ExecuteSequentialComparison(
+                        request.Prompt, request.SelectedModels, timeout, modelParameters, modelMessages, fallbackPolicy, cancellationScope, cancellationToken)
                     : await _aiService.ExecuteParallelComparison(
                         request.Prompt,
                         request.SelectedModels,
-                        _apiConfiguration.Execution.MaxConcurrentRequests,
+                        ResolveMaxConcurrency(request, executionMode),
                         timeout,
+                        modelParameters,
+                        modelMessages,
+                        fallbackPolicy,
+                        cancellationScope,
                         cancellationToken);
 
+                var pricing = await ResolveModelPricingAsync(request.SelectedModels, fallbackPolicy, cancellationToken);
+
                 // Map service results to response model
                 var response = new ComparisonResponse
                 {
                     ComparisonId = comparisonId,
                     Prompt = request.Prompt,
-                    Results = modelResults.Select(MapToResponseModel).ToList(),
+                    SystemPrompt = request.SystemPrompt,
+                    ConversationId = ResolveConversationId(request, comparisonId),
+                    TurnNumber = request.TurnNumber,
+                    Results = modelResults.Select(result => MapToResponseModel(result, pricing)).ToList(),
                     ExecutedAt = DateTime.UtcNow
                 };
 
-                _logger.LogInformation("Comparison {ComparisonId} completed. Success: {SuccessCount}, Failed: {FailedCount}",
-                    comparisonId, response.SuccessfulModels, response.FailedModels);
+                _logger.LogInformation("Comparison {ComparisonId} completed. Success: {SuccessCount}, Failed: {FailedCount}, Cancelled: {CancelledCount}",
+                    comparisonId, response.SuccessfulModels, response.FailedModels, response.CancelledModels);
+
+                await SaveToHistoryAsync(response);
 
                 return Ok(response);
             }
@@ -140,6 +138,197 @@ namespace ModelComparisonStudio.Controllers
             }
         }
 
+        /// <summary>
+        /// Executes a comparison and streams every model's response token-by-token as server-sent events
+        /// </summary>
+        /// <param name="request">Comparison request with prompt and selected models</param>
+        /// <param name="executionMode">Execution mode: Parallel (default) or Sequential</param>
+        /// <param name="cancellationToken">Cancellation token, triggered when the client disconnects</param>
+        /// <remarks>
+        /// Emits "start", then "model-start", "token" and "model-complete" events per model,
+        /// and finally a "complete" event carrying the full <see cref="ComparisonResponse"/>.
+        /// With provider fallback, a "model-retry" event precedes each retry of a failed model.
+        /// </remarks>
+        [HttpPost("stream")]
+        [Produces(MimeTypes.TextEventStream)]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+        public async Task<IActionResult> StreamComparison(
+            [FromBody] ComparisonRequest request,
+            [FromQuery] ExecutionMode executionMode = ExecutionMode.Parallel,
+            CancellationToken cancellationToken = default)
+        {
+            var validationResult = ValidateComparisonRequest(request, executionMode);
+            if (validationResult != null)
+            {
+                return validationResult;
+            }
+
+            var comparisonId = string.IsNullOrWhiteSpace(request.ComparisonId)
+                ? Guid.NewGuid().ToString()
+                : request.ComparisonId;
+
+            using var cancellationScope = _cancellationRegistry.Register(comparisonId, cancellationToken);
+            if (cancellationScope == null)
+            {
+                return Conflict(new { error = $"Comparison '{comparisonId}' is already running" });
+            }
+
+            try
+            {
+                _logger.LogInformation("Starting streaming comparison {ComparisonId} with {ModelCount} models using {ExecutionMode} execution",
+                    comparisonId, request.SelectedModels.Count, executionMode.ToString());
+
+                Response.ContentType = MimeTypes.TextEventStream;
+                Response.Headers.CacheControl = "no-cache";
+                Response.Headers["X-Accel-Buffering"] = "no";
+
+                await WriteStreamEventAsync("start", new
+                {
+                    comparisonId,
+                    conversationId = ResolveConversationId(request, comparisonId),
+                    turnNumber = request.TurnNumber,
+                    prompt = request.Prompt,
+                    models = request.SelectedModels,
+                    executionMode = executionMode.ToString(),
+                    maxConcurrency = ResolveMaxConcurrency(request, executionMode)
+                }, cancellationToken);
+
+                var timeout = DetermineOptimalTimeout(request.Prompt);
+                var maxConcurrency = ResolveMaxConcurrency(request, executionMode);
+                var fallbackPolicy = ResolveFallbackPolicy(request);
+
+                // Pricing may need catalog requests, so it loads alongside the stream and is only awaited for costs
+                var pricingTask = ResolveModelPricingAsync(request.SelectedModels, fallbackPolicy, cancellationToken);
+
+                var channel = Channel.CreateUnbounded<ComparisonStreamEvent>(new UnboundedChannelOptions
+                {
+                    SingleReader = true
+                });
+
+                var comparisonTask = _aiService.ExecuteStreamingComparison(
+                    request.Prompt,
+                    request.SelectedModels,
+                    maxConcurrency,
+                    timeout,
+                    request.ResolveModelParameters(),
+                    request.BuildModelMessages(),
+                    fallbackPolicy,
+                    channel.Writer,
+                    cancellationScope,
+                    cancellationToken);
+
+                await foreach (var streamEvent in channel.Reader.ReadAllAsync(cancellationToken))
+                {
+                    await WriteStreamEventAsync(streamEvent.Type, await CreateStreamEventPayloadAsync(streamEvent, pricingTask), cancellationToken);
+                }
+
+                var modelResults = await comparisonTask;
+                var pricing = await pricingTask;
+
+                var response = new ComparisonResponse
+                {
+                    ComparisonId = comparisonId,
+                    Prompt = request.Prompt,
+                    SystemPrompt = request.SystemPrompt,
+                    ConversationId = ResolveConversationId(request, comparisonId),
+                    TurnNumber = request.TurnNumber,
+                    Results = modelResults.Select(result => MapToResponseModel(result, pricing)).ToList(),
+                    ExecutedAt = DateTime.UtcNow
+                };
+
+                await WriteStreamEventAsync("complete", response, cancellationToken);
+                await SaveToHistoryAsync(response);
+
+                _logger.LogInformation("Streaming comparison {ComparisonId} completed. Success: {SuccessCount}, Failed: {FailedCount}, Cancelled: {CancelledCount}",
+                    comparisonId, response.SuccessfulModels, response.FailedModels, response.CancelledModels);
+
+                return new EmptyResult();
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                _logger.LogInformation("Client disconnected from streaming comparison {ComparisonId}", comparisonId);
+                return new EmptyResult();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Unexpected error during streaming comparison {ComparisonId}", comparisonId);
+
+                if (!Response.HasStarted)
+                {
+                    return StatusCode(500, CreateErrorResponse(ex));
+                }
+
+                await WriteStreamEventAsync("error", CreateErrorResponse(ex), CancellationToken.None);
+                return new EmptyResult();
+            }
+        }
+
+        /// <summary>
+        /// Cancels every model in a running comparison
+        /// </summary>
+        /// <param name="comparisonId">The comparison ID supplied when the run was started</param>
+        /// <returns>Confirmation that the cancellation was requested</returns>
+        [HttpPost("{comparisonId}/cancel")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult CancelComparison([FromRoute] string comparisonId)
+        {
+            if (!_cancellationRegistry.TryCancelComparison(comparisonId))
+            {
+                _logger.LogWarning("Cancel requested for unknown or finished comparison {ComparisonId}", comparisonId);
+                return NotFound(new { error = $"Comparison '{comparisonId}' is not running" });
+            }
+
+            return Ok(new
+            {
+                comparisonId,
+                cancelled = true
+            });
+        }
+
+        /// <summary>
+        /// Cancels a single model in a running comparison, leaving the other models running
+        /// </summary>
+        /// <param name="comparisonId">The comparison ID supplied when the run was started</param>
+        /// <param name="modelId">The model ID to cancel (may contain slashes)</param>
+        /// <returns>Confirmation that the cancellation was requested</returns>
+        [HttpPost("{comparisonId}/cancel/{*modelId}")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public IActionResult CancelModel([FromRoute] string comparisonId, [FromRoute] string modelId)
+        {
+            if (!_cancellationRegistry.TryCancelModel(comparisonId, modelId))
+            {
+                _logger.LogWarning("Cancel requested for model {ModelId} in unknown or finished comparison {ComparisonId}",
+                    modelId, comparisonId);
+                return NotFound(new { error = $"Comparison '{comparisonId}' is not running" });
+            }
+
+            return Ok(new
+            {
+                comparisonId,
+                modelId,
+                cancelled = true
+            });
+        }
+
+        /// <summary>
+        /// Gets the comparison limits configured on the server
+        /// </summary>
+        /// <returns>The maximum number of models per comparison and the default parallel concurrency limit</returns>
+        [HttpGet("limits")]
+        [ProducesResponseType(typeof(object), StatusCodes.Status200OK)]
+        public IActionResult GetComparisonLimits()
+        {
+            return Ok(new
+            {
+                maxModelsPerComparison = _apiConfiguration.Execution.MaxModelsPerComparison,
+                maxConcurrentRequests = _apiConfiguration.Execution.MaxConcurrentRequests
+            });
+        }
+
         /// <summary>
         /// Gets performance metrics for AI model operations
         /// </summary>
@@ -190,6 +379,295 @@ namespace ModelComparisonStudio.Controllers
             }
         }
 
+        /// <summary>
+        /// Explains a model validation error in plain words, chosen by the invalid field and the request
+        /// itself so that rewording a validation attribute's message cannot change the mapping
+        /// </summary>
+        /// <param name="field">The model state key of the invalid field</param>
+        /// <param name="errorMessage">The validation attribute's message, used for fields without a friendlier one</param>
+        /// <param name="request">The request that failed validation</param>
+        /// <returns>The message to show the user</returns>
+        private static string GetFriendlyValidationMessage(string field, string errorMessage, ComparisonRequest request)
+        {
+            if (field.Equals(nameof(ComparisonRequest.Prompt), StringComparison.OrdinalIgnoreCase))
+            {
+                var promptLength = request.Prompt?.Length ?? 0;
+                return promptLength > ComparisonRequest.MaxPromptLength
+                    ? $"Your prompt is too long! Please keep it under {ComparisonRequest.MaxPromptLength:N0} characters (currently it's {promptLength:N0}). Try breaking it into smaller sections."
+                    : "Your prompt is too short! Please provide at least 1 character.";
+            }
+
+            if (field.Equals(nameof(ComparisonRequest.SelectedModels), StringComparison.OrdinalIgnoreCase))
+            {
+                return "Please select at least one AI model to compare.";
+            }
+
+            return errorMessage;
+        }
+
+        /// <summary>
+        /// Validates a comparison request and returns an error result if it cannot be executed
+        /// </summary>
+        /// <param name="request">The comparison request to validate</param>
+        /// <param name="executionMode">The requested execution mode</param>
+        /// <returns>A bad request result, or null if the request is valid</returns>
+        private IActionResult? ValidateComparisonRequest(ComparisonRequest request, ExecutionMode executionMode)
+        {
+            if (!ModelState.IsValid)
+            {
+                var invalidFields = ModelState.Where(entry => entry.Value?.Errors.Count > 0).ToList();
+                _logger.LogWarning("Invalid comparison request: {Errors}",
+                    string.Join(", ", invalidFields.SelectMany(entry => entry.Value!.Errors).Select(e => e.ErrorMessage)));
+
+                // Create user-friendly error messages
+                var friendlyErrors = invalidFields
+                    .SelectMany(entry => entry.Value!.Errors.Select(error => GetFriendlyValidationMessage(entry.Key, error.ErrorMessage, request)))
+                    .Distinct()
+                    .ToList();
+
+                return BadRequest(CreateValidationErrorResponse(friendlyErrors));
+            }
+
+            var maxModels = _apiConfiguration.Execution.MaxModelsPerComparison;
+            if (request.SelectedModels.Count > maxModels)
+            {
+                _logger.LogWarning("Comparison request exceeds model limit: {ModelCount} > {MaxModels}",
+                    request.SelectedModels.Count, maxModels);
+
+                return BadRequest(CreateValidationErrorResponse(
+                    $"You can only compare up to {maxModels} models at once. Please select fewer models."));
+            }
+
+            var duplicateModels = request.SelectedModels
+                .GroupBy(model => model, StringComparer.OrdinalIgnoreCase)
+                .Where(group => group.Count() > 1)
+                .Select(group => group.Key)
+                .ToList();
+
+            if (duplicateModels.Any())
+            {
+                return BadRequest(CreateValidationErrorResponse(
+                    $"Each model can only be selected once: {string.Join(", ", duplicateModels)}"));
+            }
+
+            var unknownParameterModels = request.ModelParameters?.Keys
+                .Where(modelId => !request.SelectedModels.Contains(modelId))
+                .ToList();
+
+            if (unknownParameterModels?.Any() == true)
+            {
+                return BadRequest(CreateValidationErrorResponse(
+                    $"Generation parameters were given for models that are not selected: {string.Join(", ", unknownParameterModels)}"));
+            }
+
+            var selectionError = ValidateModelSelections(request.SelectedModels);
+            if (selectionError != null)
+            {
+                return BadRequest(CreateValidationErrorResponse(selectionError));
+            }
+
+            var historyError = ValidateConversationHistory(request);
+            if (historyError != null)
+            {
+                return BadRequest(CreateValidationErrorResponse(historyError));
+            }
+
+            // Validate that models are available
+            var invalidModels = request.SelectedModels.Where(model =>
+                !IsModelAvailable(model)).ToList();
+
+            if (invalidModels.Any())
+            {
+                _logger.LogWarning("Some selected models are not available: {InvalidModels}",
+                    string.Join(", ", invalidModels));
+
+                return BadRequest(new
+                {
+                    error = "Some selected models are not available",
+                    invalidModels = invalidModels
+                });
+            }
+
+            // Validate execution mode
+            if (!Enum.IsDefined(typeof(ExecutionMode), executionMode))
+            {
+                return BadRequest(new
+                {
+                    error = $"Invalid execution mode. Use '{ExecutionMode.Parallel}' or '{ExecutionMode.Sequential}'"
+                });
+            }
+
+            if (request.MaxConcurrency > maxModels)
+            {
+                return BadRequest(CreateValidationErrorResponse(
+                    $"Max concurrency can be at most {maxModels}, the number of models a comparison can include"));
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Checks that each selection names a known provider when it pins one, and that no selection is repeated
+        /// </summary>
+        /// <param name="selectedModels">The selected models, written as "modelId" or "modelId@Provider"</param>
+        /// <returns>An error message, or null if the selections are valid</returns>
+        private string? ValidateModelSelections(IEnumerable<string> selectedModels)
+        {
+            var knownProviders = _providerRegistry.Providers.Select(provider => provider.Name).ToList();
+            var seen = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var selectedModel in selectedModels.Where(model => !string.IsNullOrWhiteSpace(model)))
+            {
+                var selection = ModelSelection.Parse(selectedModel);
+                if (selection.Provider != null &&
+                    !knownProviders.Contains(selection.Provider, StringComparer.OrdinalIgnoreCase))
+                {
+                    return $"Unknown provider '{selection.Provider}' for {selection.ModelId}. Use one of: {string.Join(", ", knownProviders)}";
+                }
+
+                if (!seen.Add(selection.Key))
+                {
+                    return $"{selection.Key} is selected more than once";
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Checks that follow-up history only covers selected models and alternates user and assistant messages
+        /// </summary>
+        /// <param name="request">The comparison request to validate</param>
+        /// <returns>An error message, or null if the history is valid</returns>
+        private static string? ValidateConversationHistory(ComparisonRequest request)
+        {
+            if (request.History == null)
+            {
+                return null;
+            }
+
+            foreach (var (modelId, messages) in request.History)
+            {
+                if (!request.SelectedModels.Contains(modelId))
+                {
+                    return $"Conversation history was given for a model that is not selected: {modelId}";
+                }
+
+                for (var i = 0; i < messages.Count; i++)
+                {
+                    var expectedRole = i % 2 == 0 ? ConversationMessage.UserRole : ConversationMessage.AssistantRole;
+                    if (messages[i].Role != expectedRole)
+                    {
+                        return $"Conversation history for {modelId} must alternate user and assistant messages, starting with the user";
+                    }
+                }
+
+                if (messages.Count % 2 != 0)
+                {
+                    return $"Conversation history for {modelId} must end with the assistant's reply";
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Sequential runs one model at a time; parallel runs use the request's limit or the configured default
+        /// </summary>
+        private int ResolveMaxConcurrency(ComparisonRequest request, ExecutionMode executionMode)
+        {
+            return executionMode == ExecutionMode.Sequential
+                ? 1
+                : request.MaxConcurrency ?? _apiConfiguration.Execution.MaxConcurrentRequests;
+        }
+
+        /// <summary>
+        /// Builds the provider fallback policy a request opted in to, filling unset values from configuration
+        /// </summary>
+        /// <returns>The policy, or null if failed models should not be retried on another provider</returns>
+        private ProviderFallbackPolicy? ResolveFallbackPolicy(ComparisonRequest request)
+        {
+            if (request.ProviderFallback?.Enabled != true)
+            {
+                return null;
+            }
+
+            var defaults = _apiConfiguration.Execution.ProviderFallback;
+            return new ProviderFallbackPolicy
+            {
+                Retries = request.ProviderFallback.Retries ?? Math.Max(1, defaults.Retries),
+                Backoff = request.ProviderFallback.BackoffMs is int backoffMs
+                    ? TimeSpan.FromMilliseconds(backoffMs)
+                    : defaults.Backoff
+            };
+        }
+
+        /// <summary>
+        /// A follow-up belongs to the conversation it continues; a first turn starts a conversation under its own ID
+        /// </summary>
+        private static string ResolveConversationId(ComparisonRequest request, string comparisonId)
+        {
+            return string.IsNullOrWhiteSpace(request.ConversationId) ? comparisonId : request.ConversationId;
+        }
+
+        /// <summary>
+        /// Writes a single server-sent event to the response and flushes it to the client
+        /// </summary>
+        /// <param name="eventType">The SSE event name</param>
+        /// <param name="payload">The object serialized as the event data</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        private async Task WriteStreamEventAsync(string eventType, object payload, CancellationToken cancellationToken)
+        {
+            var data = JsonSerializer.Serialize(payload, StreamSerializerOptions);
+            await Response.WriteAsync($"event: {eventType}\ndata: {data}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+
+        /// <summary>
+        /// Builds the client-facing payload for a stream event
+        /// </summary>
+        /// <param name="streamEvent">The event produced by the AI service</param>
+        /// <param name="pricingTask">Lookup of the selected models' catalog entries, awaited only for the cost of a finished model</param>
+        /// <returns>The object to serialize as event data</returns>
+        private async Task<object> CreateStreamEventPayloadAsync(
+            ComparisonStreamEvent streamEvent,
+            Task<IReadOnlyDictionary<string, ModelCatalogEntry>> pricingTask)
+        {
+            switch (streamEvent.Type)
+            {
+                case ComparisonStreamEvent.ModelStartType:
+                    return new
+                    {
+                        modelId = streamEvent.ModelId,
+                        provider = streamEvent.Provider
+                    };
+                case ComparisonStreamEvent.ModelRetryType:
+                    return new
+                    {
+                        modelId = streamEvent.ModelId,
+                        provider = streamEvent.Provider,
+                        attempt = streamEvent.Attempt,
+                        maxAttempts = streamEvent.MaxAttempts,
+                        delayMs = streamEvent.DelayMs,
+                        error = streamEvent.ErrorMessage
+                    };
+                case ComparisonStreamEvent.TokenType:
+                    return new
+                    {
+                        modelId = streamEvent.ModelId,
+                        content = streamEvent.Content,
+                        chunkCount = streamEvent.ChunkCount,
+                        elapsedMs = streamEvent.ElapsedMs
+                    };
+                default:
+                    return new
+                    {
+                        modelId = streamEvent.ModelId,
+                        result = streamEvent.Result != null ? MapToResponseModel(streamEvent.Result, await pricingTask) : null
+                    };
+            }
+        }
+
         /// <summary>
         /// Check if a model is available in the configuration
         /// </summary>
@@ -204,25 +682,123 @@ namespace ModelComparisonStudio.Controllers
             return !string.IsNullOrWhiteSpace(modelId);
         }
 
+        /// <summary>
+        /// Saves a finished comparison to the history; failures are logged but never fail the comparison itself
+        /// </summary>
+        /// <param name="response">The comparison response to save</param>
+        private async Task SaveToHistoryAsync(ComparisonResponse response)
+        {
+            try
+            {
+                var results = response.Results.Select(result => new ModelResultDto
+                {
+                    ModelId = result.ModelId,
+                    Response = result.Response,
+                    ResponseTimeMs = result.ResponseTimeMs,
+                    TimeToFirstTokenMs = result.TimeToFirstTokenMs,
+                    TokenCount = result.TokenCount,
+                    PromptTokens = result.PromptTokens,
+                    CompletionTokens = result.CompletionTokens,
+                    Cost = result.Cost,
+                    Status = result.Status,
+                    ErrorMessage = result.ErrorMessage,
+                    Provider = result.Provider,
+                    Parameters = result.Parameters
+                });
+
+                // The run already finished, so don't let a client disconnect abort the save
+                await _historyService.SaveComparisonAsync(
+                    response.ComparisonId,
+                    response.Prompt,
+                    results,
+                    response.SystemPrompt,
+                    response.ConversationId,
+                    response.TurnNumber,
+                    CancellationToken.None);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to save comparison {ComparisonId} to history", response.ComparisonId);
+            }
+        }
+
         /// <summary>
         /// Maps service ModelResult to response ModelResult
         /// </summary>
         /// <param name="serviceResult">The service result to map</param>
+        /// <param name="pricing">Catalog entries of the selected models, keyed by selection</param>
         /// <returns>Mapped response model</returns>
-        private Models.ModelResult MapToResponseModel(Services.ModelResult serviceResult)
+        private Models.ModelResult MapToResponseModel(Services.ModelResult serviceResult, IReadOnlyDictionary<string, ModelCatalogEntry> pricing)
         {
+            // Models cancelled before they started have no provider of their own
+            var provider = string.IsNullOrEmpty(serviceResult.Provider)
+                ? _aiService.ResolveProvider(serviceResult.ModelId)
+                : serviceResult.Provider;
+
             return new Models.ModelResult
             {
                 ModelId = serviceResult.ModelId,
                 Response = serviceResult.Response,
                 ResponseTimeMs = serviceResult.ResponseTimeMs,
+                TimeToFirstTokenMs = serviceResult.TimeToFirstTokenMs,
                 TokenCount = serviceResult.TokenCount,
+                PromptTokens = serviceResult.PromptTokens,
+                CompletionTokens = serviceResult.CompletionTokens,
+                Cost = pricing.GetValueOrDefault(GetPricingKey(serviceResult.ModelId, provider))?.CalculateCost(serviceResult.PromptTokens, serviceResult.CompletionTokens),
                 Status = serviceResult.Status,
                 ErrorMessage = serviceResult.ErrorMessage,
-                Provider = GetProviderFromModelId(serviceResult.ModelId)
+                Provider = provider,
+                Attempts = serviceResult.Attempts,
+                Parameters = serviceResult.Parameters
             };
         }
 
+        /// <summary>
+        /// Looks up the pricing of each selected model at every provider an attempt at it may go to. A model
+        /// whose details can't be loaded simply has no cost; pricing never fails the comparison
+        /// </summary>
+        /// <param name="selectedModels">The selected models, as "modelId" or "modelId@Provider"</param>
+        /// <param name="fallbackPolicy">The provider fallback policy, or null when failed models are not retried</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>Catalog entries keyed by model and provider (see <see cref="GetPricingKey"/>)</returns>
+        private async Task<IReadOnlyDictionary<string, ModelCatalogEntry>> ResolveModelPricingAsync(
+            IEnumerable<string> selectedModels,
+            ProviderFallbackPolicy? fallbackPolicy,
+            CancellationToken cancellationToken)
+        {
+            var pricing = new Dictionary<string, ModelCatalogEntry>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (var selection in selectedModels.Distinct())
+            {
+                var providers = _aiService.GetAttemptProviders(selection, fallbackPolicy).Distinct();
+
+                foreach (var pricedProvider in providers.Where(name => !pricing.ContainsKey(GetPricingKey(selection, name))))
+                {
+                    try
+                    {
+                        pricing[GetPricingKey(selection, pricedProvider)] = await _modelCatalogService.GetModelEntryAsync(
+                            pricedProvider,
+                            ModelSelection.Parse(selection).ModelId,
+                            cancellationToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogWarning(ex, "Could not load pricing for model {ModelId} at {Provider}", selection, pricedProvider);
+                    }
+                }
+            }
+
+            return pricing;
+        }
+
+        /// <summary>
+        /// Pricing is per provider, so a model served by its fallback provider is priced there
+        /// </summary>
+        private static string GetPricingKey(string selection, string provider)
+        {
+            return ModelSelection.Create(ModelSelection.Parse(selection).ModelId, provider).Key;
+        }
+
         /// <summary>
         /// Determines the optimal timeout based on prompt characteristics
         /// </summary>
@@ -254,19 +830,5 @@ namespace ModelComparisonStudio.Controllers
                 promptLength, wordCount);
             return _apiConfiguration.Execution.QuickTimeout;
         }
-
-        /// <summary>
-        /// Determines the provider from a model ID
-        /// </summary>
-        /// <param name="modelId">The model ID</param>
-        /// <returns>Provider name</returns>
-        private string GetProviderFromModelId(string modelId)
-        {
-            // This is a simple heuristic - in practice you might have a more sophisticated
-            // mapping or store this information in configuration
-            return modelId.Contains("nano") || modelId.Contains("deepseek")
-                ? NanoGPT
-                : OpenRouter;
-        }
     }
 }
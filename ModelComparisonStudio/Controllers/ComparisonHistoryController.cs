@@ -0,0 +1,191 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/comparison/history")]
+public class ComparisonHistoryController : BaseController
+{
+    private const int MaxPageSize = 200;
+    private const int MaxSpendDays = 366;
+
+    private readonly ComparisonHistoryService _historyService;
+
+    public ComparisonHistoryController(
+        ComparisonHistoryService historyService,
+        ILogger<ComparisonHistoryController> logger) : base(logger)
+    {
+        _historyService = historyService;
+    }
+
+    /// <summary>
+    /// Gets past comparisons, newest first.
+    /// </summary>
+    /// <param name="skip">Number of comparisons to skip (default: 0).</param>
+    /// <param name="take">Number of comparisons to take (default: 50, max: 200).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of comparison summaries.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(IReadOnlyList<ComparisonHistorySummaryDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetHistory(
+        [FromQuery] int skip = 0,
+        [FromQuery] int take = 50,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var comparisons = await _historyService.GetRecentComparisonsAsync(
+                Math.Max(0, skip),
+                Math.Clamp(take, 1, MaxPageSize),
+                cancellationToken);
+            return Ok(comparisons);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting comparison history");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets the spend on past comparisons per day and per model.
+    /// </summary>
+    /// <param name="days">Number of days to cover, including today (default: 30, max: 366).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The spend ledger.</returns>
+    [HttpGet("spend")]
+    [ProducesResponseType(typeof(SpendLedgerDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetSpendLedger(
+        [FromQuery] int days = 30,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var ledger = await _historyService.GetSpendLedgerAsync(Math.Clamp(days, 1, MaxSpendDays), cancellationToken);
+            return Ok(ledger);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting the spend ledger");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets a past comparison with the full response from every model.
+    /// </summary>
+    /// <param name="comparisonId">The comparison ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The comparison.</returns>
+    [HttpGet("{comparisonId}")]
+    [ProducesResponseType(typeof(ComparisonResponseDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetComparison(
+        [FromRoute] string comparisonId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var comparison = await _historyService.GetComparisonAsync(comparisonId, cancellationToken);
+            return Ok(comparison);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Comparison not found: {ComparisonId}", comparisonId);
+            return NotFound(new
+            {
+                type = "not_found",
+                title = "Not Found",
+                status = 404,
+                detail = ex.Message,
+                traceId = HttpContext.TraceIdentifier
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting comparison {ComparisonId}", comparisonId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets every turn of a multi-turn conversation with the full responses, in turn order.
+    /// </summary>
+    /// <param name="conversationId">The conversation ID (the ID of its first turn).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The turns of the conversation.</returns>
+    [HttpGet("conversation/{conversationId}")]
+    [ProducesResponseType(typeof(IReadOnlyList<ComparisonResponseDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetConversation(
+        [FromRoute] string conversationId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var turns = await _historyService.GetConversationAsync(conversationId, cancellationToken);
+            return Ok(turns);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Conversation not found: {ConversationId}", conversationId);
+            return NotFound(new
+            {
+                type = "not_found",
+                title = "Not Found",
+                status = 404,
+                detail = ex.Message,
+                traceId = HttpContext.TraceIdentifier
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting conversation {ConversationId}", conversationId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Deletes a past comparison. Evaluations of its responses are kept.
+    /// </summary>
+    /// <param name="comparisonId">The comparison ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>No content if deleted.</returns>
+    [HttpDelete("{comparisonId}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> DeleteComparison(
+        [FromRoute] string comparisonId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var deleted = await _historyService.DeleteComparisonAsync(comparisonId, cancellationToken);
+            if (!deleted)
+            {
+                return NotFound(new
+                {
+                    type = "not_found",
+                    title = "Not Found",
+                    status = 404,
+                    detail = $"Comparison with ID {comparisonId} not found",
+                    traceId = HttpContext.TraceIdentifier
+                });
+            }
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error deleting comparison {ComparisonId}", comparisonId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
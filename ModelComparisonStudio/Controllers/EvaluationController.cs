@@ -2,6 +2,7 @@
 using Microsoft.AspNetCore.Mvc;
 using ModelComparisonStudio.Application.DTOs;
 using ModelComparisonStudio.Application.Services;
+using ModelComparisonStudio.Core.Exceptions;
 using ModelComparisonStudio.Core.Interfaces;
 using System.Text;
 
@@ -77,9 +78,10 @@ public class EvaluationController : BaseController
     }
 
     /// <summary>
-    /// Creates or updates an evaluation based on prompt ID and model ID.
-    /// If an evaluation exists for the same prompt and model, it will be updated.
-    /// Otherwise, a new evaluation will be created.
+    /// Creates or updates an evaluation based on prompt ID, model ID and rater.
+    /// If the rater already evaluated the same prompt and model, it will be updated.
+    /// Otherwise, a new evaluation will be created. Criterion scores for a rubric replace the overall rating.
+    /// With an expected update time, a save based on an older version is rejected with 409 Conflict.
     /// </summary>
     /// <param name="dto">The evaluation data.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
@@ -88,6 +90,7 @@ public class EvaluationController : BaseController
     [ProducesResponseType(typeof(EvaluationDto), StatusCodes.Status200OK)]
     [ProducesResponseType(typeof(EvaluationDto), StatusCodes.Status201Created)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
     public async Task<IActionResult> UpsertEvaluation(
         [FromBody] CreateEvaluationDto dto,
@@ -127,6 +130,11 @@ public class EvaluationController : BaseController
             _logger.LogWarning(ex, "Invalid argument when upserting evaluation");
             return BadRequest(CreateValidationErrorResponse(ex.Message));
         }
+        catch (EvaluationConflictException ex)
+        {
+            _logger.LogWarning(ex, "Conflicting update when upserting evaluation for prompt {PromptId}", dto.PromptId);
+            return Conflict(new { error = ex.Message });
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Unexpected error upserting evaluation");
@@ -337,6 +345,35 @@ public class EvaluationController : BaseController
         }
     }
 
+    /// <summary>
+    /// Gets evaluations for a specific prompt, e.g. to restore ratings when reopening a comparison.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="skip">Number of evaluations to skip (default: 0).</param>
+    /// <param name="take">Number of evaluations to take (default: 50).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of evaluations for the specified prompt.</returns>
+    [HttpGet("prompt")]
+    [ProducesResponseType(typeof(IReadOnlyList<EvaluationDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetEvaluationsByPromptId(
+        [FromQuery] string promptId,
+        [FromQuery] int skip = 0,
+        [FromQuery] int take = 50,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var evaluations = await _evaluationService.GetEvaluationsByPromptIdAsync(promptId, skip, take, cancellationToken);
+            return Ok(evaluations);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting evaluations for prompt {PromptId}", promptId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
     /// <summary>
     /// Gets evaluation statistics for a specific model.
     /// </summary>
@@ -365,16 +402,27 @@ public class EvaluationController : BaseController
     /// <summary>
     /// Gets evaluation statistics for all models.
     /// </summary>
+    /// <param name="ratingMode">Which ratings to include: all (default), blind, or open.</param>
+    /// <param name="raterId">Only include this rater's evaluations (optional).</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>Evaluation statistics for all models.</returns>
     [HttpGet("statistics/all")]
     [ProducesResponseType(typeof(IReadOnlyList<EvaluationStatisticsDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
-    public async Task<IActionResult> GetAllEvaluationStatistics(CancellationToken cancellationToken = default)
+    public async Task<IActionResult> GetAllEvaluationStatistics(
+        [FromQuery] string ratingMode = "all",
+        [FromQuery] string? raterId = null,
+        CancellationToken cancellationToken = default)
     {
         try
         {
-            var statistics = await _evaluationService.GetAllEvaluationStatisticsAsync(cancellationToken);
+            if (!IsValidRatingMode(ratingMode))
+            {
+                return BadRequest(CreateValidationErrorResponse("Rating mode must be 'all', 'blind', or 'open'"));
+            }
+
+            var statistics = await _evaluationService.GetAllEvaluationStatisticsAsync(ratingMode, raterId, cancellationToken);
             return Ok(statistics);
         }
         catch (Exception ex)
@@ -388,6 +436,8 @@ public class EvaluationController : BaseController
     /// Gets evaluation statistics for all models with optional timeframe filtering.
     /// </summary>
     /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which ratings to include: all (default), blind, or open.</param>
+    /// <param name="raterId">Only include this rater's evaluations (optional).</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     /// <returns>Evaluation statistics for all models within the specified timeframe.</returns>
     [HttpGet("statistics")]
@@ -396,6 +446,8 @@ public class EvaluationController : BaseController
     [ProducesResponseType(StatusCodes.Status500InternalServerError)]
     public async Task<IActionResult> GetEvaluationStatisticsByTimeframe(
         [FromQuery] string timeframe = "all",
+        [FromQuery] string ratingMode = "all",
+        [FromQuery] string? raterId = null,
         CancellationToken cancellationToken = default)
     {
         try
@@ -405,7 +457,12 @@ public class EvaluationController : BaseController
                 return BadRequest(CreateValidationErrorResponse("Timeframe must be 'all', 'week', or 'month'"));
             }
 
-            var statistics = await _evaluationService.GetAllEvaluationStatisticsByTimeframeAsync(timeframe, cancellationToken);
+            if (!IsValidRatingMode(ratingMode))
+            {
+                return BadRequest(CreateValidationErrorResponse("Rating mode must be 'all', 'blind', or 'open'"));
+            }
+
+            var statistics = await _evaluationService.GetAllEvaluationStatisticsByTimeframeAsync(timeframe, ratingMode, raterId, cancellationToken);
             return Ok(statistics);
         }
         catch (Exception ex)
@@ -415,6 +472,44 @@ public class EvaluationController : BaseController
         }
     }
 
+    /// <summary>
+    /// Gets how well raters agree on the responses that more than one of them rated.
+    /// </summary>
+    /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which ratings to include: all (default), blind, or open.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Krippendorff's alpha over all raters and the agreement of each pair of raters.</returns>
+    [HttpGet("agreement")]
+    [ProducesResponseType(typeof(RaterAgreementDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetRaterAgreement(
+        [FromQuery] string timeframe = "all",
+        [FromQuery] string ratingMode = "all",
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            if (!new[] { "all", "week", "month" }.Contains(timeframe.ToLower()))
+            {
+                return BadRequest(CreateValidationErrorResponse("Timeframe must be 'all', 'week', or 'month'"));
+            }
+
+            if (!IsValidRatingMode(ratingMode))
+            {
+                return BadRequest(CreateValidationErrorResponse("Rating mode must be 'all', 'blind', or 'open'"));
+            }
+
+            var agreement = await _evaluationService.GetRaterAgreementAsync(timeframe, ratingMode, cancellationToken);
+            return Ok(agreement);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting rater agreement for timeframe {Timeframe}", timeframe);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
     /// <summary>
     /// Deletes an evaluation by ID.
     /// </summary>
@@ -498,6 +593,11 @@ public class EvaluationController : BaseController
         }
     }
 
+    private static bool IsValidRatingMode(string ratingMode)
+    {
+        return new[] { "all", "blind", "open" }.Contains((ratingMode ?? string.Empty).ToLower());
+    }
+
     /// <summary>
     /// Gets the raw database content for debugging purposes.
     /// </summary>
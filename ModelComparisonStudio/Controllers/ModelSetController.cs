@@ -0,0 +1,176 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/model-sets")]
+public class ModelSetController : BaseController
+{
+    private readonly ModelSetService _modelSetService;
+
+    public ModelSetController(
+        ModelSetService modelSetService,
+        ILogger<ModelSetController> logger) : base(logger)
+    {
+        _modelSetService = modelSetService;
+    }
+
+    /// <summary>
+    /// Gets every saved model set, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of model sets.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(IReadOnlyList<ModelSetDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetModelSets(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var modelSets = await _modelSetService.GetModelSetsAsync(cancellationToken);
+            return Ok(modelSets);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting model sets");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Saves a new named model set.
+    /// </summary>
+    /// <param name="requestDto">The name and models of the set.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved model set.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(ModelSetDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> CreateModelSet(
+        [FromBody] CreateModelSetDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var modelSet = await _modelSetService.CreateModelSetAsync(requestDto, cancellationToken);
+            return Ok(modelSet);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error saving model set {Name}", requestDto.Name);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error saving model set {Name}", requestDto.Name);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Renames a model set and/or replaces its models.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="requestDto">The new name and/or models.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated model set.</returns>
+    [HttpPut("{id}")]
+    [ProducesResponseType(typeof(ModelSetDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> UpdateModelSet(
+        [FromRoute] string id,
+        [FromBody] UpdateModelSetDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var modelSet = await _modelSetService.UpdateModelSetAsync(id, requestDto, cancellationToken);
+            return Ok(modelSet);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Model set not found: {ModelSetId}", id);
+            return NotFound(new
+            {
+                type = "not_found",
+                title = "Not Found",
+                status = 404,
+                detail = ex.Message,
+                traceId = HttpContext.TraceIdentifier
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error updating model set {ModelSetId}", id);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error updating model set {ModelSetId}", id);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Deletes a model set.
+    /// </summary>
+    /// <param name="id">The model set ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>No content if deleted.</returns>
+    [HttpDelete("{id}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> DeleteModelSet(
+        [FromRoute] string id,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var deleted = await _modelSetService.DeleteModelSetAsync(id, cancellationToken);
+            if (!deleted)
+            {
+                return NotFound(new
+                {
+                    type = "not_found",
+                    title = "Not Found",
+                    status = 404,
+                    detail = $"Model set with ID {id} not found",
+                    traceId = HttpContext.TraceIdentifier
+                });
+            }
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error deleting model set {ModelSetId}", id);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
@@ -1,8 +1,6 @@
 using Microsoft.AspNetCore.Mvc;
-using Microsoft.Extensions.Options;
-using ModelComparisonStudio.Configuration;
-using ModelComparisonStudio.Core.ValueObjects;
-using static ModelComparisonStudio.Core.ValueObjects.AIProviderNames;
+using ModelComparisonStudio.Models;
+using ModelComparisonStudio.Services;
 
 namespace ModelComparisonStudio.Controllers
 {
@@ -10,46 +8,48 @@ namespace ModelComparisonStudio.Controllers
     [Route("api/[controller]")]
     public class ModelsController : BaseController
     {
-        private readonly ApiConfiguration _apiConfiguration;
+        private readonly ProviderRegistry _providerRegistry;
+        private readonly ModelCatalogService _modelCatalogService;
+        private readonly ModelHealthService _modelHealthService;
+        private readonly ModelHealthCache _modelHealthCache;
 
-        public ModelsController(IOptions<ApiConfiguration> apiConfiguration, ILogger<ModelsController> logger) : base(logger)
+        public ModelsController(
+            ProviderRegistry providerRegistry,
+            ModelCatalogService modelCatalogService,
+            ModelHealthService modelHealthService,
+            ModelHealthCache modelHealthCache,
+            ILogger<ModelsController> logger) : base(logger)
         {
-            _apiConfiguration = apiConfiguration.Value;
+            _providerRegistry = providerRegistry;
+            _modelCatalogService = modelCatalogService;
+            _modelHealthService = modelHealthService;
+            _modelHealthCache = modelHealthCache;
         }
 
         /// <summary>
-        /// Get all available models from both NanoGPT and OpenRouter providers
+        /// Get all available models from every registered provider
         /// </summary>
-        /// <returns>Combined list of available models</returns>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>Catalog of available models per provider, in registry order</returns>
         [HttpGet("available")]
-        public ActionResult<AvailableModelsResponse> GetAvailableModels()
+        public async Task<ActionResult<AvailableModelsResponse>> GetAvailableModels(CancellationToken cancellationToken)
         {
             try
             {
-                var nanoGPTModels = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>();
-                var openRouterModels = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>();
+                var providers = new List<ProviderModels>();
+                foreach (var provider in _providerRegistry.Providers)
+                {
+                    providers.Add(await CreateProviderModelsAsync(provider, cancellationToken));
+                }
 
                 var response = new AvailableModelsResponse
                 {
-                    NanoGPT = new ProviderModels
-                    {
-                        Provider = NanoGPT,
-                        BaseUrl = _apiConfiguration.NanoGPT?.BaseUrl ?? string.Empty,
-                        Models = nanoGPTModels,
-                        ModelCount = nanoGPTModels.Length
-                    },
-                    OpenRouter = new ProviderModels
-                    {
-                        Provider = OpenRouter,
-                        BaseUrl = _apiConfiguration.OpenRouter?.BaseUrl ?? string.Empty,
-                        Models = openRouterModels,
-                        ModelCount = openRouterModels.Length
-                    },
-                    TotalModels = nanoGPTModels.Length + openRouterModels.Length
+                    Providers = providers,
+                    TotalModels = providers.Sum(provider => provider.ModelCount)
                 };
 
-                _logger.LogInformation("Retrieved available models: NanoGPT ({NanoGPTCount}), OpenRouter ({OpenRouterCount})", 
-                    nanoGPTModels.Length, openRouterModels.Length);
+                _logger.LogInformation("Retrieved available models: {ProviderCounts}",
+                    string.Join(", ", providers.Select(provider => $"{provider.Provider} ({provider.ModelCount})")));
 
                 return Ok(response);
             }
@@ -63,39 +63,23 @@ namespace ModelComparisonStudio.Controllers
         /// <summary>
         /// Get models for a specific provider
         /// </summary>
-        /// <param name="provider">Provider name (NanoGPT or OpenRouter)</param>
+        /// <param name="provider">Provider name, case-insensitive (e.g. NanoGPT, OpenRouter or a configured OpenAI-compatible provider)</param>
+        /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>Models for the specified provider</returns>
         [HttpGet("available/{provider}")]
-        public ActionResult<ProviderModels> GetProviderModels(string provider)
+        public async Task<ActionResult<ProviderModels>> GetProviderModels(string provider, CancellationToken cancellationToken)
         {
             try
             {
-                provider = provider.ToLowerInvariant();
-
-                ProviderModels? result = provider switch
+                var definition = _providerRegistry.Find(provider);
+                if (definition == null)
                 {
-                    "nanogpt" => new ProviderModels
-                    {
-                        Provider = NanoGPT,
-                        BaseUrl = _apiConfiguration.NanoGPT?.BaseUrl ?? string.Empty,
-                        Models = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>(),
-                        ModelCount = _apiConfiguration.NanoGPT?.AvailableModels?.Length ?? 0
-                    },
-                    "openrouter" => new ProviderModels
-                    {
-                        Provider = OpenRouter,
-                        BaseUrl = _apiConfiguration.OpenRouter?.BaseUrl ?? string.Empty,
-                        Models = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>(),
-                        ModelCount = _apiConfiguration.OpenRouter?.AvailableModels?.Length ?? 0
-                    },
-                    _ => null
-                };
-
-                if (result == null)
-                {
-                    return NotFound(new { error = $"Provider '{provider}' not found. Use '{AIProviderNames.NanoGPT.ToLowerInvariant()}' or '{AIProviderNames.OpenRouter.ToLowerInvariant()}'" });
+                    var names = _providerRegistry.Providers.Select(p => $"'{p.Name.ToLowerInvariant()}'");
+                    return NotFound(new { error = $"Provider '{provider}' not found. Use {string.Join(", ", names)}" });
                 }
 
+                var result = await CreateProviderModelsAsync(definition, cancellationToken);
+
                 _logger.LogInformation("Retrieved models for provider {Provider}: {ModelCount} models", 
                     result.Provider, result.ModelCount);
 
@@ -107,20 +91,106 @@ namespace ModelComparisonStudio.Controllers
                 return StatusCode(500, CreateErrorResponse(ex));
             }
         }
+
+        /// <summary>
+        /// Check whether a model ID exists at a provider, with similar IDs to suggest if it does not
+        /// </summary>
+        /// <param name="modelId">The model ID, optionally pinned to a provider as "modelId@Provider"</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>The validation result</returns>
+        [HttpGet("validate")]
+        public async Task<ActionResult<ModelIdValidationResult>> ValidateModel([FromQuery] string? modelId, CancellationToken cancellationToken)
+        {
+            if (string.IsNullOrWhiteSpace(modelId))
+            {
+                return BadRequest(CreateValidationErrorResponse("Model ID is required"));
+            }
+
+            try
+            {
+                var result = await _modelCatalogService.ValidateModelIdAsync(modelId.Trim(), cancellationToken);
+
+                _logger.LogInformation("Validated model {ModelId}: valid {IsValid}, verified {IsVerified}, {SuggestionCount} suggestions",
+                    modelId, result.IsValid, result.IsVerified, result.Suggestions.Count);
+
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error validating model {ModelId}", modelId);
+                return StatusCode(500, CreateErrorResponse(ex));
+            }
+        }
+
+        /// <summary>
+        /// Get the cached health check results of every model checked so far
+        /// </summary>
+        /// <returns>The latest result per model selection</returns>
+        [HttpGet("health")]
+        public ActionResult<IReadOnlyList<ModelHealthResult>> GetModelHealth()
+        {
+            return Ok(_modelHealthCache.GetAll());
+        }
+
+        /// <summary>
+        /// Check whether models answer, with a one-token request each. Recent results are served from cache unless forced
+        /// </summary>
+        /// <param name="request">The model selections to check</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>One result per model selection: available, degraded or unavailable, with latency</returns>
+        [HttpPost("health")]
+        public async Task<ActionResult<IReadOnlyList<ModelHealthResult>>> CheckModelHealth(
+            [FromBody] ModelHealthCheckRequest request,
+            CancellationToken cancellationToken)
+        {
+            if (!ModelState.IsValid)
+            {
+                return BadRequest(CreateValidationErrorResponse(ModelState));
+            }
+
+            try
+            {
+                var results = await _modelHealthService.CheckAsync(request.ModelIds, request.Force, cancellationToken);
+
+                _logger.LogInformation("Checked health of {ModelCount} models: {UnhealthyCount} degraded or unavailable",
+                    results.Count, results.Count(result => result.Status != ModelHealthStatuses.Available));
+
+                return Ok(results);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error checking model health");
+                return StatusCode(500, CreateErrorResponse(ex));
+            }
+        }
+
+        private async Task<ProviderModels> CreateProviderModelsAsync(ProviderDefinition provider, CancellationToken cancellationToken)
+        {
+            var models = await _modelCatalogService.GetProviderCatalogAsync(provider.Name, cancellationToken);
+
+            return new ProviderModels
+            {
+                Provider = provider.Name,
+                Kind = provider.Kind.ToString(),
+                BaseUrl = provider.BaseUrl,
+                Models = models.ToList(),
+                ModelCount = models.Count
+            };
+        }
     }
 
     public class AvailableModelsResponse
     {
-        public ProviderModels NanoGPT { get; set; } = new();
-        public ProviderModels OpenRouter { get; set; } = new();
+        public List<ProviderModels> Providers { get; set; } = new();
         public int TotalModels { get; set; }
     }
 
     public class ProviderModels
     {
         public string Provider { get; set; } = string.Empty;
+        public string Kind { get; set; } = string.Empty; // NanoGPT, OpenRouter or OpenAICompatible
         public string BaseUrl { get; set; } = string.Empty;
-        public string[] Models { get; set; } = Array.Empty<string>();
+        public List<ModelCatalogEntry> Models { get; set; } = new();
         public int ModelCount { get; set; }
     }
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/preferences")]
+public class PreferenceController : BaseController
+{
+    private readonly PreferenceService _preferenceService;
+
+    public PreferenceController(
+        PreferenceService preferenceService,
+        ILogger<PreferenceController> logger) : base(logger)
+    {
+        _preferenceService = preferenceService;
+    }
+
+    /// <summary>
+    /// Stores an A vs B preference vote.
+    /// </summary>
+    /// <param name="requestDto">The prompt, the two models and which response was preferred.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved vote.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(PreferenceVoteDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> RecordVote(
+        [FromBody] CreatePreferenceVoteDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var vote = await _preferenceService.RecordVoteAsync(requestDto, cancellationToken);
+            return Ok(vote);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error recording preference vote on prompt {PromptId}", requestDto.PromptId);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error recording preference vote on prompt {PromptId}", requestDto.PromptId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets every vote cast for a prompt, oldest first.
+    /// </summary>
+    /// <param name="promptId">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of votes for the prompt.</returns>
+    [HttpGet("prompt")]
+    [ProducesResponseType(typeof(IReadOnlyList<PreferenceVoteDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetVotesByPromptId(
+        [FromQuery] string promptId,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var votes = await _preferenceService.GetVotesByPromptIdAsync(promptId, cancellationToken);
+            return Ok(votes);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting preference votes for prompt {PromptId}", promptId);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets the Bradley-Terry leaderboard rated from the votes, with 95% confidence intervals.
+    /// </summary>
+    /// <param name="timeframe">Timeframe filter: all, week, or month.</param>
+    /// <param name="ratingMode">Which votes count: all, blind or open.</param>
+    /// <param name="raterId">Only count this rater's votes (optional).</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The leaderboard, highest rating first.</returns>
+    [HttpGet("leaderboard")]
+    [ProducesResponseType(typeof(IReadOnlyList<PreferenceLeaderboardEntryDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetLeaderboard(
+        [FromQuery] string timeframe = "all",
+        [FromQuery] string ratingMode = "all",
+        [FromQuery] string? raterId = null,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var leaderboard = await _preferenceService.GetLeaderboardAsync(timeframe, ratingMode, raterId, cancellationToken);
+            return Ok(leaderboard);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting the preference leaderboard");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/prompts")]
+public class PromptController : BaseController
+{
+    private readonly PromptService _promptService;
+
+    public PromptController(
+        PromptService promptService,
+        ILogger<PromptController> logger) : base(logger)
+    {
+        _promptService = promptService;
+    }
+
+    /// <summary>
+    /// Issues the ID of a prompt, registering it the first time it is seen. Prompts that differ
+    /// only in whitespace get the same ID.
+    /// </summary>
+    /// <param name="requestDto">The prompt and its conversation context.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The prompt record.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(PromptRecordDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> RegisterPrompt(
+        [FromBody] RegisterPromptDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var record = await _promptService.RegisterAsync(requestDto, cancellationToken);
+            return Ok(record);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error registering prompt");
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error registering prompt");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Gets a prompt record by ID.
+    /// </summary>
+    /// <param name="id">The prompt ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The prompt record.</returns>
+    [HttpGet("{id}")]
+    [ProducesResponseType(typeof(PromptRecordDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetPrompt(
+        [FromRoute] string id,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var record = await _promptService.GetPromptAsync(id, cancellationToken);
+            if (record == null)
+            {
+                return NotFound(new
+                {
+                    type = "not_found",
+                    title = "Not Found",
+                    status = 404,
+                    detail = $"Prompt with ID '{id}' not found.",
+                    traceId = HttpContext.TraceIdentifier
+                });
+            }
+
+            return Ok(record);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting prompt {PromptId}", id);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
@@ -0,0 +1,77 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/raters")]
+public class RaterController : BaseController
+{
+    private readonly RaterService _raterService;
+
+    public RaterController(
+        RaterService raterService,
+        ILogger<RaterController> logger) : base(logger)
+    {
+        _raterService = raterService;
+    }
+
+    /// <summary>
+    /// Gets every rater profile, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of raters.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(IReadOnlyList<RaterDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetRaters(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var raters = await _raterService.GetRatersAsync(cancellationToken);
+            return Ok(raters);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting raters");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Signs in by name, creating the rater profile the first time the name is used.
+    /// </summary>
+    /// <param name="requestDto">The rater name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The rater.</returns>
+    [HttpPost("sign-in")]
+    [ProducesResponseType(typeof(RaterDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> SignIn(
+        [FromBody] SignInRaterDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var rater = await _raterService.SignInAsync(requestDto, cancellationToken);
+            return Ok(rater);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error signing in rater {Name}", requestDto.Name);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error signing in rater {Name}", requestDto.Name);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
@@ -0,0 +1,176 @@
+using Microsoft.AspNetCore.Mvc;
+using ModelComparisonStudio.Application.DTOs;
+using ModelComparisonStudio.Application.Services;
+
+namespace ModelComparisonStudio.Controllers;
+
+[ApiController]
+[Route("api/rubrics")]
+public class RubricController : BaseController
+{
+    private readonly RubricService _rubricService;
+
+    public RubricController(
+        RubricService rubricService,
+        ILogger<RubricController> logger) : base(logger)
+    {
+        _rubricService = rubricService;
+    }
+
+    /// <summary>
+    /// Gets every rubric, ordered by name.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>List of rubrics.</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(IReadOnlyList<RubricDto>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> GetRubrics(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var rubrics = await _rubricService.GetRubricsAsync(cancellationToken);
+            return Ok(rubrics);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error getting rubrics");
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Defines a new scoring rubric.
+    /// </summary>
+    /// <param name="requestDto">The name and criteria of the rubric.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The saved rubric.</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(RubricDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> CreateRubric(
+        [FromBody] CreateRubricDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var rubric = await _rubricService.CreateRubricAsync(requestDto, cancellationToken);
+            return Ok(rubric);
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error saving rubric {Name}", requestDto.Name);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error saving rubric {Name}", requestDto.Name);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Renames a rubric and/or replaces its criteria.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="requestDto">The new name and/or criteria.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The updated rubric.</returns>
+    [HttpPut("{id}")]
+    [ProducesResponseType(typeof(RubricDto), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> UpdateRubric(
+        [FromRoute] string id,
+        [FromBody] UpdateRubricDto requestDto,
+        CancellationToken cancellationToken = default)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(CreateValidationErrorResponse(ModelState));
+        }
+
+        try
+        {
+            var rubric = await _rubricService.UpdateRubricAsync(id, requestDto, cancellationToken);
+            return Ok(rubric);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            _logger.LogWarning(ex, "Rubric not found: {RubricId}", id);
+            return NotFound(new
+            {
+                type = "not_found",
+                title = "Not Found",
+                status = 404,
+                detail = ex.Message,
+                traceId = HttpContext.TraceIdentifier
+            });
+        }
+        catch (ArgumentException ex)
+        {
+            _logger.LogWarning(ex, "Validation error updating rubric {RubricId}", id);
+            return BadRequest(CreateValidationErrorResponse(ex.Message));
+        }
+        catch (InvalidOperationException ex)
+        {
+            return Conflict(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error updating rubric {RubricId}", id);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+
+    /// <summary>
+    /// Deletes a rubric. Evaluations scored with it keep their scores.
+    /// </summary>
+    /// <param name="id">The rubric ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>No content if deleted.</returns>
+    [HttpDelete("{id}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public async Task<IActionResult> DeleteRubric(
+        [FromRoute] string id,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var deleted = await _rubricService.DeleteRubricAsync(id, cancellationToken);
+            if (!deleted)
+            {
+                return NotFound(new
+                {
+                    type = "not_found",
+                    title = "Not Found",
+                    status = 404,
+                    detail = $"Rubric with ID {id} not found",
+                    traceId = HttpContext.TraceIdentifier
+                });
+            }
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Unexpected error deleting rubric {RubricId}", id);
+            return StatusCode(500, CreateErrorResponse(ex));
+        }
+    }
+}
@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using ModelComparisonStudio.Core.ValueObjects;
 
 namespace ModelComparisonStudio.Models
 {
@@ -7,19 +8,113 @@ namespace ModelComparisonStudio.Models
     /// </summary>
     public class ComparisonRequest
     {
+        /// <summary>
+        /// Maximum length of the prompt in characters
+        /// </summary>
+        public const int MaxPromptLength = 50000;
+
         /// <summary>
         /// The prompt to send to all models
         /// </summary>
         [Required(ErrorMessage = "Prompt is required")]
-        [StringLength(50000, MinimumLength = 1, ErrorMessage = "Prompt must be between 1 and 50000 characters")]
+        [StringLength(MaxPromptLength, MinimumLength = 1, ErrorMessage = "Prompt must be between 1 and 50000 characters")]
         public string Prompt { get; set; } = string.Empty;
 
         /// <summary>
-        /// List of model IDs to compare (1-3 models)
+        /// Optional system prompt sent ahead of the conversation to every model
+        /// </summary>
+        [StringLength(20000, ErrorMessage = "System prompt must be at most 20000 characters")]
+        public string? SystemPrompt { get; set; }
+
+        /// <summary>
+        /// List of model IDs to compare (upper bound set by Execution:MaxModelsPerComparison)
         /// </summary>
         [Required(ErrorMessage = "At least one model must be selected")]
         [MinLength(1, ErrorMessage = "At least one model must be selected")]
-        [MaxLength(3, ErrorMessage = "Maximum of 3 models can be selected")]
         public List<string> SelectedModels { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Optional client-generated comparison ID, used to cancel the run while it is in progress
+        /// </summary>
+        [StringLength(100, ErrorMessage = "Comparison ID must be at most 100 characters")]
+        public string? ComparisonId { get; set; }
+
+        /// <summary>
+        /// The conversation this request continues (the comparison ID of its first turn); omit for a new conversation
+        /// </summary>
+        [StringLength(100, ErrorMessage = "Conversation ID must be at most 100 characters")]
+        public string? ConversationId { get; set; }
+
+        /// <summary>
+        /// The position of this request in its conversation, starting at 1
+        /// </summary>
+        [Range(1, 100, ErrorMessage = "Turn number must be from 1 to 100")]
+        public int TurnNumber { get; set; } = 1;
+
+        /// <summary>
+        /// How many models may run at once in parallel mode; defaults to the server's configured limit
+        /// </summary>
+        [Range(1, int.MaxValue, ErrorMessage = "Max concurrency must be at least 1")]
+        public int? MaxConcurrency { get; set; }
+
+        /// <summary>
+        /// Earlier user and assistant messages per model ID, oldest first; each model keeps its own history
+        /// </summary>
+        public Dictionary<string, List<ConversationMessage>>? History { get; set; }
+
+        /// <summary>
+        /// Optional generation parameters applied to every model
+        /// </summary>
+        public GenerationParameters? Parameters { get; set; }
+
+        /// <summary>
+        /// Optional generation parameters per model ID; values set here override the global parameters
+        /// </summary>
+        public Dictionary<string, GenerationParameters>? ModelParameters { get; set; }
+
+        /// <summary>
+        /// Optional policy for retrying failed models on another provider; failed models are not retried when omitted
+        /// </summary>
+        public ProviderFallbackOptions? ProviderFallback { get; set; }
+
+        /// <summary>
+        /// Builds the chat messages for each selected model: the system prompt, the model's own history, then the prompt
+        /// </summary>
+        /// <returns>The messages keyed by model ID</returns>
+        public IReadOnlyDictionary<string, IReadOnlyList<ConversationMessage>> BuildModelMessages()
+        {
+            return SelectedModels
+                .Distinct()
+                .ToDictionary(
+                    modelId => modelId,
+                    modelId =>
+                    {
+                        var messages = new List<ConversationMessage>();
+
+                        if (!string.IsNullOrWhiteSpace(SystemPrompt))
+                        {
+                            messages.Add(ConversationMessage.System(SystemPrompt));
+                        }
+
+                        messages.AddRange(History?.GetValueOrDefault(modelId) ?? new List<ConversationMessage>());
+                        messages.Add(ConversationMessage.User(Prompt));
+                        return (IReadOnlyList<ConversationMessage>)messages;
+                    });
+        }
+
+        /// <summary>
+        /// Resolves the generation parameters for each selected model by layering its own parameters over the global ones
+        /// </summary>
+        /// <returns>The parameters keyed by model ID</returns>
+        public IReadOnlyDictionary<string, GenerationParameters> ResolveModelParameters()
+        {
+            var globalParameters = Parameters ?? new GenerationParameters();
+
+            return SelectedModels
+                .Distinct()
+                .ToDictionary(
+                    modelId => modelId,
+                    modelId => globalParameters.Merge(ModelParameters?.GetValueOrDefault(modelId)));
+        }
     }
 }
@@ -1,5 +1,6 @@
 using System.ComponentModel.DataAnnotations;
 using ModelComparisonStudio.Core.Entities;
+using ModelComparisonStudio.Core.ValueObjects;
 
 namespace ModelComparisonStudio.Models
 {
@@ -20,6 +21,21 @@ namespace ModelComparisonStudio.Models
         [Required]
         public string Prompt { get; set; } = string.Empty;
 
+        /// <summary>
+        /// The system prompt sent ahead of the conversation (optional)
+        /// </summary>
+        public string? SystemPrompt { get; set; }
+
+        /// <summary>
+        /// The conversation this comparison is a turn of
+        /// </summary>
+        public string ConversationId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The position of this comparison in its conversation, starting at 1
+        /// </summary>
+        public int TurnNumber { get; set; } = 1;
+
         /// <summary>
         /// List of results from all models
         /// </summary>
@@ -47,6 +63,11 @@ namespace ModelComparisonStudio.Models
         /// </summary>
         public int FailedModels => Results.Count(r => r.Status == "Error");
 
+        /// <summary>
+        /// Number of model requests cancelled by the user
+        /// </summary>
+        public int CancelledModels => Results.Count(r => r.Status == "Cancelled");
+
         /// <summary>
         /// Average response time across all models (in milliseconds)
         /// </summary>
@@ -58,6 +79,11 @@ namespace ModelComparisonStudio.Models
         /// Total tokens used across all models
         /// </summary>
         public int TotalTokens => Results.Sum(r => r.TokenCount ?? 0);
+
+        /// <summary>
+        /// Total cost in USD of the models whose cost is known
+        /// </summary>
+        public decimal TotalCost => Results.Sum(r => r.Cost ?? 0);
     }
 
     /// <summary>
@@ -83,11 +109,31 @@ namespace ModelComparisonStudio.Models
         [Required]
         public long ResponseTimeMs { get; set; }
 
+        /// <summary>
+        /// Time until the first token arrived in milliseconds (only set for streamed responses)
+        /// </summary>
+        public long? TimeToFirstTokenMs { get; set; }
+
         /// <summary>
         /// Number of tokens used (optional, may be null if not available)
         /// </summary>
         public int? TokenCount { get; set; }
 
+        /// <summary>
+        /// Number of prompt tokens billed, when the provider reports it
+        /// </summary>
+        public int? PromptTokens { get; set; }
+
+        /// <summary>
+        /// Number of completion tokens billed, when the provider reports it
+        /// </summary>
+        public int? CompletionTokens { get; set; }
+
+        /// <summary>
+        /// Cost of the call in USD from the token usage and the model's pricing (null if either is unknown)
+        /// </summary>
+        public decimal? Cost { get; set; }
+
         /// <summary>
         /// Status of the model execution
         /// </summary>
@@ -100,8 +146,18 @@ namespace ModelComparisonStudio.Models
         public string ErrorMessage { get; set; } = string.Empty;
 
         /// <summary>
-        /// Provider name (NanoGPT or OpenRouter)
+        /// Name of the provider that served the response; with provider fallback, the one that served the last attempt
         /// </summary>
         public string Provider { get; set; } = string.Empty;
+
+        /// <summary>
+        /// How many attempts the model took; more than 1 when it was retried on a fallback provider
+        /// </summary>
+        public int Attempts { get; set; } = 1;
+
+        /// <summary>
+        /// The generation parameters the model was called with, including defaults that were filled in
+        /// </summary>
+        public GenerationParameters? Parameters { get; set; }
     }
 }
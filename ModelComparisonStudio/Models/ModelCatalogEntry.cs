@@ -0,0 +1,86 @@
+namespace ModelComparisonStudio.Models
+{
+    /// <summary>
+    /// A model offered by a provider, with the details shown in the model selection panel
+    /// </summary>
+    public class ModelCatalogEntry
+    {
+        /// <summary>
+        /// The model ID sent to the provider
+        /// </summary>
+        public string Id { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The provider serving the model
+        /// </summary>
+        public string Provider { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Human-readable model name; the ID when no name is known
+        /// </summary>
+        public string DisplayName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Maximum number of tokens the model accepts, if known
+        /// </summary>
+        public int? ContextWindow { get; set; }
+
+        /// <summary>
+        /// Price in USD per million prompt tokens, if known
+        /// </summary>
+        public decimal? InputPricePerMillion { get; set; }
+
+        /// <summary>
+        /// Price in USD per million completion tokens, if known
+        /// </summary>
+        public decimal? OutputPricePerMillion { get; set; }
+
+        /// <summary>
+        /// Input and output modalities, e.g. "text+image->text", if known
+        /// </summary>
+        public string? Modality { get; set; }
+
+        /// <summary>
+        /// Capability tags such as tools, vision and json (see <see cref="ModelCapabilities"/>)
+        /// </summary>
+        public List<string> Capabilities { get; set; } = new();
+
+        /// <summary>
+        /// Calculates the cost of a call from its token usage
+        /// </summary>
+        /// <param name="promptTokens">Number of prompt tokens billed</param>
+        /// <param name="completionTokens">Number of completion tokens billed</param>
+        /// <returns>The cost in USD, or null if the usage or the model's pricing is unknown</returns>
+        public decimal? CalculateCost(int? promptTokens, int? completionTokens)
+        {
+            if (promptTokens == null || completionTokens == null ||
+                InputPricePerMillion == null || OutputPricePerMillion == null)
+            {
+                return null;
+            }
+
+            return (promptTokens.Value * InputPricePerMillion.Value + completionTokens.Value * OutputPricePerMillion.Value) / 1_000_000m;
+        }
+    }
+
+    /// <summary>
+    /// Capability tags used in the model catalog
+    /// </summary>
+    public static class ModelCapabilities
+    {
+        /// <summary>
+        /// Supports tool (function) calling
+        /// </summary>
+        public const string Tools = "tools";
+
+        /// <summary>
+        /// Accepts images as input
+        /// </summary>
+        public const string Vision = "vision";
+
+        /// <summary>
+        /// Supports JSON mode or structured outputs
+        /// </summary>
+        public const string JsonMode = "json";
+    }
+}
@@ -0,0 +1,90 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ModelComparisonStudio.Models
+{
+    /// <summary>
+    /// The latest health check of a model selection
+    /// </summary>
+    public class ModelHealthResult
+    {
+        /// <summary>
+        /// The model selection that was checked, e.g. "model" or "model@OpenRouter"
+        /// </summary>
+        public string ModelId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The provider the check was sent to
+        /// </summary>
+        public string Provider { get; set; } = string.Empty;
+
+        /// <summary>
+        /// available, degraded or unavailable (see <see cref="ModelHealthStatuses"/>)
+        /// </summary>
+        public string Status { get; set; } = ModelHealthStatuses.Unavailable;
+
+        /// <summary>
+        /// Time to the response headers in this check; null when the model did not respond
+        /// </summary>
+        public long? LatencyMs { get; set; }
+
+        /// <summary>
+        /// Latency of the most recent check the model answered successfully, kept across failed checks
+        /// </summary>
+        public long? LastSeenLatencyMs { get; set; }
+
+        /// <summary>
+        /// When the model last answered a check successfully
+        /// </summary>
+        public DateTime? LastSeenAt { get; set; }
+
+        /// <summary>
+        /// When this check ran
+        /// </summary>
+        public DateTime CheckedAt { get; set; }
+
+        /// <summary>
+        /// Why the model is degraded or unavailable; empty when it is available
+        /// </summary>
+        public string Message { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Health states of a model
+    /// </summary>
+    public static class ModelHealthStatuses
+    {
+        /// <summary>
+        /// Answered promptly
+        /// </summary>
+        public const string Available = "available";
+
+        /// <summary>
+        /// Answered slowly, or is being rate limited
+        /// </summary>
+        public const string Degraded = "degraded";
+
+        /// <summary>
+        /// Returned an error or did not answer in time
+        /// </summary>
+        public const string Unavailable = "unavailable";
+    }
+
+    /// <summary>
+    /// Request to check the health of model selections
+    /// </summary>
+    public class ModelHealthCheckRequest
+    {
+        /// <summary>
+        /// The model selections to check
+        /// </summary>
+        [Required(ErrorMessage = "Model IDs are required")]
+        [MinLength(1, ErrorMessage = "At least one model ID is required")]
+        [MaxLength(100, ErrorMessage = "No more than 100 models can be checked at once")]
+        public List<string> ModelIds { get; set; } = new();
+
+        /// <summary>
+        /// Check again even when a recent result is cached
+        /// </summary>
+        public bool Force { get; set; }
+    }
+}
@@ -0,0 +1,59 @@
+namespace ModelComparisonStudio.Models
+{
+    /// <summary>
+    /// The outcome of checking a typed-in model ID against the providers' model catalogs
+    /// </summary>
+    public class ModelIdValidationResult
+    {
+        /// <summary>
+        /// The model selection as it was given, e.g. "model" or "model@OpenRouter"
+        /// </summary>
+        public string ModelId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Whether the model can be added: it was found, or no catalog could be loaded to check it
+        /// </summary>
+        public bool IsValid { get; set; }
+
+        /// <summary>
+        /// Whether the model was found in a provider catalog or in configuration, rather than accepted unchecked
+        /// </summary>
+        public bool IsVerified { get; set; }
+
+        /// <summary>
+        /// The model ID as the provider lists it, e.g. with its canonical casing or vendor prefix
+        /// </summary>
+        public string? ResolvedModelId { get; set; }
+
+        /// <summary>
+        /// The provider the model was found at
+        /// </summary>
+        public string? ResolvedProvider { get; set; }
+
+        /// <summary>
+        /// A short explanation to show to the user
+        /// </summary>
+        public string Message { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Similar model IDs when the model was not found, closest first
+        /// </summary>
+        public List<ModelIdSuggestion> Suggestions { get; set; } = new();
+    }
+
+    /// <summary>
+    /// A "did you mean" suggestion for a model ID that was not found
+    /// </summary>
+    public class ModelIdSuggestion
+    {
+        /// <summary>
+        /// The suggested model ID
+        /// </summary>
+        public string ModelId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// The provider that lists it
+        /// </summary>
+        public string Provider { get; set; } = string.Empty;
+    }
+}
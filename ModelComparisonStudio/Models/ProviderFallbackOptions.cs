@@ -0,0 +1,27 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace ModelComparisonStudio.Models
+{
+    /// <summary>
+    /// Opt-in policy for retrying a failed model on the other of NanoGPT and OpenRouter
+    /// </summary>
+    public class ProviderFallbackOptions
+    {
+        /// <summary>
+        /// Retry failed models on the other provider
+        /// </summary>
+        public bool Enabled { get; set; }
+
+        /// <summary>
+        /// How many times a failed model is retried, alternating between the two providers; defaults to Execution:ProviderFallback:Retries
+        /// </summary>
+        [Range(1, 5, ErrorMessage = "Fallback retries must be from 1 to 5")]
+        public int? Retries { get; set; }
+
+        /// <summary>
+        /// Wait before the first retry in milliseconds, doubled before each further retry; defaults to Execution:ProviderFallback:Backoff
+        /// </summary>
+        [Range(0, 60000, ErrorMessage = "Fallback backoff must be from 0 to 60000 milliseconds")]
+        public int? BackoffMs { get; set; }
+    }
+}
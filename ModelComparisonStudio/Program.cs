@@ -49,6 +49,9 @@ builder.Services.AddCors(options =>
     });
 });
 
+// Register the providers from configuration: NanoGPT, OpenRouter and any OpenAI-compatible endpoints
+builder.Services.AddSingleton<ProviderRegistry>();
+
 // Register AIService with HttpClient configured with longer timeout
 builder.Services.AddHttpClient<AIService>(client =>
 {
@@ -58,6 +61,18 @@ builder.Services.AddHttpClient<AIService>(client =>
 });
 builder.Services.AddScoped<AIService>();
 
+// Register the model catalog; provider metadata is cached in memory between requests
+builder.Services.AddMemoryCache();
+builder.Services.AddHttpClient<ModelCatalogService>(client =>
+{
+    client.Timeout = TimeSpan.FromSeconds(15);
+    client.DefaultRequestHeaders.Accept.Add(new System.Net.Http.Headers.MediaTypeWithQualityHeaderValue("application/json"));
+});
+
+// Register model health checks; results are kept in memory between requests
+builder.Services.AddSingleton<ModelHealthCache>();
+builder.Services.AddScoped<ModelHealthService>();
+
 // Configure API settings using IOptions pattern - bind the entire configuration to ApiConfiguration
 builder.Services.Configure<ApiConfiguration>(builder.Configuration);
 
@@ -69,6 +84,30 @@ builder.Services.AddDbContext<ApplicationDbContext>(options =>
 builder.Services.AddScoped<IEvaluationRepository, SqliteEvaluationRepository>();
 builder.Services.AddScoped<EvaluationApplicationService>();
 
+// Register comparison history services
+builder.Services.AddScoped<IModelRepository, SqliteComparisonRepository>();
+builder.Services.AddScoped<ComparisonHistoryService>();
+
+// Register named model set services
+builder.Services.AddScoped<IModelSetRepository, SqliteModelSetRepository>();
+builder.Services.AddScoped<ModelSetService>();
+
+// Register scoring rubric services
+builder.Services.AddScoped<IRubricRepository, SqliteRubricRepository>();
+builder.Services.AddScoped<RubricService>();
+
+// Register rater profile services
+builder.Services.AddScoped<IRaterRepository, SqliteRaterRepository>();
+builder.Services.AddScoped<RaterService>();
+
+// Register prompt record services
+builder.Services.AddScoped<IPromptRecordRepository, SqlitePromptRecordRepository>();
+builder.Services.AddScoped<PromptService>();
+
+// Register pairwise preference voting services
+builder.Services.AddScoped<IPreferenceVoteRepository, SqlitePreferenceVoteRepository>();
+builder.Services.AddScoped<PreferenceService>();
+
 // Register prompt template services
 builder.Services.AddScoped<IPromptTemplateRepository, SqlitePromptTemplateRepository>();
 builder.Services.AddScoped<DatabaseInitializer>();
@@ -79,6 +118,9 @@ builder.Services.AddScoped<TemplateStatisticsService>();
 // Register performance monitoring services
 builder.Services.AddSingleton<ModelComparisonStudio.Infrastructure.Services.QueryPerformanceMonitor>();
 
+// Register the comparison cancellation registry (shared across requests so a run can be cancelled from another request)
+builder.Services.AddSingleton<ComparisonCancellationRegistry>();
+
 // Register AIService with performance monitoring
 builder.Services.AddScoped<AIService>();
 
@@ -119,9 +161,19 @@ using (var scope = app.Services.CreateScope())
         await dbContext.Database.EnsureCreatedAsync(); // Creates the database if it doesn't exist
         dbLogger.LogInformation("Database initialized successfully");
 
+        // EnsureCreated leaves existing databases untouched, so add tables and columns introduced since
+        await SqliteSchemaUpdater.UpdateSchemaAsync(dbContext, dbLogger);
+        dbLogger.LogInformation("Database schema is up to date");
+
+        // Move ratings off the prompt IDs the browser used to hash itself, splitting collided ones
+        await PromptIdMigration.MigrateLegacyPromptIdsAsync(dbContext, dbLogger);
+
         // Initialize prompt template system with default categories
         await databaseInitializer.InitializeDatabaseAsync();
         dbLogger.LogInformation("Prompt template system initialized successfully");
+
+        // Offer a default rubric until one has been defined
+        await scope.ServiceProvider.GetRequiredService<RubricService>().EnsureDefaultRubricAsync();
     }
     catch (Exception ex)
     {
@@ -2,6 +2,8 @@ using System.Diagnostics;
 using System.Net.Http.Headers;
 using System.Text;
 using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading.Channels;
 using Microsoft.Extensions.Options;
 using ModelComparisonStudio.Configuration;
 using ModelComparisonStudio.Core.Entities;
@@ -19,17 +21,26 @@ namespace ModelComparisonStudio.Services
     public class AIService
     {
         private readonly ApiConfiguration _apiConfiguration;
+        private readonly ProviderRegistry _providerRegistry;
         private readonly HttpClient _httpClient;
         private readonly ILogger<AIService> _logger;
         private readonly QueryPerformanceMonitor _performanceMonitor;
 
+        // Unset generation parameters (stop sequences, seed) are left out of provider requests entirely
+        private static readonly JsonSerializerOptions ProviderRequestSerializerOptions = new()
+        {
+            DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+        };
+
         public AIService(
             IOptions<ApiConfiguration> apiConfiguration,
+            ProviderRegistry providerRegistry,
             HttpClient httpClient,
             ILogger<AIService> logger,
             QueryPerformanceMonitor performanceMonitor)
         {
             _apiConfiguration = apiConfiguration.Value;
+            _providerRegistry = providerRegistry;
             _httpClient = httpClient;
             _logger = logger;
             _performanceMonitor = performanceMonitor;
@@ -66,12 +77,18 @@ namespace ModelComparisonStudio.Services
         /// <param name="prompt">The prompt to send to the model</param>
         /// <param name="modelId">The model ID to use (e.g., "openai/gpt-4o-mini")</param>
         /// <param name="timeout">Request timeout duration</param>
+        /// <param name="parameters">Generation parameters; unset values use the defaults</param>
+        /// <param name="messages">Full chat messages to send instead of the prompt alone (system prompt, history, prompt)</param>
+        /// <param name="providerName">Provider to send the request to instead of the one the model resolves to</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>Analysis result with response and metadata</returns>
         public async Task<AnalysisResult> AnalyzeCodeAsync(
             string prompt,
             string modelId,
             TimeSpan timeout,
+            GenerationParameters? parameters = null,
+            IReadOnlyList<ConversationMessage>? messages = null,
+            string? providerName = null,
             CancellationToken cancellationToken = default)
         {
             var stopwatch = Stopwatch.StartNew();
@@ -88,35 +105,34 @@ namespace ModelComparisonStudio.Services
                     _apiConfiguration.OpenRouter?.ApiKey ?? "NULL");
 
                 // Determine which provider to use based on the model ID
-                var (provider, apiKey, baseUrl) = GetProviderInfo(modelId);
+                var (provider, apiKey, baseUrl, requiresApiKey) = GetProviderInfo(modelId, providerName);
                 _logger.LogInformation("Provider info result - Provider: {Provider}, API Key length: {ApiKeyLength}, Base URL: {BaseUrl}",
                     provider, apiKey?.Length ?? 0, baseUrl);
 
-                if (string.IsNullOrEmpty(apiKey))
+                if (requiresApiKey && string.IsNullOrEmpty(apiKey))
                 {
                     throw new InvalidOperationException($"API key not configured for {provider}");
                 }
 
                 // Prepare the request using the exact NanoGPT API format that works
                 var promptLength = prompt.Length;
-                var maxTokens = Math.Min(4000, Math.Max(1000, promptLength / 2)); // Dynamic calculation
-                if (promptLength > 2000) maxTokens = 4000; // For very large prompts, use max tokens
+                var effectiveParameters = ResolveEffectiveParameters(parameters, promptLength);
+                var maxTokens = effectiveParameters.MaxTokens;
 
                 // Use the exact format from the working curl command
-                // Map the model ID to the correct NanoGPT API model name
-                string nanoGptModelName = MapModelIdToNanoGptName(modelId);
+                // Map the model ID to the name the chosen provider expects
+                string providerModelName = GetProviderModelName(modelId, provider);
 
                 var request = new
                 {
-                    model = nanoGptModelName, // Use the mapped model name
-                    messages = new[]
-                    {
-                        new { role = "user", content = prompt }
-                    },
+                    model = providerModelName, // Use the mapped model name
+                    messages = BuildRequestMessages(prompt, messages),
                     stream = false,
-                    temperature = 0.7,
+                    temperature = effectiveParameters.Temperature,
                     max_tokens = maxTokens,
-                    top_p = 1,
+                    top_p = effectiveParameters.TopP,
+                    stop = effectiveParameters.StopSequences,
+                    seed = effectiveParameters.Seed,
                     frequency_penalty = 0,
                     presence_penalty = 0,
                     cache_control = new
@@ -129,7 +145,7 @@ namespace ModelComparisonStudio.Services
                 _logger.LogInformation("Request details - Prompt length: {PromptLength} characters, Model: {ModelId}, Max tokens: {MaxTokens}",
                     promptLength, modelId, maxTokens);
 
-                var jsonRequest = JsonSerializer.Serialize(request);
+                var jsonRequest = JsonSerializer.Serialize(request, ProviderRequestSerializerOptions);
                 _logger.LogInformation("Request JSON: {RequestJson}", jsonRequest);
                 var content = new StringContent(jsonRequest, Encoding.UTF8, MimeTypes.ApplicationJson);
 
@@ -138,7 +154,10 @@ namespace ModelComparisonStudio.Services
                 try
                 {
                     _httpClient.DefaultRequestHeaders.Clear();
-                    _httpClient.DefaultRequestHeaders.Authorization = new AuthenticationHeaderValue("Bearer", apiKey);
+                    if (!string.IsNullOrEmpty(apiKey))
+                    {
+                        _httpClient.DefaultRequestHeaders.Authorization = new AuthenticationHeaderValue("Bearer", apiKey);
+                    }
 
                     // Add provider-specific headers
                     if (provider == AIProviderNames.OpenRouter)
@@ -347,12 +366,17 @@ namespace ModelComparisonStudio.Services
                         firstChoice.Message?.Role ?? "NULL",
                         firstChoice.Message?.Content?.Length ?? 0);
 
+                    // A missing usage block deserializes as zeros; treat it as unknown rather than free
+                    var usage = deserializedResponse?.Usage is { TotalTokens: > 0 } reportedUsage ? reportedUsage : null;
+
                     var analysisResult = new AnalysisResult
                     {
                         ModelId = modelId,
                         Response = firstChoice.Message?.Content ?? string.Empty,
                         ResponseTimeMs = apiResponseTime,
                         TokenCount = deserializedResponse?.Usage?.TotalTokens,
+                        PromptTokens = usage?.PromptTokens,
+                        CompletionTokens = usage?.CompletionTokens,
                         Status = ModelResultStatus.Success.ToString()
                     };
 
@@ -381,18 +405,18 @@ namespace ModelComparisonStudio.Services
                         ErrorMessage = $"Request timeout after {stopwatch.ElapsedMilliseconds}ms. The prompt may be too long or the model may be overloaded."
                     };
                 }
-                catch (TaskCanceledException tex) when (cancellationToken.IsCancellationRequested)
+                catch (OperationCanceledException oex) when (cancellationToken.IsCancellationRequested)
                 {
                     stopwatch.Stop();
-                    _logger.LogWarning(tex, "Request cancelled for model {ModelId} after {ResponseTime}ms",
+                    _logger.LogWarning(oex, "Request cancelled for model {ModelId} after {ResponseTime}ms",
                         modelId, stopwatch.ElapsedMilliseconds);
 
                     return new AnalysisResult
                     {
                         ModelId = modelId,
-                        Response = "Error: Request was cancelled.",
+                        Response = "Request was cancelled.",
                         ResponseTimeMs = stopwatch.ElapsedMilliseconds,
-                        Status = ModelResultStatus.Error.ToString(),
+                        Status = ModelResultStatus.Cancelled.ToString(),
                         ErrorMessage = "Request was cancelled by user."
                     };
                 }
@@ -452,12 +476,20 @@ namespace ModelComparisonStudio.Services
         /// <param name="prompt">The prompt to send to all models</param>
         /// <param name="modelIds">List of model IDs to compare</param>
         /// <param name="timeout">Request timeout duration</param>
+        /// <param name="parametersByModel">Optional generation parameters per model ID</param>
+        /// <param name="messagesByModel">Optional chat messages per model ID, for system prompts and follow-ups</param>
+        /// <param name="fallbackPolicy">Optional policy for retrying failed models on another provider</param>
+        /// <param name="cancellationScope">Optional scope supplying per-model cancellation tokens</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>List of results from all models</returns>
         public async Task<List<ModelResult>> ExecuteSequentialComparison(
             string prompt,
             List<string> modelIds,
             TimeSpan timeout,
+            IReadOnlyDictionary<string, GenerationParameters>? parametersByModel = null,
+            IReadOnlyDictionary<string, IReadOnlyList<ConversationMessage>>? messagesByModel = null,
+            ProviderFallbackPolicy? fallbackPolicy = null,
+            ComparisonCancellationScope? cancellationScope = null,
             CancellationToken cancellationToken = default)
         {
             var results = new List<ModelResult>();
@@ -465,10 +497,16 @@ namespace ModelComparisonStudio.Services
 
             foreach (var modelId in modelIds)
             {
-                if (cancellationToken.IsCancellationRequested)
+                var modelCancellationToken = cancellationScope?.GetModelToken(modelId) ?? cancellationToken;
+                var parameters = ResolveEffectiveParameters(parametersByModel?.GetValueOrDefault(modelId), prompt.Length);
+
+                if (modelCancellationToken.IsCancellationRequested)
                 {
-                    _logger.LogInformation("Sequential comparison cancelled");
-                    break;
+                    _logger.LogInformation("Skipping cancelled model {ModelId} in sequential comparison", modelId);
+                    var cancelledResult = CreateCancelledModelResult(modelId);
+                    cancelledResult.Parameters = parameters;
+                    results.Add(cancelledResult);
+                    continue;
                 }
 
                 try
@@ -476,7 +514,8 @@ namespace ModelComparisonStudio.Services
                     _logger.LogInformation("Processing model {ModelIndex}/{ModelCount}: {ModelId}",
                         results.Count + 1, modelIds.Count, modelId);
 
-                    var analysisResult = await AnalyzeCodeAsync(prompt, modelId, timeout, cancellationToken);
+                    var analysisResult = await AnalyzeWithFallbackAsync(
+                        prompt, modelId, timeout, parameters, messagesByModel?.GetValueOrDefault(modelId), fallbackPolicy, modelCancellationToken);
 
                     var modelResult = new ModelResult
                     {
@@ -484,8 +523,13 @@ namespace ModelComparisonStudio.Services
                         Response = analysisResult.Response,
                         ResponseTimeMs = analysisResult.ResponseTimeMs,
                         TokenCount = analysisResult.TokenCount,
+                        PromptTokens = analysisResult.PromptTokens,
+                        CompletionTokens = analysisResult.CompletionTokens,
                         Status = analysisResult.Status,
-                        ErrorMessage = analysisResult.ErrorMessage
+                        ErrorMessage = analysisResult.ErrorMessage,
+                        Provider = analysisResult.Provider,
+                        Attempts = analysisResult.Attempts,
+                        Parameters = parameters
                     };
 
                     results.Add(modelResult);
@@ -503,7 +547,8 @@ namespace ModelComparisonStudio.Services
                         Response = $"Unexpected error: {ex.Message}",
                         ResponseTimeMs = 0,
                         Status = ModelResultStatus.Error.ToString(),
-                        ErrorMessage = ex.Message
+                        ErrorMessage = ex.Message,
+                        Parameters = parameters
                     });
                 }
             }
@@ -521,6 +566,10 @@ namespace ModelComparisonStudio.Services
         /// <param name="modelIds">List of model IDs to compare</param>
         /// <param name="maxConcurrency">Maximum number of concurrent requests (default: 2)</param>
         /// <param name="timeout">Request timeout duration</param>
+        /// <param name="parametersByModel">Optional generation parameters per model ID</param>
+        /// <param name="messagesByModel">Optional chat messages per model ID, for system prompts and follow-ups</param>
+        /// <param name="fallbackPolicy">Optional policy for retrying failed models on another provider</param>
+        /// <param name="cancellationScope">Optional scope supplying per-model cancellation tokens</param>
         /// <param name="cancellationToken">Cancellation token</param>
         /// <returns>List of results from all models</returns>
         public async Task<List<ModelResult>> ExecuteParallelComparison(
@@ -528,6 +577,10 @@ namespace ModelComparisonStudio.Services
             List<string> modelIds,
             int maxConcurrency = 2,
             TimeSpan timeout = default,
+            IReadOnlyDictionary<string, GenerationParameters>? parametersByModel = null,
+            IReadOnlyDictionary<string, IReadOnlyList<ConversationMessage>>? messagesByModel = null,
+            ProviderFallbackPolicy? fallbackPolicy = null,
+            ComparisonCancellationScope? cancellationScope = null,
             CancellationToken cancellationToken = default)
         {
             var results = new List<ModelResult>();
@@ -539,18 +592,27 @@ namespace ModelComparisonStudio.Services
             // Create tasks for all models
             var tasks = modelIds.Select(async modelId =>
             {
-                if (cancellationToken.IsCancellationRequested)
+                var modelCancellationToken = cancellationScope?.GetModelToken(modelId) ?? cancellationToken;
+                var parameters = ResolveEffectiveParameters(parametersByModel?.GetValueOrDefault(modelId), prompt.Length);
+
+                try
                 {
-                    return CreateErrorModelResult(modelId, "Request was cancelled");
+                    await semaphore.WaitAsync(modelCancellationToken);
+                }
+                catch (OperationCanceledException)
+                {
+                    var cancelledResult = CreateCancelledModelResult(modelId);
+                    cancelledResult.Parameters = parameters;
+                    return cancelledResult;
                 }
 
-                await semaphore.WaitAsync(cancellationToken);
                 try
                 {
                     _logger.LogInformation("Processing model {ModelIndex}/{ModelCount}: {ModelId}",
                         results.Count + 1, modelIds.Count, modelId);
 
-                    var analysisResult = await AnalyzeCodeAsync(prompt, modelId, timeout, cancellationToken);
+                    var analysisResult = await AnalyzeWithFallbackAsync(
+                        prompt, modelId, timeout, parameters, messagesByModel?.GetValueOrDefault(modelId), fallbackPolicy, modelCancellationToken);
 
                     var modelResult = new ModelResult
                     {
@@ -558,8 +620,13 @@ namespace ModelComparisonStudio.Services
                         Response = analysisResult.Response,
                         ResponseTimeMs = analysisResult.ResponseTimeMs,
                         TokenCount = analysisResult.TokenCount,
+                        PromptTokens = analysisResult.PromptTokens,
+                        CompletionTokens = analysisResult.CompletionTokens,
                         Status = analysisResult.Status,
-                        ErrorMessage = analysisResult.ErrorMessage
+                        ErrorMessage = analysisResult.ErrorMessage,
+                        Provider = analysisResult.Provider,
+                        Attempts = analysisResult.Attempts,
+                        Parameters = parameters
                     };
 
                     _logger.LogInformation("Completed model {ModelId} with status {Status} in {ResponseTime}ms",
@@ -570,7 +637,9 @@ namespace ModelComparisonStudio.Services
                 catch (Exception ex)
                 {
                     _logger.LogError(ex, "Error processing model {ModelId}", modelId);
-                    return CreateErrorModelResult(modelId, ex.Message);
+                    var errorResult = CreateErrorModelResult(modelId, ex.Message);
+                    errorResult.Parameters = parameters;
+                    return errorResult;
                 }
                 finally
                 {
@@ -610,6 +679,475 @@ namespace ModelComparisonStudio.Services
             return results;
         }
 
+        /// <summary>
+        /// Executes a streaming comparison, publishing token events for every model as they arrive
+        /// </summary>
+        /// <param name="prompt">The prompt to send to all models</param>
+        /// <param name="modelIds">List of model IDs to compare</param>
+        /// <param name="maxConcurrency">Maximum number of models streaming at the same time</param>
+        /// <param name="timeout">Request timeout duration per model</param>
+        /// <param name="parametersByModel">Optional generation parameters per model ID</param>
+        /// <param name="messagesByModel">Optional chat messages per model ID, for system prompts and follow-ups</param>
+        /// <param name="fallbackPolicy">Optional policy for retrying failed models on another provider</param>
+        /// <param name="writer">Channel writer that receives the stream events; completed when all models finish</param>
+        /// <param name="cancellationScope">Optional scope supplying per-model cancellation tokens</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>List of final results from all models</returns>
+        public async Task<List<ModelResult>> ExecuteStreamingComparison(
+            string prompt,
+            List<string> modelIds,
+            int maxConcurrency,
+            TimeSpan timeout,
+            IReadOnlyDictionary<string, GenerationParameters>? parametersByModel,
+            IReadOnlyDictionary<string, IReadOnlyList<ConversationMessage>>? messagesByModel,
+            ProviderFallbackPolicy? fallbackPolicy,
+            ChannelWriter<ComparisonStreamEvent> writer,
+            ComparisonCancellationScope? cancellationScope = null,
+            CancellationToken cancellationToken = default)
+        {
+            using var semaphore = new SemaphoreSlim(Math.Max(1, maxConcurrency));
+
+            _logger.LogInformation("Starting streaming comparison for {ModelCount} models with max concurrency {MaxConcurrency}",
+                modelIds.Count, maxConcurrency);
+
+            try
+            {
+                var tasks = modelIds.Select(async modelId =>
+                {
+                    var modelCancellationToken = cancellationScope?.GetModelToken(modelId) ?? cancellationToken;
+                    var parameters = ResolveEffectiveParameters(parametersByModel?.GetValueOrDefault(modelId), prompt.Length);
+
+                    try
+                    {
+                        await semaphore.WaitAsync(modelCancellationToken);
+                    }
+                    catch (OperationCanceledException)
+                    {
+                        var cancelledResult = CreateCancelledModelResult(modelId);
+                        cancelledResult.Parameters = parameters;
+                        await writer.WriteAsync(ComparisonStreamEvent.ModelCompleted(cancelledResult), cancellationToken);
+                        return cancelledResult;
+                    }
+
+                    try
+                    {
+                        var modelResult = await StreamWithFallbackAsync(
+                            prompt, modelId, timeout, writer, parameters, messagesByModel?.GetValueOrDefault(modelId), fallbackPolicy, modelCancellationToken);
+                        modelResult.Parameters = parameters;
+                        await writer.WriteAsync(ComparisonStreamEvent.ModelCompleted(modelResult), cancellationToken);
+                        return modelResult;
+                    }
+                    finally
+                    {
+                        semaphore.Release();
+                    }
+                });
+
+                var results = (await Task.WhenAll(tasks)).ToList();
+
+                _logger.LogInformation("Streaming comparison completed. Processed {ProcessedCount}/{TotalCount} models",
+                    results.Count, modelIds.Count);
+
+                return results;
+            }
+            finally
+            {
+                writer.TryComplete();
+            }
+        }
+
+        /// <summary>
+        /// Streams a single model response, writing each content delta to the channel as soon as it is received
+        /// </summary>
+        /// <param name="prompt">The prompt to send to the model</param>
+        /// <param name="modelId">The model ID to use</param>
+        /// <param name="timeout">Request timeout duration</param>
+        /// <param name="writer">Channel writer that receives the stream events</param>
+        /// <param name="parameters">Generation parameters; unset values use the defaults</param>
+        /// <param name="messages">Full chat messages to send instead of the prompt alone (system prompt, history, prompt)</param>
+        /// <param name="providerName">Provider to send the request to instead of the one the model resolves to</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>The final result with the full response, timing and token usage</returns>
+        public async Task<ModelResult> StreamModelResponseAsync(
+            string prompt,
+            string modelId,
+            TimeSpan timeout,
+            ChannelWriter<ComparisonStreamEvent> writer,
+            GenerationParameters? parameters = null,
+            IReadOnlyList<ConversationMessage>? messages = null,
+            string? providerName = null,
+            CancellationToken cancellationToken = default)
+        {
+            var stopwatch = Stopwatch.StartNew();
+            var responseBuilder = new StringBuilder();
+            long? timeToFirstTokenMs = null;
+            Usage? reportedUsage = null;
+            var streamedChunkCount = 0;
+
+            try
+            {
+                var (provider, apiKey, baseUrl, requiresApiKey) = GetProviderInfo(modelId, providerName);
+
+                if (requiresApiKey && string.IsNullOrEmpty(apiKey))
+                {
+                    throw new InvalidOperationException($"API key not configured for {provider}");
+                }
+
+                var effectiveParameters = ResolveEffectiveParameters(parameters, prompt.Length);
+                var requestBody = new
+                {
+                    model = GetProviderModelName(modelId, provider),
+                    messages = BuildRequestMessages(prompt, messages),
+                    stream = true,
+                    stream_options = new
+                    {
+                        include_usage = true
+                    },
+                    temperature = effectiveParameters.Temperature,
+                    max_tokens = effectiveParameters.MaxTokens,
+                    top_p = effectiveParameters.TopP,
+                    stop = effectiveParameters.StopSequences,
+                    seed = effectiveParameters.Seed
+                };
+
+                // Headers are set per request rather than on the shared client so parallel streams don't interfere
+                using var request = new HttpRequestMessage(HttpMethod.Post, $"{baseUrl}/chat/completions")
+                {
+                    Content = new StringContent(JsonSerializer.Serialize(requestBody, ProviderRequestSerializerOptions), Encoding.UTF8, MimeTypes.ApplicationJson)
+                };
+                if (!string.IsNullOrEmpty(apiKey))
+                {
+                    request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", apiKey);
+                }
+                request.Headers.Accept.Add(new MediaTypeWithQualityHeaderValue(MimeTypes.TextEventStream));
+
+                if (provider == AIProviderNames.OpenRouter)
+                {
+                    request.Headers.Add("HTTP-Referer", "https://modelcomparisonstudio.com");
+                    request.Headers.Add("X-Title", "Model Comparison Studio");
+                }
+
+                using var timeoutCts = new CancellationTokenSource(timeout);
+                using var combinedCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, timeoutCts.Token);
+                var requestCancellationToken = combinedCts.Token;
+
+                _logger.LogInformation("Opening stream to {BaseUrl}/chat/completions for model {ModelId}", baseUrl, modelId);
+                await writer.WriteAsync(ComparisonStreamEvent.ModelStarted(modelId, provider), cancellationToken);
+
+                using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, requestCancellationToken);
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    var errorContent = await response.Content.ReadAsStringAsync(requestCancellationToken);
+                    _logger.LogError("Streaming request for model {ModelId} failed with {StatusCode} {ReasonPhrase}: {ErrorContent}",
+                        modelId, (int)response.StatusCode, response.ReasonPhrase, errorContent);
+
+                    return new ModelResult
+                    {
+                        ModelId = modelId,
+                        Response = $"Error: {response.StatusCode} - {response.ReasonPhrase}",
+                        ResponseTimeMs = stopwatch.ElapsedMilliseconds,
+                        Status = ModelResultStatus.Error.ToString(),
+                        ErrorMessage = errorContent
+                    };
+                }
+
+                await using var responseStream = await response.Content.ReadAsStreamAsync(requestCancellationToken);
+                using var reader = new StreamReader(responseStream, Encoding.UTF8);
+
+                string? line;
+                while ((line = await reader.ReadLineAsync(requestCancellationToken)) != null)
+                {
+                    // Skip blank event separators and ": keep-alive" comments sent by OpenRouter
+                    if (!line.StartsWith("data:", StringComparison.Ordinal))
+                    {
+                        continue;
+                    }
+
+                    var payload = line["data:".Length..].Trim();
+                    if (payload == "[DONE]")
+                    {
+                        break;
+                    }
+
+                    if (!TryParseStreamChunk(payload, out var delta, out var chunkUsage))
+                    {
+                        _logger.LogWarning("Skipping unparseable stream chunk for model {ModelId}: {Payload}", modelId, payload);
+                        continue;
+                    }
+
+                    reportedUsage = chunkUsage ?? reportedUsage;
+
+                    if (string.IsNullOrEmpty(delta))
+                    {
+                        continue;
+                    }
+
+                    timeToFirstTokenMs ??= stopwatch.ElapsedMilliseconds;
+                    streamedChunkCount++;
+                    responseBuilder.Append(delta);
+
+                    await writer.WriteAsync(
+                        ComparisonStreamEvent.Token(modelId, delta, streamedChunkCount, stopwatch.ElapsedMilliseconds),
+                        cancellationToken);
+                }
+
+                stopwatch.Stop();
+                _logger.LogInformation("Stream for model {ModelId} finished in {ResponseTime}ms (first token after {TimeToFirstToken}ms, {ChunkCount} chunks)",
+                    modelId, stopwatch.ElapsedMilliseconds, timeToFirstTokenMs, streamedChunkCount);
+
+                return new ModelResult
+                {
+                    ModelId = modelId,
+                    Response = responseBuilder.ToString(),
+                    ResponseTimeMs = stopwatch.ElapsedMilliseconds,
+                    TimeToFirstTokenMs = timeToFirstTokenMs,
+                    TokenCount = reportedUsage?.TotalTokens,
+                    PromptTokens = reportedUsage?.PromptTokens,
+                    CompletionTokens = reportedUsage?.CompletionTokens,
+                    Status = ModelResultStatus.Success.ToString()
+                };
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                stopwatch.Stop();
+                _logger.LogWarning("Stream cancelled for model {ModelId} after {ResponseTime}ms", modelId, stopwatch.ElapsedMilliseconds);
+
+                // Keep whatever was streamed before the cancel so the partial answer stays visible
+                return new ModelResult
+                {
+                    ModelId = modelId,
+                    Response = responseBuilder.ToString(),
+                    ResponseTimeMs = stopwatch.ElapsedMilliseconds,
+                    TimeToFirstTokenMs = timeToFirstTokenMs,
+                    TokenCount = reportedUsage?.TotalTokens,
+                    PromptTokens = reportedUsage?.PromptTokens,
+                    CompletionTokens = reportedUsage?.CompletionTokens,
+                    Status = ModelResultStatus.Cancelled.ToString(),
+                    ErrorMessage = "Request was cancelled by user."
+                };
+            }
+            catch (OperationCanceledException)
+            {
+                stopwatch.Stop();
+                _logger.LogError("Stream timeout for model {ModelId} after {ResponseTime}ms", modelId, stopwatch.ElapsedMilliseconds);
+
+                return new ModelResult
+                {
+                    ModelId = modelId,
+                    Response = "Error: Request timeout - the model took too long to respond. Try a shorter prompt.",
+                    ResponseTimeMs = stopwatch.ElapsedMilliseconds,
+                    TimeToFirstTokenMs = timeToFirstTokenMs,
+                    Status = ModelResultStatus.Error.ToString(),
+                    ErrorMessage = $"Request timeout after {stopwatch.ElapsedMilliseconds}ms."
+                };
+            }
+            catch (Exception ex)
+            {
+                stopwatch.Stop();
+                _logger.LogError(ex, "Error streaming response from model {ModelId}. Error: {ErrorMessage}", modelId, ex.Message);
+
+                return new ModelResult
+                {
+                    ModelId = modelId,
+                    Response = $"Error: {ex.Message}",
+                    ResponseTimeMs = stopwatch.ElapsedMilliseconds,
+                    TimeToFirstTokenMs = timeToFirstTokenMs,
+                    Status = ModelResultStatus.Error.ToString(),
+                    ErrorMessage = ex.Message
+                };
+            }
+            finally
+            {
+                _performanceMonitor.RecordQueryExecution($"AI-{modelId}", stopwatch.ElapsedMilliseconds);
+            }
+        }
+
+        /// <summary>
+        /// Runs a model without streaming, retrying it on the fallback provider while it fails if a policy is given
+        /// </summary>
+        /// <returns>The result of the last attempt, with the provider that served it and the number of attempts</returns>
+        private async Task<AnalysisResult> AnalyzeWithFallbackAsync(
+            string prompt,
+            string modelId,
+            TimeSpan timeout,
+            GenerationParameters? parameters,
+            IReadOnlyList<ConversationMessage>? messages,
+            ProviderFallbackPolicy? fallbackPolicy,
+            CancellationToken cancellationToken)
+        {
+            var providers = GetAttemptProviders(modelId, fallbackPolicy);
+            AnalysisResult result = null!;
+
+            for (var attempt = 1; attempt <= providers.Count; attempt++)
+            {
+                if (attempt > 1 && !await WaitBeforeFallbackAsync(
+                        modelId, result.Provider, result.ErrorMessage, providers[attempt - 1], attempt, providers.Count, fallbackPolicy!, cancellationToken))
+                {
+                    result.Status = ModelResultStatus.Cancelled.ToString();
+                    break;
+                }
+
+                result = await AnalyzeCodeAsync(prompt, modelId, timeout, parameters, messages, providers[attempt - 1], cancellationToken);
+                result.Provider = providers[attempt - 1];
+                result.Attempts = attempt;
+
+                if (result.Status != ModelResultStatus.Error.ToString())
+                {
+                    break;
+                }
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Streams a model, retrying it on the fallback provider while it fails if a policy is given. Each retry
+        /// is announced with a "model-retry" event so the client can discard the failed attempt's output
+        /// </summary>
+        /// <returns>The result of the last attempt, with the provider that served it and the number of attempts</returns>
+        private async Task<ModelResult> StreamWithFallbackAsync(
+            string prompt,
+            string modelId,
+            TimeSpan timeout,
+            ChannelWriter<ComparisonStreamEvent> writer,
+            GenerationParameters? parameters,
+            IReadOnlyList<ConversationMessage>? messages,
+            ProviderFallbackPolicy? fallbackPolicy,
+            CancellationToken cancellationToken)
+        {
+            var providers = GetAttemptProviders(modelId, fallbackPolicy);
+            ModelResult result = null!;
+
+            for (var attempt = 1; attempt <= providers.Count; attempt++)
+            {
+                if (attempt > 1)
+                {
+                    // The channel is unbounded so the write never waits; a cancel is picked up by the backoff wait
+                    var delay = fallbackPolicy!.GetDelay(attempt - 1);
+                    await writer.WriteAsync(
+                        ComparisonStreamEvent.ModelRetrying(modelId, providers[attempt - 1], attempt, providers.Count, (long)delay.TotalMilliseconds, result.ErrorMessage),
+                        CancellationToken.None);
+
+                    if (!await WaitBeforeFallbackAsync(
+                            modelId, result.Provider, result.ErrorMessage, providers[attempt - 1], attempt, providers.Count, fallbackPolicy!, cancellationToken))
+                    {
+                        result.Status = ModelResultStatus.Cancelled.ToString();
+                        break;
+                    }
+                }
+
+                result = await StreamModelResponseAsync(prompt, modelId, timeout, writer, parameters, messages, providers[attempt - 1], cancellationToken);
+                result.Provider = providers[attempt - 1];
+                result.Attempts = attempt;
+
+                if (result.Status != ModelResultStatus.Error.ToString())
+                {
+                    break;
+                }
+            }
+
+            return result;
+        }
+
+        /// <summary>
+        /// Logs a failed attempt and waits the policy's backoff before the next one
+        /// </summary>
+        /// <returns>False if the model was cancelled while waiting</returns>
+        private async Task<bool> WaitBeforeFallbackAsync(
+            string modelId,
+            string failedProvider,
+            string errorMessage,
+            string nextProvider,
+            int attempt,
+            int maxAttempts,
+            ProviderFallbackPolicy fallbackPolicy,
+            CancellationToken cancellationToken)
+        {
+            var delay = fallbackPolicy.GetDelay(attempt - 1);
+            _logger.LogWarning("Model {ModelId} failed on {Provider}: {ErrorMessage}. Retrying on {NextProvider} in {DelayMs}ms (attempt {Attempt}/{MaxAttempts})",
+                modelId, failedProvider, errorMessage, nextProvider, delay.TotalMilliseconds, attempt, maxAttempts);
+
+            try
+            {
+                await Task.Delay(delay, cancellationToken);
+                return true;
+            }
+            catch (OperationCanceledException)
+            {
+                _logger.LogInformation("Model {ModelId} was cancelled before retrying on {NextProvider}", modelId, nextProvider);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Lists the provider of each attempt at a model: the provider it resolves to, then, with a fallback
+        /// policy, one provider per retry as the policy schedules them. A selection pinned to a known provider
+        /// is retried there only
+        /// </summary>
+        /// <param name="modelId">The model selection, as "modelId" or "modelId@Provider"</param>
+        /// <param name="fallbackPolicy">The fallback policy, or null to make a single attempt</param>
+        /// <returns>The providers in attempt order</returns>
+        public IReadOnlyList<string> GetAttemptProviders(string modelId, ProviderFallbackPolicy? fallbackPolicy)
+        {
+            var primary = ResolveProvider(modelId);
+            if (fallbackPolicy == null)
+            {
+                return new List<string> { primary };
+            }
+
+            var pinned = _providerRegistry.Find(ModelSelection.Parse(modelId).Provider) != null;
+            return fallbackPolicy.GetAttemptProviders(primary, GetFallbackProvider(primary), pinned);
+        }
+
+        /// <summary>
+        /// Parses a single server-sent chunk from an OpenAI-compatible streaming response
+        /// </summary>
+        /// <param name="payload">The JSON payload following the "data:" prefix</param>
+        /// <param name="delta">The content delta, empty when the chunk carries none</param>
+        /// <param name="usage">Token usage when the provider reports it on this chunk</param>
+        /// <returns>True if the payload was valid JSON</returns>
+        private static bool TryParseStreamChunk(string payload, out string delta, out Usage? usage)
+        {
+            delta = string.Empty;
+            usage = null;
+
+            try
+            {
+                using var document = JsonDocument.Parse(payload);
+                var root = document.RootElement;
+
+                if (root.TryGetProperty("choices", out var choices) &&
+                    choices.ValueKind == JsonValueKind.Array &&
+                    choices.GetArrayLength() > 0 &&
+                    choices[0].TryGetProperty("delta", out var deltaElement) &&
+                    deltaElement.TryGetProperty("content", out var content) &&
+                    content.ValueKind == JsonValueKind.String)
+                {
+                    delta = content.GetString() ?? string.Empty;
+                }
+
+                if (root.TryGetProperty("usage", out var usageElement) &&
+                    usageElement.ValueKind == JsonValueKind.Object &&
+                    usageElement.TryGetProperty("total_tokens", out var total) &&
+                    total.TryGetInt32(out var totalValue))
+                {
+                    usage = new Usage
+                    {
+                        PromptTokens = usageElement.TryGetProperty("prompt_tokens", out var promptTokens) && promptTokens.TryGetInt32(out var promptValue) ? promptValue : 0,
+                        CompletionTokens = usageElement.TryGetProperty("completion_tokens", out var completionTokens) && completionTokens.TryGetInt32(out var completionValue) ? completionValue : 0,
+                        TotalTokens = totalValue
+                    };
+                }
+
+                return true;
+            }
+            catch (JsonException)
+            {
+                return false;
+            }
+        }
+
         /// <summary>
         /// Executes an HTTP request with retry logic and exponential backoff
         /// </summary>
@@ -678,6 +1216,48 @@ namespace ModelComparisonStudio.Services
             throw new InvalidOperationException($"All retry attempts failed for model {modelId}");
         }
 
+        /// <summary>
+        /// Calculates the max_tokens value for a request based on the prompt length
+        /// </summary>
+        private static int CalculateMaxTokens(int promptLength)
+        {
+            var maxTokens = Math.Min(4000, Math.Max(1000, promptLength / 2)); // Dynamic calculation
+            if (promptLength > 2000) maxTokens = 4000; // For very large prompts, use max tokens
+            return maxTokens;
+        }
+
+        /// <summary>
+        /// Converts chat messages to the provider request format, falling back to a single user message with the prompt
+        /// </summary>
+        private static object[] BuildRequestMessages(string prompt, IReadOnlyList<ConversationMessage>? messages)
+        {
+            if (messages == null || messages.Count == 0)
+            {
+                return new object[] { new { role = ConversationMessage.UserRole, content = prompt } };
+            }
+
+            return messages
+                .Select(message => (object)new { role = message.Role, content = message.Content })
+                .ToArray();
+        }
+
+        /// <summary>
+        /// Fills in the defaults for any generation parameter that was not set, so the exact values sent can be stored
+        /// </summary>
+        private static GenerationParameters ResolveEffectiveParameters(GenerationParameters? parameters, int promptLength)
+        {
+            return new GenerationParameters
+            {
+                Temperature = parameters?.Temperature ?? 0.7,
+                TopP = parameters?.TopP ?? 1,
+                MaxTokens = parameters?.MaxTokens ?? CalculateMaxTokens(promptLength),
+                StopSequences = parameters?.StopSequences is { Count: > 0 } stopSequences
+                    ? new List<string>(stopSequences)
+                    : null,
+                Seed = parameters?.Seed
+            };
+        }
+
         private ModelResult CreateErrorModelResult(string modelId, string errorMessage)
         {
             return new ModelResult
@@ -690,50 +1270,135 @@ namespace ModelComparisonStudio.Services
             };
         }
 
-        private (string provider, string apiKey, string baseUrl) GetProviderInfo(string modelId)
+        private static ModelResult CreateCancelledModelResult(string modelId)
         {
-            _logger.LogInformation("=== GetProviderInfo Debug Start ===");
-            _logger.LogInformation("GetProviderInfo called for model: {ModelId}", modelId);
+            return new ModelResult
+            {
+                ModelId = modelId,
+                Response = string.Empty,
+                ResponseTimeMs = 0,
+                Status = ModelResultStatus.Cancelled.ToString(),
+                ErrorMessage = "Request was cancelled by user."
+            };
+        }
 
-            var nanoGptModels = _apiConfiguration.NanoGPT?.AvailableModels ?? Array.Empty<string>();
-            var openRouterModels = _apiConfiguration.OpenRouter?.AvailableModels ?? Array.Empty<string>();
+        /// <summary>
+        /// Sends a one-token request to see whether a model answers, and how quickly. Unlike comparison
+        /// requests it is not retried, so a failure shows the model's state rather than being smoothed over
+        /// </summary>
+        /// <param name="modelId">The model ID, optionally pinned to a provider as "modelId@Provider"</param>
+        /// <param name="timeout">How long to wait for the response headers</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>The provider's status code and latency, or why no response was received</returns>
+        public async Task<ModelPingResult> PingModelAsync(string modelId, TimeSpan timeout, CancellationToken cancellationToken = default)
+        {
+            var (provider, apiKey, baseUrl, requiresApiKey) = GetProviderInfo(modelId);
+            var result = new ModelPingResult { ModelId = modelId, Provider = provider };
 
-            _logger.LogInformation("NanoGPT available models ({Count}): {Models}", nanoGptModels.Length, string.Join(", ", nanoGptModels));
-            _logger.LogInformation("OpenRouter available models ({Count}): {Models}", openRouterModels.Length, string.Join(", ", openRouterModels));
+            if (requiresApiKey && string.IsNullOrEmpty(apiKey))
+            {
+                result.ErrorMessage = $"API key not configured for {provider}";
+                return result;
+            }
 
-            // First check if model is in NanoGPT's available models (case-insensitive)
-            // This takes priority over any suffix patterns
-            bool isInNanoGPT = nanoGptModels.Any(m => string.Equals(m, modelId, StringComparison.OrdinalIgnoreCase));
-            _logger.LogInformation("Model {ModelId} in NanoGPT models: {IsInNanoGPT}", modelId, isInNanoGPT);
+            var requestBody = new
+            {
+                model = GetProviderModelName(modelId, provider),
+                messages = new[] { new { role = "user", content = "ping" } },
+                stream = false,
+                max_tokens = 1
+            };
 
-            if (isInNanoGPT)
+            using var request = new HttpRequestMessage(HttpMethod.Post, $"{baseUrl}/chat/completions")
+            {
+                Content = new StringContent(JsonSerializer.Serialize(requestBody, ProviderRequestSerializerOptions), Encoding.UTF8, MimeTypes.ApplicationJson)
+            };
+            if (!string.IsNullOrEmpty(apiKey))
             {
-                _logger.LogInformation("Model {ModelId} assigned to NanoGPT provider", modelId);
-                return (AIProviderNames.NanoGPT, _apiConfiguration.NanoGPT?.ApiKey ?? string.Empty, _apiConfiguration.NanoGPT?.BaseUrl ?? string.Empty);
+                request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", apiKey);
             }
 
-            // Determine provider based on model ID patterns
-            // Models with ":free" suffix are typically OpenRouter models
-            if (modelId.Contains(":free"))
+            // Same headers as AnalyzeCodeAsync: NanoGPT wants an event-stream accept header
+            request.Headers.Accept.Add(new MediaTypeWithQualityHeaderValue(provider == AIProviderNames.NanoGPT ? MimeTypes.TextEventStream : MimeTypes.ApplicationJson));
+            if (provider == AIProviderNames.OpenRouter)
             {
-                _logger.LogInformation("Model {ModelId} assigned to OpenRouter provider (free model)", modelId);
-                return (AIProviderNames.OpenRouter, _apiConfiguration.OpenRouter?.ApiKey ?? string.Empty, _apiConfiguration.OpenRouter?.BaseUrl ?? string.Empty);
+                request.Headers.Add("HTTP-Referer", "https://modelcomparisonstudio.com");
+                request.Headers.Add("X-Title", "Model Comparison Studio");
             }
 
-            // Check if model is in OpenRouter's available models (case-insensitive)
-            bool isInOpenRouter = openRouterModels.Any(m => string.Equals(m, modelId, StringComparison.OrdinalIgnoreCase));
-            _logger.LogInformation("Model {ModelId} in OpenRouter models: {IsInOpenRouter}", modelId, isInOpenRouter);
+            using var timeoutCts = new CancellationTokenSource(timeout);
+            using var combinedCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, timeoutCts.Token);
+            var stopwatch = Stopwatch.StartNew();
 
-            if (isInOpenRouter)
+            try
+            {
+                using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, combinedCts.Token);
+                result.LatencyMs = stopwatch.ElapsedMilliseconds;
+                result.StatusCode = (int)response.StatusCode;
+
+                if (!response.IsSuccessStatusCode)
+                {
+                    var body = await response.Content.ReadAsStringAsync(combinedCts.Token);
+                    result.ErrorMessage = $"{(int)response.StatusCode} {response.ReasonPhrase}: {(body.Length > 200 ? body[..200] + "..." : body)}";
+                }
+            }
+            catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
             {
-                _logger.LogInformation("Model {ModelId} assigned to OpenRouter provider", modelId);
-                return (AIProviderNames.OpenRouter, _apiConfiguration.OpenRouter?.ApiKey ?? string.Empty, _apiConfiguration.OpenRouter?.BaseUrl ?? string.Empty);
+                result.ErrorMessage = $"No response within {timeout.TotalSeconds:0} seconds";
             }
+            catch (HttpRequestException ex)
+            {
+                result.ErrorMessage = ex.Message;
+            }
+
+            _logger.LogInformation("Pinged model {ModelId} at {Provider}: status {StatusCode}, {LatencyMs}ms",
+                modelId, provider, result.StatusCode, result.LatencyMs);
 
-            // If model is not found in either provider, log warning and default to OpenRouter
-            _logger.LogWarning("Model {ModelId} not found in configured providers, defaulting to OpenRouter", modelId);
-            _logger.LogInformation("=== GetProviderInfo Debug End ===");
-            return (AIProviderNames.OpenRouter, _apiConfiguration.OpenRouter?.ApiKey ?? string.Empty, _apiConfiguration.OpenRouter?.BaseUrl ?? string.Empty);
+            return result;
+        }
+
+        /// <summary>
+        /// Gets the name of the provider that serves a model selection
+        /// </summary>
+        /// <param name="modelId">The model ID, optionally pinned to a provider as "modelId@Provider"</param>
+        /// <returns>The provider name</returns>
+        public string ResolveProvider(string modelId)
+        {
+            return GetProviderInfo(modelId).provider;
+        }
+
+        /// <summary>
+        /// Gets the provider a model failing at the given provider is retried on when fallback is enabled:
+        /// NanoGPT and OpenRouter stand in for each other, other providers have no fallback
+        /// </summary>
+        /// <param name="provider">The provider the model failed at</param>
+        /// <returns>The fallback provider name, or null if the provider has none</returns>
+        public string? GetFallbackProvider(string provider)
+        {
+            return _providerRegistry.Find(provider)?.Kind switch
+            {
+                ProviderKind.NanoGPT => AIProviderNames.OpenRouter,
+                ProviderKind.OpenRouter => AIProviderNames.NanoGPT,
+                _ => null
+            };
+        }
+
+        private (string provider, string apiKey, string baseUrl, bool requiresApiKey) GetProviderInfo(string modelId, string? providerName = null)
+        {
+            // Pinned selections, configured model lists and the OpenRouter default are handled by the registry
+            var provider = _providerRegistry.Find(providerName) ?? _providerRegistry.Resolve(modelId);
+            return (provider.Name, provider.ApiKey, provider.BaseUrl, provider.RequiresApiKey);
+        }
+
+        /// <summary>
+        /// Gets the model name to send to a provider: NanoGPT needs its own names, other providers take the model ID as-is
+        /// </summary>
+        private string GetProviderModelName(string modelId, string provider)
+        {
+            var bareModelId = ModelSelection.Parse(modelId).ModelId;
+            return provider == AIProviderNames.NanoGPT
+                ? MapModelIdToNanoGptName(bareModelId)
+                : bareModelId;
         }
 
         /// <summary>
@@ -758,6 +1423,19 @@ namespace ModelComparisonStudio.Services
         }
     }
 
+    /// <summary>
+    /// Result of a one-token request sent to check a model
+    /// </summary>
+    public class ModelPingResult
+    {
+        public string ModelId { get; set; } = string.Empty;
+        public string Provider { get; set; } = string.Empty;
+        public int? StatusCode { get; set; }    // null when no response was received
+        public long? LatencyMs { get; set; }    // time to the response headers
+        public string ErrorMessage { get; set; } = string.Empty;
+        public bool IsSuccess => StatusCode is >= 200 and < 300;
+    }
+
     /// <summary>
     /// Result from a single model analysis
     /// </summary>
@@ -767,8 +1445,12 @@ namespace ModelComparisonStudio.Services
         public string Response { get; set; } = string.Empty;
         public long ResponseTimeMs { get; set; }
         public int? TokenCount { get; set; }
+        public int? PromptTokens { get; set; }
+        public int? CompletionTokens { get; set; }
         public string Status { get; set; } = ModelResultStatus.Success.ToString();
         public string ErrorMessage { get; set; } = string.Empty;
+        public string Provider { get; set; } = string.Empty;
+        public int Attempts { get; set; } = 1;
     }
 
     /// <summary>
@@ -779,9 +1461,15 @@ namespace ModelComparisonStudio.Services
         public string ModelId { get; set; } = string.Empty;
         public string Response { get; set; } = string.Empty;
         public long ResponseTimeMs { get; set; }
+        public long? TimeToFirstTokenMs { get; set; }
         public int? TokenCount { get; set; }
+        public int? PromptTokens { get; set; }
+        public int? CompletionTokens { get; set; }
         public string Status { get; set; } = ModelResultStatus.Success.ToString();
         public string ErrorMessage { get; set; } = string.Empty;
+        public string Provider { get; set; } = string.Empty;   // the provider that served the last attempt
+        public int Attempts { get; set; } = 1;                 // more than 1 when the model was retried on a fallback provider
+        public GenerationParameters? Parameters { get; set; }
     }
 
     /// <summary>
@@ -0,0 +1,162 @@
+using System.Collections.Concurrent;
+
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// Tracks in-flight comparisons so that a whole run, or a single model within it,
+    /// can be cancelled from a separate request
+    /// </summary>
+    public class ComparisonCancellationRegistry
+    {
+        private readonly ConcurrentDictionary<string, ComparisonCancellationScope> _activeComparisons = new();
+        private readonly ILogger<ComparisonCancellationRegistry> _logger;
+
+        public ComparisonCancellationRegistry(ILogger<ComparisonCancellationRegistry> logger)
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Registers a comparison for cancellation; the scope unregisters itself when disposed
+        /// </summary>
+        /// <param name="comparisonId">The comparison ID</param>
+        /// <param name="requestAborted">Token that fires when the originating request is aborted</param>
+        /// <returns>The cancellation scope, or null if a comparison with the same ID is already running</returns>
+        public ComparisonCancellationScope? Register(string comparisonId, CancellationToken requestAborted)
+        {
+            var scope = new ComparisonCancellationScope(comparisonId, requestAborted, this);
+
+            if (!_activeComparisons.TryAdd(comparisonId, scope))
+            {
+                scope.Dispose();
+                return null;
+            }
+
+            _logger.LogInformation("Registered comparison {ComparisonId} for cancellation", comparisonId);
+            return scope;
+        }
+
+        /// <summary>
+        /// Cancels every model in a running comparison
+        /// </summary>
+        /// <param name="comparisonId">The comparison ID</param>
+        /// <returns>True if the comparison was running</returns>
+        public bool TryCancelComparison(string comparisonId)
+        {
+            if (!_activeComparisons.TryGetValue(comparisonId, out var scope))
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Cancelling comparison {ComparisonId}", comparisonId);
+            return scope.CancelAll();
+        }
+
+        /// <summary>
+        /// Cancels a single model in a running comparison
+        /// </summary>
+        /// <param name="comparisonId">The comparison ID</param>
+        /// <param name="modelId">The model ID to cancel</param>
+        /// <returns>True if the comparison was running</returns>
+        public bool TryCancelModel(string comparisonId, string modelId)
+        {
+            if (!_activeComparisons.TryGetValue(comparisonId, out var scope))
+            {
+                return false;
+            }
+
+            _logger.LogInformation("Cancelling model {ModelId} in comparison {ComparisonId}", modelId, comparisonId);
+            return scope.CancelModel(modelId);
+        }
+
+        internal void Unregister(ComparisonCancellationScope scope)
+        {
+            // Only remove the entry if it belongs to this scope, so a rejected duplicate can't evict the running one
+            _activeComparisons.TryRemove(new KeyValuePair<string, ComparisonCancellationScope>(scope.ComparisonId, scope));
+        }
+    }
+
+    /// <summary>
+    /// Cancellation tokens for one comparison run and each of its models
+    /// </summary>
+    public sealed class ComparisonCancellationScope : IDisposable
+    {
+        private readonly CancellationTokenSource _runCts;
+        private readonly ConcurrentDictionary<string, CancellationTokenSource> _modelSources = new(StringComparer.OrdinalIgnoreCase);
+        private readonly ComparisonCancellationRegistry _registry;
+        private bool _disposed;
+
+        internal ComparisonCancellationScope(string comparisonId, CancellationToken requestAborted, ComparisonCancellationRegistry registry)
+        {
+            ComparisonId = comparisonId;
+            _runCts = CancellationTokenSource.CreateLinkedTokenSource(requestAborted);
+            _registry = registry;
+        }
+
+        public string ComparisonId { get; }
+
+        /// <summary>
+        /// Token that fires when the whole run is cancelled or the request is aborted
+        /// </summary>
+        public CancellationToken RunToken => _runCts.Token;
+
+        /// <summary>
+        /// Gets the token for a model, which fires when that model or the whole run is cancelled
+        /// </summary>
+        /// <param name="modelId">The model ID</param>
+        /// <returns>The model's cancellation token</returns>
+        public CancellationToken GetModelToken(string modelId)
+        {
+            return _modelSources
+                .GetOrAdd(modelId, _ => CancellationTokenSource.CreateLinkedTokenSource(_runCts.Token))
+                .Token;
+        }
+
+        internal bool CancelAll()
+        {
+            try
+            {
+                _runCts.Cancel();
+                return true;
+            }
+            catch (ObjectDisposedException)
+            {
+                // The comparison finished while the cancel request was in flight
+                return false;
+            }
+        }
+
+        internal bool CancelModel(string modelId)
+        {
+            try
+            {
+                // Create the source if the model has not started yet so it is skipped once it is reached
+                var modelCts = _modelSources.GetOrAdd(modelId, _ => CancellationTokenSource.CreateLinkedTokenSource(_runCts.Token));
+                modelCts.Cancel();
+                return true;
+            }
+            catch (ObjectDisposedException)
+            {
+                return false;
+            }
+        }
+
+        public void Dispose()
+        {
+            if (_disposed)
+            {
+                return;
+            }
+
+            _disposed = true;
+            _registry.Unregister(this);
+
+            foreach (var modelCts in _modelSources.Values)
+            {
+                modelCts.Dispose();
+            }
+
+            _runCts.Dispose();
+        }
+    }
+}
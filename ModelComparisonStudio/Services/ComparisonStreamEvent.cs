@@ -0,0 +1,88 @@
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// An incremental event produced while a comparison is streamed to the client
+    /// </summary>
+    public class ComparisonStreamEvent
+    {
+        public const string ModelStartType = "model-start";
+        public const string TokenType = "token";
+        public const string ModelCompleteType = "model-complete";
+        public const string ModelRetryType = "model-retry";
+
+        public string Type { get; set; } = string.Empty;
+        public string ModelId { get; set; } = string.Empty;
+        public string? Provider { get; set; }
+        public string? Content { get; set; }
+        public int ChunkCount { get; set; }
+        public long ElapsedMs { get; set; }
+        public ModelResult? Result { get; set; }
+
+        // Set on retry events only
+        public int Attempt { get; set; }
+        public int MaxAttempts { get; set; }
+        public long DelayMs { get; set; }
+        public string? ErrorMessage { get; set; }
+
+        /// <summary>
+        /// Creates an event signalling that a model request has been sent
+        /// </summary>
+        public static ComparisonStreamEvent ModelStarted(string modelId, string provider)
+        {
+            return new ComparisonStreamEvent
+            {
+                Type = ModelStartType,
+                ModelId = modelId,
+                Provider = provider
+            };
+        }
+
+        /// <summary>
+        /// Creates an event carrying a content delta from a model; chunkCount counts the deltas received so far,
+        /// which is not a token count since a provider may send several tokens in one delta
+        /// </summary>
+        public static ComparisonStreamEvent Token(string modelId, string content, int chunkCount, long elapsedMs)
+        {
+            return new ComparisonStreamEvent
+            {
+                Type = TokenType,
+                ModelId = modelId,
+                Content = content,
+                ChunkCount = chunkCount,
+                ElapsedMs = elapsedMs
+            };
+        }
+
+        /// <summary>
+        /// Creates an event signalling that a model failed and will be retried on another provider after a delay;
+        /// any content streamed by the failed attempt is discarded
+        /// </summary>
+        public static ComparisonStreamEvent ModelRetrying(string modelId, string provider, int attempt, int maxAttempts, long delayMs, string errorMessage)
+        {
+            return new ComparisonStreamEvent
+            {
+                Type = ModelRetryType,
+                ModelId = modelId,
+                Provider = provider,
+                Attempt = attempt,
+                MaxAttempts = maxAttempts,
+                DelayMs = delayMs,
+                ErrorMessage = errorMessage
+            };
+        }
+
+        /// <summary>
+        /// Creates an event carrying the final result of a model
+        /// </summary>
+        public static ComparisonStreamEvent ModelCompleted(ModelResult result)
+        {
+            return new ComparisonStreamEvent
+            {
+                Type = ModelCompleteType,
+                ModelId = result.ModelId,
+                ElapsedMs = result.ResponseTimeMs,
+                Result = result
+            };
+        }
+    }
+}
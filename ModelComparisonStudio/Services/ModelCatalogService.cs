@@ -0,0 +1,493 @@
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.Extensions.Caching.Memory;
+using ModelComparisonStudio.Configuration;
+using ModelComparisonStudio.Core.ValueObjects;
+using ModelComparisonStudio.Models;
+using static ModelComparisonStudio.Core.ValueObjects.AIProviderNames;
+
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// Builds the model catalog of each provider: the configured model IDs, plus the models an
+    /// OpenAI-compatible server lists when discovery is on, with their display name, context window,
+    /// pricing, modality and capabilities. Details come from the provider's public model list where it
+    /// has one (OpenRouter) and from ModelDetails in configuration, which wins
+    /// </summary>
+    public class ModelCatalogService
+    {
+        private const string OpenRouterMetadataCacheKey = "ModelCatalog:OpenRouter";
+        private const string ListedModelIdsCacheKeyFormat = "ModelCatalog:{0}:ModelIds";
+        private const int MaxSuggestions = 5;
+        private static readonly TimeSpan MetadataCacheDuration = TimeSpan.FromHours(1);
+        private static readonly TimeSpan FailedMetadataCacheDuration = TimeSpan.FromMinutes(5);
+        private static readonly string[] CapabilityOrder = { ModelCapabilities.Tools, ModelCapabilities.Vision, ModelCapabilities.JsonMode };
+
+        private readonly ProviderRegistry _providerRegistry;
+        private readonly HttpClient _httpClient;
+        private readonly IMemoryCache _cache;
+        private readonly ILogger<ModelCatalogService> _logger;
+
+        public ModelCatalogService(
+            ProviderRegistry providerRegistry,
+            HttpClient httpClient,
+            IMemoryCache cache,
+            ILogger<ModelCatalogService> logger)
+        {
+            _providerRegistry = providerRegistry;
+            _httpClient = httpClient;
+            _cache = cache;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Gets the catalog entries for the models of a provider
+        /// </summary>
+        /// <param name="provider">The provider name, as registered in the ProviderRegistry</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>One entry per configured model, in configuration order, then any discovered models</returns>
+        public async Task<IReadOnlyList<ModelCatalogEntry>> GetProviderCatalogAsync(string provider, CancellationToken cancellationToken = default)
+        {
+            var definition = GetProvider(provider);
+
+            var reportedMetadata = definition.Kind == ProviderKind.OpenRouter
+                ? await GetOpenRouterMetadataAsync(definition, cancellationToken)
+                : new Dictionary<string, ModelCatalogEntry>(StringComparer.OrdinalIgnoreCase);
+
+            var modelIds = definition.DiscoverModels
+                ? definition.AvailableModels.Concat(await GetListedModelIdsAsync(definition, cancellationToken))
+                : definition.AvailableModels;
+
+            return modelIds
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Select(modelId => BuildEntry(
+                    modelId,
+                    definition.Name,
+                    reportedMetadata.GetValueOrDefault(modelId),
+                    FindModelDetails(definition, modelId)))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Gets the catalog details of a single model, including models that are not in AvailableModels
+        /// (such as IDs typed in by hand) as long as the provider or configuration describes them
+        /// </summary>
+        /// <param name="provider">The provider name, as registered in the ProviderRegistry</param>
+        /// <param name="modelId">The model ID</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>The catalog entry; unknown details are left null</returns>
+        public async Task<ModelCatalogEntry> GetModelEntryAsync(string provider, string modelId, CancellationToken cancellationToken = default)
+        {
+            var definition = GetProvider(provider);
+
+            var reported = definition.Kind == ProviderKind.OpenRouter
+                ? (await GetOpenRouterMetadataAsync(definition, cancellationToken)).GetValueOrDefault(modelId)
+                : null;
+
+            return BuildEntry(modelId, definition.Name, reported, FindModelDetails(definition, modelId));
+        }
+
+        /// <summary>
+        /// Checks a typed-in model ID against the live model lists of the providers, plus the models in
+        /// configuration. Accepts different casing, variant suffixes such as ":free", and IDs with or without
+        /// a vendor prefix ("openai/gpt-4o" where the provider lists "gpt-4o", and the reverse)
+        /// </summary>
+        /// <param name="selection">The model ID, optionally pinned to a provider as "modelId@Provider"</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>Whether the model exists, the ID the provider knows it by, and similar IDs if it does not</returns>
+        public async Task<ModelIdValidationResult> ValidateModelIdAsync(string selection, CancellationToken cancellationToken = default)
+        {
+            var result = new ModelIdValidationResult { ModelId = selection };
+            var modelSelection = ModelSelection.Parse(selection);
+
+            try
+            {
+                ModelId.Create(modelSelection.ModelId);
+            }
+            catch (ArgumentException ex)
+            {
+                result.Message = ex.Message;
+                return result;
+            }
+
+            // Unpinned models are checked in the order the registry picks providers in
+            var providers = modelSelection.Provider == null
+                ? _providerRegistry.Providers
+                : _providerRegistry.Providers
+                    .Where(p => string.Equals(p.Name, modelSelection.Provider, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+
+            if (providers.Count == 0)
+            {
+                result.Message = $"Unknown provider '{modelSelection.Provider}'. Use {string.Join(", ", _providerRegistry.Providers.Select(p => p.Name))}.";
+                return result;
+            }
+
+            var catalogs = new List<(string Provider, IReadOnlyCollection<string> ModelIds, bool IsLive)>();
+            foreach (var provider in providers)
+            {
+                var (modelIds, isLive) = await GetKnownModelIdsAsync(provider, cancellationToken);
+                catalogs.Add((provider.Name, modelIds, isLive));
+
+                var resolved = ResolveModelId(modelSelection.ModelId, modelIds);
+                if (resolved != null)
+                {
+                    result.IsValid = true;
+                    result.IsVerified = true;
+                    result.ResolvedModelId = resolved;
+                    result.ResolvedProvider = provider.Name;
+                    result.Message = $"{resolved} is available from {provider.Name}";
+                    return result;
+                }
+            }
+
+            var providerNames = string.Join(" or ", providers.Select(p => p.Name));
+            var uncheckedProviders = catalogs.Where(catalog => !catalog.IsLive).Select(catalog => catalog.Provider).ToList();
+            if (uncheckedProviders.Count > 0)
+            {
+                // Without the live list a missing model may simply be one that isn't configured, so let it through
+                _logger.LogWarning("Could not verify model {ModelId}: the {Providers} model list is unavailable",
+                    modelSelection.ModelId, string.Join(", ", uncheckedProviders));
+
+                result.IsValid = true;
+                result.Message = $"The {string.Join(" and ", uncheckedProviders)} model list could not be loaded, so {modelSelection.ModelId} was not checked";
+                return result;
+            }
+
+            result.Message = $"{modelSelection.ModelId} was not found at {providerNames}";
+            result.Suggestions = catalogs
+                .SelectMany(catalog => catalog.ModelIds.Select(modelId => (catalog.Provider, ModelId: modelId)))
+                .Select(candidate => (candidate.Provider, candidate.ModelId, Distance: GetSuggestionDistance(modelSelection.ModelId, candidate.ModelId)))
+                .Where(candidate => candidate.Distance <= Math.Max(2, modelSelection.ModelId.Length / 3))
+                .OrderBy(candidate => candidate.Distance)
+                .ThenBy(candidate => candidate.ModelId, StringComparer.OrdinalIgnoreCase)
+                .Take(MaxSuggestions)
+                .Select(candidate => new ModelIdSuggestion { ModelId = candidate.ModelId, Provider = candidate.Provider })
+                .ToList();
+
+            return result;
+        }
+
+        /// <summary>
+        /// The model IDs a provider is known to serve: its live model list plus the configured models.
+        /// IsLive is false when the live list could not be loaded
+        /// </summary>
+        private async Task<(IReadOnlyCollection<string> ModelIds, bool IsLive)> GetKnownModelIdsAsync(ProviderDefinition provider, CancellationToken cancellationToken)
+        {
+            IReadOnlyCollection<string> live = provider.Kind switch
+            {
+                ProviderKind.OpenRouter => (await GetOpenRouterMetadataAsync(provider, cancellationToken)).Keys.ToList(),
+                ProviderKind.NanoGPT => await GetListedModelIdsAsync(provider, cancellationToken),
+                _ when provider.DiscoverModels => await GetListedModelIdsAsync(provider, cancellationToken),
+                _ => Array.Empty<string>()
+            };
+
+            var modelIds = live
+                .Concat(provider.AvailableModels)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            return (modelIds, live.Count > 0);
+        }
+
+        /// <summary>
+        /// Loads the model IDs a provider serves from its OpenAI-compatible model list. Failures are logged
+        /// and cached briefly, like the OpenRouter metadata
+        /// </summary>
+        private async Task<IReadOnlyCollection<string>> GetListedModelIdsAsync(ProviderDefinition provider, CancellationToken cancellationToken)
+        {
+            var cacheKey = string.Format(ListedModelIdsCacheKeyFormat, provider.Name);
+            if (_cache.TryGetValue(cacheKey, out IReadOnlyCollection<string>? cached) && cached != null)
+            {
+                return cached;
+            }
+
+            var modelIds = new List<string>();
+
+            try
+            {
+                using var request = new HttpRequestMessage(HttpMethod.Get, $"{provider.BaseUrl}/models");
+                if (!string.IsNullOrWhiteSpace(provider.ApiKey))
+                {
+                    request.Headers.Authorization = new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", provider.ApiKey);
+                }
+
+                using var response = await _httpClient.SendAsync(request, cancellationToken);
+                response.EnsureSuccessStatusCode();
+
+                await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+                using var document = await JsonDocument.ParseAsync(stream, cancellationToken: cancellationToken);
+
+                if (document.RootElement.TryGetProperty("data", out var models) && models.ValueKind == JsonValueKind.Array)
+                {
+                    modelIds.AddRange(models.EnumerateArray()
+                        .Select(model => GetString(model, "id"))
+                        .Where(id => !string.IsNullOrWhiteSpace(id))
+                        .Select(id => id!));
+                }
+
+                _logger.LogInformation("Loaded {ModelCount} {Provider} model IDs", modelIds.Count, provider.Name);
+                _cache.Set<IReadOnlyCollection<string>>(cacheKey, modelIds, MetadataCacheDuration);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or JsonException ||
+                                       (ex is TaskCanceledException && !cancellationToken.IsCancellationRequested))
+            {
+                _logger.LogWarning(ex, "Could not load the model list from {Provider}; its models are taken from configuration only", provider.Name);
+                _cache.Set<IReadOnlyCollection<string>>(cacheKey, modelIds, FailedMetadataCacheDuration);
+            }
+
+            return modelIds;
+        }
+
+        /// <summary>
+        /// Finds the ID a provider lists for a typed-in model ID, or null if it has no such model
+        /// </summary>
+        private static string? ResolveModelId(string modelId, IReadOnlyCollection<string> knownModelIds)
+        {
+            var exact = knownModelIds.FirstOrDefault(known => string.Equals(known, modelId, StringComparison.OrdinalIgnoreCase));
+            if (exact != null)
+            {
+                return exact;
+            }
+
+            // Variant suffixes such as ":free", ":nitro" or ":thinking" pick a routing variant of a listed model
+            var variantIndex = modelId.LastIndexOf(':');
+            if (variantIndex > 0)
+            {
+                var baseModelId = ResolveModelId(modelId[..variantIndex], knownModelIds);
+                if (baseModelId != null)
+                {
+                    return baseModelId + modelId[variantIndex..];
+                }
+            }
+
+            var slashIndex = modelId.IndexOf('/');
+            if (slashIndex > 0)
+            {
+                // "vendor/model" for a provider that lists the bare model ID
+                var bareModelId = modelId[(slashIndex + 1)..];
+                return knownModelIds.FirstOrDefault(known => string.Equals(known, bareModelId, StringComparison.OrdinalIgnoreCase));
+            }
+
+            // A bare model ID for a provider that lists it under a single vendor prefix
+            var qualified = knownModelIds
+                .Where(known => known.EndsWith($"/{modelId}", StringComparison.OrdinalIgnoreCase))
+                .ToList();
+            return qualified.Count == 1 ? qualified[0] : null;
+        }
+
+        /// <summary>
+        /// Edit distance between a typed-in ID and a known one, also comparing them without vendor prefixes
+        /// so a typo in the model name isn't outweighed by a missing or different vendor
+        /// </summary>
+        private static int GetSuggestionDistance(string modelId, string knownModelId)
+        {
+            static string WithoutVendor(string id) => id[(id.IndexOf('/') + 1)..];
+
+            var typed = modelId.ToLowerInvariant();
+            var known = knownModelId.ToLowerInvariant();
+            return Math.Min(
+                GetEditDistance(typed, known),
+                GetEditDistance(WithoutVendor(typed), WithoutVendor(known)));
+        }
+
+        private static int GetEditDistance(string source, string target)
+        {
+            var previous = new int[target.Length + 1];
+            var current = new int[target.Length + 1];
+            for (var j = 0; j <= target.Length; j++)
+            {
+                previous[j] = j;
+            }
+
+            for (var i = 1; i <= source.Length; i++)
+            {
+                current[0] = i;
+                for (var j = 1; j <= target.Length; j++)
+                {
+                    var substitution = source[i - 1] == target[j - 1] ? 0 : 1;
+                    current[j] = Math.Min(Math.Min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + substitution);
+                }
+
+                (previous, current) = (current, previous);
+            }
+
+            return previous[target.Length];
+        }
+
+        private ProviderDefinition GetProvider(string provider)
+        {
+            return _providerRegistry.Find(provider)
+                ?? throw new ArgumentException($"Unknown provider '{provider}'", nameof(provider));
+        }
+
+        private static ModelDetailsConfiguration? FindModelDetails(ProviderDefinition provider, string modelId)
+        {
+            return provider.ModelDetails.FirstOrDefault(details => string.Equals(details.Id, modelId, StringComparison.OrdinalIgnoreCase));
+        }
+
+        private static ModelCatalogEntry BuildEntry(
+            string modelId,
+            string provider,
+            ModelCatalogEntry? reported,
+            ModelDetailsConfiguration? configured)
+        {
+            var configuredName = configured?.DisplayName;
+
+            return new ModelCatalogEntry
+            {
+                Id = modelId,
+                Provider = provider,
+                DisplayName = string.IsNullOrWhiteSpace(configuredName)
+                    ? reported?.DisplayName ?? modelId
+                    : configuredName,
+                ContextWindow = configured?.ContextWindow ?? reported?.ContextWindow,
+                InputPricePerMillion = configured?.InputPricePerMillion ?? reported?.InputPricePerMillion,
+                OutputPricePerMillion = configured?.OutputPricePerMillion ?? reported?.OutputPricePerMillion,
+                Modality = configured?.Modality ?? reported?.Modality,
+                Capabilities = configured?.Capabilities != null
+                    ? OrderCapabilities(configured.Capabilities)
+                    : reported?.Capabilities ?? new List<string>()
+            };
+        }
+
+        /// <summary>
+        /// Loads OpenRouter's public model list, keyed by model ID. Failures are logged and cached
+        /// briefly so the catalog still loads, with configured details only, while OpenRouter is unreachable
+        /// </summary>
+        private async Task<IReadOnlyDictionary<string, ModelCatalogEntry>> GetOpenRouterMetadataAsync(ProviderDefinition openRouter, CancellationToken cancellationToken)
+        {
+            if (_cache.TryGetValue(OpenRouterMetadataCacheKey, out IReadOnlyDictionary<string, ModelCatalogEntry>? cached) && cached != null)
+            {
+                return cached;
+            }
+
+            var metadata = new Dictionary<string, ModelCatalogEntry>(StringComparer.OrdinalIgnoreCase);
+
+            try
+            {
+                using var response = await _httpClient.GetAsync($"{openRouter.BaseUrl}/models", cancellationToken);
+                response.EnsureSuccessStatusCode();
+
+                await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+                using var document = await JsonDocument.ParseAsync(stream, cancellationToken: cancellationToken);
+
+                if (document.RootElement.TryGetProperty("data", out var models) && models.ValueKind == JsonValueKind.Array)
+                {
+                    foreach (var model in models.EnumerateArray())
+                    {
+                        var entry = ParseOpenRouterModel(model);
+                        if (entry != null)
+                        {
+                            metadata[entry.Id] = entry;
+                        }
+                    }
+                }
+
+                _logger.LogInformation("Loaded metadata for {ModelCount} OpenRouter models", metadata.Count);
+                _cache.Set<IReadOnlyDictionary<string, ModelCatalogEntry>>(OpenRouterMetadataCacheKey, metadata, MetadataCacheDuration);
+            }
+            catch (Exception ex) when (ex is HttpRequestException or JsonException ||
+                                       (ex is TaskCanceledException && !cancellationToken.IsCancellationRequested))
+            {
+                _logger.LogWarning(ex, "Could not load model metadata from OpenRouter; the catalog shows configured details only");
+                _cache.Set<IReadOnlyDictionary<string, ModelCatalogEntry>>(OpenRouterMetadataCacheKey, metadata, FailedMetadataCacheDuration);
+            }
+
+            return metadata;
+        }
+
+        private static ModelCatalogEntry? ParseOpenRouterModel(JsonElement model)
+        {
+            var id = GetString(model, "id");
+            if (string.IsNullOrWhiteSpace(id))
+            {
+                return null;
+            }
+
+            var capabilities = new List<string>();
+            var supportedParameters = GetStrings(model, "supported_parameters");
+            if (supportedParameters.Contains("tools"))
+            {
+                capabilities.Add(ModelCapabilities.Tools);
+            }
+            if (supportedParameters.Contains("response_format") || supportedParameters.Contains("structured_outputs"))
+            {
+                capabilities.Add(ModelCapabilities.JsonMode);
+            }
+
+            string? modality = null;
+            if (model.TryGetProperty("architecture", out var architecture) && architecture.ValueKind == JsonValueKind.Object)
+            {
+                modality = GetString(architecture, "modality");
+                if (GetStrings(architecture, "input_modalities").Contains("image"))
+                {
+                    capabilities.Add(ModelCapabilities.Vision);
+                }
+            }
+
+            var hasPricing = model.TryGetProperty("pricing", out var pricing) && pricing.ValueKind == JsonValueKind.Object;
+
+            return new ModelCatalogEntry
+            {
+                Id = id,
+                Provider = OpenRouter,
+                DisplayName = GetString(model, "name") ?? id,
+                ContextWindow = model.TryGetProperty("context_length", out var contextLength) && contextLength.TryGetInt32(out var tokens)
+                    ? tokens
+                    : null,
+                InputPricePerMillion = hasPricing ? ParsePricePerMillion(GetString(pricing, "prompt")) : null,
+                OutputPricePerMillion = hasPricing ? ParsePricePerMillion(GetString(pricing, "completion")) : null,
+                Modality = modality,
+                Capabilities = OrderCapabilities(capabilities)
+            };
+        }
+
+        // OpenRouter prices are USD per token as strings; negative values mean the price varies by route
+        private static decimal? ParsePricePerMillion(string? pricePerToken)
+        {
+            if (!decimal.TryParse(pricePerToken, NumberStyles.Float, CultureInfo.InvariantCulture, out var price) || price < 0)
+            {
+                return null;
+            }
+
+            return price * 1_000_000m;
+        }
+
+        private static List<string> OrderCapabilities(IEnumerable<string> capabilities)
+        {
+            // Known tags first in a fixed order, then any others alphabetically
+            return capabilities
+                .Where(capability => !string.IsNullOrWhiteSpace(capability))
+                .Select(capability => capability.Trim().ToLowerInvariant())
+                .Distinct()
+                .OrderBy(capability => Array.IndexOf(CapabilityOrder, capability) switch
+                {
+                    -1 => CapabilityOrder.Length,
+                    var index => index
+                })
+                .ThenBy(capability => capability, StringComparer.Ordinal)
+                .ToList();
+        }
+
+        private static string? GetString(JsonElement element, string propertyName)
+        {
+            return element.TryGetProperty(propertyName, out var value) && value.ValueKind == JsonValueKind.String
+                ? value.GetString()
+                : null;
+        }
+
+        private static HashSet<string> GetStrings(JsonElement element, string propertyName)
+        {
+            if (!element.TryGetProperty(propertyName, out var values) || values.ValueKind != JsonValueKind.Array)
+            {
+                return new HashSet<string>();
+            }
+
+            return values.EnumerateArray()
+                .Where(value => value.ValueKind == JsonValueKind.String)
+                .Select(value => value.GetString()!)
+                .ToHashSet(StringComparer.OrdinalIgnoreCase);
+        }
+    }
+}
@@ -0,0 +1,159 @@
+using System.Collections.Concurrent;
+using Microsoft.Extensions.Options;
+using ModelComparisonStudio.Configuration;
+using ModelComparisonStudio.Models;
+
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// Checks whether models answer by sending each a one-token request, and classifies them as
+    /// available, degraded (slow or rate limited) or unavailable. Results are cached for
+    /// Execution.HealthCheckInterval so repeated checks don't spend tokens
+    /// </summary>
+    public class ModelHealthService
+    {
+        private static readonly TimeSpan PingTimeout = TimeSpan.FromSeconds(30);
+        private const long DegradedLatencyMs = 10_000;
+
+        private readonly AIService _aiService;
+        private readonly ModelHealthCache _cache;
+        private readonly ApiConfiguration _apiConfiguration;
+        private readonly ILogger<ModelHealthService> _logger;
+
+        public ModelHealthService(
+            AIService aiService,
+            ModelHealthCache cache,
+            IOptions<ApiConfiguration> apiConfiguration,
+            ILogger<ModelHealthService> logger)
+        {
+            _aiService = aiService;
+            _cache = cache;
+            _apiConfiguration = apiConfiguration.Value;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Checks model selections, reusing cached results that are recent enough unless forced
+        /// </summary>
+        /// <param name="modelIds">The model selections, written as "modelId" or "modelId@Provider"</param>
+        /// <param name="force">Check every model again, ignoring cached results</param>
+        /// <param name="cancellationToken">Cancellation token</param>
+        /// <returns>One result per distinct model selection</returns>
+        public async Task<IReadOnlyList<ModelHealthResult>> CheckAsync(
+            IEnumerable<string> modelIds,
+            bool force,
+            CancellationToken cancellationToken = default)
+        {
+            var selections = modelIds
+                .Where(modelId => !string.IsNullOrWhiteSpace(modelId))
+                .Select(modelId => modelId.Trim())
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            var maxAge = _apiConfiguration.Execution.HealthCheckInterval;
+            using var throttle = new SemaphoreSlim(Math.Max(1, _apiConfiguration.Execution.MaxConcurrentRequests));
+
+            var checks = selections.Select(async modelId =>
+            {
+                var cached = _cache.Get(modelId);
+                if (!force && cached != null && DateTime.UtcNow - cached.CheckedAt < maxAge)
+                {
+                    return cached;
+                }
+
+                await throttle.WaitAsync(cancellationToken);
+                try
+                {
+                    return await CheckModelAsync(modelId, cached, cancellationToken);
+                }
+                finally
+                {
+                    throttle.Release();
+                }
+            });
+
+            return await Task.WhenAll(checks);
+        }
+
+        private async Task<ModelHealthResult> CheckModelAsync(string modelId, ModelHealthResult? previous, CancellationToken cancellationToken)
+        {
+            var ping = await _aiService.PingModelAsync(modelId, PingTimeout, cancellationToken);
+            var (status, message) = Classify(ping);
+            var checkedAt = DateTime.UtcNow;
+
+            var result = new ModelHealthResult
+            {
+                ModelId = modelId,
+                Provider = ping.Provider,
+                Status = status,
+                LatencyMs = ping.LatencyMs,
+                LastSeenLatencyMs = ping.IsSuccess ? ping.LatencyMs : previous?.LastSeenLatencyMs,
+                LastSeenAt = ping.IsSuccess ? checkedAt : previous?.LastSeenAt,
+                CheckedAt = checkedAt,
+                Message = message
+            };
+
+            _cache.Set(result);
+
+            if (status != ModelHealthStatuses.Available)
+            {
+                _logger.LogWarning("Model {ModelId} at {Provider} is {Status}: {Message}", modelId, ping.Provider, status, message);
+            }
+
+            return result;
+        }
+
+        private static (string Status, string Message) Classify(ModelPingResult ping)
+        {
+            if (ping.IsSuccess)
+            {
+                return ping.LatencyMs > DegradedLatencyMs
+                    ? (ModelHealthStatuses.Degraded, $"Slow to respond ({ping.LatencyMs / 1000.0:0.#}s)")
+                    : (ModelHealthStatuses.Available, string.Empty);
+            }
+
+            // Rate limited models still answer, just not reliably
+            return ping.StatusCode == StatusCodes.Status429TooManyRequests
+                ? (ModelHealthStatuses.Degraded, $"Rate limited: {ping.ErrorMessage}")
+                : (ModelHealthStatuses.Unavailable, ping.ErrorMessage);
+        }
+    }
+
+    /// <summary>
+    /// The latest health check result of each model selection, shared between requests
+    /// </summary>
+    public class ModelHealthCache
+    {
+        private readonly ConcurrentDictionary<string, ModelHealthResult> _results = new(StringComparer.OrdinalIgnoreCase);
+
+        /// <summary>
+        /// Gets every cached result, ordered by model selection
+        /// </summary>
+        /// <returns>The cached results</returns>
+        public IReadOnlyList<ModelHealthResult> GetAll()
+        {
+            return _results.Values
+                .OrderBy(result => result.ModelId, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+
+        /// <summary>
+        /// Gets the cached result of a model selection
+        /// </summary>
+        /// <param name="modelId">The model selection</param>
+        /// <returns>The latest result, or null if the model has not been checked</returns>
+        public ModelHealthResult? Get(string modelId)
+        {
+            return _results.TryGetValue(modelId, out var result) ? result : null;
+        }
+
+        /// <summary>
+        /// Stores a check result, replacing the previous one for the same model selection
+        /// </summary>
+        /// <param name="result">The check result</param>
+        public void Set(ModelHealthResult result)
+        {
+            _results[result.ModelId] = result;
+        }
+    }
+}
@@ -0,0 +1,49 @@
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// How a comparison retries failed models on another provider: the first retry goes to the other
+    /// of NanoGPT and OpenRouter, further retries alternate between the two, and the wait before each
+    /// retry doubles. A selection pinned to a provider is only retried on that provider, so runs of the
+    /// same model through different providers stay apart
+    /// </summary>
+    public class ProviderFallbackPolicy
+    {
+        public int Retries { get; init; }
+        public TimeSpan Backoff { get; init; }
+
+        /// <summary>
+        /// Gets the wait before a retry
+        /// </summary>
+        /// <param name="retry">The retry number, starting at 1</param>
+        /// <returns>The backoff, doubled for every earlier retry</returns>
+        public TimeSpan GetDelay(int retry)
+        {
+            return Backoff * Math.Pow(2, retry - 1);
+        }
+
+        /// <summary>
+        /// Lists the provider of each attempt at a model: the first attempt, then one per retry
+        /// </summary>
+        /// <param name="primary">The provider the model resolves to</param>
+        /// <param name="fallback">The provider that stands in for it, or null if it has none</param>
+        /// <param name="pinned">Whether the user pinned the selection to the primary provider</param>
+        /// <returns>The providers in attempt order</returns>
+        public IReadOnlyList<string> GetAttemptProviders(string primary, string? fallback, bool pinned)
+        {
+            var providers = new List<string> { primary };
+
+            // Only NanoGPT and OpenRouter, which stand in for each other, are retried at all
+            if (fallback == null)
+            {
+                return providers;
+            }
+
+            for (var retry = 1; retry <= Retries; retry++)
+            {
+                providers.Add(pinned || retry % 2 == 0 ? primary : fallback);
+            }
+
+            return providers;
+        }
+    }
+}
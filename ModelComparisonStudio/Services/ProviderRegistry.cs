@@ -0,0 +1,177 @@
+using Microsoft.Extensions.Options;
+using ModelComparisonStudio.Configuration;
+using ModelComparisonStudio.Core.ValueObjects;
+using static ModelComparisonStudio.Core.ValueObjects.AIProviderNames;
+using static ModelComparisonStudio.Core.ValueObjects.AIProviderUrls;
+
+namespace ModelComparisonStudio.Services
+{
+    /// <summary>
+    /// The APIs the registry knows how to talk to. All of them accept OpenAI-style chat completions;
+    /// NanoGPT and OpenRouter get a few provider-specific headers and model name mappings
+    /// </summary>
+    public enum ProviderKind
+    {
+        NanoGPT,
+        OpenRouter,
+        OpenAICompatible
+    }
+
+    /// <summary>
+    /// A provider that models can be sent to, as built from configuration
+    /// </summary>
+    public class ProviderDefinition
+    {
+        public string Name { get; init; } = string.Empty;
+        public ProviderKind Kind { get; init; }
+        public string BaseUrl { get; init; } = string.Empty; // without a trailing slash
+        public string ApiKey { get; init; } = string.Empty;
+        public IReadOnlyList<string> AvailableModels { get; init; } = Array.Empty<string>();
+        public IReadOnlyList<ModelDetailsConfiguration> ModelDetails { get; init; } = Array.Empty<ModelDetailsConfiguration>();
+
+        // Whether the models the provider lists at {BaseUrl}/models join AvailableModels in its catalog
+        public bool DiscoverModels { get; init; }
+
+        // Hosted providers need a key; self-hosted servers usually accept requests without one
+        public bool RequiresApiKey => Kind != ProviderKind.OpenAICompatible;
+
+        public bool ListsModel(string modelId)
+        {
+            return AvailableModels.Any(model => string.Equals(model, modelId, StringComparison.OrdinalIgnoreCase));
+        }
+    }
+
+    /// <summary>
+    /// The providers models can be compared across: NanoGPT and OpenRouter, then the OpenAI-compatible
+    /// endpoints in configuration, in that order. Decides which provider serves a model selection
+    /// </summary>
+    public class ProviderRegistry
+    {
+        private readonly ILogger<ProviderRegistry> _logger;
+
+        public ProviderRegistry(IOptions<ApiConfiguration> apiConfiguration, ILogger<ProviderRegistry> logger)
+        {
+            _logger = logger;
+            Providers = BuildProviders(apiConfiguration.Value);
+
+            _logger.LogInformation("Registered providers: {Providers}",
+                string.Join(", ", Providers.Select(provider => $"{provider.Name} ({provider.Kind}, {provider.AvailableModels.Count} models)")));
+        }
+
+        /// <summary>
+        /// Every registered provider, in the order they are shown and checked for unpinned models
+        /// </summary>
+        public IReadOnlyList<ProviderDefinition> Providers { get; }
+
+        /// <summary>
+        /// Finds a provider by name, ignoring case
+        /// </summary>
+        /// <param name="name">The provider name</param>
+        /// <returns>The provider, or null if none has the name</returns>
+        public ProviderDefinition? Find(string? name)
+        {
+            return string.IsNullOrWhiteSpace(name)
+                ? null
+                : Providers.FirstOrDefault(provider => string.Equals(provider.Name, name.Trim(), StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Decides which provider serves a model selection. A selection pinned to a known provider goes to
+        /// that provider; otherwise the first provider that lists the model in AvailableModels is used,
+        /// ":free" variants go to OpenRouter, and anything else defaults to OpenRouter
+        /// </summary>
+        /// <param name="selection">The model ID, optionally pinned to a provider as "modelId@Provider"</param>
+        /// <returns>The provider to send the model's requests to</returns>
+        public ProviderDefinition Resolve(string selection)
+        {
+            var modelSelection = ModelSelection.Parse(selection);
+            if (modelSelection.Provider != null)
+            {
+                var pinned = Find(modelSelection.Provider);
+                if (pinned != null)
+                {
+                    _logger.LogInformation("Model {ModelId} pinned to {Provider} provider", modelSelection.ModelId, pinned.Name);
+                    return pinned;
+                }
+
+                _logger.LogWarning("Model {ModelId} is pinned to unknown provider {Provider}; choosing a provider by model ID",
+                    modelSelection.ModelId, modelSelection.Provider);
+            }
+
+            var modelId = modelSelection.ModelId;
+            var listed = Providers.FirstOrDefault(provider =>
+                provider.ListsModel(modelId) ||
+                (provider.Kind == ProviderKind.OpenRouter && modelId.Contains(":free")));
+
+            if (listed != null)
+            {
+                _logger.LogInformation("Model {ModelId} assigned to {Provider} provider", modelId, listed.Name);
+                return listed;
+            }
+
+            _logger.LogWarning("Model {ModelId} not found in configured providers, defaulting to OpenRouter", modelId);
+            return Providers.First(provider => provider.Kind == ProviderKind.OpenRouter);
+        }
+
+        private List<ProviderDefinition> BuildProviders(ApiConfiguration configuration)
+        {
+            var providers = new List<ProviderDefinition>
+            {
+                CreateDefinition(NanoGPT, ProviderKind.NanoGPT, configuration.NanoGPT, NanoGPTBaseUrl, discoverModels: false),
+                CreateDefinition(OpenRouter, ProviderKind.OpenRouter, configuration.OpenRouter, OpenRouterBaseUrl, discoverModels: false)
+            };
+
+            foreach (var endpoint in configuration.OpenAICompatible ?? Array.Empty<OpenAICompatibleConfiguration>())
+            {
+                var name = endpoint.Name?.Trim() ?? string.Empty;
+
+                if (string.IsNullOrEmpty(name) || string.IsNullOrWhiteSpace(endpoint.BaseUrl))
+                {
+                    _logger.LogWarning("Skipping OpenAI-compatible provider {Name}: Name and BaseUrl are required", name);
+                    continue;
+                }
+
+                if (name.Contains(ModelSelection.ProviderSeparator))
+                {
+                    _logger.LogWarning("Skipping OpenAI-compatible provider {Name}: the name cannot contain '{Separator}'",
+                        name, ModelSelection.ProviderSeparator);
+                    continue;
+                }
+
+                if (providers.Any(provider => string.Equals(provider.Name, name, StringComparison.OrdinalIgnoreCase)))
+                {
+                    _logger.LogWarning("Skipping OpenAI-compatible provider {Name}: another provider has the same name", name);
+                    continue;
+                }
+
+                providers.Add(CreateDefinition(name, ProviderKind.OpenAICompatible, endpoint, null, endpoint.DiscoverModels));
+            }
+
+            return providers;
+        }
+
+        private static ProviderDefinition CreateDefinition(
+            string name,
+            ProviderKind kind,
+            ProviderConfiguration? configuration,
+            string? defaultBaseUrl,
+            bool discoverModels)
+        {
+            var baseUrl = string.IsNullOrWhiteSpace(configuration?.BaseUrl) ? defaultBaseUrl ?? string.Empty : configuration.BaseUrl;
+
+            return new ProviderDefinition
+            {
+                Name = name,
+                Kind = kind,
+                BaseUrl = baseUrl.TrimEnd('/'),
+                ApiKey = configuration?.ApiKey ?? string.Empty,
+                AvailableModels = (configuration?.AvailableModels ?? Array.Empty<string>())
+                    .Where(modelId => !string.IsNullOrWhiteSpace(modelId))
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList(),
+                ModelDetails = configuration?.ModelDetails ?? Array.Empty<ModelDetailsConfiguration>(),
+                DiscoverModels = discoverModels
+            };
+        }
+    }
+}
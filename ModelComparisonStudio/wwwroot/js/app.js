@@ -1,12 +1,34 @@
-import { escapeHtml, formatResponseContent, generatePromptId, isValidModelFormat } from './modules/utils.js';
-import { saveModelsToStorage, loadModelsFromStorage } from './modules/storage.js';
+import { escapeHtml, generateComparisonId, isValidModelFormat, normalizeStatus, shuffleArray, parseModelSelection, formatModelSelection, formatModelSelectionLabel } from './modules/utils.js';
+import { saveModelsToStorage, loadModelsFromStorage, addRecentModel, loadRecentModels, saveStreamingPreference, loadStreamingPreference, saveBlindModePreference, loadBlindModePreference, saveGenerationParameters, loadGenerationParameters, saveExecutionPreferences, loadExecutionPreferences, saveCatalogFilters, loadCatalogFilters, saveResultsSort, loadResultsSort, saveRubricPreference, loadRubricPreference, saveRaterPreference, loadRaterPreference } from './modules/storage.js';
 import { displayErrorMessage, displaySuccessMessage } from './modules/ui.js';
 import { templateManager } from './modules/templates.js';
 import { initializeTemplateUI } from './modules/template-ui.js';
+import { computeDiff, renderDiffColumns } from './modules/diff.js';
+import { renderMarkdown, enhanceCodeBlocks } from './modules/markdown.js';
+import { normalizeParameters, isEmptyParameters, formatParameters, formatStopSequences } from './modules/generation-parameters.js';
+import { getTurnPromptRequest, buildConversationHistory, conversationFromHistory } from './modules/conversation.js';
+import { CAPABILITY_LABELS, normalizeCatalogEntry, filterCatalog, sortCatalog, isCatalogFiltered, formatContextWindow, formatPricePerMillion } from './modules/model-catalog.js';
+import { estimateTokens, defaultMaxTokens, estimateModelCost, formatCost } from './modules/cost.js';
+import { ModelSuggestions } from './modules/model-suggestions.js';
+import { RESULT_SORTS, sortResultModelIds, enableDragReorder } from './modules/reorder.js';
+import { HEALTH_STATUSES, findModelHealth, createHealthBadge, formatCheckedAgo } from './modules/model-health.js';
+import { calculateWeightedScore, findScore, formatWeightedScore, formatCriteria, parseCriteria, createRubricScoring } from './modules/rubrics.js';
+import { PREFERENCE_OUTCOMES, getPairKey, findNextUnvotedPair, mergePreferenceRatings, formatPreferenceRating } from './modules/preferences.js';
+import { NEW_RATER_OPTION, createRaterAgreementSummary } from './modules/raters.js';
+import { OfflineQueue, getQueueKey, getRetryDelay, isRetryableSaveError } from './modules/offline-queue.js';
 
 // Model Comparison Studio - Enhanced JavaScript with Model Loading and Evaluation System
 
 const ModelComparisonApp = (() => {
+    // Used until the server-configured limit has loaded
+    const DEFAULT_MAX_MODELS = 3;
+
+    // Above this many panels the results switch from a vertical stack to a scrollable grid
+    const STACKED_LAYOUT_MAX_MODELS = 3;
+
+    // Dot colours for the provider sections, assigned in the order the server lists providers
+    const PROVIDER_COLORS = ['bg-purple-500', 'bg-orange-500', 'bg-emerald-500', 'bg-sky-500', 'bg-pink-500', 'bg-yellow-500'];
+
     // === API SECTION ===
     const api = {
         getApiBaseUrl: function() {
@@ -28,10 +50,11 @@ const ModelComparisonApp = (() => {
                 const data = await response.json();
                 console.log('DEBUG: API response data:', data);
 
-                return {
-                    nanoGPT: data.nanoGPT.models || [],
-                    openRouter: data.openRouter.models || []
-                };
+                // Keyed by provider name, in the server's provider order
+                return Object.fromEntries((data.providers || []).map(provider => [
+                    provider.provider,
+                    (provider.models || []).map(entry => normalizeCatalogEntry(entry, provider.provider))
+                ]));
 
             } catch (error) {
                 console.error('Error loading available models from API:', error);
@@ -39,24 +62,35 @@ const ModelComparisonApp = (() => {
             }
         },
 
-        async executeComparison(requestData) {
+        async loadComparisonLimits() {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/limits`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async executeComparison(requestData, signal, executionMode = 'Parallel') {
             console.log('Starting comparison with models:', requestData.selectedModels);
 
             // Use the correct API base URL
             const baseUrl = this.getApiBaseUrl();
             console.log(`DEBUG: Using base URL for comparison: ${baseUrl}`);
 
-            const response = await fetch(`${baseUrl}/api/comparison/execute`, {
+            const response = await fetch(`${baseUrl}/api/comparison/execute?executionMode=${encodeURIComponent(executionMode)}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(requestData)
+                body: JSON.stringify(requestData),
+                signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.userMessage || errorData.error || `HTTP error! status: ${response.status}`);
             }
 
             const comparisonResult = await response.json();
@@ -65,6 +99,336 @@ const ModelComparisonApp = (() => {
             return comparisonResult;
         },
 
+        async streamComparison(requestData, onEvent, signal, executionMode = 'Parallel') {
+            console.log('Starting streaming comparison with models:', requestData.selectedModels);
+
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/stream?executionMode=${encodeURIComponent(executionMode)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(requestData),
+                signal
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.userMessage || errorData.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            // Server-sent events are separated by a blank line; keep any partial event in the buffer
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+
+                events.forEach(rawEvent => {
+                    let eventType = 'message';
+                    let data = '';
+
+                    rawEvent.split('\n').forEach(line => {
+                        if (line.startsWith('event:')) {
+                            eventType = line.slice(6).trim();
+                        } else if (line.startsWith('data:')) {
+                            data += line.slice(5).trim();
+                        }
+                    });
+
+                    if (data) {
+                        onEvent(eventType, JSON.parse(data));
+                    }
+                });
+            }
+        },
+
+        async cancelComparison(comparisonId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/${encodeURIComponent(comparisonId)}/cancel`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async cancelModel(comparisonId, modelId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/${encodeURIComponent(comparisonId)}/cancel/${encodeURI(modelId)}`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadComparisonHistory(skip = 0, take = 50) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/history?skip=${skip}&take=${take}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadComparison(comparisonId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/history/${encodeURIComponent(comparisonId)}`);
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadConversation(conversationId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/history/conversation/${encodeURIComponent(conversationId)}`);
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async deleteComparison(comparisonId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/history/${encodeURIComponent(comparisonId)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+        },
+
+        // Checks a model ID against the providers' model lists; returns { isValid, isVerified, resolvedModelId, resolvedProvider, message, suggestions }
+        async validateModel(modelId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/models/validate?modelId=${encodeURIComponent(modelId)}`);
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadModelSets() {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/model-sets`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        // Creates the set, or with an ID renames it and/or replaces its models
+        async saveModelSet(modelSet, id = null) {
+            const baseUrl = this.getApiBaseUrl();
+            const url = id
+                ? `${baseUrl}/api/model-sets/${encodeURIComponent(id)}`
+                : `${baseUrl}/api/model-sets`;
+            const response = await fetch(url, {
+                method: id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(modelSet)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.userMessage || errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async deleteModelSet(id) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/model-sets/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+        },
+
+        async loadModelHealth() {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/models/health`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        // Pings each model with a one-token request; recent results come from the server's cache unless forced
+        async checkModelHealth(modelIds, force = false) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/models/health`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ modelIds, force })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadSpendLedger(days = 30) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/comparison/history/spend?days=${days}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadRubrics() {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/rubrics`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        // Creates the rubric, or with an ID renames it and/or replaces its criteria
+        async saveRubric(rubric, id = null) {
+            const baseUrl = this.getApiBaseUrl();
+            const url = id
+                ? `${baseUrl}/api/rubrics/${encodeURIComponent(id)}`
+                : `${baseUrl}/api/rubrics`;
+            const response = await fetch(url, {
+                method: id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(rubric)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.userMessage || errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async deleteRubric(id) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/rubrics/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.detail || errorData.userMessage || `HTTP error! status: ${response.status}`);
+            }
+        },
+
+        async loadRaters() {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/raters`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        // Signs in as the rater with this name, creating the profile the first time
+        async signInRater(name) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/raters/sign-in`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.userMessage || errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        // Gets the server-issued ID of a prompt, or of a conversation turn given its context
+        async registerPrompt(request) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/prompts`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(request)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.userMessage || errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadRaterAgreement(timeFilter = 'all', ratingMode = 'all') {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/evaluations/agreement?timeframe=${encodeURIComponent(timeFilter)}&ratingMode=${encodeURIComponent(ratingMode)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadEvaluationsByPrompt(promptId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/evaluations/prompt?promptId=${encodeURIComponent(promptId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
         async saveEvaluation(evaluation) {
             const baseUrl = this.getApiBaseUrl();
             const response = await fetch(`${baseUrl}/api/evaluations/upsert`, {
@@ -75,13 +439,20 @@ const ModelComparisonApp = (() => {
                 body: JSON.stringify({
                     promptId: evaluation.promptId,
                     promptText: evaluation.promptText,
-                    modelId: evaluation.modelId,
+                    modelId: parseModelSelection(evaluation.modelId).modelId,
+                    provider: evaluation.provider || parseModelSelection(evaluation.modelId).provider,
                     rating: evaluation.rating,
+                    rubricId: evaluation.criterionScores ? evaluation.rubricId : null,
+                    criterionScores: evaluation.criterionScores || null,
                     comment: evaluation.comment,
                     responseTimeMs: evaluation.responseTimeMs,
                     tokenCount: evaluation.tokenCount,
+                    cost: evaluation.cost ?? null,
                     timestamp: evaluation.timestamp,
-                    saved: evaluation.saved
+                    saved: evaluation.saved,
+                    isBlind: evaluation.isBlind === true,
+                    raterId: evaluation.raterId || null,
+                    expectedUpdatedAt: evaluation.expectedUpdatedAt || null
                 })
             });
 
@@ -97,19 +468,62 @@ const ModelComparisonApp = (() => {
                     errorMessage = errorData.error;
                 }
 
-                throw new Error(errorMessage);
+                // The status tells the offline queue whether a retry can succeed
+                const error = new Error(errorMessage);
+                error.status = response.status;
+                throw error;
             }
 
             const result = await response.json();
             return result;
         },
 
-        async loadRankingData(timeFilter = 'all', sortBy = 'rating') {
+        async savePreferenceVote(vote) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/preferences`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(vote)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || errorData.userMessage || errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadPreferenceVotes(promptId) {
+            const baseUrl = this.getApiBaseUrl();
+            const response = await fetch(`${baseUrl}/api/preferences/prompt?promptId=${encodeURIComponent(promptId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadPreferenceLeaderboard(timeFilter = 'all', ratingMode = 'all', raterId = null) {
+            const baseUrl = this.getApiBaseUrl();
+            const rater = raterId ? `&raterId=${encodeURIComponent(raterId)}` : '';
+            const response = await fetch(`${baseUrl}/api/preferences/leaderboard?timeframe=${encodeURIComponent(timeFilter)}&ratingMode=${encodeURIComponent(ratingMode)}${rater}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            return response.json();
+        },
+
+        async loadRankingData(timeFilter = 'all', ratingMode = 'all', raterId = null) {
             try {
                 const baseUrl = this.getApiBaseUrl();
+                const mode = encodeURIComponent(ratingMode) + (raterId ? `&raterId=${encodeURIComponent(raterId)}` : '');
                 const endpoint = timeFilter === 'all'
-                    ? `${baseUrl}/api/evaluations/statistics/all`
-                    : `${baseUrl}/api/evaluations/statistics?timeframe=${timeFilter}`;
+                    ? `${baseUrl}/api/evaluations/statistics/all?ratingMode=${mode}`
+                    : `${baseUrl}/api/evaluations/statistics?timeframe=${timeFilter}&ratingMode=${mode}`;
 
                 const response = await fetch(endpoint);
                 if (!response.ok) {
@@ -158,14 +572,39 @@ const ModelComparisonApp = (() => {
     class ModelComparisonApp {
     constructor() {
         this.selectedModels = [];
-        this.availableModels = {
-            nanoGPT: [],
-            openRouter: []
-        };
+        this.availableModels = {}; // Catalog entries per provider name: { id, displayName, contextWindow, prices, modality, capabilities }
+        this.catalogFilters = loadCatalogFilters();
+        this.modelSets = []; // Named model sets saved on the server: { id, name, models }
+        this.rubrics = []; // Scoring rubrics saved on the server: { id, name, criteria: [{ name, weight }] }
+        this.rubricId = loadRubricPreference(); // Rubric new comparisons are scored with; null for an overall rating
+        this.turnRubrics = new Map(); // Rubric each prompt's responses are scored with, by prompt ID; null for an overall rating
+        this.preferenceVotes = new Map(); // Latest A vs B vote per pair, by getPairKey: { modelA, outcome }
+        this.raters = []; // Rater profiles saved on the server: { id, name }
+        this.raterId = loadRaterPreference(); // Rater new ratings and votes are saved under; null rates anonymously
+        this.modelHealth = {}; // Latest health check per selection key: { status, latencyMs, lastSeenLatencyMs, checkedAt, message }
         this.currentComparison = null;
         this.evaluations = new Map(); // Store evaluations by modelId
         this.unsavedChanges = false;
+        this.offlineQueue = new OfflineQueue(); // Saves that failed or were made offline, retried until the server accepts them
+        this.queueSyncTimer = null;
+        this.queueSyncing = false;
         this.commentDebounceTimers = new Map();
+        this.streamResponses = loadStreamingPreference();
+        this.blindMode = loadBlindModePreference();
+        this.blindSession = null; // Anonymous labels for the current run while blind mode hides model names
+        this.generationParameters = loadGenerationParameters(); // { global, models: { [modelId]: parameters } }
+        this.conversation = null; // { id, systemPrompt, turns } once a run has started a conversation
+        this.currentTurn = null; // { number, prompt, promptId } of the turn on screen
+        this.activeRun = null;
+        this.maxModels = DEFAULT_MAX_MODELS;
+        const executionPreferences = loadExecutionPreferences();
+        this.executionMode = executionPreferences.mode; // 'Parallel' or 'Sequential'
+        this.maxConcurrency = executionPreferences.maxConcurrency; // null uses the server default
+        this.providerFallback = executionPreferences.providerFallback; // retry failed models on the other provider
+        this.fallbackRetries = executionPreferences.fallbackRetries; // null uses the server default
+        this.pinnedModels = new Set();
+        this.resultsSort = loadResultsSort(); // a RESULT_SORTS key, or 'custom' after panels were dragged
+        this.panelResponses = new WeakMap(); // Raw response text per panel, for the raw/rendered toggle
 
         // Initialize template system FIRST so event listeners work properly
         this.templateManager = templateManager;
@@ -191,6 +630,18 @@ const ModelComparisonApp = (() => {
             this.loadAvailableModels();
         }
 
+        this.loadComparisonLimits();
+        this.loadComparisonHistory();
+        this.loadSpendLedger();
+        this.loadModelSets();
+        this.loadRubrics();
+        this.loadRaters();
+        this.loadModelHealth();
+        this.syncOfflineQueue();
+
+        // Retry queued saves as soon as the connection comes back rather than waiting for the backoff
+        window.addEventListener('online', () => this.syncOfflineQueue({ force: true }));
+
         // Set up beforeunload handler for unsaved changes
         window.addEventListener('beforeunload', (e) => {
             if (this.unsavedChanges) {
@@ -208,13 +659,69 @@ const ModelComparisonApp = (() => {
         document.getElementById('addModelBtn').addEventListener('click', () => this.showModelInput());
         document.getElementById('cancelAddModel').addEventListener('click', () => this.hideModelInput());
         document.getElementById('addModelConfirm').addEventListener('click', () => this.addModel());
-        document.getElementById('modelIdInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.addModel();
+        this.modelSuggestions = new ModelSuggestions(document.getElementById('modelIdInput'), {
+            getGroups: () => this.getModelSuggestionGroups(),
+            onSelect: () => this.addModel()
+        });
+        // Registered after the suggestions so Enter on a highlighted suggestion is handled there
+        document.getElementById('modelIdInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.defaultPrevented) this.addModel();
         });
+        document.getElementById('modelIdInput').addEventListener('input', () => this.showModelValidationMessage(null));
 
         // Comparison
         document.getElementById('runComparisonBtn').addEventListener('click', () => this.runComparison());
+        document.getElementById('stopComparisonBtn')?.addEventListener('click', () => this.cancelComparison());
+        document.getElementById('followUpBtn')?.addEventListener('click', () => this.runComparison({ followUp: true }));
+        document.getElementById('newConversationBtn')?.addEventListener('click', () => this.startNewConversation());
         document.getElementById('promptInput').addEventListener('input', () => this.updateRunButtonState());
+        document.getElementById('systemPromptInput')?.addEventListener('input', () => this.updateCostEstimate());
+
+        const streamToggle = document.getElementById('streamResponsesToggle');
+        if (streamToggle) {
+            streamToggle.checked = this.streamResponses;
+            streamToggle.addEventListener('change', (e) => {
+                this.streamResponses = e.target.checked;
+                saveStreamingPreference(this.streamResponses);
+            });
+        }
+
+        const blindToggle = document.getElementById('blindModeToggle');
+        if (blindToggle) {
+            blindToggle.checked = this.blindMode;
+            blindToggle.addEventListener('change', (e) => {
+                this.blindMode = e.target.checked;
+                saveBlindModePreference(this.blindMode);
+            });
+        }
+
+        this.initializeGenerationSettings();
+        this.initializeExecutionSettings();
+        this.initializeCatalogFilters();
+
+        // Named model sets
+        document.getElementById('saveModelSetBtn')?.addEventListener('click', () => this.saveCurrentModelSet());
+        document.getElementById('renameModelSetBtn')?.addEventListener('click', () => this.renameActiveModelSet());
+        document.getElementById('deleteModelSetBtn')?.addEventListener('click', () => this.deleteActiveModelSet());
+
+        // Scoring rubrics
+        document.getElementById('rubricSelect')?.addEventListener('change', (e) => this.selectRubric(e.target.value || null));
+        document.getElementById('newRubricBtn')?.addEventListener('click', () => this.createRubric());
+        document.getElementById('editRubricBtn')?.addEventListener('click', () => this.editSelectedRubric());
+        document.getElementById('deleteRubricBtn')?.addEventListener('click', () => this.deleteSelectedRubric());
+
+        // Rater profiles
+        document.getElementById('raterSelect')?.addEventListener('change', (e) => this.selectRater(e.target.value || null));
+
+        // Offline evaluation queue
+        document.getElementById('pendingSyncBadge')?.addEventListener('click', () => this.handlePendingSyncClick());
+
+        // Comparison history
+        document.getElementById('refreshHistoryBtn')?.addEventListener('click', () => this.loadComparisonHistory());
+
+        // Spend ledger
+        document.getElementById('refreshSpendBtn')?.addEventListener('click', () => this.loadSpendLedger());
+        document.getElementById('spendDaysSelect')?.addEventListener('change', () => this.loadSpendLedger());
 
         // Navigation
         document.getElementById('showModelDetailsBtn')?.addEventListener('click', () => this.showModelDetails());
@@ -253,6 +760,24 @@ const ModelComparisonApp = (() => {
             this.clearResults();
         });
 
+        // Response diff controls
+        document.getElementById('toggleDiffViewBtn')?.addEventListener('click', () => this.toggleDiffView());
+        ['diffLeftModel', 'diffRightModel', 'diffGranularity'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderResponseDiff());
+        });
+
+        // Pairwise preference controls
+        document.getElementById('togglePreferenceViewBtn')?.addEventListener('click', () => this.togglePreferenceView());
+        ['preferenceModelA', 'preferenceModelB'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updatePreferenceStatus());
+        });
+        document.getElementById('preferenceOutcomes')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.preference-vote');
+            if (button) this.handlePreferenceVote(button.dataset.outcome);
+        });
+
+        this.initializeOrdering();
+
         // Initialize character count
         this.updatePromptCharCount();
         this.updateSelectedModelsCount();
@@ -317,12 +842,47 @@ const ModelComparisonApp = (() => {
     updateSelectedModelsCount() {
         const countElement = document.getElementById('selectedModelsCount');
         if (countElement) {
-            countElement.textContent = this.selectedModels.length;
+            countElement.textContent = `${this.selectedModels.length}/${this.maxModels}`;
         }
     }
 
-    // Clear comparison results
-    clearResults() {
+    // Load the per-comparison model limit enforced by the server
+    async loadComparisonLimits() {
+        try {
+            const limits = await this.api.loadComparisonLimits();
+            if (limits.maxModelsPerComparison > 0) {
+                this.maxModels = limits.maxModelsPerComparison;
+            }
+
+            const concurrencyInput = document.getElementById('maxConcurrencyInput');
+            if (concurrencyInput) {
+                concurrencyInput.max = this.maxModels;
+                if (limits.maxConcurrentRequests > 0) concurrencyInput.placeholder = limits.maxConcurrentRequests;
+            }
+        } catch (error) {
+            console.warn(`Could not load comparison limits, using default of ${DEFAULT_MAX_MODELS} models:`, error);
+        }
+
+        this.updateSelectedModelsCount();
+    }
+
+    // Shared guard for every way a model can be added to the selection
+    canAddModel(modelId) {
+        if (this.selectedModels.includes(modelId)) {
+            this.displayErrorMessage('This model is already selected');
+            return false;
+        }
+
+        if (this.selectedModels.length >= this.maxModels) {
+            this.displayErrorMessage(`Maximum of ${this.maxModels} models can be selected`);
+            return false;
+        }
+
+        return true;
+    }
+
+    // Clear comparison results
+    clearResults() {
         const resultsSection = document.getElementById('resultsSection');
         const comparisonResults = document.getElementById('comparisonResults');
 
@@ -336,6 +896,12 @@ const ModelComparisonApp = (() => {
 
         // Clear current comparison data
         this.currentComparison = null;
+        this.blindSession = null;
+        this.conversation = null;
+        this.currentTurn = null;
+        this.hideDiffView();
+        this.hidePreferenceView();
+        this.updateConversationControls();
     }
 
     // Initialize sidebar toggle functionality (keeping for backward compatibility)
@@ -559,83 +1125,104 @@ const ModelComparisonApp = (() => {
         }
     }
 
-    // Load available models from backend or fallback to appsettings
+    // Load the model catalog from the backend
     async loadAvailableModels() {
         console.log('DEBUG: loadAvailableModels started');
         try {
             this.availableModels = await this.api.loadAvailableModels();
             console.log('DEBUG: Loaded models from API:', this.availableModels);
             this.displayAvailableModels();
+            this.updateCostEstimate();
 
         } catch (error) {
             console.error('Error loading available models from API:', error);
-            displayErrorMessage('Failed to load available models from API. Loading from configuration.');
-            this.loadModelsFromConfiguration();
-        }
-    }
-
-    // Load models directly from appsettings.json configuration
-    loadModelsFromConfiguration() {
-        // Fallback models from appsettings.json structure
-        this.availableModels = {
-            nanoGPT: [
-                "deepseek/deepseek-chat-v3.1",
-                "qwen/qwen3-coder",
-                "moonshotai/kimi-k2-0905",
-                "qwen/qwen3-next-80b-a3b-instruct",
-                "anthropic/claude-3.5-sonnet",
-                "openai/gpt-4o-mini",
-                "google/gemini-2.0-flash-exp"
-            ],
-            openRouter: [
-                "deepseek/deepseek-chat-v3.1",
-                "qwen/qwen3-coder",
-                "moonshotai/kimi-k2-0905",
-                "qwen/qwen3-next-80b-a3b-instruct",
-                "anthropic/claude-3.5-sonnet",
-                "openai/gpt-4o-mini",
-                "google/gemini-2.0-flash-exp"
-            ]
-        };
+            displayErrorMessage('Failed to load available models from API.');
+            this.showModelCatalogError();
+        }
+    }
 
-        console.log('Loaded models from configuration:', this.availableModels);
-        this.displayAvailableModels();
+    // Models can still be added by ID when the catalog is unavailable
+    showModelCatalogError() {
+        const container = document.getElementById('providerSections');
+        if (container) {
+            container.innerHTML = '<div class="p-3 text-slate-400 text-sm">Could not load the model catalog. Use Add Model to enter a model ID.</div>';
+            delete container.dataset.providers;
+        }
+    }
+
+    // Provider names in the order the server lists them
+    getProviderNames() {
+        return Object.keys(this.availableModels);
+    }
 
-        // Show success message for fallback
-        this.displaySuccessMessage('Loaded models from configuration');
+    // Element ID prefix for a provider's section, e.g. "OpenRouter" -> "openrouter", "Local Ollama" -> "local-ollama"
+    getProviderDomId(provider) {
+        return provider.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     }
 
-    // Display available models in separate collapsible sections
+    // Display available models in one collapsible section per provider the server reports
     displayAvailableModels() {
         console.log('DEBUG: displayAvailableModels called');
         console.log('DEBUG: Available models data:', this.availableModels);
 
-        // Render both providers with correct internal names
-        this.renderProviderModels('nanoGPT');
-        this.renderProviderModels('openRouter');
-        this.updateProviderCounts();
+        // Sections are only rebuilt when the providers change, so filtering keeps expanded sections open
+        const container = document.getElementById('providerSections');
+        const providerList = this.getProviderNames().join('\n');
+        if (container && container.dataset.providers !== providerList) {
+            container.innerHTML = this.getProviderNames()
+                .map((provider, index) => this.createProviderSection(provider, PROVIDER_COLORS[index % PROVIDER_COLORS.length]))
+                .join('');
+            container.dataset.providers = providerList;
+        }
+
+        this.getProviderNames().forEach(provider => this.renderProviderModels(provider));
 
         console.log('DEBUG: Finished displaying available models');
     }
 
+    // Collapsible section markup for a provider; its cards are rendered by renderProviderModels
+    createProviderSection(provider, color) {
+        const domId = this.getProviderDomId(provider);
+        return `
+            <div class="provider-section bg-slate-800/30 backdrop-blur-xl rounded-xl border border-slate-700/20 overflow-hidden">
+                <button class="provider-header w-full flex items-center justify-between p-3 hover:bg-slate-700/20 transition-colors duration-200"
+                    onclick="app.toggleProvider('${domId}')">
+                    <div class="flex items-center">
+                        <span class="w-2 h-2 ${color} rounded-full mr-2"></span>
+                        <span class="font-medium text-white text-sm">${this.escapeHtml(provider)}</span>
+                        <span class="ml-2 text-slate-400 text-xs" id="${domId}-count"></span>
+                    </div>
+                    <svg class="w-4 h-4 text-slate-400 transform transition-transform duration-200" id="${domId}-arrow" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+                    </svg>
+                </button>
+                <div id="${domId}-models" class="provider-content max-h-0 overflow-hidden transition-all duration-300 ease-in-out">
+                    <div class="p-3 pt-0">
+                        <div id="${domId}-model-list" class="available-models-grid overflow-y-auto max-h-64"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     // Render models for specific provider
     renderProviderModels(provider) {
-        const models = this.availableModels[provider] || [];
+        const allModels = this.availableModels[provider] || [];
+        const models = sortCatalog(filterCatalog(allModels, this.catalogFilters), this.catalogFilters.sortBy);
 
         // Debug: Check what elements actually exist in the DOM
         console.log(`DEBUG: renderProviderModels called with provider: ${provider}`);
         console.log(`DEBUG: Available models for ${provider}:`, models);
 
-        // The provider parameter should match the exact IDs in the HTML
-        // Available models are stored as 'nanoGPT' and 'openRouter' but HTML uses 'nanogpt' and 'openrouter'
-        const htmlProviderId = provider === 'nanoGPT' ? 'nanogpt' : 'openrouter';
+        // Sections are created by displayAvailableModels with IDs derived from the provider name
+        const htmlProviderId = this.getProviderDomId(provider);
 
-        const container = document.getElementById(`${htmlProviderId}-models`);
+        const container = document.getElementById(`${htmlProviderId}-model-list`);
         const countElement = document.getElementById(`${htmlProviderId}-count`);
 
         // Add defensive programming - check if elements exist
         if (!container) {
-            console.error(`Container element not found: ${htmlProviderId}-models`);
+            console.error(`Container element not found: ${htmlProviderId}-model-list`);
             console.error(`DEBUG: Available elements in DOM:`,
                 Array.from(document.querySelectorAll('[id]')).map(el => el.id)
             );
@@ -645,11 +1232,15 @@ const ModelComparisonApp = (() => {
         if (!countElement) {
             console.error(`Count element not found: ${htmlProviderId}-count`);
         } else {
-            countElement.textContent = `${models.length} models`;
+            countElement.textContent = isCatalogFiltered(this.catalogFilters)
+                ? `${models.length} of ${allModels.length} models`
+                : `${allModels.length} models`;
         }
 
         if (models.length === 0) {
-            container.innerHTML = `<div class="text-slate-400 text-sm">No ${provider} models available</div>`;
+            container.innerHTML = allModels.length === 0
+                ? `<div class="text-slate-400 text-sm">No ${provider} models available</div>`
+                : '<div class="p-3 text-slate-400 text-sm">No models match the filters</div>';
             return;
         }
 
@@ -658,15 +1249,13 @@ const ModelComparisonApp = (() => {
         models.forEach(model => {
             const modelCard = document.createElement('div');
             modelCard.className = 'model-card bg-slate-700/50 border border-slate-600 rounded-lg p-3 cursor-pointer hover:bg-slate-600/50 transition-all duration-200';
-            modelCard.innerHTML = `
-                <div class="font-medium text-white">${model}</div>
-                <div class="text-xs text-slate-400 mt-1">${provider}</div>
-            `;
+            modelCard.title = model.id;
+            modelCard.innerHTML = this.createCatalogCardContent(model);
 
             // Add click event with proper logging
             modelCard.addEventListener('click', () => {
-                console.log(`DEBUG: Model card clicked: ${model} from ${provider}`);
-                this.selectModel(model);
+                console.log(`DEBUG: Model card clicked: ${model.id} from ${provider}`);
+                this.selectModel(formatModelSelection(model.id, provider));
             });
 
             container.appendChild(modelCard);
@@ -675,18 +1264,89 @@ const ModelComparisonApp = (() => {
         console.log(`DEBUG: Rendered ${models.length} models for ${provider}`);
     }
 
-    // Update provider counts
-    updateProviderCounts() {
-        document.getElementById('nanogpt-count').textContent = `${this.availableModels.nanoGPT?.length || 0} models`;
-        document.getElementById('openrouter-count').textContent = `${this.availableModels.openRouter?.length || 0} models`;
+    // Name, ID, context window, prices per million tokens, modality and capability tags
+    createCatalogCardContent(model) {
+        const details = [
+            model.contextWindow != null ? `${formatContextWindow(model.contextWindow)} context` : null,
+            model.inputPricePerMillion != null || model.outputPricePerMillion != null
+                ? `${formatPricePerMillion(model.inputPricePerMillion) || '?'} in / ${formatPricePerMillion(model.outputPricePerMillion) || '?'} out per 1M`
+                : null,
+            model.modality
+        ].filter(Boolean);
+
+        const tags = model.capabilities.map(capability => `
+            <span class="px-1.5 py-0.5 rounded bg-slate-600/60 text-slate-200">${this.escapeHtml(CAPABILITY_LABELS[capability] || capability)}</span>
+        `).join('');
+
+        const health = this.modelHealth[formatModelSelection(model.id, model.provider)];
+
+        return `
+            <div class="font-medium text-white">${this.escapeHtml(model.displayName)}</div>
+            ${model.displayName !== model.id ? `<div class="text-xs text-slate-400 font-mono truncate">${this.escapeHtml(model.id)}</div>` : ''}
+            <div class="text-xs text-slate-400 mt-1">${this.escapeHtml(details.join(' • ') || model.provider)}</div>
+            ${health ? `<div class="text-xs mt-1">${createHealthBadge(health)}</div>` : ''}
+            ${tags ? `<div class="flex flex-wrap gap-1 mt-2 text-[10px]">${tags}</div>` : ''}
+        `;
+    }
+
+    // === MODEL CATALOG FILTERS ===
+
+    initializeCatalogFilters() {
+        const searchInput = document.getElementById('catalogSearchInput');
+        const maxPriceInput = document.getElementById('catalogMaxPriceInput');
+        const contextSelect = document.getElementById('catalogContextSelect');
+        const sortSelect = document.getElementById('catalogSortSelect');
+        const capabilityInputs = document.querySelectorAll('.catalog-capability-filter');
+
+        if (searchInput) {
+            searchInput.value = this.catalogFilters.query;
+            searchInput.addEventListener('input', (e) => this.updateCatalogFilters({ query: e.target.value }));
+        }
+
+        if (maxPriceInput) {
+            maxPriceInput.value = this.catalogFilters.maxInputPrice ?? '';
+            maxPriceInput.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.updateCatalogFilters({ maxInputPrice: Number.isFinite(value) && value >= 0 ? value : null });
+            });
+        }
+
+        if (contextSelect) {
+            contextSelect.value = this.catalogFilters.minContextWindow ?? '';
+            contextSelect.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.updateCatalogFilters({ minContextWindow: Number.isInteger(value) ? value : null });
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.value = this.catalogFilters.sortBy;
+            sortSelect.addEventListener('change', (e) => this.updateCatalogFilters({ sortBy: e.target.value }));
+        }
+
+        document.getElementById('checkModelHealthBtn')?.addEventListener('click', () => this.checkModelHealth());
+
+        capabilityInputs.forEach(input => {
+            input.checked = this.catalogFilters.capabilities.includes(input.value);
+            input.addEventListener('change', () => {
+                this.updateCatalogFilters({
+                    capabilities: Array.from(capabilityInputs).filter(item => item.checked).map(item => item.value)
+                });
+            });
+        });
+    }
+
+    updateCatalogFilters(changes) {
+        this.catalogFilters = { ...this.catalogFilters, ...changes };
+        saveCatalogFilters(this.catalogFilters);
+        this.displayAvailableModels();
     }
 
     // Toggle provider sections
     toggleProvider(provider) {
         console.log(`DEBUG: toggleProvider called with: ${provider}`);
 
-        // The provider parameter from HTML onclick is already in the correct format
-        // No conversion needed since HTML uses 'nanogpt' and 'openrouter'
+        // The provider parameter from the section's onclick is already the element ID prefix (see getProviderDomId)
         const content = document.getElementById(`${provider}-models`);
         const arrow = document.getElementById(`${provider}-arrow`);
 
@@ -725,103 +1385,17 @@ const ModelComparisonApp = (() => {
 
     // Select model from available models
     selectModel(modelId) {
-        if (this.selectedModels.includes(modelId)) {
-            this.displayErrorMessage('This model is already selected');
-            return;
-        }
-
-        if (this.selectedModels.length >= 3) {
-            this.displayErrorMessage('Maximum of 3 models can be selected');
+        if (!this.canAddModel(modelId)) {
             return;
         }
 
         this.selectedModels.push(modelId);
+        addRecentModel(modelId);
         this.saveModelsToStorage();
         this.updateUI();
 
         // Show success message
-        this.displaySuccessMessage(`Added ${modelId}`);
-    }
-
-    // Create model suggestions for the input
-    createModelSuggestions(models) {
-        const input = document.getElementById('modelIdInput');
-        const container = document.createElement('div');
-        container.id = 'modelSuggestions';
-        container.className = 'model-suggestions hidden absolute z-10 w-full mt-1 bg-slate-700 border border-slate-600 rounded-xl shadow-modern-lg';
-
-        input.parentNode.style.position = 'relative';
-        if (input.nextElementSibling?.id === 'modelSuggestions') {
-            input.nextElementSibling.remove();
-        }
-
-        models.forEach(item => {
-            const suggestion = document.createElement('div');
-            suggestion.className = 'p-3 hover:bg-slate-600 cursor-pointer transition-colors duration-200';
-            suggestion.innerHTML = `
-                <div class="font-medium text-white">${item.model}</div>
-                <div class="text-sm text-slate-400">${item.provider}</div>
-            `;
-            suggestion.addEventListener('click', () => {
-                input.value = item.model;
-                container.classList.add('hidden');
-            });
-            container.appendChild(suggestion);
-        });
-
-        input.parentNode.appendChild(container);
-
-        // Show/hide suggestions based on input
-        input.addEventListener('input', (e) => {
-            const query = e.target.value.toLowerCase();
-            const filtered = models.filter(item =>
-                item.model.toLowerCase().includes(query) ||
-                item.provider.toLowerCase().includes(query)
-            );
-
-            if (filtered.length > 0 && query.length > 0) {
-                container.innerHTML = '';
-                filtered.forEach(item => {
-                    const suggestion = document.createElement('div');
-                    suggestion.className = 'p-3 hover:bg-slate-600 cursor-pointer transition-colors duration-200';
-                    suggestion.innerHTML = `
-                        <div class="font-medium text-white">${item.model}</div>
-                        <div class="text-sm text-slate-400">${item.provider}</div>
-                    `;
-                    suggestion.addEventListener('click', () => {
-                        input.value = item.model;
-                        container.classList.add('hidden');
-                    });
-                    container.appendChild(suggestion);
-                });
-                container.classList.remove('hidden');
-            } else {
-                container.classList.add('hidden');
-            }
-        });
-
-        // Hide suggestions when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!container.contains(e.target) && e.target !== input) {
-                container.classList.add('hidden');
-            }
-        });
-    }
-
-    // Load default models if API fails
-    loadDefaultModels() {
-        this.availableModels = {
-            nanoGPT: [
-                "gpt-4o-mini",
-                "claude-3-5-sonnet",
-                "gemini-1.5-flash"
-            ],
-            openRouter: [
-                "deepseek/deepseek-chat-v3.1",
-                "qwen/qwen3-coder",
-                "moonshotai/kimi-k2-0905"
-            ]
-        };
+        this.displaySuccessMessage(`Added ${formatModelSelectionLabel(modelId)}`);
     }
 
     // Display error message with optional type for styling
@@ -843,8 +1417,8 @@ const ModelComparisonApp = (() => {
     hideModelInput() {
         document.getElementById('modelInputForm').classList.add('hidden');
         document.getElementById('modelIdInput').value = '';
-        const suggestions = document.getElementById('modelSuggestions');
-        if (suggestions) suggestions.classList.add('hidden');
+        this.modelSuggestions?.hide();
+        this.showModelValidationMessage(null);
     }
 
     async addModel() {
@@ -855,25 +1429,121 @@ const ModelComparisonApp = (() => {
             return;
         }
 
-        if (!this.isValidModelFormat(modelId)) {
-            this.displayErrorMessage('Invalid model format. Use: provider/model-name');
+        const { modelId: bareModelId, provider } = parseModelSelection(modelId);
+        if (!this.isValidModelFormat(bareModelId)) {
+            this.displayErrorMessage('Invalid model ID. Use letters, digits and . _ - : e.g. provider/model-name or model-name:free');
             return;
         }
 
-        if (this.selectedModels.includes(modelId)) {
-            this.displayErrorMessage('This model is already selected');
+        // Unknown pins are also rejected by the server, which is the only check while the catalog is unavailable
+        const providerNames = this.getProviderNames();
+        if (provider && providerNames.length > 0 && !providerNames.includes(provider)) {
+            this.displayErrorMessage(`Unknown provider "${provider}". Use ${providerNames.join(', ')}, e.g. model-name@${providerNames[0]}`);
             return;
         }
 
-        if (this.selectedModels.length >= 3) {
-            this.displayErrorMessage('Maximum of 3 models can be selected');
+        let selectionKey = modelId;
+        let warning = null;
+        try {
+            const result = await this.api.validateModel(modelId);
+            if (!result.isValid) {
+                this.showModelValidationMessage(result.message, result.suggestions);
+                return;
+            }
+
+            // Add the model as the provider lists it, keeping the provider pin only if one was typed
+            if (result.resolvedModelId) {
+                selectionKey = formatModelSelection(result.resolvedModelId, provider);
+            }
+            if (!result.isVerified) {
+                warning = result.message;
+            }
+        } catch (error) {
+            console.error('Error validating model ID:', error);
+            warning = `Could not check ${bareModelId} with the server; added without verification`;
+        }
+
+        if (!this.canAddModel(selectionKey)) {
             return;
         }
 
-        this.selectedModels.push(modelId);
+        this.selectedModels.push(selectionKey);
+        addRecentModel(selectionKey);
         this.saveModelsToStorage();
         this.updateUI();
         this.hideModelInput();
+
+        if (warning) {
+            this.displayErrorMessage(warning, 'warning');
+        }
+    }
+
+    // Shows why a typed model ID was rejected below the Add Model input, with "did you mean"
+    // buttons that add a suggested model instead. Pass null to clear it
+    showModelValidationMessage(message, suggestions = []) {
+        const container = document.getElementById('modelValidationMessage');
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !message);
+        if (!message) return;
+
+        const text = document.createElement('p');
+        text.className = 'text-red-300';
+        text.textContent = message;
+        container.appendChild(text);
+
+        if (suggestions.length === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'flex flex-wrap items-center gap-2 mt-2';
+        list.innerHTML = '<span class="text-slate-400">Did you mean:</span>';
+
+        suggestions.forEach(suggestion => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'bg-slate-600/60 hover:bg-purple-600 text-white rounded-lg px-2 py-1 transition-colors duration-200';
+            button.textContent = suggestion.modelId;
+            button.title = `Add ${suggestion.modelId} (${suggestion.provider})`;
+            button.addEventListener('click', () => {
+                document.getElementById('modelIdInput').value = formatModelSelection(suggestion.modelId, suggestion.provider);
+                this.addModel();
+            });
+            list.appendChild(button);
+        });
+
+        container.appendChild(list);
+    }
+
+    // Suggestion groups for the Add Model input: recently used models, then the catalog by provider.
+    // Models that are already selected are left out
+    getModelSuggestionGroups() {
+        const isAvailable = key => !this.selectedModels.includes(key);
+        const recentKeys = loadRecentModels().filter(isAvailable);
+
+        const recent = recentKeys.map(key => {
+            const { modelId, provider } = parseModelSelection(key);
+            return {
+                key,
+                id: modelId,
+                displayName: this.findCatalogEntry(key)?.displayName || modelId,
+                provider
+            };
+        });
+
+        const providerGroups = this.getProviderNames().map(providerName => ({
+            label: providerName,
+            models: (this.availableModels[providerName] || [])
+                .map(entry => ({
+                    key: formatModelSelection(entry.id, providerName),
+                    id: entry.id,
+                    displayName: entry.displayName,
+                    provider: providerName
+                }))
+                .filter(model => isAvailable(model.key) && !recentKeys.includes(model.key))
+        }));
+
+        return [{ label: 'Recently used', recent: true, models: recent }, ...providerGroups];
     }
 
     // Check if model exists in available models
@@ -887,275 +1557,2217 @@ const ModelComparisonApp = (() => {
         this.updateUI();
     }
 
-    // Comparison methods
-    updateRunButtonState() {
-        const prompt = document.getElementById('promptInput').value.trim();
-        const hasModels = this.selectedModels.length > 0;
-        const hasPrompt = prompt.length > 0;
+    // === MODEL SETS ===
 
-        document.getElementById('runComparisonBtn').disabled = !(hasModels && hasPrompt);
+    async loadModelSets() {
+        try {
+            this.modelSets = await this.api.loadModelSets();
+        } catch (error) {
+            console.error('Error loading model sets:', error);
+            this.modelSets = [];
+        }
+        this.renderModelSets();
     }
 
-    async runComparison() {
-        const prompt = document.getElementById('promptInput').value.trim();
+    // The saved set holding exactly the selected models, in the same order
+    findActiveModelSet() {
+        return this.modelSets.find(modelSet =>
+            modelSet.models.length === this.selectedModels.length &&
+            modelSet.models.every((modelId, index) => modelId === this.selectedModels[index])) || null;
+    }
 
-        if (!prompt || this.selectedModels.length === 0) {
+    renderModelSets() {
+        const container = document.getElementById('modelSetList');
+        if (!container) return;
+
+        const activeSet = this.findActiveModelSet();
+        container.innerHTML = '';
+
+        if (this.modelSets.length === 0) {
+            container.innerHTML = '<span class="text-slate-500 italic">No saved sets</span>';
+        }
+
+        this.modelSets.forEach(modelSet => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = modelSet === activeSet
+                ? 'model-set-chip px-3 py-1 rounded-full border border-purple-400 bg-purple-600/40 text-white'
+                : 'model-set-chip px-3 py-1 rounded-full border border-slate-600/50 text-slate-300 hover:bg-slate-600/50 transition-colors duration-200';
+            button.textContent = modelSet.name;
+            button.title = modelSet.models.map(formatModelSelectionLabel).join(', ');
+            button.addEventListener('click', () => this.applyModelSet(modelSet));
+            container.appendChild(button);
+        });
+
+        document.getElementById('saveModelSetBtn')?.toggleAttribute('disabled', this.selectedModels.length === 0);
+        document.getElementById('renameModelSetBtn')?.classList.toggle('hidden', !activeSet);
+        document.getElementById('deleteModelSetBtn')?.classList.toggle('hidden', !activeSet);
+    }
+
+    applyModelSet(modelSet) {
+        if (this.activeRun) {
+            this.displayErrorMessage('Wait for the running comparison to finish before switching models.');
             return;
         }
 
-        this.showResultsSection();
-        this.prepareResponsePanels();
+        if (modelSet.models.length > this.maxModels) {
+            this.displayErrorMessage(`"${modelSet.name}" has ${modelSet.models.length} models but the current limit is ${this.maxModels}.`);
+            return;
+        }
 
-        // Execute real comparison
-        await this.executeRealComparison(prompt);
+        this.selectedModels = [...modelSet.models];
+        this.saveModelsToStorage();
+        this.updateUI();
+        this.displaySuccessMessage(`Loaded model set "${modelSet.name}"`);
     }
 
-    showResultsSection() {
-        const resultsSection = document.getElementById('resultsSection');
-        if (resultsSection) {
-            console.log('DEBUG: Showing results section, removing hidden class');
-            resultsSection.classList.remove('hidden');
-            console.log('DEBUG: Results section classes after removal:', resultsSection.className);
-        } else {
-            console.error('DEBUG: resultsSection element not found!');
+    // Saving under the name of an existing set replaces that set's models
+    async saveCurrentModelSet() {
+        if (this.selectedModels.length === 0) return;
+
+        const name = window.prompt('Name this model set', this.findActiveModelSet()?.name || '')?.trim();
+        if (!name) return;
+
+        const existing = this.modelSets.find(modelSet => modelSet.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Replace the models in "${existing.name}" with the current selection?`)) {
+            return;
+        }
+
+        try {
+            await this.api.saveModelSet({ name, models: this.selectedModels }, existing?.id);
+            this.displaySuccessMessage(`Saved model set "${name}"`);
+            await this.loadModelSets();
+        } catch (error) {
+            console.error('Error saving model set:', error);
+            this.displayErrorMessage(`Could not save model set: ${error.message}`);
         }
     }
 
-    prepareResponsePanels() {
-        const panels = document.querySelectorAll('.bg-gray-800.rounded-lg');
+    async renameActiveModelSet() {
+        const activeSet = this.findActiveModelSet();
+        if (!activeSet) return;
 
-        panels.forEach((panel, index) => {
-            const modelName = this.selectedModels[index] || 'No model selected';
-            const header = panel.querySelector('h3');
-            const metrics = panel.querySelector('.text-sm');
-            const content = panel.querySelector('.response-content');
-            const loading = panel.querySelector('.loading');
+        const name = window.prompt('Rename model set', activeSet.name)?.trim();
+        if (!name || name === activeSet.name) return;
 
-            header.textContent = modelName;
-            metrics.textContent = '-';
-            content.innerHTML = '';
-            loading.classList.remove('hidden');
+        try {
+            await this.api.saveModelSet({ name }, activeSet.id);
+            this.displaySuccessMessage(`Renamed model set to "${name}"`);
+            await this.loadModelSets();
+        } catch (error) {
+            console.error('Error renaming model set:', error);
+            this.displayErrorMessage(`Could not rename model set: ${error.message}`);
+        }
+    }
 
-            // Clear previous ratings and comments
-            const starsContainer = panel.querySelector('.stars');
-            const commentArea = panel.querySelector('textarea');
-            starsContainer.innerHTML = this.createStarRating(0);
-            commentArea.value = '';
-        });
+    async deleteActiveModelSet() {
+        const activeSet = this.findActiveModelSet();
+        if (!activeSet || !confirm(`Delete the model set "${activeSet.name}"? The selected models stay selected.`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteModelSet(activeSet.id);
+            this.displaySuccessMessage(`Deleted model set "${activeSet.name}"`);
+            await this.loadModelSets();
+        } catch (error) {
+            console.error('Error deleting model set:', error);
+            this.displayErrorMessage(`Could not delete model set: ${error.message}`);
+        }
     }
 
-    // Enhanced model display
-    updateUI() {
-        this.updateSelectedModelsDisplay();
-        this.updateRunButtonState();
-        this.updateSelectedModelsCount();
-        this.updateResultsCount();
+    // === RATERS ===
+
+    async loadRaters() {
+        try {
+            this.raters = await this.api.loadRaters();
+        } catch (error) {
+            console.error('Error loading raters:', error);
+            this.raters = [];
+        }
+        this.renderRaterOptions();
     }
 
-    updateSelectedModelsDisplay() {
-        const container = document.getElementById('selectedModels');
+    renderRaterOptions() {
+        // A remembered rater that no longer exists rates anonymously
+        if (this.raterId && !this.raters.some(rater => rater.id === this.raterId)) {
+            this.raterId = null;
+            saveRaterPreference(null);
+        }
 
-        if (this.selectedModels.length === 0) {
-            container.innerHTML = '<div class="text-slate-400 text-sm italic">No models selected</div>';
+        const options = this.raters
+            .map(rater => `<option value="${this.escapeHtml(rater.id)}">${this.escapeHtml(rater.name)}</option>`)
+            .join('');
+
+        const select = document.getElementById('raterSelect');
+        if (select) {
+            select.innerHTML = `<option value="">Anonymous</option>${options}<option value="${NEW_RATER_OPTION}">New rater…</option>`;
+            select.value = this.raterId || '';
+        }
+
+        // The ranking filter keeps its selection while the list is rebuilt
+        const rankingRater = document.getElementById('rankingRater');
+        if (rankingRater) {
+            const selected = rankingRater.value;
+            rankingRater.innerHTML = `<option value="">All Raters</option>${options}`;
+            rankingRater.value = this.raters.some(rater => rater.id === selected) ? selected : '';
+        }
+    }
+
+    async selectRater(raterId) {
+        if (raterId === NEW_RATER_OPTION) {
+            await this.signInNewRater();
             return;
         }
 
-        container.innerHTML = '';
-        this.selectedModels.forEach((modelId, index) => {
-            const pill = document.createElement('div');
-            pill.className = 'model-pill bg-gradient-to-r from-purple-600 to-pink-600 text-white px-3 py-2 rounded-full text-sm font-medium flex items-center gap-2 shadow-lg';
-            pill.innerHTML = `
-                <span class="font-medium">${modelId}</span>
-                <span class="remove-btn w-4 h-4 rounded-full bg-white/20 flex items-center justify-center text-xs hover:bg-red-500 transition-all duration-200 cursor-pointer" onclick="app.removeModel('${modelId}')">
-                    ×
-                </span>
-            `;
+        this.raterId = raterId;
+        saveRaterPreference(raterId);
+        this.renderRaterOptions();
+        await this.reloadRatingsForRater();
+    }
 
-            // Add animation delay for each pill
-            pill.style.animationDelay = `${index * 0.1}s`;
-            container.appendChild(pill);
+    // A simple sign-in: the name is the profile, so signing in with a known name picks that rater again
+    async signInNewRater() {
+        const name = window.prompt('Your name as a rater')?.trim();
+        if (!name) {
+            this.renderRaterOptions();
+            return;
+        }
+
+        try {
+            const rater = await this.api.signInRater(name);
+            if (!this.raters.some(existing => existing.id === rater.id)) {
+                this.raters = [...this.raters, rater].sort((a, b) => a.name.localeCompare(b.name));
+            }
+            this.displaySuccessMessage(`Rating as ${rater.name}`);
+            await this.selectRater(rater.id);
+        } catch (error) {
+            console.error('Error signing in rater:', error);
+            this.displayErrorMessage(`Could not sign in: ${error.message}`);
+            this.renderRaterOptions();
+        }
+    }
+
+    // Each rater sees and changes only their own ratings and votes, so reload those on screen after switching
+    async reloadRatingsForRater() {
+        this.evaluations.clear();
+        this.preferenceVotes.clear();
+
+        if (this.conversation && this.currentTurn) {
+            await Promise.all(this.conversation.turns
+                .filter(turn => turn.number <= this.currentTurn.number)
+                .map(turn => this.restoreEvaluations(turn.promptId, turn.prompt, turn.results)));
+        }
+
+        Array.from(document.getElementById('comparisonResults')?.children || []).forEach(panel => {
+            const container = panel.querySelector('.star-rating');
+            if (!container) return;
+
+            const promptId = container.getAttribute('data-prompt-id');
+            const evaluation = this.evaluations.get(`${promptId}_${container.getAttribute('data-model-id')}`);
+            const rubric = this.getTurnRubric(promptId);
+            if (rubric) {
+                this.updateRubricScoringUI(panel, rubric, evaluation);
+            } else {
+                this.updateStarRatingUI(container, evaluation?.rating || 0);
+            }
+
+            const commentTextarea = panel.querySelector('.comment-textarea');
+            if (commentTextarea) commentTextarea.value = evaluation?.comment || '';
         });
+
+        await this.refreshPreferenceView();
     }
 
-    // Update results count display
-    updateResultsCount() {
-        const resultsCount = document.getElementById('resultsCount');
-        const comparisonResults = document.getElementById('comparisonResults');
+    // === RUBRICS ===
 
-        if (resultsCount && comparisonResults) {
-            const count = comparisonResults.children.length;
-            resultsCount.textContent = `${count} model${count !== 1 ? 's' : ''}`;
+    async loadRubrics() {
+        try {
+            this.rubrics = await this.api.loadRubrics();
+        } catch (error) {
+            console.error('Error loading rubrics:', error);
+            this.rubrics = [];
         }
+        this.renderRubricOptions();
+    }
+
+    renderRubricOptions() {
+        const select = document.getElementById('rubricSelect');
+        if (!select) return;
+
+        // A remembered rubric that was deleted elsewhere falls back to the overall rating
+        if (this.rubricId && !this.rubrics.some(rubric => rubric.id === this.rubricId)) {
+            this.rubricId = null;
+            saveRubricPreference(null);
+        }
+
+        select.innerHTML = '<option value="">Overall rating</option>';
+        this.rubrics.forEach(rubric => {
+            const option = document.createElement('option');
+            option.value = rubric.id;
+            option.textContent = rubric.name;
+            option.title = formatCriteria(rubric.criteria);
+            select.appendChild(option);
+        });
+        select.value = this.rubricId || '';
+        select.title = this.getSelectedRubric() ? formatCriteria(this.getSelectedRubric().criteria) : '';
+
+        document.getElementById('editRubricBtn')?.classList.toggle('hidden', !this.rubricId);
+        document.getElementById('deleteRubricBtn')?.classList.toggle('hidden', !this.rubricId);
+    }
+
+    selectRubric(rubricId) {
+        this.rubricId = rubricId;
+        saveRubricPreference(rubricId);
+        this.renderRubricOptions();
+    }
+
+    getSelectedRubric() {
+        return this.rubrics.find(rubric => rubric.id === this.rubricId) || null;
+    }
+
+    // Responses keep the rubric their comparison started with, even if another one is selected afterwards
+    getTurnRubric(promptId) {
+        return this.turnRubrics.get(promptId) || null;
+    }
+
+    async createRubric() {
+        const name = window.prompt('Name the rubric')?.trim();
+        if (!name) return;
+
+        // Start from the selected rubric's criteria, or the first rubric's when none is selected
+        const criteria = this.promptRubricCriteria(name, (this.getSelectedRubric() || this.rubrics[0])?.criteria || []);
+        if (!criteria) return;
+
+        try {
+            const rubric = await this.api.saveRubric({ name, criteria });
+            this.displaySuccessMessage(`Saved rubric "${rubric.name}"`);
+            this.rubricId = rubric.id;
+            saveRubricPreference(rubric.id);
+            await this.loadRubrics();
+        } catch (error) {
+            console.error('Error saving rubric:', error);
+            this.displayErrorMessage(`Could not save rubric: ${error.message}`);
+        }
+    }
+
+    async editSelectedRubric() {
+        const selected = this.getSelectedRubric();
+        if (!selected) return;
+
+        const criteria = this.promptRubricCriteria(selected.name, selected.criteria);
+        if (!criteria) return;
+
+        try {
+            await this.api.saveRubric({ criteria }, selected.id);
+            this.displaySuccessMessage(`Updated rubric "${selected.name}". Scores already given keep their totals.`);
+            await this.loadRubrics();
+        } catch (error) {
+            console.error('Error updating rubric:', error);
+            this.displayErrorMessage(`Could not update rubric: ${error.message}`);
+        }
+    }
+
+    async deleteSelectedRubric() {
+        const selected = this.getSelectedRubric();
+        if (!selected || !confirm(`Delete the rubric "${selected.name}"? Scores already given with it are kept.`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteRubric(selected.id);
+            this.displaySuccessMessage(`Deleted rubric "${selected.name}"`);
+            await this.loadRubrics();
+        } catch (error) {
+            console.error('Error deleting rubric:', error);
+            this.displayErrorMessage(`Could not delete rubric: ${error.message}`);
+        }
+    }
+
+    // Asks for criteria as "Name: weight" entries until they parse or the prompt is cancelled
+    promptRubricCriteria(name, criteria) {
+        let text = formatCriteria(criteria);
+        let error = '';
+        for (;;) {
+            text = window.prompt(`${error}Criteria and weights for "${name}", e.g. "Correctness: 4, Style: 1"`, text);
+            if (text == null) return null;
+
+            const parsed = parseCriteria(text);
+            if (!parsed.error) return parsed.criteria;
+            error = `${parsed.error}\n\n`;
+        }
+    }
+
+    setupRubricScoring(panel, rubric, modelId, promptId, promptText) {
+        const scoring = panel.querySelector('.rubric-scoring');
+        const container = panel.querySelector('.star-rating');
+        if (!scoring || !container || scoring.dataset.ready) return;
+        scoring.dataset.ready = 'true';
+
+        scoring.addEventListener('click', async (e) => {
+            const button = e.target.closest('.criterion-score');
+            if (!button) return;
+
+            await this.handleCriterionScoreChange(
+                modelId, promptId, promptText, rubric,
+                button.dataset.criterion, parseInt(button.dataset.score), panel);
+        });
+    }
+
+    async handleCriterionScoreChange(modelId, promptId, promptText, rubric, criterion, score, panel) {
+        const evaluation = this.getOrCreateEvaluation(modelId, promptId, promptText);
+
+        // Scores from another rubric don't carry over; an overall rating is replaced by the scores
+        const scores = evaluation.rubricId === rubric.id ? { ...evaluation.criterionScores } : {};
+        scores[criterion] = score;
+
+        evaluation.rubricId = rubric.id;
+        evaluation.criterionScores = scores;
+        evaluation.weightedScore = calculateWeightedScore(rubric.criteria, scores);
+        evaluation.rating = Math.round(evaluation.weightedScore);
+        evaluation.isBlind = this.isBlindRating(modelId, promptId);
+        evaluation.saved = false;
+        this.unsavedChanges = true;
+
+        // Update UI immediately for better UX
+        this.updateRubricScoringUI(panel, rubric, evaluation);
+
+        await this.saveEvaluation(evaluation, panel.querySelector('.star-rating'));
+        this.revealBlindSessionIfRated();
+    }
+
+    updateRubricScoringUI(panel, rubric, evaluation) {
+        const scores = evaluation?.rubricId === rubric.id ? evaluation.criterionScores : {};
+
+        panel.querySelectorAll('.criterion-row').forEach(row => {
+            const score = findScore(scores, row.dataset.criterion);
+            row.querySelectorAll('.criterion-score').forEach(button => {
+                button.classList.toggle('active', score != null && parseInt(button.dataset.score) <= score);
+            });
+        });
+
+        const total = panel.querySelector('.rubric-total');
+        if (total) {
+            const weightedScore = evaluation?.rubricId === rubric.id ? evaluation.weightedScore : null;
+            total.textContent = `${formatWeightedScore(weightedScore)} / 10`;
+        }
+    }
+
+    // Comparison methods
+    updateRunButtonState() {
+        const prompt = document.getElementById('promptInput').value.trim();
+        const hasModels = this.selectedModels.length > 0;
+        const hasPrompt = prompt.length > 0;
+
+        document.getElementById('runComparisonBtn').disabled = !(hasModels && hasPrompt);
+
+        const followUpButton = document.getElementById('followUpBtn');
+        if (followUpButton) followUpButton.disabled = !(hasModels && hasPrompt && this.conversation?.turns.length);
+
+        this.updateCostEstimate();
+    }
+
+    // Catalog details of a selection; an unpinned model is looked up in provider order, like the server picks it
+    findCatalogEntry(selectionKey) {
+        const { modelId, provider } = parseModelSelection(selectionKey);
+        const providerNames = this.getProviderNames().filter(name => !provider || name === provider);
+
+        for (const name of providerNames) {
+            const entry = (this.availableModels[name] || []).find(model => model.id === modelId);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    // Cost range of the next run: every model billed for the prompt, up to every model using its full max tokens.
+    // Earlier turns of a conversation are not counted
+    updateCostEstimate() {
+        const estimate = document.getElementById('costEstimate');
+        if (!estimate) return;
+
+        const systemPrompt = document.getElementById('systemPromptInput')?.value.trim() || '';
+        const prompt = document.getElementById('promptInput').value.trim();
+        if (!prompt || this.selectedModels.length === 0) {
+            estimate.classList.add('hidden');
+            return;
+        }
+
+        const promptTokens = estimateTokens(systemPrompt) + estimateTokens(prompt);
+        const globalMaxTokens = normalizeParameters(this.generationParameters.global).maxTokens;
+        let min = 0;
+        let max = 0;
+        const details = [];
+        const unpriced = [];
+
+        this.selectedModels.forEach(selectionKey => {
+            const maxTokens = normalizeParameters(this.generationParameters.models[selectionKey]).maxTokens
+                ?? globalMaxTokens
+                ?? defaultMaxTokens(prompt.length);
+            const cost = estimateModelCost(this.findCatalogEntry(selectionKey), promptTokens, maxTokens);
+            if (!cost) {
+                unpriced.push(formatModelSelectionLabel(selectionKey));
+                return;
+            }
+
+            min += cost.min;
+            max += cost.max;
+            details.push(`${formatModelSelectionLabel(selectionKey)}: ${formatCost(cost.min)} – ${formatCost(cost.max)}`);
+        });
+
+        if (unpriced.length === this.selectedModels.length) {
+            estimate.textContent = 'Est. cost unknown';
+        } else {
+            estimate.textContent = `Est. ${formatCost(min)} – ${formatCost(max)}${unpriced.length > 0 ? ' + unpriced' : ''}`;
+        }
+        if (unpriced.length > 0) {
+            details.push(`No pricing: ${unpriced.join(', ')}`);
+        }
+        estimate.title = `~${promptTokens} prompt tokens per model\n${details.join('\n')}`;
+        estimate.classList.remove('hidden');
+    }
+
+    // modelParameters replaces the configured generation settings, e.g. to reproduce a past run exactly.
+    // followUp sends the prompt as the next turn of the current conversation instead of starting a new one
+    async runComparison({ modelParameters = null, followUp = false } = {}) {
+        const prompt = document.getElementById('promptInput').value.trim();
+
+        if (!prompt || this.selectedModels.length === 0) {
+            return;
+        }
+
+        if (!this.confirmUnhealthyModels()) {
+            return;
+        }
+
+        try {
+            await this.beginConversationTurn(prompt, followUp);
+        } catch (error) {
+            console.error('Error issuing prompt ID:', error);
+            this.displayErrorMessage(`Could not start the comparison: ${error.message}`);
+            return;
+        }
+        this.turnRubrics.set(this.currentTurn.promptId, this.getSelectedRubric());
+        this.showResultsSection();
+        this.prepareResponsePanels();
+        this.startBlindSession(this.currentTurn.promptId);
+
+        // Execute real comparison
+        if (this.streamResponses) {
+            await this.executeStreamingComparison(prompt, modelParameters);
+        } else {
+            await this.executeRealComparison(prompt, modelParameters);
+        }
+    }
+
+    showResultsSection() {
+        const resultsSection = document.getElementById('resultsSection');
+        if (resultsSection) {
+            console.log('DEBUG: Showing results section, removing hidden class');
+            resultsSection.classList.remove('hidden');
+            console.log('DEBUG: Results section classes after removal:', resultsSection.className);
+        } else {
+            console.error('DEBUG: resultsSection element not found!');
+        }
+    }
+
+    prepareResponsePanels() {
+        const panels = document.querySelectorAll('.bg-gray-800.rounded-lg');
+
+        panels.forEach((panel, index) => {
+            const modelName = this.selectedModels[index] || 'No model selected';
+            const header = panel.querySelector('h3');
+            const metrics = panel.querySelector('.text-sm');
+            const content = panel.querySelector('.response-content');
+            const loading = panel.querySelector('.loading');
+
+            header.textContent = modelName;
+            metrics.textContent = '-';
+            content.innerHTML = '';
+            loading.classList.remove('hidden');
+
+            // Clear previous ratings and comments
+            const starsContainer = panel.querySelector('.stars');
+            const commentArea = panel.querySelector('textarea');
+            starsContainer.innerHTML = this.createStarRating(0);
+            commentArea.value = '';
+        });
+    }
+
+    // Enhanced model display
+    updateUI() {
+        this.updateSelectedModelsDisplay();
+        this.renderModelSets();
+        this.updateRunButtonState();
+        this.updateSelectedModelsCount();
+        this.updateResultsCount();
+        this.populateGenerationScopeOptions();
+    }
+
+    updateSelectedModelsDisplay() {
+        const container = document.getElementById('selectedModels');
+
+        if (this.selectedModels.length === 0) {
+            container.innerHTML = '<div class="text-slate-400 text-sm italic">No models selected</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        this.selectedModels.forEach((modelId, index) => {
+            const { modelId: modelName, provider } = parseModelSelection(modelId);
+            const health = this.getModelHealth(modelId);
+            const healthStatus = health && HEALTH_STATUSES[health.status];
+            const pill = document.createElement('div');
+            pill.className = 'model-pill bg-gradient-to-r from-purple-600 to-pink-600 text-white px-3 py-2 rounded-full text-sm font-medium flex items-center gap-2 shadow-lg cursor-grab';
+            pill.dataset.reorderKey = modelId;
+            pill.draggable = true;
+            pill.title = 'Drag to reorder';
+            pill.innerHTML = `
+                ${healthStatus ? `<span class="w-2 h-2 rounded-full ${healthStatus.dotClass}" title="${this.escapeHtml(`${healthStatus.label}${health.message ? `: ${health.message}` : ''}`)}"></span>` : ''}
+                <span class="font-medium">${this.escapeHtml(modelName)}</span>
+                ${provider ? `<span class="text-xs px-1.5 py-0.5 rounded-full bg-white/20">${this.escapeHtml(provider)}</span>` : ''}
+                <span class="remove-btn w-4 h-4 rounded-full bg-white/20 flex items-center justify-center text-xs hover:bg-red-500 transition-all duration-200 cursor-pointer" onclick="app.removeModel('${modelId}')">
+                    ×
+                </span>
+            `;
+
+            // Add animation delay for each pill
+            pill.style.animationDelay = `${index * 0.1}s`;
+            container.appendChild(pill);
+        });
+    }
+
+    // Update results count display
+    updateResultsCount() {
+        const resultsCount = document.getElementById('resultsCount');
+        const comparisonResults = document.getElementById('comparisonResults');
+
+        if (resultsCount && comparisonResults) {
+            const count = comparisonResults.children.length;
+            resultsCount.textContent = `${count} model${count !== 1 ? 's' : ''}`;
+        }
+    }
+
+    // Storage methods
+    saveModelsToStorage() {
+        saveModelsToStorage(this.selectedModels);
+    }
+
+    loadModelsFromStorage() {
+        return loadModelsFromStorage();
+    }
+
+    // Comparison methods
+    async executeRealComparison(prompt, modelParameters = null) {
+        const { promptId } = this.currentTurn;
+        const models = [...this.selectedModels];
+        const run = this.beginComparisonRun(models);
+
+        try {
+            // Disable UI during execution
+            this.setComparisonInProgress(true);
+            this.currentComparison = { comparisonId: run.comparisonId, prompt: prompt, results: [] };
+            run.panels = this.renderPendingPanels(this.getPanelOrder(models), promptId, prompt, 'pending');
+            this.updateQueuePositions(run);
+
+            const requestData = {
+                prompt: prompt,
+                selectedModels: models,
+                comparisonId: run.comparisonId,
+                maxConcurrency: this.executionMode === 'Parallel' ? this.maxConcurrency : null,
+                providerFallback: this.buildFallbackRequest(),
+                ...this.buildGenerationRequest(models, modelParameters),
+                ...this.buildConversationRequest(models)
+            };
+
+            const comparisonResult = await this.api.executeComparison(requestData, run.fetchController.signal, run.executionMode);
+
+            // Display results
+            this.displayComparisonResults(comparisonResult);
+            this.recordConversationTurn(comparisonResult);
+            this.loadComparisonHistory();
+            this.loadSpendLedger();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.markPendingPanelsCancelled(run, promptId, prompt);
+            } else {
+                console.error('Error during comparison:', error);
+
+                // Handle validation errors specifically
+                if (error.message.includes('HTTP error! status: 400')) {
+                    displayErrorMessage('Your request couldn\'t be processed. Please check your prompt length (keep it under 50,000 characters) and model selection.', 'validation-error');
+                } else {
+                    displayErrorMessage(`Comparison failed: ${error.message}`);
+                }
+            }
+
+            this.setComparisonInProgress(false);
+        } finally {
+            this.endComparisonRun(run);
+            this.revealBlindSessionIfRated();
+        }
+    }
+
+    // Stream a comparison, creating every panel up front and filling it as tokens arrive
+    async executeStreamingComparison(prompt, modelParameters = null) {
+        const { promptId } = this.currentTurn;
+        const models = [...this.selectedModels];
+        const run = this.beginComparisonRun(models);
+
+        this.setComparisonInProgress(true);
+        this.currentComparison = { comparisonId: run.comparisonId, prompt: prompt, results: [] };
+        run.panels = this.renderPendingPanels(this.getPanelOrder(models), promptId, prompt, 'streaming');
+        run.streaming = true;
+        this.updateQueuePositions(run);
+        let finished = false;
+
+        try {
+            const requestData = {
+                prompt: prompt,
+                selectedModels: models,
+                comparisonId: run.comparisonId,
+                maxConcurrency: this.executionMode === 'Parallel' ? this.maxConcurrency : null,
+                providerFallback: this.buildFallbackRequest(),
+                ...this.buildGenerationRequest(models, modelParameters),
+                ...this.buildConversationRequest(models)
+            };
+
+            await this.api.streamComparison(requestData, (eventType, data) => {
+                const state = data.modelId ? run.panels.get(data.modelId) : null;
+
+                switch (eventType) {
+                    case 'model-start':
+                        if (state) {
+                            state.started = true;
+                            this.updateStreamingMetrics(state, 'Waiting for first token...');
+                        }
+                        this.updateQueuePositions(run);
+                        break;
+                    case 'model-retry':
+                        if (state) this.resetStreamingPanel(state, data);
+                        break;
+                    case 'token':
+                        if (state) this.appendStreamingToken(state, data);
+                        break;
+                    case 'model-complete':
+                        if (state && data.result) {
+                            state.completed = true;
+                            this.currentComparison.results.push(data.result);
+                            this.populateModelPanel(state.panel, data.result, promptId, prompt);
+                        }
+                        break;
+                    case 'complete':
+                        finished = true;
+                        this.currentComparison = data;
+                        this.recordConversationTurn(data);
+                        break;
+                    case 'error':
+                        throw new Error(data.error || 'Streaming comparison failed');
+                }
+            }, run.fetchController.signal, run.executionMode);
+
+            if (!finished) {
+                throw new Error('The connection closed before the comparison finished');
+            }
+
+            this.applyResultsSort();
+            this.updateResultsCount();
+            this.refreshDiffView();
+            this.refreshPreferenceView();
+            this.displaySuccessMessage(`Comparison completed! Processed ${this.currentComparison.results.length} models.`);
+            this.loadComparisonHistory();
+            this.loadSpendLedger();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.markPendingPanelsCancelled(run, promptId, prompt);
+            } else {
+                console.error('Error during streaming comparison:', error);
+                this.markPendingPanelsFailed(run, promptId, prompt, error.message);
+
+                if (error.message.includes('HTTP error! status: 400')) {
+                    displayErrorMessage('Your request couldn\'t be processed. Please check your prompt length (keep it under 50,000 characters) and model selection.', 'validation-error');
+                } else {
+                    displayErrorMessage(`Comparison failed: ${error.message}`);
+                }
+            }
+        } finally {
+            this.endComparisonRun(run);
+            this.setComparisonInProgress(false);
+            this.revealBlindSessionIfRated();
+        }
+    }
+
+    // Create the run state: one AbortController for the whole run and one per model.
+    // Aborting a controller asks the server to cancel the matching provider call; the
+    // fetch itself is only aborted if the server can no longer be reached.
+    beginComparisonRun(models) {
+        const run = {
+            comparisonId: generateComparisonId(),
+            models: models,
+            executionMode: this.executionMode,
+            streaming: false,
+            controller: new AbortController(),
+            fetchController: new AbortController(),
+            modelControllers: new Map(),
+            panels: new Map()
+        };
+
+        run.controller.signal.addEventListener('abort', () => {
+            this.api.cancelComparison(run.comparisonId)
+                .catch(error => {
+                    console.warn('Server-side cancel failed, aborting request instead:', error);
+                    run.fetchController.abort();
+                });
+            run.modelControllers.forEach(modelController => modelController.abort());
+        });
+
+        models.forEach(modelId => {
+            const modelController = new AbortController();
+            modelController.signal.addEventListener('abort', () => {
+                const state = run.panels.get(modelId);
+                if (state && !state.completed) {
+                    this.setPanelCancelling(state);
+                }
+
+                // A whole-run cancel already covers this model on the server
+                if (!run.controller.signal.aborted) {
+                    this.api.cancelModel(run.comparisonId, modelId)
+                        .catch(error => console.warn(`Failed to cancel ${modelId}:`, error));
+                }
+            });
+            run.modelControllers.set(modelId, modelController);
+        });
+
+        this.activeRun = run;
+        return run;
+    }
+
+    endComparisonRun(run) {
+        if (this.activeRun === run) {
+            this.activeRun = null;
+        }
+    }
+
+    // Stop every model in the running comparison
+    cancelComparison() {
+        if (this.activeRun && !this.activeRun.controller.signal.aborted) {
+            this.activeRun.controller.abort();
+        }
+    }
+
+    // Stop a single model in the running comparison
+    cancelModel(modelId) {
+        const modelController = this.activeRun?.modelControllers.get(modelId);
+        if (modelController && !modelController.signal.aborted) {
+            modelController.abort();
+        }
+    }
+
+    // Create a panel per model before any response arrives so each can be cancelled on its own
+    renderPendingPanels(models, promptId, prompt, status) {
+        const panels = new Map();
+        const resultsContainer = document.getElementById('comparisonResults');
+        if (!resultsContainer) {
+            console.error('DEBUG: comparisonResults container not found!');
+            return panels;
+        }
+
+        resultsContainer.innerHTML = '';
+        this.resetCustomResultsSort();
+
+        models.forEach((modelId, index) => {
+            const panel = this.createModelPanel({ modelId, response: '', status }, index, promptId, prompt);
+            const metrics = panel.querySelector('.metrics-display');
+            const loading = panel.querySelector('.loading');
+            const cancelButton = panel.querySelector('.cancel-model-btn');
+
+            if (metrics) metrics.textContent = status === 'streaming' ? 'Waiting for response...' : 'Running...';
+            if (loading && status === 'pending') loading.classList.remove('hidden');
+            if (cancelButton) {
+                cancelButton.classList.remove('hidden');
+                cancelButton.addEventListener('click', () => this.cancelModel(modelId));
+            }
+
+            resultsContainer.appendChild(panel);
+            panels.set(modelId, { panel, text: '', timeToFirstTokenMs: null, renderPending: false, completed: false });
+        });
+
+        this.updateResultsLayout();
+        this.updateResultsCount();
+        return panels;
+    }
+
+    // Sequential runs go through the models in selection order; show each waiting panel its place in line.
+    // Without streaming events there is no progress to follow, so the first unfinished model counts as running
+    updateQueuePositions(run) {
+        if (run.executionMode !== 'Sequential') return;
+
+        const waiting = run.models
+            .map(modelId => run.panels.get(modelId))
+            .filter(state => state && !state.started && !state.completed);
+
+        waiting.forEach((state, index) => {
+            const position = run.streaming ? index + 1 : index;
+            this.updateStreamingMetrics(state, position === 0 ? 'Running...' : `Queued • #${position} in line`);
+        });
+    }
+
+    setPanelCancelling(state) {
+        const cancelButton = state.panel.querySelector('.cancel-model-btn');
+        if (cancelButton) {
+            cancelButton.disabled = true;
+            cancelButton.textContent = 'Cancelling...';
+        }
+        this.updateStreamingMetrics(state, 'Cancelling...');
+    }
+
+    // Used when the request had to be aborted locally and the server never reported the cancelled models
+    markPendingPanelsCancelled(run, promptId, prompt) {
+        run.panels.forEach((state, modelId) => {
+            if (state.completed) return;
+
+            state.completed = true;
+            this.populateModelPanel(state.panel, {
+                modelId,
+                response: state.text,
+                responseTimeMs: 0,
+                status: 'cancelled'
+            }, promptId, prompt);
+        });
+    }
+
+    // Used when the stream broke off: models the server never reported as finished did not finish
+    markPendingPanelsFailed(run, promptId, prompt, errorMessage) {
+        run.panels.forEach((state, modelId) => {
+            if (state.completed) return;
+
+            state.completed = true;
+            this.populateModelPanel(state.panel, {
+                modelId,
+                response: state.text || `Interrupted: ${errorMessage}`,
+                responseTimeMs: 0,
+                status: 'error'
+            }, promptId, prompt);
+        });
+    }
+
+    // Append a streamed token to its panel, batching DOM updates to one per animation frame
+    appendStreamingToken(state, data) {
+        state.text += data.content;
+        if (state.timeToFirstTokenMs === null) {
+            state.timeToFirstTokenMs = data.elapsedMs;
+        }
+
+        const ttftText = `TTFT ${(state.timeToFirstTokenMs / 1000).toFixed(1)}s`;
+        this.updateStreamingMetrics(state, `${ttftText} • ${data.chunkCount} chunks`);
+
+        if (state.renderPending) return;
+        state.renderPending = true;
+
+        requestAnimationFrame(() => {
+            state.renderPending = false;
+            if (state.completed) return;
+
+            const content = this.renderResponseContent(state.panel, state.text, { streaming: true });
+            if (content) {
+                content.classList.add('streaming');
+            }
+        });
+    }
+
+    // Discard a failed attempt's output while the model waits to be retried. A blind panel does not
+    // name the provider, nor show the error, which often does
+    resetStreamingPanel(state, data) {
+        state.text = '';
+        state.timeToFirstTokenMs = null;
+        this.renderResponseContent(state.panel, '', { streaming: true });
+
+        const hidden = this.isHiddenByBlindSession(data.modelId);
+        const providerText = hidden ? '' : ` on ${data.provider}`;
+        const waitText = data.delayMs > 0 ? ` in ${(data.delayMs / 1000).toFixed(1)}s` : '';
+        this.updateStreamingMetrics(state, `Failed • retrying${providerText}${waitText} (attempt ${data.attempt}/${data.maxAttempts})`);
+
+        const metrics = state.panel.querySelector('.metrics-display');
+        if (metrics) metrics.title = hidden ? '' : data.error || '';
+    }
+
+    updateStreamingMetrics(state, text) {
+        const metrics = state.panel.querySelector('.metrics-display');
+        if (metrics) metrics.textContent = text;
+    }
+
+    // Set comparison in progress state
+    setComparisonInProgress(inProgress) {
+        const runButton = document.getElementById('runComparisonBtn');
+        const stopButton = document.getElementById('stopComparisonBtn');
+        const followUpButton = document.getElementById('followUpBtn');
+        const modelSelectors = document.querySelectorAll('.model-card');
+
+        if (stopButton) {
+            stopButton.classList.toggle('hidden', !inProgress);
+        }
+
+        if (followUpButton) {
+            followUpButton.disabled = inProgress || !this.conversation?.turns.length;
+        }
+
+        if (inProgress) {
+            runButton.disabled = true;
+            runButton.textContent = 'Running Comparison...';
+            // Disable model selection during execution
+            modelSelectors.forEach(card => {
+                card.style.pointerEvents = 'none';
+                card.style.opacity = '0.5';
+            });
+        } else {
+            runButton.disabled = false;
+            runButton.textContent = 'Run Comparison';
+            // Re-enable model selection
+            modelSelectors.forEach(card => {
+                card.style.pointerEvents = 'auto';
+                card.style.opacity = '1';
+            });
+        }
+    }
+
+    // Display comparison results
+    displayComparisonResults(result, successMessage = null) {
+        console.log('DEBUG: displayComparisonResults called with:', result);
+        console.log('DEBUG: Number of results:', result.results.length);
+
+        // Store current comparison data for evaluations
+        this.currentComparison = result;
+        const prompt = this.currentTurn?.prompt ?? document.getElementById('promptInput').value.trim();
+        const promptId = this.currentTurn?.promptId;
+
+        // Clear existing results
+        const resultsContainer = document.getElementById('comparisonResults');
+        if (!resultsContainer) {
+            console.error('DEBUG: comparisonResults container not found!');
+            this.displayErrorMessage('Results container not found in the UI');
+            return;
+        }
+
+        resultsContainer.innerHTML = '';
+        this.resetCustomResultsSort();
+
+        // Create a panel for each model result; the layout depends on how many there are
+        const orderedResults = this.blindSession
+            ? this.getPanelOrder(result.results.map(r => r.modelId)).map(modelId => result.results.find(r => r.modelId === modelId))
+            : result.results;
+        orderedResults.forEach((modelResult, index) => {
+            const modelPanel = this.createModelPanel(modelResult, index, promptId, prompt);
+            resultsContainer.appendChild(modelPanel);
+        });
+        this.applyResultsSort();
+        this.updateResultsLayout();
+        this.refreshDiffView();
+        this.refreshPreferenceView();
+
+         // Re-enable UI
+         this.setComparisonInProgress(false);
+
+         // Update results count
+         this.updateResultsCount();
+
+         // Show success message
+         this.displaySuccessMessage(successMessage || `Comparison completed! Processed ${result.results.length} models.`);
+    }
+
+    // === COMPARISON HISTORY ===
+
+    // Load past comparisons into the sidebar history card
+    async loadComparisonHistory() {
+        const container = document.getElementById('comparisonHistoryList');
+        if (!container) return;
+
+        try {
+            const entries = await this.api.loadComparisonHistory(0, 50);
+            this.renderComparisonHistory(entries);
+        } catch (error) {
+            console.error('Error loading comparison history:', error);
+            container.innerHTML = '<div class="text-red-400 text-sm text-center py-4">Could not load history</div>';
+        }
+    }
+
+    renderComparisonHistory(entries) {
+        const container = document.getElementById('comparisonHistoryList');
+        if (!container) return;
+
+        if (!entries || entries.length === 0) {
+            container.innerHTML = '<div class="text-slate-400 text-sm italic text-center py-4">No comparisons yet</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-entry bg-slate-700/30 border border-slate-600/30 rounded-xl p-3';
+            item.dataset.comparisonId = entry.comparisonId;
+
+            const executedAt = new Date(entry.executedAt);
+            const models = entry.modelIds.map(modelId => this.escapeHtml(modelId)).join(', ');
+            const turnBadge = entry.turnNumber > 1
+                ? `<span class="history-turn-badge text-xs px-1.5 py-0.5 mr-1 rounded bg-purple-500/20 text-purple-300">Turn ${entry.turnNumber}</span>`
+                : '';
+
+            item.innerHTML = `
+                <div class="history-prompt text-sm text-white mb-1" title="${this.escapeHtml(entry.promptPreview)}">${turnBadge}${this.escapeHtml(entry.promptPreview)}</div>
+                <div class="text-xs text-slate-400 truncate" title="${models}">${models}</div>
+                <div class="flex items-center justify-between mt-2">
+                    <span class="text-xs text-slate-500">${executedAt.toLocaleString()} • ${entry.successfulModels}/${entry.totalModels} ok${entry.totalCost > 0 ? ` • ${formatCost(entry.totalCost)}` : ''}</span>
+                    <div class="flex gap-1">
+                        <button type="button" class="history-open-btn text-xs px-2 py-1 rounded-lg border border-slate-600/50 text-slate-300 hover:bg-slate-600/60 transition-colors duration-200" title="Open this comparison">Open</button>
+                        <button type="button" class="history-rerun-btn text-xs px-2 py-1 rounded-lg border border-purple-500/40 text-purple-300 hover:bg-purple-500/20 transition-colors duration-200" title="Run the same prompt with the same models">Re-run</button>
+                        <button type="button" class="history-delete-btn text-xs px-2 py-1 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/20 transition-colors duration-200" title="Delete from history">×</button>
+                    </div>
+                </div>
+            `;
+
+            item.querySelector('.history-open-btn').addEventListener('click', () => this.openHistoryComparison(entry.comparisonId));
+            item.querySelector('.history-rerun-btn').addEventListener('click', () => this.rerunHistoryComparison(entry.comparisonId));
+            item.querySelector('.history-delete-btn').addEventListener('click', () => this.deleteHistoryComparison(entry.comparisonId));
+
+            container.appendChild(item);
+        });
+    }
+
+    // === MODEL HEALTH ===
+
+    async loadModelHealth() {
+        try {
+            const results = await this.api.loadModelHealth();
+            this.setModelHealth(results);
+        } catch (error) {
+            console.error('Error loading model health:', error);
+        }
+    }
+
+    // Checks the models shown in the catalog plus the selected ones
+    async checkModelHealth({ force = true } = {}) {
+        const button = document.getElementById('checkModelHealthBtn');
+        const catalogKeys = this.getProviderNames().flatMap(provider =>
+            filterCatalog(this.availableModels[provider] || [], this.catalogFilters)
+                .map(model => formatModelSelection(model.id, provider)));
+        const modelIds = [...new Set([...this.selectedModels, ...catalogKeys])];
+        if (modelIds.length === 0) return;
+
+        if (button) {
+            button.disabled = true;
+            button.textContent = `Checking ${modelIds.length}...`;
+        }
+
+        try {
+            const results = await this.api.checkModelHealth(modelIds, force);
+            this.setModelHealth(results);
+
+            const unhealthy = results.filter(result => result.status !== 'available').length;
+            if (unhealthy === 0) {
+                this.displaySuccessMessage(`All ${results.length} models are available`);
+            }
+        } catch (error) {
+            console.error('Error checking model health:', error);
+            this.displayErrorMessage(`Failed to check model health: ${error.message}`);
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Check health';
+            }
+        }
+    }
+
+    setModelHealth(results) {
+        results.forEach(result => {
+            this.modelHealth[result.modelId] = result;
+        });
+        this.displayAvailableModels();
+        this.updateSelectedModelsDisplay();
+    }
+
+    getModelHealth(selectionKey) {
+        return findModelHealth(this.modelHealth, selectionKey, this.getProviderNames());
+    }
+
+    // Asks before running when a selected model was degraded or unavailable at its last check
+    confirmUnhealthyModels() {
+        const unhealthy = this.selectedModels
+            .map(selectionKey => ({ selectionKey, health: this.getModelHealth(selectionKey) }))
+            .filter(({ health }) => health && health.status !== 'available');
+        if (unhealthy.length === 0) return true;
+
+        const lines = unhealthy.map(({ selectionKey, health }) =>
+            `• ${formatModelSelectionLabel(selectionKey)}: ${HEALTH_STATUSES[health.status]?.label || health.status} ${formatCheckedAgo(health.checkedAt)}${health.message ? ` (${health.message})` : ''}`);
+        return confirm(`Some selected models looked unhealthy at their last health check:\n\n${lines.join('\n')}\n\nRun the comparison anyway?`);
+    }
+
+    // === SPEND LEDGER ===
+
+    async loadSpendLedger() {
+        const container = document.getElementById('spendLedgerContent');
+        if (!container) return;
+
+        const days = parseInt(document.getElementById('spendDaysSelect')?.value, 10) || 30;
+        try {
+            const ledger = await this.api.loadSpendLedger(days);
+            this.renderSpendLedger(ledger);
+        } catch (error) {
+            console.error('Error loading spend ledger:', error);
+            container.innerHTML = '<div class="text-red-400 text-sm text-center py-4">Could not load spend</div>';
+        }
+    }
+
+    renderSpendLedger(ledger) {
+        const container = document.getElementById('spendLedgerContent');
+        if (!container) return;
+
+        if (!ledger || (ledger.days.length === 0 && ledger.models.length === 0)) {
+            container.innerHTML = '<div class="text-slate-400 text-sm italic text-center py-4">No spend recorded yet</div>';
+            return;
+        }
+
+        const unpricedText = ledger.unpricedCalls > 0
+            ? `<div class="text-xs text-slate-500 mt-1">${ledger.unpricedCalls} call${ledger.unpricedCalls === 1 ? '' : 's'} without pricing not included</div>`
+            : '';
+
+        const dayRows = ledger.days.map(day => `
+            <tr>
+                <td class="py-1 text-slate-300">${this.escapeHtml(day.date)}</td>
+                <td class="py-1 text-right text-slate-400">${day.comparisons}</td>
+                <td class="py-1 text-right text-emerald-300">${formatCost(day.cost)}</td>
+            </tr>
+        `).join('');
+
+        const modelRows = ledger.models.map(model => `
+            <tr title="${model.promptTokens} prompt + ${model.completionTokens} completion tokens">
+                <td class="py-1 text-slate-300 truncate max-w-[10rem]">${this.escapeHtml(formatModelSelectionLabel(formatModelSelection(model.modelId, model.provider)))}</td>
+                <td class="py-1 text-right text-slate-400">${model.calls}</td>
+                <td class="py-1 text-right text-emerald-300">${formatCost(model.cost)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="mb-4">
+                <div class="text-2xl font-bold text-emerald-400">${formatCost(ledger.totalCost)}</div>
+                <div class="text-xs text-slate-400">since ${new Date(ledger.since).toLocaleDateString()}</div>
+                ${unpricedText}
+            </div>
+            <table class="spend-ledger-days w-full text-xs mb-4">
+                <thead><tr class="text-slate-500"><th class="text-left font-medium">Day</th><th class="text-right font-medium">Runs</th><th class="text-right font-medium">Cost</th></tr></thead>
+                <tbody>${dayRows}</tbody>
+            </table>
+            <table class="spend-ledger-models w-full text-xs">
+                <thead><tr class="text-slate-500"><th class="text-left font-medium">Model</th><th class="text-right font-medium">Calls</th><th class="text-right font-medium">Cost</th></tr></thead>
+                <tbody>${modelRows}</tbody>
+            </table>
+        `;
+    }
+
+    // Show a past comparison with its responses and any ratings that were saved for it
+    async openHistoryComparison(comparisonId) {
+        if (this.activeRun) {
+            this.displayErrorMessage('Wait for the running comparison to finish before opening another one.');
+            return;
+        }
+
+        try {
+            const comparison = await this.api.loadComparison(comparisonId);
+            await this.restoreConversation(comparison);
+            document.getElementById('promptInput').value = comparison.prompt;
+            this.updatePromptCharCount();
+            this.updateRunButtonState();
+
+            // Reopened comparisons always show model names; blind mode only applies to new runs
+            this.blindSession = null;
+            await Promise.all(this.conversation.turns
+                .filter(turn => turn.number <= this.currentTurn.number)
+                .map(turn => this.restoreEvaluations(turn.promptId, turn.prompt, turn.results)));
+
+            this.showResultsSection();
+            this.displayComparisonResults(comparison, `Opened comparison from ${new Date(comparison.executedAt).toLocaleString()}.`);
+        } catch (error) {
+            console.error('Error opening comparison:', error);
+            this.displayErrorMessage(`Failed to open comparison: ${error.message}`);
+        }
+    }
+
+    // Rebuild the conversation a past comparison belongs to so its earlier turns show and follow-ups continue it
+    async restoreConversation(comparison) {
+        let turns = [comparison];
+        if (comparison.turnNumber > 1) {
+            try {
+                turns = await this.api.loadConversation(comparison.conversationId);
+            } catch (error) {
+                // Without the earlier turns the opened turn still shows on its own
+                console.warn('Could not load the conversation for comparison:', comparison.comparisonId, error);
+            }
+        }
+
+        const conversation = await this.issueConversationPromptIds(conversationFromHistory(turns));
+        this.currentTurn = conversation.turns.find(turn => turn.comparisonId === comparison.comparisonId)
+            ?? (await this.issueConversationPromptIds(conversationFromHistory([comparison]))).turns[0];
+        this.conversation = conversation;
+
+        const systemPromptInput = document.getElementById('systemPromptInput');
+        if (systemPromptInput) systemPromptInput.value = this.conversation.systemPrompt;
+        this.updateConversationControls();
+    }
+
+    // Run a past prompt again against the same set of models
+    async rerunHistoryComparison(comparisonId) {
+        if (this.activeRun) {
+            this.displayErrorMessage('A comparison is already running.');
+            return;
+        }
+
+        try {
+            const comparison = await this.api.loadComparison(comparisonId);
+            const modelIds = [...new Set(comparison.results.map(result => result.modelId))];
+
+            if (modelIds.length > this.maxModels) {
+                this.displayErrorMessage(`This comparison used ${modelIds.length} models but the current limit is ${this.maxModels}.`);
+                return;
+            }
+
+            this.selectedModels = modelIds;
+            this.saveModelsToStorage();
+            this.updateUI();
+
+            document.getElementById('promptInput').value = comparison.prompt;
+            this.updatePromptCharCount();
+            this.updateRunButtonState();
+
+            const systemPromptInput = document.getElementById('systemPromptInput');
+            if (systemPromptInput) systemPromptInput.value = comparison.systemPrompt || '';
+
+            // Reuse the exact parameters each model ran with; older runs didn't record them
+            const storedParameters = {};
+            comparison.results
+                .filter(result => result.parameters)
+                .forEach(result => { storedParameters[result.modelId] = normalizeParameters(result.parameters); });
+
+            await this.runComparison({
+                modelParameters: Object.keys(storedParameters).length > 0 ? storedParameters : null
+            });
+        } catch (error) {
+            console.error('Error re-running comparison:', error);
+            this.displayErrorMessage(`Failed to re-run comparison: ${error.message}`);
+        }
+    }
+
+    async deleteHistoryComparison(comparisonId) {
+        if (!confirm('Delete this comparison from history? Ratings you gave its responses are kept.')) {
+            return;
+        }
+
+        try {
+            await this.api.deleteComparison(comparisonId);
+            this.displaySuccessMessage('Comparison deleted from history');
+            await this.loadComparisonHistory();
+            this.loadSpendLedger();
+        } catch (error) {
+            console.error('Error deleting comparison:', error);
+            this.displayErrorMessage(`Failed to delete comparison: ${error.message}`);
+        }
+    }
+
+    // Load saved evaluations for a prompt so reopened panels show their ratings and comments.
+    // Evaluations store the bare model ID and provider; match them back to the comparison's selections
+    async restoreEvaluations(promptId, promptText, results = []) {
+        try {
+            const evaluations = await this.api.loadEvaluationsByPrompt(promptId);
+
+            // Show the rubric the responses were scored with, if it still exists; keep the one on screen when none was used
+            const rubricId = evaluations.find(evaluation => evaluation.rubricId)?.rubricId;
+            if (rubricId || !this.turnRubrics.has(promptId)) {
+                this.turnRubrics.set(promptId, this.rubrics.find(rubric => rubric.id === rubricId) || null);
+            }
+
+            // Other raters' ratings of the same responses only count towards rankings and agreement
+            evaluations.filter(evaluation => (evaluation.raterId || null) === this.raterId).forEach(evaluation => {
+                const selection = results.find(result =>
+                    parseModelSelection(result.modelId).modelId === evaluation.modelId &&
+                    (!evaluation.provider || (result.provider || parseModelSelection(result.modelId).provider) === evaluation.provider)
+                )?.modelId ?? evaluation.modelId;
+
+                this.evaluations.set(`${promptId}_${selection}`, {
+                    id: evaluation.id,
+                    promptId: promptId,
+                    promptText: promptText,
+                    modelId: selection,
+                    provider: evaluation.provider || null,
+                    rating: evaluation.rating,
+                    rubricId: evaluation.rubricId || null,
+                    criterionScores: evaluation.criterionScores || null,
+                    weightedScore: evaluation.weightedScore ?? null,
+                    comment: evaluation.comment || '',
+                    responseTimeMs: evaluation.responseTimeMs || 1000,
+                    tokenCount: evaluation.tokenCount || 0,
+                    raterId: evaluation.raterId || null,
+                    serverUpdatedAt: evaluation.updatedAt,
+                    timestamp: evaluation.updatedAt,
+                    saved: true
+                });
+            });
+
+            // Edits still waiting in the offline queue are newer than what the server has
+            const queued = await this.offlineQueue.list().catch(() => []);
+            queued
+                .filter(entry => entry.evaluation.promptId === promptId && (entry.evaluation.raterId || null) === this.raterId)
+                .forEach(entry => {
+                    const key = `${promptId}_${entry.evaluation.modelId}`;
+                    this.evaluations.set(key, { ...this.evaluations.get(key), ...entry.evaluation, promptText: promptText, saved: false });
+                });
+        } catch (error) {
+            // Ratings are a nice-to-have when reopening; show the responses regardless
+            console.warn('Could not restore evaluations for prompt:', promptId, error);
+        }
+    }
+
+    // Stack panels vertically for a few models; switch to a horizontally scrollable grid beyond that
+    updateResultsLayout() {
+        const resultsContainer = document.getElementById('comparisonResults');
+        if (!resultsContainer) return;
+
+        const useGrid = resultsContainer.children.length > STACKED_LAYOUT_MAX_MODELS;
+        resultsContainer.classList.toggle('comparison-grid', useGrid);
+        resultsContainer.classList.toggle('space-y-10', !useGrid);
+
+        this.applyPinnedColumns();
+    }
+
+    togglePinnedModel(modelId) {
+        if (this.pinnedModels.has(modelId)) {
+            this.pinnedModels.delete(modelId);
+        } else {
+            this.pinnedModels.add(modelId);
+        }
+
+        this.applyPinnedColumns();
+    }
+
+    // Pinned panels move to the front of the grid and stick to the left edge while scrolling
+    applyPinnedColumns() {
+        const resultsContainer = document.getElementById('comparisonResults');
+        if (!resultsContainer) return;
+
+        const useGrid = resultsContainer.classList.contains('comparison-grid');
+        const gap = parseFloat(getComputedStyle(resultsContainer).columnGap) || 0;
+        let offset = 0;
+
+        Array.from(resultsContainer.children).forEach(panel => {
+            const pinned = useGrid && this.pinnedModels.has(panel.dataset.modelId);
+            const pinButton = panel.querySelector('.pin-model-btn');
+
+            panel.classList.toggle('pinned-column', pinned);
+            panel.style.left = pinned ? `${offset}px` : '';
+            if (pinButton) {
+                pinButton.textContent = pinned ? 'Unpin' : 'Pin';
+                pinButton.setAttribute('aria-pressed', pinned ? 'true' : 'false');
+            }
+
+            if (pinned) {
+                offset += panel.offsetWidth + gap;
+            }
+        });
+    }
+
+    // === RESPONSE DIFF ===
+
+    // Results from the current comparison that have text to diff
+    getDiffableResults() {
+        return (this.currentComparison?.results || []).filter(result => result.response);
+    }
+
+    toggleDiffView() {
+        const diffView = document.getElementById('diffView');
+        if (!diffView) return;
+
+        if (!diffView.classList.contains('hidden')) {
+            this.hideDiffView();
+            return;
+        }
+
+        if (this.getDiffableResults().length < 2) {
+            this.displayErrorMessage('At least two responses are needed to show a diff.');
+            return;
+        }
+
+        diffView.classList.remove('hidden');
+        this.populateDiffSelectors();
+        this.renderResponseDiff();
+    }
+
+    hideDiffView() {
+        document.getElementById('diffView')?.classList.add('hidden');
+    }
+
+    // Re-render an open diff after the comparison it shows has changed
+    refreshDiffView() {
+        const diffView = document.getElementById('diffView');
+        if (!diffView || diffView.classList.contains('hidden')) return;
+
+        if (this.getDiffableResults().length < 2) {
+            this.hideDiffView();
+            return;
+        }
+
+        this.populateDiffSelectors();
+        this.renderResponseDiff();
+    }
+
+    // Fill both selectors with the current models, keeping the previous picks when they still exist
+    populateDiffSelectors() {
+        const leftSelect = document.getElementById('diffLeftModel');
+        const rightSelect = document.getElementById('diffRightModel');
+        if (!leftSelect || !rightSelect) return;
+
+        const modelIds = this.getDiffableResults().map(result => result.modelId);
+        const options = modelIds
+            .map(modelId => `<option value="${this.escapeHtml(modelId)}">${this.escapeHtml(this.getDisplayName(modelId))}</option>`)
+            .join('');
+
+        const previousLeft = leftSelect.value;
+        const previousRight = rightSelect.value;
+        leftSelect.innerHTML = options;
+        rightSelect.innerHTML = options;
+
+        leftSelect.value = modelIds.includes(previousLeft) ? previousLeft : modelIds[0];
+        rightSelect.value = modelIds.includes(previousRight) && previousRight !== leftSelect.value
+            ? previousRight
+            : modelIds.find(modelId => modelId !== leftSelect.value);
+    }
+
+    renderResponseDiff() {
+        const output = document.getElementById('diffOutput');
+        const similarity = document.getElementById('diffSimilarity');
+        if (!output || !similarity) return;
+
+        const results = this.getDiffableResults();
+        const leftId = document.getElementById('diffLeftModel').value;
+        const rightId = document.getElementById('diffRightModel').value;
+        const granularity = document.getElementById('diffGranularity').value;
+        const leftResult = results.find(result => result.modelId === leftId);
+        const rightResult = results.find(result => result.modelId === rightId);
+
+        if (!leftResult || !rightResult) {
+            output.innerHTML = '';
+            similarity.textContent = '-';
+            return;
+        }
+
+        const diff = computeDiff(leftResult.response, rightResult.response, granularity);
+        if (!diff) {
+            output.innerHTML = `<div class="text-amber-300 text-sm md:col-span-2">These responses are too long for a ${granularity} diff. Try the line diff instead.</div>`;
+            similarity.textContent = '-';
+            return;
+        }
+
+        const columns = renderDiffColumns(diff.ops);
+        similarity.textContent = `${diff.similarity}%`;
+        output.innerHTML = `
+            <div class="min-w-0">
+                <div class="text-xs font-semibold text-red-300 mb-2">${this.escapeHtml(this.getDisplayName(leftId))}</div>
+                <div class="diff-column bg-slate-900/50 rounded-xl p-4 text-slate-300 font-mono text-sm leading-relaxed">${columns.left}</div>
+            </div>
+            <div class="min-w-0">
+                <div class="text-xs font-semibold text-green-300 mb-2">${this.escapeHtml(this.getDisplayName(rightId))}</div>
+                <div class="diff-column bg-slate-900/50 rounded-xl p-4 text-slate-300 font-mono text-sm leading-relaxed">${columns.right}</div>
+            </div>
+        `;
+    }
+
+    // === PREFERENCE VOTING ===
+
+    getPreferencePromptId() {
+        return this.currentTurn?.promptId;
+    }
+
+    async togglePreferenceView() {
+        const preferenceView = document.getElementById('preferenceView');
+        if (!preferenceView) return;
+
+        if (!preferenceView.classList.contains('hidden')) {
+            this.hidePreferenceView();
+            return;
+        }
+
+        if (this.getDiffableResults().length < 2) {
+            this.displayErrorMessage('At least two responses are needed to vote on a pair.');
+            return;
+        }
+
+        preferenceView.classList.remove('hidden');
+        await this.loadPreferenceVotes();
+        this.populatePreferenceSelectors();
+        this.updatePreferenceStatus();
+    }
+
+    hidePreferenceView() {
+        document.getElementById('preferenceView')?.classList.add('hidden');
+    }
+
+    // Re-render an open vote panel after the comparison it shows has changed
+    async refreshPreferenceView() {
+        const preferenceView = document.getElementById('preferenceView');
+        if (!preferenceView || preferenceView.classList.contains('hidden')) return;
+
+        if (this.getDiffableResults().length < 2) {
+            this.hidePreferenceView();
+            return;
+        }
+
+        await this.loadPreferenceVotes();
+        this.populatePreferenceSelectors();
+        this.updatePreferenceStatus();
+    }
+
+    // Mark the pairs that already have a vote, e.g. when the same prompt was run before
+    async loadPreferenceVotes() {
+        const promptId = this.getPreferencePromptId();
+
+        try {
+            const votes = await this.api.loadPreferenceVotes(promptId);
+            votes.filter(vote => (vote.raterId || null) === this.raterId).forEach(vote => {
+                const resultA = this.findVotedResult(vote.modelAId, vote.providerA);
+                const resultB = this.findVotedResult(vote.modelBId, vote.providerB);
+                if (resultA && resultB && resultA !== resultB) {
+                    this.preferenceVotes.set(getPairKey(promptId, resultA.modelId, resultB.modelId), { modelA: resultA.modelId, outcome: vote.outcome });
+                }
+            });
+        } catch (error) {
+            console.error('Error loading preference votes:', error);
+        }
+    }
+
+    // The current result a stored vote refers to: the same model, from the same provider when the vote recorded one
+    findVotedResult(modelId, provider) {
+        return this.getDiffableResults().find(result =>
+            parseModelSelection(result.modelId).modelId === modelId
+            && (!provider || (result.provider || parseModelSelection(result.modelId).provider) === provider));
+    }
+
+    // The outcome of the latest vote on a pair, turned around when the pair is shown the other way round
+    getPreferenceVote(modelA, modelB) {
+        const vote = this.preferenceVotes.get(getPairKey(this.getPreferencePromptId(), modelA, modelB));
+        if (!vote) return null;
+        if (vote.modelA === modelA) return vote.outcome;
+        return { ABetter: 'BBetter', BBetter: 'ABetter' }[vote.outcome] || vote.outcome;
+    }
+
+    // Fill both selectors with the current models, keeping the previous pair or moving on to one without a vote
+    populatePreferenceSelectors() {
+        const selectA = document.getElementById('preferenceModelA');
+        const selectB = document.getElementById('preferenceModelB');
+        if (!selectA || !selectB) return;
+
+        const modelIds = this.getDiffableResults().map(result => result.modelId);
+        const options = modelIds
+            .map(modelId => `<option value="${this.escapeHtml(modelId)}">${this.escapeHtml(this.getDisplayName(modelId))}</option>`)
+            .join('');
+
+        const previous = [selectA.value, selectB.value];
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+
+        const keepPrevious = previous[0] !== previous[1] && previous.every(modelId => modelIds.includes(modelId));
+        const [modelA, modelB] = keepPrevious
+            ? previous
+            : findNextUnvotedPair(modelIds, (a, b) => this.getPreferenceVote(a, b) !== null) || modelIds.slice(0, 2);
+        selectA.value = modelA;
+        selectB.value = modelB;
+    }
+
+    updatePreferenceStatus(message = '') {
+        const modelA = document.getElementById('preferenceModelA')?.value;
+        const modelB = document.getElementById('preferenceModelB')?.value;
+        const samePair = !modelA || modelA === modelB;
+        const outcome = samePair ? null : this.getPreferenceVote(modelA, modelB);
+
+        document.querySelectorAll('#preferenceOutcomes .preference-vote').forEach(button => {
+            button.disabled = samePair;
+            button.classList.toggle('active', button.dataset.outcome === outcome);
+        });
+
+        const status = document.getElementById('preferenceStatus');
+        if (!status) return;
+
+        const modelIds = this.getDiffableResults().map(result => result.modelId);
+        const pairCount = modelIds.length * (modelIds.length - 1) / 2;
+        const votedCount = modelIds.reduce((count, a, i) =>
+            count + modelIds.slice(i + 1).filter(b => this.getPreferenceVote(a, b) !== null).length, 0);
+        const progress = samePair ? 'Pick two different responses' : `${votedCount} of ${pairCount} pairs voted`;
+        status.textContent = message ? `${message} • ${progress}` : progress;
+    }
+
+    // Store the vote, then move on to the next pair that has none
+    async handlePreferenceVote(outcome) {
+        const selectA = document.getElementById('preferenceModelA');
+        const selectB = document.getElementById('preferenceModelB');
+        const modelA = selectA?.value;
+        const modelB = selectB?.value;
+        if (!modelA || !modelB || modelA === modelB || !PREFERENCE_OUTCOMES[outcome]) return;
+
+        const promptId = this.getPreferencePromptId();
+        const results = this.getDiffableResults();
+        const resultA = results.find(result => result.modelId === modelA);
+        const resultB = results.find(result => result.modelId === modelB);
+
+        try {
+            await this.api.savePreferenceVote({
+                promptId: promptId,
+                modelAId: parseModelSelection(modelA).modelId,
+                providerA: resultA?.provider || parseModelSelection(modelA).provider || null,
+                modelBId: parseModelSelection(modelB).modelId,
+                providerB: resultB?.provider || parseModelSelection(modelB).provider || null,
+                outcome: outcome,
+                isBlind: this.isBlindRating(modelA, promptId) || this.isBlindRating(modelB, promptId),
+                raterId: this.raterId
+            });
+        } catch (error) {
+            console.error('Error saving preference vote:', error);
+            this.displayErrorMessage(`Failed to save vote: ${error.message}`);
+            return;
+        }
+
+        this.preferenceVotes.set(getPairKey(promptId, modelA, modelB), { modelA, outcome });
+
+        const next = findNextUnvotedPair(results.map(result => result.modelId), (a, b) => this.getPreferenceVote(a, b) !== null, [modelA, modelB]);
+        if (next) {
+            [selectA.value, selectB.value] = next;
+        }
+        this.updatePreferenceStatus(`Saved: ${PREFERENCE_OUTCOMES[outcome]}`);
+    }
+
+    // === GENERATION SETTINGS ===
+
+    initializeGenerationSettings() {
+        document.querySelectorAll('.generation-param').forEach(input => {
+            input.dataset.defaultPlaceholder = input.placeholder || '';
+            input.addEventListener('input', () => this.updateGenerationParametersFromForm());
+        });
+
+        document.getElementById('generationScope')?.addEventListener('change', () => this.fillGenerationForm());
+        document.getElementById('resetGenerationScopeBtn')?.addEventListener('click', () => {
+            const scope = this.getGenerationScope();
+            if (scope) {
+                delete this.generationParameters.models[scope];
+            } else {
+                this.generationParameters.global = {};
+            }
+            saveGenerationParameters(this.generationParameters);
+            this.populateGenerationScopeOptions();
+        });
+
+        this.populateGenerationScopeOptions();
+    }
+
+    getGenerationScope() {
+        return document.getElementById('generationScope')?.value || '';
+    }
+
+    getScopedGenerationParameters(scope) {
+        return scope ? (this.generationParameters.models[scope] || {}) : this.generationParameters.global;
+    }
+
+    // "All models" plus one entry per selected model; models with their own settings are marked
+    populateGenerationScopeOptions() {
+        const select = document.getElementById('generationScope');
+        if (!select) return;
+
+        const previousScope = select.value;
+        const options = this.selectedModels.map(modelId => {
+            const marker = isEmptyParameters(this.generationParameters.models[modelId]) ? '' : ' •';
+            return `<option value="${this.escapeHtml(modelId)}">${this.escapeHtml(modelId)}${marker}</option>`;
+        });
+        select.innerHTML = `<option value="">All models</option>${options.join('')}`;
+        select.value = this.selectedModels.includes(previousScope) ? previousScope : '';
+
+        this.fillGenerationForm();
+    }
+
+    fillGenerationForm() {
+        const scope = this.getGenerationScope();
+        const parameters = this.getScopedGenerationParameters(scope);
+        const globalParameters = this.generationParameters.global;
+        const fields = {
+            paramTemperature: 'temperature',
+            paramTopP: 'topP',
+            paramMaxTokens: 'maxTokens',
+            paramSeed: 'seed'
+        };
+
+        Object.entries(fields).forEach(([inputId, key]) => {
+            const input = document.getElementById(inputId);
+            if (!input) return;
+            input.value = parameters[key] ?? '';
+            // Per-model fields show the value they would inherit
+            input.placeholder = scope && globalParameters[key] != null
+                ? globalParameters[key]
+                : input.dataset.defaultPlaceholder;
+        });
+
+        const stopInput = document.getElementById('paramStopSequences');
+        if (stopInput) {
+            stopInput.value = formatStopSequences(parameters.stopSequences);
+            stopInput.placeholder = scope ? formatStopSequences(globalParameters.stopSequences) : '';
+        }
+
+        this.updateGenerationSummary();
+    }
+
+    updateGenerationParametersFromForm() {
+        const scope = this.getGenerationScope();
+        const parameters = normalizeParameters({
+            temperature: document.getElementById('paramTemperature')?.value,
+            topP: document.getElementById('paramTopP')?.value,
+            maxTokens: document.getElementById('paramMaxTokens')?.value,
+            seed: document.getElementById('paramSeed')?.value,
+            stopSequences: document.getElementById('paramStopSequences')?.value
+        });
+
+        if (!scope) {
+            this.generationParameters.global = parameters;
+        } else if (isEmptyParameters(parameters)) {
+            delete this.generationParameters.models[scope];
+        } else {
+            this.generationParameters.models[scope] = parameters;
+        }
+
+        saveGenerationParameters(this.generationParameters);
+        this.updateCostEstimate();
+
+        const option = document.querySelector(`#generationScope option[value="${CSS.escape(scope)}"]`);
+        if (scope && option) {
+            option.textContent = `${scope}${isEmptyParameters(parameters) ? '' : ' •'}`;
+        }
+        this.updateGenerationSummary();
+    }
+
+    updateGenerationSummary() {
+        const summary = document.getElementById('generationSettingsSummary');
+        if (!summary) return;
+
+        const overrides = this.selectedModels
+            .filter(modelId => !isEmptyParameters(this.generationParameters.models[modelId]))
+            .length;
+        const globalText = formatParameters(this.generationParameters.global) || 'Defaults';
+        summary.textContent = overrides > 0
+            ? `${globalText} • ${overrides} model override${overrides === 1 ? '' : 's'}`
+            : globalText;
+    }
+
+    // Global and per-model parameters for the request; per-model entries are only sent for selected models
+    buildGenerationRequest(models, modelParameters = null) {
+        if (modelParameters) {
+            const reproduced = {};
+            models
+                .filter(modelId => modelParameters[modelId])
+                .forEach(modelId => { reproduced[modelId] = modelParameters[modelId]; });
+            return { parameters: null, modelParameters: reproduced };
+        }
+
+        const globalParameters = normalizeParameters(this.generationParameters.global);
+        const perModel = {};
+        models.forEach(modelId => {
+            const parameters = normalizeParameters(this.generationParameters.models[modelId]);
+            if (!isEmptyParameters(parameters)) {
+                perModel[modelId] = parameters;
+            }
+        });
+
+        return {
+            parameters: isEmptyParameters(globalParameters) ? null : globalParameters,
+            modelParameters: Object.keys(perModel).length > 0 ? perModel : null
+        };
+    }
+
+    // === ORDERING ===
+
+    // Selected model chips and result panels can be dragged into a new order; panels can also be sorted
+    initializeOrdering() {
+        enableDragReorder(document.getElementById('selectedModels'), {
+            onReorder: keys => this.reorderSelectedModels(keys)
+        });
+
+        const resultsContainer = document.getElementById('comparisonResults');
+        enableDragReorder(resultsContainer, {
+            handleSelector: '.panel-drag-handle',
+            axis: () => (resultsContainer.classList.contains('comparison-grid') ? 'x' : 'y'),
+            onReorder: () => {
+                this.setResultsSort('custom');
+                this.applyPinnedColumns();
+            }
+        });
+
+        const sortSelect = document.getElementById('resultsSortSelect');
+        if (sortSelect) {
+            sortSelect.value = this.resultsSort;
+            sortSelect.addEventListener('change', (e) => {
+                this.setResultsSort(e.target.value);
+                this.applyResultsSort();
+            });
+        }
+    }
+
+    // The new order is saved and used for the next run's panels
+    reorderSelectedModels(modelIds) {
+        this.selectedModels = modelIds.filter(modelId => this.selectedModels.includes(modelId));
+        this.saveModelsToStorage();
+        this.updateUI();
+    }
+
+    setResultsSort(sortBy) {
+        this.resultsSort = sortBy in RESULT_SORTS || sortBy === 'custom' ? sortBy : 'order';
+
+        const sortSelect = document.getElementById('resultsSortSelect');
+        if (sortSelect) sortSelect.value = this.resultsSort;
+
+        // A dragged order only applies to the panels on screen
+        if (this.resultsSort !== 'custom') saveResultsSort(this.resultsSort);
+    }
+
+    // A dragged order belonged to the panels it was made on; new panels use the saved sort
+    resetCustomResultsSort() {
+        if (this.resultsSort === 'custom') this.setResultsSort(loadResultsSort());
+    }
+
+    // Reorder the panels on screen by the chosen sort; run order is the blind order during a blind session
+    applyResultsSort() {
+        const resultsContainer = document.getElementById('comparisonResults');
+        const results = this.currentComparison?.results || [];
+        if (!resultsContainer || results.length === 0 || this.resultsSort === 'custom') return;
+
+        const runOrder = this.getPanelOrder(results.map(result => result.modelId))
+            .map(modelId => results.find(result => result.modelId === modelId));
+        const panels = new Map(Array.from(resultsContainer.children).map(panel => [panel.dataset.modelId, panel]));
+
+        sortResultModelIds(runOrder, this.resultsSort, modelId => this.getPanelRating(panels.get(modelId), modelId))
+            .forEach(modelId => {
+                const panel = panels.get(modelId);
+                if (panel) resultsContainer.appendChild(panel);
+            });
+
+        this.applyPinnedColumns();
+    }
+
+    // The rating given to a panel's response in this session, or 0; rubric scores count with their exact weighted total
+    getPanelRating(panel, modelId) {
+        const promptId = panel?.querySelector('.star-rating')?.getAttribute('data-prompt-id');
+        const evaluation = promptId ? this.evaluations.get(`${promptId}_${modelId}`) : null;
+        return evaluation?.weightedScore ?? evaluation?.rating ?? 0;
+    }
+
+    // === EXECUTION MODE ===
+
+    initializeExecutionSettings() {
+        const modeSelect = document.getElementById('executionModeSelect');
+        const concurrencyInput = document.getElementById('maxConcurrencyInput');
+        const fallbackToggle = document.getElementById('providerFallbackToggle');
+        const retriesInput = document.getElementById('fallbackRetriesInput');
+
+        if (modeSelect) {
+            modeSelect.value = this.executionMode;
+            modeSelect.addEventListener('change', (e) => {
+                this.executionMode = e.target.value === 'Sequential' ? 'Sequential' : 'Parallel';
+                this.saveExecutionPreferences();
+                this.updateExecutionControls();
+            });
+        }
+
+        if (concurrencyInput) {
+            concurrencyInput.value = this.maxConcurrency ?? '';
+            concurrencyInput.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.maxConcurrency = Number.isInteger(value) && value > 0 ? value : null;
+                this.saveExecutionPreferences();
+            });
+        }
+
+        if (fallbackToggle) {
+            fallbackToggle.checked = this.providerFallback;
+            fallbackToggle.addEventListener('change', (e) => {
+                this.providerFallback = e.target.checked;
+                this.saveExecutionPreferences();
+                this.updateExecutionControls();
+            });
+        }
+
+        if (retriesInput) {
+            retriesInput.value = this.fallbackRetries ?? '';
+            retriesInput.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.fallbackRetries = Number.isInteger(value) && value >= 1 && value <= 5 ? value : null;
+                this.saveExecutionPreferences();
+            });
+        }
+
+        this.updateExecutionControls();
+    }
+
+    // The concurrency limit only applies to parallel runs, the retry count only with fallback on
+    updateExecutionControls() {
+        document.getElementById('maxConcurrencyControl')?.classList.toggle('hidden', this.executionMode !== 'Parallel');
+        document.getElementById('fallbackRetriesControl')?.classList.toggle('hidden', !this.providerFallback);
+    }
+
+    saveExecutionPreferences() {
+        saveExecutionPreferences({
+            mode: this.executionMode,
+            maxConcurrency: this.maxConcurrency,
+            providerFallback: this.providerFallback,
+            fallbackRetries: this.fallbackRetries
+        });
+    }
+
+    // Fallback is opt-in; unset retries and the backoff come from the server's Execution:ProviderFallback settings
+    buildFallbackRequest() {
+        return this.providerFallback
+            ? { enabled: true, retries: this.fallbackRetries }
+            : null;
+    }
+
+    // === CONVERSATIONS ===
+
+    // Start a new conversation unless this is a follow-up, then describe the turn about to run.
+    // The turn's ID is issued first so a failed request leaves the current conversation as it was
+    async beginConversationTurn(prompt, followUp = false) {
+        const continuing = followUp && this.conversation;
+        const systemPrompt = continuing
+            ? this.conversation.systemPrompt
+            : document.getElementById('systemPromptInput')?.value.trim() || '';
+        const prompts = [...(continuing ? this.conversation.turns.map(turn => turn.prompt) : []), prompt];
+        const promptId = await this.issuePromptId(systemPrompt, prompts);
+
+        if (!continuing) {
+            this.conversation = {
+                id: null,
+                systemPrompt: systemPrompt,
+                turns: []
+            };
+        }
+
+        this.currentTurn = {
+            number: prompts.length,
+            prompt: prompt,
+            promptId: promptId
+        };
+    }
+
+    // Prompt IDs come from the server, which hashes the normalized system prompt and user turns
+    async issuePromptId(systemPrompt, prompts) {
+        const record = await this.api.registerPrompt(getTurnPromptRequest(systemPrompt, prompts));
+        return record.id;
+    }
+
+    // Fill in the turn IDs of a conversation rebuilt from history
+    async issueConversationPromptIds(conversation) {
+        const prompts = conversation.turns.map(turn => turn.prompt);
+        await Promise.all(conversation.turns.map(async (turn, index) => {
+            turn.promptId = await this.issuePromptId(conversation.systemPrompt, prompts.slice(0, index + 1));
+        }));
+        return conversation;
+    }
+
+    // System prompt, conversation position and each model's own earlier messages
+    buildConversationRequest(models) {
+        return {
+            systemPrompt: this.conversation.systemPrompt || null,
+            conversationId: this.conversation.id,
+            turnNumber: this.currentTurn.number,
+            history: buildConversationHistory(this.conversation.turns, models)
+        };
+    }
+
+    // Add a finished run to the conversation so the next follow-up can continue it
+    recordConversationTurn(result) {
+        if (!this.conversation || !this.currentTurn) return;
+
+        this.conversation.id = result.conversationId || this.conversation.id || result.comparisonId;
+        this.conversation.turns.push({
+            ...this.currentTurn,
+            comparisonId: result.comparisonId,
+            results: result.results || []
+        });
+        this.updateConversationControls();
+    }
+
+    startNewConversation() {
+        if (this.activeRun) return;
+
+        this.clearResults();
+        document.getElementById('promptInput').value = '';
+        this.updatePromptCharCount();
+        this.updateRunButtonState();
+    }
+
+    updateConversationControls() {
+        const turnCount = this.conversation?.turns.length || 0;
+        const status = document.getElementById('conversationStatus');
+
+        document.getElementById('followUpBtn')?.classList.toggle('hidden', turnCount === 0);
+        document.getElementById('newConversationBtn')?.classList.toggle('hidden', turnCount === 0);
+        if (status) {
+            status.textContent = turnCount > 0
+                ? `Conversation: ${turnCount} turn${turnCount === 1 ? '' : 's'}${this.conversation.systemPrompt ? ' • system prompt' : ''}`
+                : '';
+            status.classList.toggle('hidden', turnCount === 0);
+        }
+
+        this.updateRunButtonState();
     }
 
-    // Enhanced model suggestions
-    createModelSuggestions(models) {
-        const input = document.getElementById('modelIdInput');
-        let container = document.getElementById('modelSuggestions');
+    // Earlier turns of the conversation for one model, each with its own rating
+    createConversationThread(modelId) {
+        const currentNumber = this.currentTurn?.number ?? Number.MAX_SAFE_INTEGER;
+        const earlierTurns = (this.conversation?.turns || [])
+            .filter(turn => turn.number < currentNumber)
+            .map(turn => ({ turn, result: turn.results.find(r => r.modelId === modelId) }))
+            .filter(({ result }) => result);
+
+        if (earlierTurns.length === 0 && !this.conversation?.systemPrompt) return null;
+
+        const thread = document.createElement('details');
+        thread.className = 'conversation-thread bg-slate-900/30 border border-slate-700/40 rounded-xl mb-4';
+        thread.innerHTML = `
+            <summary class="cursor-pointer select-none px-4 py-2 text-sm text-slate-400">
+                ${earlierTurns.length > 0 ? `Earlier turns (${earlierTurns.length})` : 'System prompt'}
+            </summary>
+            <div class="conversation-turns px-4 pb-4 space-y-4"></div>
+        `;
 
-        if (!container) {
-            container = document.createElement('div');
-            container.id = 'modelSuggestions';
-            container.className = 'hidden absolute z-10 w-full mt-1 bg-slate-700/90 backdrop-blur-sm border border-slate-600 rounded-xl shadow-modern-lg max-h-60 overflow-y-auto';
-            input.parentNode.style.position = 'relative';
-            input.parentNode.appendChild(container);
+        const list = thread.querySelector('.conversation-turns');
+        if (this.conversation.systemPrompt) {
+            const system = document.createElement('div');
+            system.className = 'conversation-system text-xs text-slate-400 whitespace-pre-wrap border-l-2 border-slate-600 pl-3';
+            system.textContent = this.conversation.systemPrompt;
+            list.appendChild(system);
         }
 
-        container.innerHTML = '';
-
-        models.forEach(item => {
-            const suggestion = document.createElement('div');
-            suggestion.className = 'p-3 hover:bg-slate-600/50 cursor-pointer transition-colors duration-200 border-b border-slate-600/30 last:border-b-0';
-            suggestion.innerHTML = `
-                <div class="font-medium text-white">${item.model}</div>
-                <div class="text-xs text-slate-400">${item.provider}</div>
+        earlierTurns.forEach(({ turn, result }) => {
+            const item = document.createElement('div');
+            item.className = 'conversation-turn space-y-2';
+            item.innerHTML = `
+                <div class="flex items-center justify-between gap-2">
+                    <span class="text-xs font-semibold text-slate-400">Turn ${turn.number}</span>
+                    <div class="star-rating flex gap-1"></div>
+                </div>
+                <div class="conversation-user text-sm text-pink-200 whitespace-pre-wrap border-l-2 border-pink-500/50 pl-3"></div>
+                <div class="conversation-assistant text-sm text-slate-300 border-l-2 border-purple-500/50 pl-3"></div>
             `;
-            suggestion.addEventListener('click', () => {
-                input.value = item.model;
-                container.classList.add('hidden');
-            });
-            container.appendChild(suggestion);
-        });
 
-        // Show suggestions
-        input.addEventListener('input', (e) => {
-            const query = e.target.value.toLowerCase();
-            const filtered = models.filter(item =>
-                item.model.toLowerCase().includes(query) ||
-                item.provider.toLowerCase().includes(query)
-            );
+            item.querySelector('.conversation-user').textContent = turn.prompt;
 
-            if (filtered.length > 0 && query.length > 0) {
-                container.innerHTML = '';
-                filtered.forEach(item => {
-                    const suggestion = document.createElement('div');
-                    suggestion.className = 'p-3 hover:bg-slate-600/50 cursor-pointer transition-colors duration-200 border-b border-slate-600/30 last:border-b-0';
-                    suggestion.innerHTML = `
-                        <div class="font-medium text-white">${item.model}</div>
-                        <div class="text-xs text-slate-400">${item.provider}</div>
-                    `;
-                    suggestion.addEventListener('click', () => {
-                        input.value = item.model;
-                        container.classList.add('hidden');
-                    });
-                    container.appendChild(suggestion);
-                });
-                container.classList.remove('hidden');
+            const reply = item.querySelector('.conversation-assistant');
+            if (normalizeStatus(result.status) === 'success') {
+                reply.innerHTML = `<div class="markdown-body">${renderMarkdown(result.response)}</div>`;
+                enhanceCodeBlocks(reply);
             } else {
-                container.classList.add('hidden');
+                reply.textContent = `No reply (${normalizeStatus(result.status)}); left out of this model's history.`;
+                reply.classList.add('italic', 'text-slate-500');
             }
-        });
 
-        // Hide suggestions when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!container.contains(e.target) && e.target !== input) {
-                container.classList.add('hidden');
-            }
-        });
-    }
+            const stars = item.querySelector('.star-rating');
+            const evaluation = this.evaluations.get(`${turn.promptId}_${modelId}`);
+            stars.innerHTML = this.createStarRating(evaluation?.rating || 0);
+            this.setupStarRating(stars, modelId, turn.promptId, turn.prompt);
 
-    // Storage methods
-    saveModelsToStorage() {
-        saveModelsToStorage(this.selectedModels);
-    }
+            list.appendChild(item);
+        });
 
-    loadModelsFromStorage() {
-        return loadModelsFromStorage();
+        return thread;
     }
 
-    // Comparison methods
-    async executeRealComparison(prompt) {
-        try {
-            // Disable UI during execution
-            this.setComparisonInProgress(true);
-
-            const requestData = {
-                prompt: prompt,
-                selectedModels: this.selectedModels
-            };
-
-            const comparisonResult = await this.api.executeComparison(requestData);
+    // === BLIND MODE ===
 
-            // Display results
-            this.displayComparisonResults(comparisonResult);
-
-        } catch (error) {
-            console.error('Error during comparison:', error);
+    // Give each model an anonymous label in a random panel order for this run
+    startBlindSession(promptId) {
+        if (!this.blindMode) {
+            this.blindSession = null;
+            return;
+        }
 
-            // Handle validation errors specifically
-            if (error.message.includes('HTTP error! status: 400')) {
-                displayErrorMessage('Your request couldn\'t be processed. Please check your prompt length (keep it under 50,000 characters) and model selection.', 'validation-error');
-            } else {
-                displayErrorMessage(`Comparison failed: ${error.message}`);
-            }
+        const order = shuffleArray(this.selectedModels);
+        this.blindSession = {
+            promptId: promptId,
+            order: order,
+            labels: new Map(order.map((modelId, index) => [modelId, `Response ${this.getBlindLabel(index)}`])),
+            revealed: false
+        };
+    }
 
-            this.setComparisonInProgress(false);
+    // A, B, ... Z, AA, AB, ...
+    getBlindLabel(index) {
+        let label = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
         }
+        return label;
     }
 
-    // Set comparison in progress state
-    setComparisonInProgress(inProgress) {
-        const runButton = document.getElementById('runComparisonBtn');
-        const modelSelectors = document.querySelectorAll('.model-card');
+    getPanelOrder(modelIds) {
+        if (!this.blindSession) return modelIds;
 
-        if (inProgress) {
-            runButton.disabled = true;
-            runButton.textContent = 'Running Comparison...';
-            // Disable model selection during execution
-            modelSelectors.forEach(card => {
-                card.style.pointerEvents = 'none';
-                card.style.opacity = '0.5';
-            });
-        } else {
-            runButton.disabled = false;
-            runButton.textContent = 'Run Comparison';
-            // Re-enable model selection
-            modelSelectors.forEach(card => {
-                card.style.pointerEvents = 'auto';
-                card.style.opacity = '1';
-            });
-        }
+        const position = modelId => {
+            const index = this.blindSession.order.indexOf(modelId);
+            return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+        };
+        return [...modelIds].sort((a, b) => position(a) - position(b));
     }
 
-    // Display comparison results
-    displayComparisonResults(result) {
-        console.log('DEBUG: displayComparisonResults called with:', result);
-        console.log('DEBUG: Number of results:', result.results.length);
+    getDisplayName(modelId) {
+        return this.isHiddenByBlindSession(modelId)
+            ? this.blindSession.labels.get(modelId)
+            : formatModelSelectionLabel(modelId);
+    }
 
-        // Store current comparison data for evaluations
-        this.currentComparison = result;
-        const prompt = document.getElementById('promptInput').value.trim();
-        const promptId = this.generatePromptId(prompt);
+    // Panel headers show the provider in a badge of its own, so the title is just the model
+    getPanelTitle(modelId) {
+        return this.isHiddenByBlindSession(modelId)
+            ? this.blindSession.labels.get(modelId)
+            : parseModelSelection(modelId).modelId;
+    }
 
-        // Clear existing results
-        const resultsContainer = document.getElementById('comparisonResults');
-        if (!resultsContainer) {
-            console.error('DEBUG: comparisonResults container not found!');
-            this.displayErrorMessage('Results container not found in the UI');
-            return;
-        }
+    isHiddenByBlindSession(modelId) {
+        const session = this.blindSession;
+        return Boolean(session && !session.revealed && session.labels.has(modelId));
+    }
 
-        resultsContainer.innerHTML = '';
+    isBlindRating(modelId, promptId) {
+        const session = this.blindSession;
+        return Boolean(session && !session.revealed && session.promptId === promptId && session.labels.has(modelId));
+    }
 
-        // Create vertical stack layout for each model result
-        result.results.forEach((modelResult, index) => {
-            const modelPanel = this.createModelPanel(modelResult, index, promptId, prompt);
-            resultsContainer.appendChild(modelPanel);
-        });
+    // Reveal model names once the run is over and every successful response has a rating
+    revealBlindSessionIfRated() {
+        const session = this.blindSession;
+        if (!session || session.revealed || this.activeRun) return;
 
-         // Re-enable UI
-         this.setComparisonInProgress(false);
+        const successful = (this.currentComparison?.results || [])
+            .filter(result => session.labels.has(result.modelId) && normalizeStatus(result.status) === 'success');
+        const allRated = successful.every(result => this.evaluations.get(`${session.promptId}_${result.modelId}`)?.rating);
+        if (!allRated) return;
 
-         // Update results count
-         this.updateResultsCount();
+        session.revealed = true;
+        document.querySelectorAll('#comparisonResults [data-view]').forEach(panel => {
+            const name = panel.querySelector('.panel-model-name');
+            if (name) name.textContent = this.getPanelTitle(panel.dataset.modelId);
 
-         // Show success message
-         this.displaySuccessMessage(`Comparison completed! Processed ${result.results.length} models.`);
-    }
+            const providerBadge = panel.querySelector('.panel-provider');
+            if (providerBadge) providerBadge.classList.toggle('hidden', !providerBadge.textContent);
 
-    // Generate a unique ID for the prompt
-    generatePromptId(prompt) {
-        return generatePromptId(prompt);
+            const result = this.currentComparison?.results?.find(r => r.modelId === panel.dataset.modelId);
+            if (result) this.updatePanelDetails(panel, result);
+        });
+        this.refreshDiffView();
+        this.refreshPreferenceView();
+
+        if (successful.length > 0) {
+            const summary = successful
+                .map(result => `${session.labels.get(result.modelId)}: ${this.getDisplayName(result.modelId)}`)
+                .join(', ');
+            this.displaySuccessMessage(`Blind ratings complete. ${summary}`);
+        }
     }
 
     // Create a single model panel for the vertical layout
@@ -1163,14 +3775,34 @@ const ModelComparisonApp = (() => {
         const panel = document.createElement('div');
         panel.className = 'bg-slate-800/40 backdrop-blur-xl rounded-2xl border border-slate-700/30 p-6 shadow-modern-xl hover:shadow-modern-2xl transition-all duration-300';
 
-        // Create star rating HTML
-        const starRatingHtml = this.createStarRating(0);
+        // Create star rating HTML; with a rubric the header shows the weighted total and the criteria are scored below
+        const rubric = this.getTurnRubric(promptId);
+        const starRatingHtml = rubric
+            ? `<span class="rubric-total text-sm font-semibold text-yellow-300 whitespace-nowrap" title="Weighted total on the ${this.escapeHtml(rubric.name)} rubric">– / 10</span>`
+            : this.createStarRating(0);
 
         panel.innerHTML = `
             <div class="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 gap-2">
-                <h3 class="font-semibold text-purple-300 text-lg">${modelResult.modelId}</h3>
+                <div class="flex items-center gap-2 min-w-0">
+                    <button type="button" class="panel-drag-handle text-slate-500 hover:text-slate-300 cursor-grab select-none"
+                            title="Drag to reorder" aria-label="Drag to reorder">⠿</button>
+                    <h3 class="panel-model-name font-semibold text-purple-300 text-lg">${this.escapeHtml(this.getPanelTitle(modelResult.modelId))}</h3>
+                    <span class="panel-provider hidden text-xs px-2 py-0.5 rounded-full border border-slate-600/50 text-slate-300"
+                          title="Provider that served this response"></span>
+                </div>
                 <div class="flex items-center gap-2">
                     <div class="text-sm text-slate-400 font-mono metrics-display">-</div>
+                    <button type="button" class="view-toggle-btn text-xs px-2 py-1 rounded-lg border border-slate-600/50 text-slate-300 hover:bg-slate-700/60 transition-colors duration-200"
+                            title="Switch between rendered Markdown and the raw response">
+                        Raw
+                    </button>
+                    <button type="button" class="pin-model-btn text-xs px-2 py-1 rounded-lg border border-slate-600/50 text-slate-300 hover:bg-slate-700/60 transition-colors duration-200"
+                            title="Pin this column while scrolling">
+                        Pin
+                    </button>
+                    <button type="button" class="cancel-model-btn hidden text-xs px-2 py-1 rounded-lg border border-red-500/40 text-red-300 hover:bg-red-500/20 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
+                        Cancel
+                    </button>
                     <div class="star-rating flex gap-1"
                          data-model-id="${modelResult.modelId}"
                          data-prompt-id="${promptId}"
@@ -1179,11 +3811,13 @@ const ModelComparisonApp = (() => {
                     </div>
                 </div>
             </div>
+            <div class="parameters-display hidden text-xs text-slate-500 font-mono mb-3"></div>
             <div class="response-content bg-slate-900/50 rounded-xl p-4 min-h-32 text-slate-300 font-mono text-sm leading-relaxed mb-4">
                 <div class="loading hidden">Loading...</div>
             </div>
             <div class="space-y-4">
                 <div class="rating-section">
+                    ${rubric ? `<div class="rubric-scoring space-y-1 mb-3">${createRubricScoring(rubric.criteria)}</div>` : ''}
                     <textarea placeholder="Add your comments about this model's response..."
                               class="w-full p-3 bg-slate-700/50 border border-slate-600/50 rounded-xl text-white text-sm resize-none focus:outline-none focus:ring-2 focus:ring-purple-500 transition-all duration-200 comment-textarea"
                               data-model-id="${modelResult.modelId}"
@@ -1193,51 +3827,110 @@ const ModelComparisonApp = (() => {
             </div>
         `;
 
-        // Populate the panel with actual data
-        this.populateModelPanel(panel, modelResult, promptId, promptText);
+        const thread = this.createConversationThread(modelResult.modelId);
+        if (thread) panel.querySelector('.response-content').before(thread);
+
+        panel.dataset.modelId = modelResult.modelId;
+        panel.dataset.reorderKey = modelResult.modelId;
+        panel.dataset.view = 'rendered';
+        this.updatePanelProvider(panel, modelResult);
+        panel.querySelector('.view-toggle-btn')?.addEventListener('click', () => this.togglePanelView(panel));
+        panel.querySelector('.pin-model-btn')?.addEventListener('click', () => this.togglePinnedModel(modelResult.modelId));
+
+        // Populate the panel with actual data; streamed panels are filled as tokens arrive
+        if (modelResult.status !== 'streaming' && modelResult.status !== 'pending') {
+            this.populateModelPanel(panel, modelResult, promptId, promptText);
+        }
 
         return panel;
     }
 
+    // The provider that served the response, or the pinned one while the response is pending; hidden in blind mode
+    updatePanelProvider(panel, modelResult) {
+        const badge = panel.querySelector('.panel-provider');
+        if (!badge) return;
+
+        const provider = modelResult.provider || parseModelSelection(modelResult.modelId).provider || '';
+        const attempts = modelResult.attempts > 1 ? modelResult.attempts : 1;
+        badge.textContent = attempts > 1 ? `${provider} • ${attempts} attempts` : provider;
+        badge.title = attempts > 1 ? `Served by ${provider} after ${attempts} attempts (provider fallback)` : 'Provider that served this response';
+        badge.classList.toggle('hidden', !provider || this.isHiddenByBlindSession(modelResult.modelId));
+    }
+
     // Helper to escape HTML for data attributes
     escapeHtml(text) {
         return escapeHtml(text);
     }
 
+    // Metrics and generation parameters of a finished response. Cost and parameters can give a model
+    // away, so a blind panel leaves them out until the names are revealed
+    updatePanelDetails(panel, modelResult) {
+        const hidden = this.isHiddenByBlindSession(modelResult.modelId);
+        const status = normalizeStatus(modelResult.status);
+
+        const metrics = panel.querySelector('.metrics-display');
+        const ttftText = modelResult.timeToFirstTokenMs != null
+            ? `TTFT ${(modelResult.timeToFirstTokenMs / 1000).toFixed(1)}s • `
+            : '';
+        const timeText = `${ttftText}${(modelResult.responseTimeMs / 1000).toFixed(1)}s`;
+        const tokenText = modelResult.tokenCount ? ` • ${modelResult.tokenCount} tokens` : '';
+        const costText = modelResult.cost != null && !hidden ? ` • ${formatCost(modelResult.cost)}` : '';
+        const statusText = status === 'success' ? '' : ` • ${status}`;
+        if (metrics) {
+            metrics.textContent = `${timeText}${tokenText}${costText}${statusText}`;
+            metrics.title = modelResult.promptTokens != null && modelResult.completionTokens != null
+                ? `${modelResult.promptTokens} prompt + ${modelResult.completionTokens} completion tokens`
+                : '';
+        }
+
+        const parametersDisplay = panel.querySelector('.parameters-display');
+        const parametersText = hidden ? '' : formatParameters(modelResult.parameters);
+        if (parametersDisplay) {
+            parametersDisplay.textContent = parametersText;
+            parametersDisplay.classList.toggle('hidden', !parametersText);
+        }
+    }
+
     // Populate a single model panel with data
     populateModelPanel(panel, modelResult, promptId, promptText) {
         const content = panel.querySelector('.response-content');
         const loading = panel.querySelector('.loading');
-        const metrics = panel.querySelector('.metrics-display');
+        const cancelButton = panel.querySelector('.cancel-model-btn');
         const starsContainer = panel.querySelector('.star-rating');
         const commentTextarea = panel.querySelector('.comment-textarea');
+        const status = normalizeStatus(modelResult.status);
 
         if (!content) {
             console.error('DEBUG: No .response-content found in panel');
             return;
         }
 
+        if (cancelButton) cancelButton.classList.add('hidden');
+
         console.log(`DEBUG: Populating panel with model:`, modelResult.modelId);
 
         // Hide loading indicator
         if (loading) loading.classList.add('hidden');
 
-        // Format and set content with proper styling
-        const formattedResponse = this.formatResponseContent(modelResult.response);
-        content.innerHTML = formattedResponse;
-
-        // Set metrics
-        const timeText = `${(modelResult.responseTimeMs / 1000).toFixed(1)}s`;
-        const tokenText = modelResult.tokenCount ? ` • ${modelResult.tokenCount} tokens` : '';
-        const statusText = modelResult.status === 'success' ? '' : ` • ${modelResult.status}`;
-        if (metrics) {
-            metrics.textContent = `${timeText}${tokenText}${statusText}`;
+        // Render the response as Markdown (or raw text if the panel is toggled to raw)
+        if (status === 'cancelled' && !modelResult.response) {
+            content.textContent = 'Cancelled before the model responded.';
+        } else {
+            this.renderResponseContent(panel, modelResult.response);
         }
+        content.classList.remove('streaming');
+
+        this.updatePanelDetails(panel, modelResult);
+        this.updatePanelProvider(panel, modelResult);
 
         // Add error styling if failed
-        if (modelResult.status === 'error') {
+        if (status === 'error') {
             content.style.color = '#ef4444';
             content.style.fontStyle = 'italic';
+        } else if (status === 'cancelled') {
+            // Cancelled runs keep any partial output but are visibly distinct from failures
+            content.style.color = '#fbbf24';
+            content.style.fontStyle = 'italic';
         } else {
             // Success styling
             content.style.color = '#ffffff';
@@ -1252,12 +3945,18 @@ const ModelComparisonApp = (() => {
 
             // Check if we already have an evaluation for this model/prompt
             const evaluationKey = `${promptId}_${modelId}`;
-            if (this.evaluations.has(evaluationKey)) {
-                const evaluation = this.evaluations.get(evaluationKey);
-                this.updateStarRatingUI(starsContainer, evaluation.rating || 0);
-            }
+            const rubric = this.getTurnRubric(promptId);
+            if (rubric) {
+                this.updateRubricScoringUI(panel, rubric, this.evaluations.get(evaluationKey));
+                this.setupRubricScoring(panel, rubric, modelId, promptId, promptText);
+            } else {
+                if (this.evaluations.has(evaluationKey)) {
+                    const evaluation = this.evaluations.get(evaluationKey);
+                    this.updateStarRatingUI(starsContainer, evaluation.rating || 0);
+                }
 
-            this.setupStarRating(starsContainer, modelId, promptId, promptText);
+                this.setupStarRating(starsContainer, modelId, promptId, promptText);
+            }
         }
 
         // Set up comment system
@@ -1277,73 +3976,39 @@ const ModelComparisonApp = (() => {
         }
     }
 
-    // Helper method to populate panels
-    populatePanels(panels, result) {
-        result.results.forEach((modelResult, index) => {
-            if (index < panels.length) {
-                const panel = panels[index];
-                const content = panel.querySelector('.response-content');
-                const loading = panel.querySelector('.loading');
-                const metrics = panel.querySelector('.text-sm');
-                const header = panel.querySelector('h3');
-
-                if (!content) {
-                    console.error(`DEBUG: No .response-content found in panel ${index}`);
-                    return;
-                }
+    // Render a response into a panel, as sanitized Markdown or as raw text depending on the panel's view.
+    // Code blocks only get highlighting and copy buttons once the response is complete.
+    renderResponseContent(panel, text, { streaming = false } = {}) {
+        const content = panel.querySelector('.response-content');
+        if (!content) return null;
 
-                console.log(`DEBUG: Populating panel ${index} with model:`, modelResult.modelId);
+        this.panelResponses.set(panel, text || '');
 
-                // Update the model name in the header
-                if (header) {
-                    header.textContent = modelResult.modelId;
-                    console.log(`DEBUG: Updated header for panel ${index} to:`, modelResult.modelId);
-                } else {
-                    console.warn(`DEBUG: No h3 header found in panel ${index}`);
-                }
+        if (panel.dataset.view === 'raw') {
+            content.innerHTML = `<pre class="raw-response">${this.escapeHtml(text || '')}</pre>`;
+        } else {
+            content.innerHTML = `<div class="markdown-body">${renderMarkdown(text)}</div>`;
+            if (!streaming) enhanceCodeBlocks(content);
+        }
 
-                // Hide loading indicator
-                if (loading) loading.classList.add('hidden');
+        return content;
+    }
 
-                // Format and set content with proper styling
-                const formattedResponse = this.formatResponseContent(modelResult.response);
-                content.innerHTML = formattedResponse;
+    togglePanelView(panel) {
+        const isRaw = panel.dataset.view === 'raw';
+        panel.dataset.view = isRaw ? 'rendered' : 'raw';
 
-                // Set metrics
-                const timeText = `${(modelResult.responseTimeMs / 1000).toFixed(1)}s`;
-                const tokenText = modelResult.tokenCount ? ` • ${modelResult.tokenCount} tokens` : '';
-                const statusText = modelResult.status === 'success' ? '' : ` • ${modelResult.status}`;
-                if (metrics) {
-                    metrics.textContent = `${timeText}${tokenText}${statusText}`;
-                }
+        const toggleButton = panel.querySelector('.view-toggle-btn');
+        if (toggleButton) toggleButton.textContent = isRaw ? 'Raw' : 'Rendered';
 
-                // Add error styling if failed
-                if (modelResult.status === 'error') {
-                    content.style.color = '#ef4444';
-                    content.style.fontStyle = 'italic';
-                } else {
-                    // Success styling
-                    content.style.color = '#ffffff';
-                    content.style.fontStyle = 'normal';
-                }
+        // Nothing to re-render until the first token (or the result) arrives
+        if (!this.panelResponses.has(panel)) return;
 
-                // Add star rating
-                const starsContainer = panel.querySelector('.stars');
-                if (starsContainer) {
-                    starsContainer.innerHTML = this.createStarRating(0);
-                    this.setupStarRating(starsContainer);
-                }
-            } else {
-                console.warn(`DEBUG: No panel available for result index ${index}`);
-            }
+        this.renderResponseContent(panel, this.panelResponses.get(panel), {
+            streaming: panel.querySelector('.response-content')?.classList.contains('streaming')
         });
     }
 
-    // Format response content for better display
-    formatResponseContent(response) {
-        return formatResponseContent(response);
-    }
-
     // Comparison methods
     simulateComparison(prompt) {
         const panels = document.querySelectorAll('.bg-slate-800\\/40');
@@ -1402,11 +4067,16 @@ const ModelComparisonApp = (() => {
         // Create or update evaluation
         const evaluation = this.getOrCreateEvaluation(modelId, promptId, promptText);
         evaluation.rating = rating;
+        evaluation.rubricId = null; // An overall rating replaces any rubric scores
+        evaluation.criterionScores = null;
+        evaluation.weightedScore = null;
+        evaluation.isBlind = this.isBlindRating(modelId, promptId);
         evaluation.saved = false;
         this.unsavedChanges = true;
 
         // Save to backend
         await this.saveEvaluation(evaluation, container);
+        this.revealBlindSessionIfRated();
     }
 
     updateStarRatingUI(container, rating) {
@@ -1424,10 +4094,13 @@ const ModelComparisonApp = (() => {
                 promptId: promptId,
                 promptText: promptText,
                 modelId: modelId,
+                provider: this.findTurnResult(modelId, promptId)?.provider || parseModelSelection(modelId).provider,
                 rating: null,
                 comment: '',
-                responseTimeMs: this.currentComparison?.results?.find(r => r.modelId === modelId)?.responseTimeMs || 1000,
-                tokenCount: this.currentComparison?.results?.find(r => r.modelId === modelId)?.tokenCount || 0,
+                responseTimeMs: this.findTurnResult(modelId, promptId)?.responseTimeMs || 1000,
+                tokenCount: this.findTurnResult(modelId, promptId)?.tokenCount || 0,
+                cost: this.findTurnResult(modelId, promptId)?.cost ?? null,
+                raterId: this.raterId,
                 timestamp: new Date().toISOString(),
                 saved: false
             });
@@ -1435,6 +4108,13 @@ const ModelComparisonApp = (() => {
         return this.evaluations.get(key);
     }
 
+    // The result a rating refers to: an earlier turn of the conversation, or the comparison on screen
+    findTurnResult(modelId, promptId) {
+        const turn = this.conversation?.turns.find(t => t.promptId === promptId);
+        const results = turn ? turn.results : this.currentComparison?.results;
+        return results?.find(r => r.modelId === modelId);
+    }
+
     async saveEvaluation(evaluation, container = null) {
         try {
             // Show saving state
@@ -1447,8 +4127,12 @@ const ModelComparisonApp = (() => {
             // Update evaluation with server data
             evaluation.id = result.id;
             evaluation.timestamp = result.timestamp;
+            evaluation.rating = result.rating;
+            evaluation.weightedScore = result.weightedScore ?? null;
+            evaluation.serverUpdatedAt = result.updatedAt;
             evaluation.saved = true;
             this.unsavedChanges = false;
+            await this.dequeueSavedEvaluation(evaluation);
 
             // Show success state
             if (container) {
@@ -1459,15 +4143,188 @@ const ModelComparisonApp = (() => {
 
         } catch (error) {
             console.error('Error saving evaluation:', error);
+            evaluation.saved = false;
+
+            if (await this.queueEvaluation(evaluation, error)) {
+                if (container) {
+                    this.showQueuedState(container);
+                }
+                return;
+            }
+
             if (container) {
                 this.showErrorState(container, error.message);
             }
             // Keep evaluation as unsaved
-            evaluation.saved = false;
             this.unsavedChanges = true;
         }
     }
 
+    // === OFFLINE QUEUE ===
+
+    // Keep a save that may succeed later, replacing any earlier queued edit of the same evaluation.
+    // Returns false when retrying can't help, e.g. after a validation error
+    async queueEvaluation(evaluation, error) {
+        if (!isRetryableSaveError(error)) return false;
+
+        try {
+            const key = getQueueKey(evaluation);
+            const queued = await this.offlineQueue.get(key);
+            await this.offlineQueue.put({
+                key,
+                evaluation: { ...evaluation },
+                // Later edits are still based on the server version the first queued edit started from
+                expectedUpdatedAt: queued ? queued.expectedUpdatedAt : evaluation.serverUpdatedAt || null,
+                attempts: queued?.attempts || 0,
+                nextAttemptAt: Date.now() + getRetryDelay(queued?.attempts || 0),
+                queuedAt: queued?.queuedAt || Date.now(),
+                editedAt: Date.now(),
+                conflict: null,
+                failed: null
+            });
+        } catch (queueError) {
+            console.error('Error queueing evaluation:', queueError);
+            return false;
+        }
+
+        // Only a queue that survives closing the tab makes the leave warning unnecessary
+        this.unsavedChanges = !(await this.offlineQueue.isPersistent());
+        await this.scheduleQueueSync();
+        return true;
+    }
+
+    // A save that reached the server supersedes the queued edit of the same evaluation
+    async dequeueSavedEvaluation(evaluation) {
+        try {
+            const key = getQueueKey(evaluation);
+            if (await this.offlineQueue.get(key)) {
+                await this.offlineQueue.remove(key);
+                await this.scheduleQueueSync();
+            }
+        } catch (error) {
+            console.error('Error updating offline queue:', error);
+        }
+    }
+
+    // Send the queued saves that are due, or all of them when forced, oldest first
+    async syncOfflineQueue({ force = false } = {}) {
+        if (this.queueSyncing) return;
+        this.queueSyncing = true;
+        clearTimeout(this.queueSyncTimer);
+
+        try {
+            const entries = await this.offlineQueue.list();
+            for (const entry of entries) {
+                if (entry.conflict || entry.failed || (!force && entry.nextAttemptAt > Date.now())) continue;
+                await this.replayQueuedEvaluation(entry);
+            }
+        } catch (error) {
+            console.error('Error syncing offline queue:', error);
+        } finally {
+            this.queueSyncing = false;
+        }
+
+        await this.scheduleQueueSync();
+    }
+
+    async replayQueuedEvaluation(entry) {
+        let result = null;
+        let update = null;
+        try {
+            result = await this.api.saveEvaluation({ ...entry.evaluation, expectedUpdatedAt: entry.expectedUpdatedAt });
+        } catch (error) {
+            const attempts = entry.attempts + 1;
+            // A newer version on the server waits for the user to pick one; data the server rejects,
+            // e.g. for a rater that no longer exists, fails the same way every time and can only be discarded
+            if (error.status === 409) {
+                update = { ...entry, conflict: error.message };
+            } else if (!isRetryableSaveError(error)) {
+                update = { ...entry, failed: error.message };
+            } else {
+                update = { ...entry, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts) };
+            }
+        }
+
+        // The evaluation may have been edited again while the save was in flight; that newer edit stays queued
+        const current = await this.offlineQueue.get(entry.key);
+        if (current?.editedAt !== entry.editedAt) return;
+
+        if (update) {
+            await this.offlineQueue.put(update);
+            return;
+        }
+
+        await this.offlineQueue.remove(entry.key);
+        const evaluation = this.evaluations.get(`${entry.evaluation.promptId}_${entry.evaluation.modelId}`);
+        if (evaluation && (evaluation.raterId || null) === (entry.evaluation.raterId || null)) {
+            evaluation.id = result.id;
+            evaluation.serverUpdatedAt = result.updatedAt;
+            evaluation.saved = true;
+        }
+    }
+
+    // Wake up when the next queued save is due and show what's left in the header badge
+    async scheduleQueueSync() {
+        clearTimeout(this.queueSyncTimer);
+
+        const entries = await this.offlineQueue.list().catch(() => []);
+        this.updatePendingSyncBadge(entries);
+
+        const dueTimes = entries.filter(entry => !entry.conflict && !entry.failed).map(entry => entry.nextAttemptAt);
+        if (dueTimes.length > 0) {
+            this.queueSyncTimer = setTimeout(() => this.syncOfflineQueue(), Math.max(0, Math.min(...dueTimes) - Date.now()));
+        }
+    }
+
+    updatePendingSyncBadge(entries) {
+        const badge = document.getElementById('pendingSyncBadge');
+        if (!badge) return;
+
+        const toReview = entries.filter(entry => entry.conflict || entry.failed).length;
+        badge.classList.toggle('hidden', entries.length === 0);
+        badge.textContent = toReview > 0
+            ? `${entries.length} pending • ${toReview} to review`
+            : `${entries.length} pending`;
+        badge.title = toReview > 0
+            ? 'Some saves conflict with newer data on the server or were rejected by it; click to review them'
+            : 'Ratings and comments saved on this device that haven\'t reached the server yet; click to sync now';
+    }
+
+    // Ask what to do about each conflicting or rejected save, then sync everything that's left right away
+    async handlePendingSyncClick() {
+        const entries = await this.offlineQueue.list().catch(() => []);
+        let discarded = false;
+
+        for (const entry of entries.filter(queued => queued.conflict || queued.failed)) {
+            const { evaluation } = entry;
+            const description = `Your saved rating of ${this.getDisplayName(evaluation.modelId)} for "${evaluation.promptText.slice(0, 60)}"`;
+
+            if (entry.failed) {
+                // Resending can't help, so the only choice is whether to drop it now or keep it on this device
+                if (confirm(`${description} was rejected by the server: ${entry.failed}\n\nOK discards it; Cancel keeps it in the queue.`)) {
+                    await this.offlineQueue.remove(entry.key);
+                    discarded = true;
+                }
+                continue;
+            }
+
+            const keepMine = confirm(
+                `${description} could not be synced: ${entry.conflict}\n\nOK overwrites the server with yours; Cancel discards yours.`);
+
+            if (keepMine) {
+                await this.offlineQueue.put({ ...entry, conflict: null, expectedUpdatedAt: null, attempts: 0, nextAttemptAt: Date.now() });
+            } else {
+                await this.offlineQueue.remove(entry.key);
+                discarded = true;
+            }
+        }
+
+        await this.syncOfflineQueue({ force: true });
+        if (discarded) {
+            await this.reloadRatingsForRater();
+        }
+    }
+
     showSavingState(container) {
         const stars = container.querySelectorAll('.star');
         stars.forEach(star => {
@@ -1507,6 +4364,21 @@ const ModelComparisonApp = (() => {
         }
     }
 
+    // Replaces the saving indicator; the header badge shows when the queue has synced
+    showQueuedState(container) {
+        container.querySelectorAll('.star').forEach(star => {
+            star.style.opacity = '1';
+            star.style.cursor = 'pointer';
+        });
+        container.querySelector('.error-indicator')?.remove();
+
+        const savingIndicator = container.querySelector('.saving-indicator');
+        if (savingIndicator) {
+            savingIndicator.textContent = 'Saved offline – will sync';
+            savingIndicator.className = 'saving-indicator text-xs text-orange-300 mt-1';
+        }
+    }
+
     showErrorState(container, errorMessage = null) {
         const stars = container.querySelectorAll('.star');
         stars.forEach(star => {
@@ -1603,15 +4475,27 @@ const ModelComparisonApp = (() => {
             const result = await this.api.saveEvaluation(evaluation);
             evaluation.id = result.id;
             evaluation.timestamp = result.timestamp;
+            evaluation.serverUpdatedAt = result.updatedAt;
             evaluation.saved = true;
             this.unsavedChanges = false;
+            await this.dequeueSavedEvaluation(evaluation);
 
             this.showCommentSavedState(textarea);
 
         } catch (error) {
             console.error('Error saving comment:', error);
-            this.showCommentErrorState(textarea, error.message);
             evaluation.saved = false;
+
+            if (await this.queueEvaluation(evaluation, error)) {
+                const indicator = textarea.parentNode.querySelector('.comment-saving-indicator');
+                if (indicator) {
+                    indicator.textContent = 'Saved offline – will sync';
+                    indicator.className = 'comment-saving-indicator text-xs text-orange-300 mt-1';
+                }
+                return;
+            }
+
+            this.showCommentErrorState(textarea, error.message);
             this.unsavedChanges = true;
         }
     }
@@ -1795,9 +4679,20 @@ const ModelComparisonApp = (() => {
     // Load ranking data from the backend
     async loadRankingData(timeFilter = 'all', sortBy = 'rating') {
         try {
-            const rankingData = await this.api.loadRankingData(timeFilter);
+            const ratingMode = document.getElementById('rankingRatingMode')?.value || 'all';
+            const raterId = document.getElementById('rankingRater')?.value || null;
+            this.loadRaterAgreement(timeFilter, ratingMode);
+            const [rankingData, leaderboard] = await Promise.all([
+                this.api.loadRankingData(timeFilter, ratingMode, raterId),
+                // The rankings still show when the preference leaderboard can't be loaded
+                this.api.loadPreferenceLeaderboard(timeFilter, ratingMode, raterId).catch(error => {
+                    console.error('Error loading preference leaderboard:', error);
+                    return [];
+                })
+            ]);
             console.log('Ranking data loaded:', rankingData);
-            this.displayRankingData(rankingData, sortBy);
+            this.rankingData = mergePreferenceRatings(rankingData, leaderboard);
+            this.displayRankingData(this.rankingData, this.renderRankingCriterionOptions(this.rankingData, sortBy));
 
         } catch (error) {
             console.error('Error loading ranking data:', error);
@@ -1805,6 +4700,21 @@ const ModelComparisonApp = (() => {
         }
     }
 
+    // Agreement covers every rater, so it ignores the rater filter; it stays hidden until two raters rated the same response
+    async loadRaterAgreement(timeFilter = 'all', ratingMode = 'all') {
+        const container = document.getElementById('raterAgreement');
+        if (!container) return;
+
+        try {
+            const agreement = await this.api.loadRaterAgreement(timeFilter, ratingMode);
+            container.innerHTML = createRaterAgreementSummary(agreement);
+            container.classList.toggle('hidden', agreement.unitCount === 0);
+        } catch (error) {
+            console.error('Error loading rater agreement:', error);
+            container.classList.add('hidden');
+        }
+    }
+
     // Display ranking data with sorting and filtering
     displayRankingData(data, sortBy) {
         const container = document.getElementById('rankingLeaderboard');
@@ -1833,6 +4743,30 @@ const ModelComparisonApp = (() => {
         });
     }
 
+    // Offer a sort per rubric criterion that has been scored; returns the sort to use, which falls
+    // back to the average rating when the selected criterion has no scores in this data
+    renderRankingCriterionOptions(data, sortBy) {
+        const select = document.getElementById('rankingSortBy');
+        if (!select) return sortBy;
+
+        const criteria = [];
+        data.forEach(modelData => Object.keys(modelData.criterionAverages || {}).forEach(name => {
+            if (!criteria.some(criterion => criterion.toLowerCase() === name.toLowerCase())) criteria.push(name);
+        }));
+
+        select.querySelectorAll('option[value^="criterion:"]').forEach(option => option.remove());
+        criteria.sort((a, b) => a.localeCompare(b)).forEach(name => {
+            const option = document.createElement('option');
+            option.value = `criterion:${name}`;
+            option.textContent = `Criterion: ${name}`;
+            select.appendChild(option);
+        });
+
+        const available = Array.from(select.options).some(option => option.value === sortBy);
+        select.value = available ? sortBy : 'rating';
+        return select.value;
+    }
+
     // Sort ranking data based on criteria
     sortRankingData(data, sortBy) {
         const sorted = [...data];
@@ -1844,7 +4778,16 @@ const ModelComparisonApp = (() => {
                 return sorted.sort((a, b) => b.totalEvaluations - a.totalEvaluations);
             case 'speed':
                 return sorted.sort((a, b) => (a.averageSpeed || 999) - (b.averageSpeed || 999));
+            case 'preference':
+                // Models without A vs B votes go last
+                return sorted.sort((a, b) => (b.preference?.rating ?? -Infinity) - (a.preference?.rating ?? -Infinity));
             default:
+                if (sortBy?.startsWith('criterion:')) {
+                    // Models never scored on the criterion go last
+                    const criterion = sortBy.slice('criterion:'.length);
+                    return sorted.sort((a, b) =>
+                        (findScore(b.criterionAverages, criterion) ?? -1) - (findScore(a.criterionAverages, criterion) ?? -1));
+                }
                 return sorted;
         }
     }
@@ -1861,7 +4804,12 @@ const ModelComparisonApp = (() => {
                         <div class="ranking-position text-2xl font-bold text-purple-400">#${modelData.rank}</div>
                         <div>
                             <h3 class="text-lg font-semibold text-white">${modelData.modelId}</h3>
-                            <div class="text-sm text-slate-400">${modelData.totalEvaluations} evaluations</div>
+                            <div class="text-sm text-slate-400">${modelData.totalEvaluations} evaluations${modelData.blindRatedEvaluations ? ` • ${modelData.blindRatedEvaluations} blind` : ''}</div>
+                            ${modelData.preference ? `
+                                <div class="text-sm text-sky-300" title="Bradley-Terry rating from A vs B votes, with its 95% confidence interval">
+                                    Preference ${formatPreferenceRating(modelData.preference)} • ${modelData.preference.wins}W ${modelData.preference.losses}L ${modelData.preference.ties}T
+                                </div>
+                            ` : ''}
                         </div>
                     </div>
                     <div class="text-right">
@@ -1871,7 +4819,7 @@ const ModelComparisonApp = (() => {
                 </div>
 
                 <!-- Performance metrics -->
-                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
                     <div class="text-center">
                         <div class="text-lg font-semibold text-green-400">${averageSpeedInSeconds}s</div>
                         <div class="text-xs text-slate-400">avg response</div>
@@ -1880,6 +4828,10 @@ const ModelComparisonApp = (() => {
                         <div class="text-lg font-semibold text-blue-400">${Math.round(modelData.averageTokens || 0)}</div>
                         <div class="text-xs text-slate-400">avg tokens</div>
                     </div>
+                    <div class="text-center">
+                        <div class="text-lg font-semibold text-emerald-400">${modelData.averageCost != null ? formatCost(modelData.averageCost) : '—'}</div>
+                        <div class="text-xs text-slate-400">cost / eval</div>
+                    </div>
                     <div class="text-center">
                         <div class="text-lg font-semibold text-purple-400">${Math.round(modelData.commentRate || 0)}%</div>
                         <div class="text-xs text-slate-400">with comments</div>
@@ -1890,6 +4842,8 @@ const ModelComparisonApp = (() => {
                     </div>
                 </div>
 
+                ${this.createCriterionAverages(modelData.criterionAverages)}
+
                 <!-- Rating distribution -->
                 <div class="mb-4">
                     <div class="flex items-center justify-between text-sm text-slate-400 mb-2">
@@ -1921,6 +4875,22 @@ const ModelComparisonApp = (() => {
         `;
     }
 
+    // Average score per rubric criterion; nothing for models that were only given overall ratings
+    createCriterionAverages(criterionAverages) {
+        const entries = Object.entries(criterionAverages || {});
+        if (entries.length === 0) return '';
+
+        return `
+            <div class="flex flex-wrap gap-2 mb-4">
+                ${entries.map(([name, average]) => `
+                    <span class="criterion-average text-xs px-2 py-1 rounded-full border border-slate-600/50 text-slate-300">
+                        ${this.escapeHtml(name)} <span class="text-yellow-300 font-semibold">${average.toFixed(1)}</span>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
     // Generate rating distribution for visualization (fallback method)
     generateRatingDistribution(modelData) {
         // Use backend-provided rating distribution if available
@@ -1983,17 +4953,12 @@ const ModelComparisonApp = (() => {
 
     // Select model for comparison from rankings
     selectModelForComparison(modelId) {
-        if (this.selectedModels.includes(modelId)) {
-            this.displayErrorMessage('This model is already selected');
-            return;
-        }
-
-        if (this.selectedModels.length >= 3) {
-            this.displayErrorMessage('Maximum of 3 models can be selected');
+        if (!this.canAddModel(modelId)) {
             return;
         }
 
         this.selectedModels.push(modelId);
+        addRecentModel(modelId);
         this.saveModelsToStorage();
         this.updateUI();
 
@@ -2064,6 +5029,15 @@ const ModelComparisonApp = (() => {
             });
         }
 
+        // Blind/open rating filter and per-rater filter
+        ['rankingRatingMode', 'rankingRater'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.loadRankingData(
+                    document.getElementById('rankingTimeFilter')?.value || 'all',
+                    document.getElementById('rankingSortBy')?.value || 'rating');
+            });
+        });
+
         // Show rankings button
         const showRankingsBtn = document.getElementById('showRankingsBtn');
         if (showRankingsBtn) {
@@ -2078,6 +5052,12 @@ const ModelComparisonApp = (() => {
         const container = document.getElementById('rankingLeaderboard');
         if (!container) return;
 
+        // Preference ratings and criterion averages aren't read back from the cards; sort the loaded data instead
+        if (sortBy === 'preference' || sortBy.startsWith('criterion:')) {
+            this.displayRankingData(this.rankingData || [], sortBy);
+            return;
+        }
+
         const cards = Array.from(container.querySelectorAll('.ranking-card'));
         const sortedCards = cards.sort((a, b) => {
             const aData = this.extractRankingDataFromCard(a);
@@ -2134,6 +5114,8 @@ return {
     selectModelForComparison: (modelId) => appInstance.selectModelForComparison(modelId),
     viewModelDetails: (modelId) => appInstance.viewModelDetails(modelId),
     deleteModel: (modelId) => appInstance.deleteModel(modelId),
+    cancelComparison: () => appInstance.cancelComparison(),
+    cancelModel: (modelId) => appInstance.cancelModel(modelId),
 
     // Navigation methods
     showModelDetails: () => appInstance.showModelDetails(),
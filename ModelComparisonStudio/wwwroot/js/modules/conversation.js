@@ -0,0 +1,59 @@
+// Model Comparison Studio - Conversation Module
+// Turn identifiers and per-model history for system prompts and follow-up turns
+
+import { normalizeStatus } from './utils.js';
+
+// The server issues turn IDs from the system prompt and every user turn so far;
+// a lone prompt gets the same ID as in single-turn runs
+export function getTurnPromptRequest(systemPrompt, prompts) {
+    return {
+        prompt: prompts[prompts.length - 1],
+        systemPrompt: systemPrompt || null,
+        previousPrompts: prompts.slice(0, -1)
+    };
+}
+
+// Earlier user/assistant messages per model. Turns a model failed are left out of its
+// history so the messages keep alternating and the model never sees an error as its own reply
+export function buildConversationHistory(turns, modelIds) {
+    const history = {};
+
+    modelIds.forEach(modelId => {
+        const messages = [];
+        turns.forEach(turn => {
+            const result = turn.results.find(r => r.modelId === modelId);
+            if (!result || normalizeStatus(result.status) !== 'success' || !result.response) return;
+
+            messages.push({ role: 'user', content: turn.prompt });
+            messages.push({ role: 'assistant', content: result.response });
+        });
+
+        if (messages.length > 0) {
+            history[modelId] = messages;
+        }
+    });
+
+    return Object.keys(history).length > 0 ? history : null;
+}
+
+// Rebuild conversation state from the saved turns of a conversation; turn IDs are issued afterwards
+export function conversationFromHistory(comparisons) {
+    const ordered = [...comparisons].sort((a, b) => a.turnNumber - b.turnNumber);
+    const systemPrompt = ordered[0]?.systemPrompt || '';
+    const prompts = [];
+
+    return {
+        id: ordered[0]?.conversationId || ordered[0]?.comparisonId || null,
+        systemPrompt: systemPrompt,
+        turns: ordered.map(comparison => {
+            prompts.push(comparison.prompt);
+            return {
+                number: comparison.turnNumber || prompts.length,
+                comparisonId: comparison.comparisonId,
+                prompt: comparison.prompt,
+                promptId: null,
+                results: comparison.results || []
+            };
+        })
+    };
+}
@@ -0,0 +1,37 @@
+// Model Comparison Studio - Cost Module
+// Estimates what a comparison will cost from the catalog prices and formats spend amounts
+
+// Rough tokens-per-character ratio for English text; providers bill their own tokenizer's count
+const CHARACTERS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARACTERS_PER_TOKEN) : 0;
+}
+
+// Mirrors the server's default max_tokens when none is configured (AIService.CalculateMaxTokens)
+export function defaultMaxTokens(promptLength) {
+    if (promptLength > 2000) return 4000;
+    return Math.min(4000, Math.max(1000, Math.floor(promptLength / 2)));
+}
+
+// The prompt alone is the least a call can cost; a reply that uses every allowed token is the most.
+// Returns null when the model's prices are unknown
+export function estimateModelCost(entry, promptTokens, maxTokens) {
+    if (!entry || entry.inputPricePerMillion == null || entry.outputPricePerMillion == null) {
+        return null;
+    }
+
+    const inputCost = promptTokens * entry.inputPricePerMillion / 1_000_000;
+    return {
+        min: inputCost,
+        max: inputCost + maxTokens * entry.outputPricePerMillion / 1_000_000
+    };
+}
+
+// USD with enough digits to show fractions of a cent, e.g. "$0.0012", "$0.42", "$0.00"
+export function formatCost(usd) {
+    if (usd == null) return '';
+    if (usd === 0) return '$0.00';
+    if (usd < 0.0001) return '<$0.0001';
+    return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
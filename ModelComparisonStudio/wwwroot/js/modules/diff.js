@@ -0,0 +1,152 @@
+// Model Comparison Studio - Response Diff Module
+// Word- or line-level diff between two model responses, with a similarity score
+
+import { escapeHtml } from './utils.js';
+
+// Upper bound on LCS table cells (rows × columns) so very long responses can't freeze the page
+const MAX_DIFF_CELLS = 4000000;
+
+export function tokenize(text, granularity = 'word') {
+    if (!text) return [];
+
+    if (granularity === 'line') {
+        // Keep the newline on each line so the rendered diff preserves the original layout
+        return text.split(/(?<=\n)/);
+    }
+
+    // Words and the whitespace between them are separate tokens so spacing survives the round trip
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+// Returns { ops: [{ type: 'equal' | 'delete' | 'insert', value }], similarity, granularity }
+// or null when both responses are too long to diff at the requested granularity.
+export function computeDiff(leftText, rightText, granularity = 'word') {
+    const left = tokenize(leftText, granularity);
+    const right = tokenize(rightText, granularity);
+
+    // Common prefix and suffix don't need the LCS table
+    let prefix = 0;
+    while (prefix < left.length && prefix < right.length && left[prefix] === right[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < left.length - prefix && suffix < right.length - prefix &&
+           left[left.length - 1 - suffix] === right[right.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const leftMiddle = left.slice(prefix, left.length - suffix);
+    const rightMiddle = right.slice(prefix, right.length - suffix);
+
+    if ((leftMiddle.length + 1) * (rightMiddle.length + 1) > MAX_DIFF_CELLS) {
+        return null;
+    }
+
+    const ops = [
+        ...left.slice(0, prefix).map(value => ({ type: 'equal', value })),
+        ...diffTokens(leftMiddle, rightMiddle),
+        ...left.slice(left.length - suffix).map(value => ({ type: 'equal', value }))
+    ];
+
+    return {
+        ops: mergeAdjacentOps(ops),
+        similarity: calculateSimilarity(ops),
+        granularity
+    };
+}
+
+// Similarity is the share of non-whitespace tokens the two responses have in common (0-100)
+export function calculateSimilarity(ops) {
+    let common = 0;
+    let total = 0;
+
+    ops.forEach(op => {
+        if (!op.value.trim()) return;
+
+        if (op.type === 'equal') {
+            common += 2;
+            total += 2;
+        } else {
+            total += 1;
+        }
+    });
+
+    return total === 0 ? 100 : Math.round((common / total) * 1000) / 10;
+}
+
+// Render both sides of a diff: deletions are highlighted on the left, insertions on the right
+export function renderDiffColumns(ops) {
+    let left = '';
+    let right = '';
+
+    ops.forEach(op => {
+        const value = escapeHtml(op.value);
+
+        if (op.type === 'equal') {
+            left += value;
+            right += value;
+        } else if (op.type === 'delete') {
+            left += `<del class="diff-delete">${value}</del>`;
+        } else {
+            right += `<ins class="diff-insert">${value}</ins>`;
+        }
+    });
+
+    return { left, right };
+}
+
+function diffTokens(left, right) {
+    const rows = left.length;
+    const cols = right.length;
+
+    if (rows === 0) return right.map(value => ({ type: 'insert', value }));
+    if (cols === 0) return left.map(value => ({ type: 'delete', value }));
+
+    // lengths[i * (cols + 1) + j] = LCS length of left[i..] and right[j..]
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lengths[i * width + j] = left[i] === right[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < rows && j < cols) {
+        if (left[i] === right[j]) {
+            ops.push({ type: 'equal', value: left[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            ops.push({ type: 'delete', value: left[i] });
+            i++;
+        } else {
+            ops.push({ type: 'insert', value: right[j] });
+            j++;
+        }
+    }
+
+    while (i < rows) ops.push({ type: 'delete', value: left[i++] });
+    while (j < cols) ops.push({ type: 'insert', value: right[j++] });
+
+    return ops;
+}
+
+function mergeAdjacentOps(ops) {
+    return ops.reduce((merged, op) => {
+        const last = merged[merged.length - 1];
+        if (last && last.type === op.type) {
+            last.value += op.value;
+        } else {
+            merged.push({ ...op });
+        }
+        return merged;
+    }, []);
+}
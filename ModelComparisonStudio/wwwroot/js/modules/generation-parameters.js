@@ -0,0 +1,63 @@
+// Model Comparison Studio - Generation Parameters Module
+// Normalizes and formats the sampling settings sent with a comparison, globally or per model
+
+export const MAX_STOP_SEQUENCES = 4;
+
+function parseNumber(value, parse) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Keep only the values that are set, in the shape the API expects
+export function normalizeParameters(values = {}) {
+    const parameters = {};
+
+    const temperature = parseNumber(values.temperature, parseFloat);
+    const topP = parseNumber(values.topP, parseFloat);
+    const maxTokens = parseNumber(values.maxTokens, value => parseInt(value, 10));
+    const seed = parseNumber(values.seed, value => parseInt(value, 10));
+    const stopSequences = (Array.isArray(values.stopSequences)
+        ? values.stopSequences
+        : parseStopSequences(values.stopSequences))
+        .filter(sequence => sequence !== '')
+        .slice(0, MAX_STOP_SEQUENCES);
+
+    if (temperature !== null) parameters.temperature = temperature;
+    if (topP !== null) parameters.topP = topP;
+    if (maxTokens !== null) parameters.maxTokens = maxTokens;
+    if (stopSequences.length > 0) parameters.stopSequences = stopSequences;
+    if (seed !== null) parameters.seed = seed;
+
+    return parameters;
+}
+
+// One stop sequence per line; "\n" and "\t" stand for a newline and a tab
+export function parseStopSequences(text) {
+    return (text || '')
+        .split('\n')
+        .map(line => line.replace(/\\n/g, '\n').replace(/\\t/g, '\t'));
+}
+
+export function formatStopSequences(stopSequences) {
+    return (stopSequences || [])
+        .map(sequence => sequence.replace(/\n/g, '\\n').replace(/\t/g, '\\t'))
+        .join('\n');
+}
+
+export function isEmptyParameters(parameters) {
+    return !parameters || Object.keys(normalizeParameters(parameters)).length === 0;
+}
+
+// Short, provider-style summary, e.g. "temperature 0.7 • top_p 1 • max_tokens 4000"
+export function formatParameters(parameters) {
+    if (isEmptyParameters(parameters)) return '';
+
+    const parts = [];
+    if (parameters.temperature != null) parts.push(`temperature ${parameters.temperature}`);
+    if (parameters.topP != null) parts.push(`top_p ${parameters.topP}`);
+    if (parameters.maxTokens != null) parts.push(`max_tokens ${parameters.maxTokens}`);
+    if (parameters.stopSequences?.length) parts.push(`stop ${JSON.stringify(parameters.stopSequences)}`);
+    if (parameters.seed != null) parts.push(`seed ${parameters.seed}`);
+    return parts.join(' • ');
+}
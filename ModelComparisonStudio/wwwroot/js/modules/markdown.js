@@ -0,0 +1,103 @@
+// Model Comparison Studio - Markdown Rendering Module
+// Renders model responses as sanitized Markdown with highlighted, copyable code blocks.
+// Relies on the marked, DOMPurify and highlight.js globals loaded in index.html; without
+// marked or DOMPurify the response is shown as escaped plain text instead.
+
+import { escapeHtml } from './utils.js';
+
+let linkHookInstalled = false;
+
+function canRenderMarkdown() {
+    return Boolean(window.marked?.parse && window.DOMPurify?.sanitize);
+}
+
+function installLinkHook() {
+    if (linkHookInstalled) return;
+    linkHookInstalled = true;
+
+    // Links in model output open in a new tab and never get access to this window
+    window.DOMPurify.addHook('afterSanitizeAttributes', node => {
+        if (node.tagName === 'A' && node.getAttribute('href')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+export function renderPlainText(text) {
+    return escapeHtml(text || '').replace(/\n/g, '<br>');
+}
+
+export function renderMarkdown(text) {
+    if (!text) return '';
+
+    if (!canRenderMarkdown()) {
+        return renderPlainText(text);
+    }
+
+    installLinkHook();
+    const html = window.marked.parse(text, { gfm: true, breaks: true });
+    return window.DOMPurify.sanitize(html, { USE_PROFILES: { html: true } });
+}
+
+// Highlight code blocks and give each one a language label and a copy button.
+// Call once the content is final; streamed content is re-rendered on every frame.
+export function enhanceCodeBlocks(container) {
+    container.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        if (pre.parentElement?.classList.contains('code-block')) return;
+
+        const language = (code.className.match(/language-([\w+#-]+)/) || [])[1] || '';
+        if (window.hljs) {
+            if (language && !window.hljs.getLanguage(language)) {
+                // Unknown languages would otherwise throw; fall back to auto-detection
+                code.classList.remove(`language-${language}`);
+            }
+            window.hljs.highlightElement(code);
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+
+        const header = document.createElement('div');
+        header.className = 'code-block-header';
+        header.innerHTML = `
+            <span class="code-block-language">${escapeHtml(language || 'code')}</span>
+            <button type="button" class="code-copy-btn">Copy</button>
+        `;
+
+        const copyButton = header.querySelector('.code-copy-btn');
+        copyButton.addEventListener('click', async () => {
+            const copied = await copyToClipboard(code.textContent);
+            copyButton.textContent = copied ? 'Copied ✓' : 'Copy failed';
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
+        });
+
+        pre.replaceWith(wrapper);
+        wrapper.appendChild(header);
+        wrapper.appendChild(pre);
+    });
+}
+
+export async function copyToClipboard(text) {
+    try {
+        if (navigator.clipboard?.writeText) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+
+        // The Clipboard API is only available in secure contexts
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        return copied;
+    } catch (error) {
+        console.error('Failed to copy to clipboard:', error);
+        return false;
+    }
+}
@@ -0,0 +1,106 @@
+// Model Comparison Studio - Model Catalog Module
+// Normalizes, filters, sorts and formats the model details served by /api/models/available
+
+export const CAPABILITY_LABELS = {
+    tools: 'Tools',
+    vision: 'Vision',
+    json: 'JSON'
+};
+
+export const DEFAULT_CATALOG_FILTERS = {
+    query: '',
+    capabilities: [],
+    maxInputPrice: null,
+    minContextWindow: null,
+    sortBy: 'name'
+};
+
+// Older servers send bare model IDs; give every entry the same shape
+export function normalizeCatalogEntry(entry, provider) {
+    if (typeof entry === 'string') {
+        entry = { id: entry };
+    }
+
+    return {
+        id: entry.id,
+        provider: entry.provider || provider,
+        displayName: entry.displayName || entry.id,
+        contextWindow: Number.isFinite(entry.contextWindow) ? entry.contextWindow : null,
+        inputPricePerMillion: Number.isFinite(entry.inputPricePerMillion) ? entry.inputPricePerMillion : null,
+        outputPricePerMillion: Number.isFinite(entry.outputPricePerMillion) ? entry.outputPricePerMillion : null,
+        modality: entry.modality || null,
+        capabilities: Array.isArray(entry.capabilities) ? entry.capabilities : []
+    };
+}
+
+// A model with no known price or context window never passes a filter on it
+export function filterCatalog(entries, filters = DEFAULT_CATALOG_FILTERS) {
+    const query = (filters.query || '').trim().toLowerCase();
+    const capabilities = filters.capabilities || [];
+
+    return entries.filter(entry => {
+        if (query && !entry.id.toLowerCase().includes(query) && !entry.displayName.toLowerCase().includes(query)) {
+            return false;
+        }
+
+        if (!capabilities.every(capability => entry.capabilities.includes(capability))) {
+            return false;
+        }
+
+        if (filters.maxInputPrice != null &&
+            (entry.inputPricePerMillion == null || entry.inputPricePerMillion > filters.maxInputPrice)) {
+            return false;
+        }
+
+        if (filters.minContextWindow != null &&
+            (entry.contextWindow == null || entry.contextWindow < filters.minContextWindow)) {
+            return false;
+        }
+
+        return true;
+    });
+}
+
+// Larger context windows and lower prices first; models missing the sorted value go last
+export function sortCatalog(entries, sortBy = 'name') {
+    const byName = (a, b) => a.displayName.localeCompare(b.displayName);
+    const compareKnown = (valueOf, direction) => (a, b) => {
+        const left = valueOf(a);
+        const right = valueOf(b);
+        if (left == null && right == null) return byName(a, b);
+        if (left == null) return 1;
+        if (right == null) return -1;
+        return (left - right) * direction || byName(a, b);
+    };
+
+    const comparers = {
+        name: byName,
+        contextWindow: compareKnown(entry => entry.contextWindow, -1),
+        inputPrice: compareKnown(entry => entry.inputPricePerMillion, 1),
+        outputPrice: compareKnown(entry => entry.outputPricePerMillion, 1)
+    };
+
+    return [...entries].sort(comparers[sortBy] || byName);
+}
+
+export function isCatalogFiltered(filters) {
+    return Boolean((filters.query || '').trim()) ||
+        (filters.capabilities || []).length > 0 ||
+        filters.maxInputPrice != null ||
+        filters.minContextWindow != null;
+}
+
+// e.g. "128K", "1M", "32.8K"
+export function formatContextWindow(tokens) {
+    if (tokens == null) return '';
+    if (tokens >= 1_000_000) return `${+(tokens / 1_000_000).toFixed(1)}M`;
+    if (tokens >= 1_000) return `${+(tokens / 1_000).toFixed(1)}K`;
+    return `${tokens}`;
+}
+
+// USD per million tokens, e.g. "$0.15", "$3.00", "Free"
+export function formatPricePerMillion(price) {
+    if (price == null) return '';
+    if (price === 0) return 'Free';
+    return price < 0.01 ? `$${+price.toFixed(4)}` : `$${price.toFixed(2)}`;
+}
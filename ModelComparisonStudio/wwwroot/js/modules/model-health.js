@@ -0,0 +1,59 @@
+// Model Comparison Studio - Model Health Module
+// Labels and formatting for the server's model health checks (GET/POST /api/models/health)
+
+import { escapeHtml, parseModelSelection } from './utils.js';
+
+export const HEALTH_STATUSES = {
+    available: { label: 'Available', dotClass: 'bg-green-500', textClass: 'text-green-300' },
+    degraded: { label: 'Degraded', dotClass: 'bg-yellow-500', textClass: 'text-yellow-300' },
+    unavailable: { label: 'Unavailable', dotClass: 'bg-red-500', textClass: 'text-red-300' }
+};
+
+export function formatLatency(ms) {
+    if (ms == null) return '';
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+export function formatCheckedAgo(timestamp, now = Date.now()) {
+    const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h ago` : new Date(timestamp).toLocaleDateString();
+}
+
+// The health check result for a selection: its own result, or for an unpinned model the first
+// result for the same model ID in the given provider order
+export function findModelHealth(healthByKey, selectionKey, providerNames = []) {
+    if (healthByKey[selectionKey]) return healthByKey[selectionKey];
+
+    const { modelId, provider } = parseModelSelection(selectionKey);
+    if (provider) return null;
+
+    const rank = health => {
+        const index = providerNames.indexOf(health.provider);
+        return index === -1 ? providerNames.length : index;
+    };
+
+    return Object.values(healthByKey)
+        .filter(health => parseModelSelection(health.modelId).modelId === modelId)
+        .sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+// Status dot, label and latency; the latency is the last successful one when the model is not answering now
+export function createHealthBadge(health) {
+    if (!health) return '';
+
+    const status = HEALTH_STATUSES[health.status] || HEALTH_STATUSES.unavailable;
+    const latency = health.status === 'unavailable'
+        ? (health.lastSeenLatencyMs != null ? `last seen ${formatLatency(health.lastSeenLatencyMs)}, ${formatCheckedAgo(health.lastSeenAt)}` : '')
+        : formatLatency(health.latencyMs);
+    const title = [health.message, `Checked ${formatCheckedAgo(health.checkedAt)}`].filter(Boolean).join(' • ');
+
+    return `
+        <span class="model-health inline-flex items-center gap-1 ${status.textClass}" title="${escapeHtml(title)}">
+            <span class="w-1.5 h-1.5 rounded-full ${status.dotClass}"></span>
+            ${status.label}${latency ? ` <span class="text-slate-400">• ${escapeHtml(latency)}</span>` : ''}
+        </span>
+    `;
+}
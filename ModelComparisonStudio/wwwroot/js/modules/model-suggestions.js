@@ -0,0 +1,240 @@
+// Model Comparison Studio - Model Suggestions Module
+// Fuzzy search over the model catalog for the Add Model input, with keyboard navigation,
+// matched-character highlighting, provider groups and a recently used section
+
+import { escapeHtml } from './utils.js';
+
+const MAX_RESULTS_PER_GROUP = 8;
+
+// Characters that start a new word in a model ID or name, e.g. "openai/gpt-4o-mini"
+const WORD_SEPARATORS = new Set(['/', '-', '_', '.', ':', ' ', '@', '(']);
+
+// Scores text against a query whose characters must appear in order. Matches at word starts and
+// runs of consecutive characters score higher. Returns null when the query does not match,
+// otherwise the score and the matched character positions
+export function fuzzyMatch(query, text) {
+    if (!query) return { score: 0, indices: [] };
+    if (!text) return null;
+
+    const lowerQuery = query.toLowerCase();
+    const lowerText = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let queryIndex = 0;
+    let previousIndex = -2;
+
+    for (let textIndex = 0; textIndex < lowerText.length && queryIndex < lowerQuery.length; textIndex++) {
+        if (lowerText[textIndex] !== lowerQuery[queryIndex]) continue;
+
+        let characterScore = 1;
+        if (textIndex === 0 || WORD_SEPARATORS.has(lowerText[textIndex - 1])) characterScore += 3;
+        if (textIndex === previousIndex + 1) characterScore += 2;
+
+        score += characterScore;
+        indices.push(textIndex);
+        previousIndex = textIndex;
+        queryIndex++;
+    }
+
+    if (queryIndex < lowerQuery.length) return null;
+
+    // Prefer tighter matches and shorter texts when the characters matched equally well
+    const span = indices[indices.length - 1] - indices[0] + 1;
+    score -= (span - indices.length) * 0.1 + text.length * 0.01;
+    return { score, indices };
+}
+
+// Matches every whitespace-separated word of the query against the model ID (which includes the
+// vendor prefix, e.g. "anthropic/") or the display name, whichever fits that word best
+export function matchModel(query, model) {
+    const words = (query || '').trim().split(/\s+/).filter(Boolean);
+    const matches = { score: 0, idIndices: new Set(), nameIndices: new Set() };
+
+    for (const word of words) {
+        const idMatch = fuzzyMatch(word, model.id);
+        const vendor = model.id.includes('/') ? model.id.slice(0, model.id.indexOf('/')) : '';
+        const vendorMatch = vendor ? fuzzyMatch(word, vendor) : null;
+        const nameMatch = model.displayName && model.displayName !== model.id
+            ? fuzzyMatch(word, model.displayName)
+            : null;
+
+        // A word that names the vendor outright, like "google", counts as strongly as an exact ID match
+        const best = [
+            idMatch && { ...idMatch, field: 'id' },
+            vendorMatch && { ...vendorMatch, score: vendorMatch.score + 1, field: 'id' },
+            nameMatch && { ...nameMatch, field: 'name' }
+        ].filter(Boolean).sort((a, b) => b.score - a.score)[0];
+
+        if (!best) return null;
+
+        matches.score += best.score;
+        const target = best.field === 'id' ? matches.idIndices : matches.nameIndices;
+        best.indices.forEach(index => target.add(index));
+    }
+
+    return matches;
+}
+
+// Text with the matched characters wrapped in <mark>, escaped for insertion as HTML
+export function highlightMatches(text, indices) {
+    if (!indices || indices.size === 0) return escapeHtml(text);
+
+    return [...text].map((character, index) => indices.has(index)
+        ? `<mark class="suggestion-match">${escapeHtml(character)}</mark>`
+        : escapeHtml(character)).join('');
+}
+
+// Suggestion dropdown for a text input. getGroups returns [{ label, recent, models: [{ key, id, displayName, provider }] }]
+// in display order, where recent marks the group shown before anything is typed; onSelect receives the chosen model's key
+export class ModelSuggestions {
+    constructor(input, { getGroups, onSelect }) {
+        this.input = input;
+        this.getGroups = getGroups;
+        this.onSelect = onSelect;
+        this.items = [];
+        this.activeIndex = -1;
+
+        this.container = document.createElement('div');
+        this.container.id = `${input.id}Suggestions`;
+        this.container.className = 'model-suggestions hidden absolute z-10 left-0 right-0 top-full mt-1 bg-slate-700/95 backdrop-blur-sm border border-slate-600 rounded-xl shadow-modern-lg max-h-72 overflow-y-auto';
+        this.container.setAttribute('role', 'listbox');
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', this.container.id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+        input.parentNode.style.position = 'relative';
+        input.insertAdjacentElement('afterend', this.container);
+
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('focus', () => this.update());
+        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.addEventListener('click', (e) => {
+            if (e.target !== input && !this.container.contains(e.target)) this.hide();
+        });
+    }
+
+    update() {
+        const query = this.input.value.trim();
+        const groups = this.getGroups()
+            .map(group => ({
+                label: group.label,
+                recent: group.recent,
+                models: group.models
+                    .map(model => ({ model, match: matchModel(query, model) }))
+                    .filter(result => result.match)
+                    .sort((a, b) => b.match.score - a.match.score)
+                    .slice(0, MAX_RESULTS_PER_GROUP)
+            }))
+            // Without a query only the recently used section is shown
+            .filter(group => group.models.length > 0 && (query || group.recent));
+
+        this.render(groups);
+    }
+
+    render(groups) {
+        this.items = [];
+        this.activeIndex = -1;
+        this.container.innerHTML = '';
+
+        if (groups.length === 0) {
+            this.hide();
+            return;
+        }
+
+        groups.forEach(group => {
+            const header = document.createElement('div');
+            header.className = 'suggestion-group-header px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-slate-400';
+            header.textContent = group.label;
+            header.setAttribute('role', 'presentation');
+            this.container.appendChild(header);
+
+            group.models.forEach(({ model, match }) => {
+                const option = document.createElement('div');
+                const index = this.items.length;
+                option.id = `${this.container.id}-${index}`;
+                option.className = 'suggestion-option px-3 py-2 cursor-pointer transition-colors duration-200';
+                option.setAttribute('role', 'option');
+                option.innerHTML = `
+                    <div class="font-medium text-white text-sm">${highlightMatches(model.id, match.idIndices)}</div>
+                    <div class="text-xs text-slate-400">
+                        ${model.displayName && model.displayName !== model.id ? `${highlightMatches(model.displayName, match.nameIndices)} • ` : ''}${escapeHtml(model.provider || 'Any provider')}
+                    </div>
+                `;
+                option.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+                option.addEventListener('mousemove', () => this.setActive(index));
+                option.addEventListener('click', () => this.select(index));
+
+                this.container.appendChild(option);
+                this.items.push({ key: model.key, element: option });
+            });
+        });
+
+        this.container.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    handleKeydown(e) {
+        if (this.container.classList.contains('hidden')) {
+            if (e.key === 'ArrowDown') {
+                this.update();
+                if (this.items.length > 0) e.preventDefault();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive((this.activeIndex + 1) % this.items.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex <= 0 ? this.items.length - 1 : this.activeIndex - 1);
+                break;
+            case 'Enter':
+                // With nothing highlighted, Enter adds whatever was typed
+                if (this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.hide();
+                break;
+        }
+    }
+
+    setActive(index) {
+        this.items[this.activeIndex]?.element.classList.remove('active');
+        this.activeIndex = index;
+
+        const item = this.items[index];
+        if (!item) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        item.element.classList.add('active');
+        item.element.scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', item.element.id);
+    }
+
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        this.input.value = item.key;
+        this.hide();
+        this.onSelect(item.key);
+    }
+
+    hide() {
+        this.container.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.activeIndex = -1;
+    }
+}
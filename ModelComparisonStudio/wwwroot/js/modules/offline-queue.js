@@ -0,0 +1,101 @@
+// Model Comparison Studio - Offline Queue Module
+// Rating and comment saves that failed or were made offline, kept in IndexedDB until the server accepts them
+
+const DB_NAME = 'modelComparisonStudio';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingEvaluations';
+
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// One entry per rater's evaluation of a response; a newer edit replaces the queued one
+export function getQueueKey(evaluation) {
+    return [evaluation.promptId, evaluation.modelId, evaluation.raterId || ''].join('|');
+}
+
+// 2s, 4s, 8s, ... up to 5 minutes between attempts
+export function getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempts, RETRY_MAX_DELAY_MS);
+}
+
+// Worth retrying later: no connection, a server error, a timeout or rate limiting. Anything
+// else, such as a validation error, fails the same way on every retry
+export function isRetryableSaveError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return !error?.status || error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+// Entries: { key, evaluation, expectedUpdatedAt, attempts, nextAttemptAt, queuedAt, conflict, failed }.
+// `expectedUpdatedAt` is the server version the edit was based on, so a newer one is reported as a
+// conflict instead of overwritten; `conflict` holds the server's message until the user resolves it,
+// and `failed` the message of a save the server rejected outright until the user discards it.
+// Falls back to memory, which lasts until the tab closes, when IndexedDB can't be opened
+export class OfflineQueue {
+    constructor() {
+        this.memory = new Map();
+        this.dbPromise = this.openDatabase();
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Offline queue: IndexedDB unavailable, queued saves last until the tab closes', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Whether queued saves survive closing the tab
+    async isPersistent() {
+        return (await this.dbPromise) !== null;
+    }
+
+    // Resolves with the request's result once the transaction has committed
+    async request(mode, action) {
+        const db = await this.dbPromise;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        if (!await this.isPersistent()) return this.memory.get(key) || null;
+        return await this.request('readonly', store => store.get(key)) || null;
+    }
+
+    async list() {
+        const entries = await this.isPersistent()
+            ? await this.request('readonly', store => store.getAll())
+            : [...this.memory.values()];
+        return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    async put(entry) {
+        if (!await this.isPersistent()) {
+            this.memory.set(entry.key, entry);
+            return;
+        }
+        await this.request('readwrite', store => store.put(entry));
+    }
+
+    async remove(key) {
+        if (!await this.isPersistent()) {
+            this.memory.delete(key);
+            return;
+        }
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
@@ -0,0 +1,54 @@
+// Model Comparison Studio - Preferences Module
+// Pairwise A/B preference votes: outcomes, which pairs still need a vote and the Bradley-Terry leaderboard
+
+export const PREFERENCE_OUTCOMES = {
+    ABetter: 'A is better',
+    BBetter: 'B is better',
+    Tie: 'Tie',
+    BothBad: 'Both bad'
+};
+
+// A vs B and B vs A are the same pair
+export function getPairKey(promptId, modelA, modelB) {
+    return [promptId, ...[modelA, modelB].sort()].join('|');
+}
+
+// Every pair of the models, in the order the models are given
+export function listPairs(modelIds) {
+    const pairs = [];
+    modelIds.forEach((modelA, i) => modelIds.slice(i + 1).forEach(modelB => pairs.push([modelA, modelB])));
+    return pairs;
+}
+
+// The next pair after the current one, wrapping around, that has no vote yet; null once every pair has one
+export function findNextUnvotedPair(modelIds, isVoted, current = null) {
+    const pairs = listPairs(modelIds);
+    const currentIndex = current
+        ? pairs.findIndex(([a, b]) => (a === current[0] && b === current[1]) || (a === current[1] && b === current[0]))
+        : -1;
+
+    for (let offset = 1; offset <= pairs.length; offset++) {
+        const pair = pairs[(currentIndex + offset) % pairs.length];
+        if (!isVoted(pair[0], pair[1])) return pair;
+    }
+    return null;
+}
+
+// Attach each model's leaderboard entry as `preference`; models that were only voted on get a card of their own
+export function mergePreferenceRatings(rankingData, leaderboard) {
+    const entries = new Map((leaderboard || []).map(entry => [entry.modelId, entry]));
+    const merged = rankingData.map(modelData => ({ ...modelData, preference: entries.get(modelData.modelId) || null }));
+
+    entries.forEach((entry, modelId) => {
+        if (!merged.some(modelData => modelData.modelId === modelId)) {
+            merged.push({ modelId, totalEvaluations: 0, averageRating: null, preference: entry });
+        }
+    });
+    return merged;
+}
+
+// "1123 (1050–1200)": the rating and its 95% confidence interval
+export function formatPreferenceRating(entry) {
+    if (!entry) return '–';
+    return `${Math.round(entry.rating)} (${Math.round(entry.lowerBound)}–${Math.round(entry.upperBound)})`;
+}
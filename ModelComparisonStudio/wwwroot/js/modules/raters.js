@@ -0,0 +1,51 @@
+// Model Comparison Studio - Raters Module
+// Rater profiles and the agreement report for responses rated by more than one rater
+
+import { escapeHtml } from './utils.js';
+
+// Value of the rater option that asks for a name and signs in as a new rater
+export const NEW_RATER_OPTION = '__new__';
+
+// Krippendorff's conventional cut-offs: 0.8 and above is reliable, 0.667 and above allows tentative conclusions
+export function describeAlpha(alpha) {
+    if (alpha == null) return 'not enough variation to measure';
+    if (alpha >= 0.8) return 'reliable agreement';
+    if (alpha >= 0.667) return 'tentative agreement';
+    return 'low agreement';
+}
+
+export function formatAgreementValue(value) {
+    return value == null ? '–' : value.toFixed(2);
+}
+
+// Alpha over every rater, then one row per pair of raters that rated the same responses
+export function createRaterAgreementSummary(agreement) {
+    if (!agreement || agreement.unitCount === 0) {
+        return '<div class="text-slate-400">No response has been rated by more than one rater yet.</div>';
+    }
+
+    const rows = agreement.pairs.map(pair => `
+        <tr>
+            <td class="pr-4">${escapeHtml(pair.raterAName)} &amp; ${escapeHtml(pair.raterBName)}</td>
+            <td class="text-right pr-4">${pair.sharedUnits}</td>
+            <td class="text-right pr-4" title="Pearson correlation; needs at least 3 shared responses">${formatAgreementValue(pair.correlation)}</td>
+            <td class="text-right" title="Mean absolute difference between their ratings">${formatAgreementValue(pair.meanAbsoluteDifference)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="text-slate-200 mb-2">
+            Rater agreement: <span class="font-semibold text-sky-300" title="Krippendorff's alpha (interval)">α = ${formatAgreementValue(agreement.alpha)}</span>
+            <span class="text-slate-400">– ${describeAlpha(agreement.alpha)} across ${agreement.unitCount} responses, ${agreement.ratingCount} ratings by ${agreement.raterCount} raters</span>
+        </div>
+        <table class="text-xs text-slate-300">
+            <thead><tr class="text-slate-500">
+                <th class="text-left font-medium pr-4">Raters</th>
+                <th class="text-right font-medium pr-4">Shared</th>
+                <th class="text-right font-medium pr-4">Correlation</th>
+                <th class="text-right font-medium">Mean diff.</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
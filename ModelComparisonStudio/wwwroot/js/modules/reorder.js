@@ -0,0 +1,101 @@
+// Model Comparison Studio - Reorder Module
+// Drag-and-drop reordering of the selected model chips and result panels, and the results sort orders
+
+export const RESULT_SORTS = {
+    order: 'Run order',
+    rating: 'Rating',
+    speed: 'Speed',
+    tokens: 'Tokens'
+};
+
+// Results without a value for the sort (unrated, failed, no token count) keep their order after the rest
+export function sortResultModelIds(results, sortBy, getRating) {
+    const isSuccess = result => String(result.status).toLowerCase() === 'success';
+    const sorts = {
+        rating: { value: result => getRating(result.modelId) || null, descending: true },
+        speed: { value: result => (isSuccess(result) ? result.responseTimeMs : null), descending: false },
+        tokens: { value: result => (isSuccess(result) && result.tokenCount > 0 ? result.tokenCount : null), descending: false }
+    };
+
+    const sort = sorts[sortBy];
+    const modelIds = results.map(result => result.modelId);
+    if (!sort) return modelIds;
+
+    const values = new Map(results.map(result => [result.modelId, sort.value(result)]));
+    return modelIds
+        .map((modelId, index) => ({ modelId, index, value: values.get(modelId) }))
+        .sort((a, b) => {
+            if (a.value == null || b.value == null) {
+                return (a.value == null) - (b.value == null) || a.index - b.index;
+            }
+            return (sort.descending ? b.value - a.value : a.value - b.value) || a.index - b.index;
+        })
+        .map(entry => entry.modelId);
+}
+
+// Lets the items of a container be reordered by dragging. Items are the elements with a
+// data-reorder-key attribute; the container's children can be re-rendered freely since the
+// listeners are delegated. With a handle selector, dragging only starts from the handle so text
+// in the item stays selectable. onReorder receives the keys in their new order after a drop
+export function enableDragReorder(container, { handleSelector = null, axis = () => 'x', onReorder }) {
+    if (!container || container.dataset.dragReorder) return;
+    container.dataset.dragReorder = 'true';
+
+    let dragged = null;
+    let originalOrder = '';
+
+    const getItem = target => {
+        const item = target instanceof Element ? target.closest('[data-reorder-key]') : null;
+        return item && item.parentElement === container ? item : null;
+    };
+    const getKeys = () => Array.from(container.children)
+        .filter(child => child.dataset.reorderKey)
+        .map(child => child.dataset.reorderKey);
+
+    if (handleSelector) {
+        container.addEventListener('pointerdown', event => {
+            const item = getItem(event.target);
+            if (item) item.draggable = Boolean(event.target.closest(handleSelector));
+        });
+    }
+
+    container.addEventListener('dragstart', event => {
+        dragged = getItem(event.target);
+        if (!dragged) return;
+
+        originalOrder = getKeys().join('\n');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', dragged.dataset.reorderKey); // Firefox only drags with data set
+        dragged.classList.add('dragging');
+    });
+
+    container.addEventListener('dragover', event => {
+        if (!dragged) return;
+        event.preventDefault();
+
+        const target = getItem(event.target);
+        if (!target || target === dragged) return;
+
+        // Drop before the target when the pointer is on its first half, after it otherwise
+        const rect = target.getBoundingClientRect();
+        const after = axis() === 'y'
+            ? event.clientY > rect.top + rect.height / 2
+            : event.clientX > rect.left + rect.width / 2;
+        container.insertBefore(dragged, after ? target.nextSibling : target);
+    });
+
+    container.addEventListener('drop', event => {
+        if (dragged) event.preventDefault();
+    });
+
+    container.addEventListener('dragend', () => {
+        if (!dragged) return;
+
+        dragged.classList.remove('dragging');
+        if (handleSelector) dragged.draggable = false;
+        dragged = null;
+
+        const keys = getKeys();
+        if (keys.join('\n') !== originalOrder) onReorder(keys);
+    });
+}
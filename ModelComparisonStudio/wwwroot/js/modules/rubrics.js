@@ -0,0 +1,84 @@
+// Model Comparison Studio - Rubrics Module
+// Weighted multi-criteria scoring: parsing rubric definitions, the weighted total and the per-criterion score rows
+
+import { escapeHtml } from './utils.js';
+
+export const RUBRIC_SCORE_MAX = 10;
+export const RUBRIC_MAX_CRITERIA = 10;
+
+// Mirrors Rubric.CalculateWeightedScore on the server: only scored criteria count, so a partly
+// scored response gets the weighted average of what has been scored. Null until anything is scored
+export function calculateWeightedScore(criteria, scores = {}) {
+    const scored = criteria.filter(criterion => findScore(scores, criterion.name) != null);
+    if (scored.length === 0) return null;
+
+    const totalWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const weightedSum = scored.reduce((sum, criterion) => sum + criterion.weight * findScore(scores, criterion.name), 0);
+    return Math.round(weightedSum / totalWeight * 100) / 100;
+}
+
+// Criterion names are matched regardless of case, as on the server
+export function findScore(scores, name) {
+    if (!scores) return null;
+    const key = Object.keys(scores).find(scoreName => scoreName.toLowerCase() === name.toLowerCase());
+    return key ? scores[key] : null;
+}
+
+export function formatWeightedScore(score) {
+    return score == null ? '–' : score.toFixed(1);
+}
+
+// "Correctness: 4, Completeness: 3" — the text form used to define criteria
+export function formatCriteria(criteria) {
+    return criteria.map(criterion => `${criterion.name}: ${criterion.weight}`).join(', ');
+}
+
+// Parses "Name: weight" entries separated by commas or new lines; a name without a weight counts 1.
+// Returns { criteria } or { error }
+export function parseCriteria(text) {
+    const criteria = [];
+    const entries = (text || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of entries) {
+        const separator = entry.lastIndexOf(':');
+        const name = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+        const weight = separator === -1 ? 1 : Number(entry.slice(separator + 1).trim() || NaN);
+
+        if (!name) return { error: `"${entry}" has no criterion name.` };
+        if (name.length > 50) return { error: `"${name}" is longer than 50 characters.` };
+        if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+            return { error: `The weight of "${name}" must be greater than 0 and at most 100.` };
+        }
+        if (criteria.some(criterion => criterion.name.toLowerCase() === name.toLowerCase())) {
+            return { error: `"${name}" appears more than once.` };
+        }
+        criteria.push({ name, weight });
+    }
+
+    if (criteria.length === 0) return { error: 'Add at least one criterion.' };
+    if (criteria.length > RUBRIC_MAX_CRITERIA) return { error: `A rubric can have at most ${RUBRIC_MAX_CRITERIA} criteria.` };
+    return { criteria };
+}
+
+// One row of 1-10 score buttons per criterion, with the criterion's share of the total in the title
+export function createRubricScoring(criteria, scores = {}) {
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+    return criteria.map(criterion => {
+        const score = findScore(scores, criterion.name);
+        const share = Math.round(criterion.weight / totalWeight * 100);
+        const buttons = Array.from({ length: RUBRIC_SCORE_MAX }, (_, i) => i + 1)
+            .map(value => `<button type="button" class="criterion-score ${score != null && value <= score ? 'active' : ''}"
+                data-criterion="${escapeHtml(criterion.name)}" data-score="${value}" title="${escapeHtml(criterion.name)}: ${value}/${RUBRIC_SCORE_MAX}">${value}</button>`)
+            .join('');
+
+        return `
+            <div class="criterion-row flex flex-wrap items-center gap-2" data-criterion="${escapeHtml(criterion.name)}">
+                <span class="w-32 truncate text-xs text-slate-300" title="${escapeHtml(criterion.name)} counts for ${share}% of the total">
+                    ${escapeHtml(criterion.name)} <span class="text-slate-500">${share}%</span>
+                </span>
+                <div class="flex gap-1">${buttons}</div>
+            </div>
+        `;
+    }).join('');
+}
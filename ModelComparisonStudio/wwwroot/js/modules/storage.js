@@ -7,4 +7,117 @@ export function saveModelsToStorage(models) {
 export function loadModelsFromStorage() {
     const stored = localStorage.getItem('modelComparisonStudio_models');
     return stored ? JSON.parse(stored) : [];
-}
\ No newline at end of file
+}
+
+export function saveStreamingPreference(enabled) {
+    localStorage.setItem('modelComparisonStudio_streaming', JSON.stringify(enabled));
+}
+
+export function loadStreamingPreference() {
+    const stored = localStorage.getItem('modelComparisonStudio_streaming');
+    return stored ? JSON.parse(stored) : true;
+}
+
+export function saveBlindModePreference(enabled) {
+    localStorage.setItem('modelComparisonStudio_blindMode', JSON.stringify(enabled));
+}
+
+export function loadBlindModePreference() {
+    const stored = localStorage.getItem('modelComparisonStudio_blindMode');
+    return stored ? JSON.parse(stored) : false;
+}
+
+export function saveGenerationParameters(settings) {
+    localStorage.setItem('modelComparisonStudio_generationParameters', JSON.stringify(settings));
+}
+
+export function loadGenerationParameters() {
+    const stored = localStorage.getItem('modelComparisonStudio_generationParameters');
+    const settings = stored ? JSON.parse(stored) : {};
+    return {
+        global: settings.global || {},
+        models: settings.models || {}
+    };
+}
+
+export function saveExecutionPreferences(preferences) {
+    localStorage.setItem('modelComparisonStudio_execution', JSON.stringify(preferences));
+}
+
+export function loadExecutionPreferences() {
+    const stored = localStorage.getItem('modelComparisonStudio_execution');
+    const preferences = stored ? JSON.parse(stored) : {};
+    return {
+        mode: preferences.mode === 'Sequential' ? 'Sequential' : 'Parallel',
+        maxConcurrency: Number.isInteger(preferences.maxConcurrency) && preferences.maxConcurrency > 0 ? preferences.maxConcurrency : null,
+        providerFallback: preferences.providerFallback === true,
+        fallbackRetries: Number.isInteger(preferences.fallbackRetries) && preferences.fallbackRetries >= 1 && preferences.fallbackRetries <= 5
+            ? preferences.fallbackRetries
+            : null
+    };
+}
+
+export function saveResultsSort(sortBy) {
+    localStorage.setItem('modelComparisonStudio_resultsSort', sortBy);
+}
+
+export function loadResultsSort() {
+    return localStorage.getItem('modelComparisonStudio_resultsSort') || 'order';
+}
+
+// The rubric new comparisons are scored with; null scores them with a single star rating
+export function saveRubricPreference(rubricId) {
+    if (rubricId) {
+        localStorage.setItem('modelComparisonStudio_rubric', rubricId);
+    } else {
+        localStorage.removeItem('modelComparisonStudio_rubric');
+    }
+}
+
+export function loadRubricPreference() {
+    return localStorage.getItem('modelComparisonStudio_rubric') || null;
+}
+
+// The rater profile ratings and votes are saved under; null rates anonymously
+export function saveRaterPreference(raterId) {
+    if (raterId) {
+        localStorage.setItem('modelComparisonStudio_rater', raterId);
+    } else {
+        localStorage.removeItem('modelComparisonStudio_rater');
+    }
+}
+
+export function loadRaterPreference() {
+    return localStorage.getItem('modelComparisonStudio_rater') || null;
+}
+
+export function saveCatalogFilters(filters) {
+    localStorage.setItem('modelComparisonStudio_catalogFilters', JSON.stringify(filters));
+}
+
+export function loadCatalogFilters() {
+    const stored = localStorage.getItem('modelComparisonStudio_catalogFilters');
+    const filters = stored ? JSON.parse(stored) : {};
+    return {
+        query: typeof filters.query === 'string' ? filters.query : '',
+        capabilities: Array.isArray(filters.capabilities) ? filters.capabilities : [],
+        maxInputPrice: Number.isFinite(filters.maxInputPrice) ? filters.maxInputPrice : null,
+        minContextWindow: Number.isFinite(filters.minContextWindow) ? filters.minContextWindow : null,
+        sortBy: typeof filters.sortBy === 'string' ? filters.sortBy : 'name'
+    };
+}
+
+export const MAX_RECENT_MODELS = 8;
+
+// Most recently used first; a model used again moves back to the top
+export function addRecentModel(modelId) {
+    const recent = loadRecentModels().filter(id => id !== modelId);
+    recent.unshift(modelId);
+    localStorage.setItem('modelComparisonStudio_recentModels', JSON.stringify(recent.slice(0, MAX_RECENT_MODELS)));
+}
+
+export function loadRecentModels() {
+    const stored = localStorage.getItem('modelComparisonStudio_recentModels');
+    const recent = stored ? JSON.parse(stored) : [];
+    return Array.isArray(recent) ? recent.filter(id => typeof id === 'string') : [];
+}
@@ -6,39 +6,54 @@ export function escapeHtml(text) {
     return div.innerHTML;
 }
 
-export function formatResponseContent(response) {
-    if (!response) return '';
-
-    // Replace line breaks with <br> tags for proper display
-    let formatted = response
-        .replace(/\n\n/g, '</p><p>')  // Double line breaks become paragraphs
-        .replace(/\n/g, '<br>');      // Single line breaks become <br>
+export function generateComparisonId() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return `cmp_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
 
-    // Handle markdown-style bold text (**text**)
-    formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+export function normalizeStatus(status) {
+    // The API reports statuses as enum names ("Success", "Cancelled"); the UI compares lowercase
+    return (status || '').toString().toLowerCase();
+}
 
-    // Handle markdown-style italic text (*text*)
-    formatted = formatted.replace(/\*(.*?)\*/g, '<em>$1</em>');
+// Fisher-Yates shuffle into a new array; the input is left untouched
+export function shuffleArray(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
 
-    // Wrap in paragraph tags if it contains multiple lines
-    if (formatted.includes('<br>') || formatted.includes('</p>')) {
-        formatted = '<p>' + formatted + '</p>';
+// A selection is "modelId" (the server picks the provider) or "modelId@Provider",
+// so the same model can run through more than one provider in a comparison
+export function parseModelSelection(selection) {
+    const value = selection || '';
+    const separatorIndex = value.lastIndexOf('@');
+    if (separatorIndex <= 0 || separatorIndex === value.length - 1) {
+        return { modelId: value, provider: null };
     }
 
-    return formatted;
+    return { modelId: value.slice(0, separatorIndex), provider: value.slice(separatorIndex + 1) };
 }
 
-export function generatePromptId(prompt) {
-    // Simple hash function for prompt ID generation
-    let hash = 0;
-    for (let i = 0; i < prompt.length; i++) {
-        const char = prompt.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
-    }
-    return `prompt_${Math.abs(hash)}`;
+export function formatModelSelection(modelId, provider = null) {
+    return provider ? `${modelId}@${provider}` : modelId;
+}
+
+// "model (Provider)" for a pinned selection, the bare model ID otherwise
+export function formatModelSelectionLabel(selection) {
+    const { modelId, provider } = parseModelSelection(selection);
+    return provider ? `${modelId} (${provider})` : modelId;
 }
 
+// Syntax check only, matching the server's ModelId rules: letters, digits and . _ - : with optional
+// vendor segments, e.g. "deepseek-chat-v3.1" or "qwen/qwen3-next-80b-a3b-instruct:free".
+// Whether the model exists is checked by the server (api.validateModel)
 export function isValidModelFormat(modelId) {
-    return /^[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+$/.test(modelId);
+    return modelId.length >= 2 && modelId.length <= 200 &&
+        /^[a-zA-Z0-9][a-zA-Z0-9_.:-]*(\/[a-zA-Z0-9][a-zA-Z0-9_.:-]*)*$/.test(modelId);
 }
\ No newline at end of file